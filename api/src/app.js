@@ -7,6 +7,7 @@ dotenv.config();
 
 import { PORT } from "./constants.js";
 import { errorHandler } from "./middleware/auth.js";
+import { keepRawBody } from "./middleware/ussd-auth.js";
 
 // Import routes
 import userRoutes from "./routes/user.js";
@@ -42,14 +43,21 @@ if (missingEnvVars.length > 0) {
 // Create Express app
 const app = express();
 
+// Trust the configured number of proxy hops so req.ip is the real caller
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Middleware
 app.use(cors({
   origin: true,
   credentials: true,
 }));
 
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(express.json({ limit: "10mb", verify: keepRawBody }));
+app.use(
+  express.urlencoded({ extended: true, limit: "10mb", verify: keepRawBody })
+);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -89,14 +97,25 @@ app.get("/", (req, res) => {
         login: "POST /api/user/login",
         accountInfo: "GET /api/user/accountInfo (requires auth)",
         balance: "GET /api/user/balance (requires auth)",
+        changePin: "POST /api/user/pin/change (requires auth)",
+        resetPin: "POST /api/user/pin/reset",
       },
       transaction: {
-        create: "POST /api/transaction/new (requires auth)",
+        quote: "POST /api/transaction/quote (requires auth)",
+        create:
+          "POST /api/transaction/new (requires auth, optional Idempotency-Key header)",
+        withdraw:
+          "POST /api/transaction/withdraw (requires auth, optional Idempotency-Key header)",
+        request: "POST /api/transaction/request (requires auth)",
+        requests: "GET /api/transaction/requests (requires auth)",
         history: "GET /api/transaction/history (requires auth)",
         recent: "GET /api/transaction/recent (requires auth)",
+        status: "GET /api/transaction/:id/status (requires auth)",
       },
       ussd: {
         webhook: "POST /api/ussd/webhook",
+        providerWebhook:
+          "POST /api/ussd/:provider/webhook (africastalking, infobip, hubtel, xml)",
       },
       admin: {
         register: "POST /api/admin/register",
@@ -105,7 +124,15 @@ app.get("/", (req, res) => {
         users: "GET /api/admin/users (requires admin auth)",
         transactions: "GET /api/admin/transactions (requires admin auth)",
         userDetails: "GET /api/admin/user/:phone (requires admin auth)",
+        pinReset: "POST /api/admin/user/:phone/pin-reset (requires admin auth)",
+        rateLimits: "GET /api/admin/rate-limits (requires admin auth)",
+        reconciliation: "GET /api/admin/reconciliation (requires admin auth)",
+        runReconciliation:
+          "POST /api/admin/reconciliation/run (requires admin auth)",
+        sponsorship: "GET /api/admin/sponsorship (requires admin auth)",
         systemHealth: "GET /api/admin/system/health (requires admin auth)",
+        freezeWallet: "POST /api/admin/wallet/freeze (requires admin auth)",
+        unfreezeWallet: "POST /api/admin/wallet/unfreeze (requires admin auth)",
       },
     },
     ussdShortCode: "*384*2005#",
@@ -125,11 +152,33 @@ app.use("*", (req, res) => {
       "POST /api/user/new",
       "POST /api/user/login",
       "GET /api/user/accountInfo",
+      "GET /api/user/balance",
+      "POST /api/user/pin/change",
+      "POST /api/user/pin/reset",
+      "POST /api/transaction/quote",
       "POST /api/transaction/new",
+      "POST /api/transaction/withdraw",
+      "POST /api/transaction/request",
+      "GET /api/transaction/requests",
       "GET /api/transaction/history",
+      "GET /api/transaction/recent",
+      "GET /api/transaction/:id/status",
       "POST /api/ussd/webhook",
+      "POST /api/ussd/:provider/webhook",
+      "POST /api/admin/register",
       "POST /api/admin/login",
       "GET /api/admin/dashboard",
+      "GET /api/admin/users",
+      "GET /api/admin/transactions",
+      "GET /api/admin/user/:phone",
+      "POST /api/admin/user/:phone/pin-reset",
+      "GET /api/admin/rate-limits",
+      "GET /api/admin/reconciliation",
+      "POST /api/admin/reconciliation/run",
+      "GET /api/admin/sponsorship",
+      "GET /api/admin/system/health",
+      "POST /api/admin/wallet/freeze",
+      "POST /api/admin/wallet/unfreeze",
     ],
   });
 });
@@ -137,60 +186,108 @@ app.use("*", (req, res) => {
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
-// Graceful shutdown handling
-process.on("SIGTERM", () => {
-  console.log("🔄 SIGTERM received, shutting down gracefully...");
-  process.exit(0);
-});
+/**
+ * Handle process signals and errors, listen on PORT and start the
+ * background workers
+ */
+function startServer() {
+  // Graceful shutdown handling
+  process.on("SIGTERM", () => {
+    console.log("🔄 SIGTERM received, shutting down gracefully...");
+    process.exit(0);
+  });
 
-process.on("SIGINT", () => {
-  console.log("🔄 SIGINT received, shutting down gracefully...");
-  process.exit(0);
-});
+  process.on("SIGINT", () => {
+    console.log("🔄 SIGINT received, shutting down gracefully...");
+    process.exit(0);
+  });
 
-// Unhandled promise rejection handling
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
-});
+  // Unhandled promise rejection handling
+  process.on("unhandledRejection", (reason, promise) => {
+    console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
+  });
 
-process.on("uncaughtException", (error) => {
-  console.error("❌ Uncaught Exception:", error);
-  process.exit(1);
-});
+  process.on("uncaughtException", (error) => {
+    console.error("❌ Uncaught Exception:", error);
+    process.exit(1);
+  });
 
-// Start server
-const server = app.listen(PORT, async () => {
-  console.log("🚀 SuiFlow API Server Started");
-  console.log("================================");
-  console.log(`📡 Server running on port ${PORT}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`🔗 Sui Network: ${process.env.SUI_NETWORK || "testnet"}`);
-  console.log(`📱 USSD Code: *384*2005#`);
-
-  // Initialize Sui service after server starts
-  try {
-    const { init } = await import("./services/sui.js");
-    await init();
-    console.log("✅ Sui service initialized successfully");
-  } catch (error) {
-    console.error("❌ Failed to initialize Sui service:", error);
-  }
-
-  console.log("================================");
-  console.log(`✅ API Documentation: http://localhost:${PORT}`);
-  console.log(`💚 Health Check: http://localhost:${PORT}/health`);
-  console.log("================================");
-});
+  // Start server
+  const server = app.listen(PORT, async () => {
+    console.log("🚀 SuiFlow API Server Started");
+    console.log("================================");
+    console.log(`📡 Server running on port ${PORT}`);
+    console.log(`🌐 Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log(`🔗 Sui Network: ${process.env.SUI_NETWORK || "testnet"}`);
+    console.log(`📱 USSD Code: *384*2005#`);
 
-// Handle server errors
-server.on("error", (error) => {
-  if (error.code === "EADDRINUSE") {
-    console.error(`❌ Port ${PORT} is already in use`);
-    process.exit(1);
-  } else {
-    console.error("❌ Server error:", error);
-    process.exit(1);
-  }
-});
+    // Deliver queued notifications (including any left from before a restart)
+    const { startNotificationWorker } = await import(
+      "./services/notifications.js"
+    );
+    startNotificationWorker();
+
+    // Initialize the chain adapter after server starts
+    const { initChain, startChainWorkers } = await import(
+      "./services/chain/index.js"
+    );
+    try {
+      await initChain();
+      console.log("✅ Sui service initialized successfully");
+    } catch (error) {
+      console.error("❌ Failed to initialize Sui service:", error);
+    }
+
+    // Background chain work, e.g. keeping the operator's gas coins split
+    startChainWorkers();
+
+    // Execute queued transfers (including any left from before a restart)
+    const { startTransferWorker } = await import(
+      "./services/transfer-queue.js"
+    );
+    await startTransferWorker();
+
+    // Settle transactions left pending by crashes or lost responses
+    const { startReconciliationWorker } = await import(
+      "./services/reconciliation.js"
+    );
+    startReconciliationWorker();
+
+    // Record deposits and other activity the API didn't initiate
+    const { startChainIndexer } = await import("./services/chain-indexer.js");
+    startChainIndexer();
+
+    // Pay escrowed sends to new users and refund unclaimed ones
+    const { startEscrowWorker } = await import("./services/escrow.js");
+    startEscrowWorker();
+
+    // Expire payment requests nobody answered
+    const { startPaymentRequestWorker } = await import(
+      "./services/payment-requests.js"
+    );
+    startPaymentRequestWorker();
+
+    console.log("================================");
+    console.log(`✅ API Documentation: http://localhost:${PORT}`);
+    console.log(`💚 Health Check: http://localhost:${PORT}/health`);
+    console.log("================================");
+  });
+
+  // Handle server errors
+  server.on("error", (error) => {
+    if (error.code === "EADDRINUSE") {
+      console.error(`❌ Port ${PORT} is already in use`);
+      process.exit(1);
+    } else {
+      console.error("❌ Server error:", error);
+      process.exit(1);
+    }
+  });
+}
+
+// Tests import the app without starting the server or its workers
+if (process.env.NODE_ENV !== "test") {
+  startServer();
+}
 
 export default app;
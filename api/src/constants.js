@@ -2,6 +2,7 @@
 export const PORT = process.env.PORT || 5000;
 export const JWT_SECRET = process.env.SECRET_KEY;
 export const ENCRYPTION_SALT = process.env.ENCRYPTION_SALT;
+export const PIN_RECOVERY_KEY = process.env.PIN_RECOVERY_KEY;
 export const SUI_NETWORK = process.env.SUI_NETWORK || "testnet";
 export const SUI_OPERATOR_MNEMONICS = process.env.SUI_OPERATOR_MNEMONICS;
 
@@ -11,21 +12,193 @@ export const ADMIN_CAP_OBJECT_ID = process.env.ADMIN_CAP_OBJECT_ID;
 
 // Transaction status constants
 export const TRANSACTION_STATUS = {
-  PENDING: "pending",
-  SUCCESS: "success",
+  CREATED: "created",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  REVERSED: "reversed",
+};
+
+// Transaction type constants: transfers between SuiFlow users, money moving
+// in from or out to addresses outside SuiFlow, and sends held in escrow for
+// unregistered numbers
+export const TRANSACTION_TYPES = {
+  TRANSFER: "transfer",
+  DEPOSIT: "deposit",
+  WITHDRAWAL: "withdrawal",
+  ESCROW: "escrow",
+};
+
+// Allowed transaction status transitions (from -> [to])
+export const TRANSACTION_TRANSITIONS = {
+  created: ["submitted", "failed"],
+  submitted: ["confirmed", "failed"],
+  confirmed: ["reversed"],
+  failed: [],
+  reversed: [],
+};
+
+// How long idempotency keys (and their stored responses) are kept
+export const IDEMPOTENCY_KEY_TTL_HOURS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a claimed key may stay in progress before it is taken to belong
+// to a request that died (e.g. in a restart) and can be claimed again
+export const IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS =
+  parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS) || 300;
+
+// Transfer job status constants
+export const TRANSFER_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
   FAILED: "failed",
 };
 
+// Escrowed sends to unregistered numbers: pending until the recipient
+// registers (claimed) or ESCROW_EXPIRY_DAYS pass (refunded); paying while the
+// operator pays out, cancelled if the funds never reached escrow
+export const ESCROW_STATUS = {
+  PENDING: "pending",
+  PAYING: "paying",
+  CLAIMED: "claimed",
+  REFUNDED: "refunded",
+  CANCELLED: "cancelled",
+};
+export const ESCROW_EXPIRY_DAYS = parseInt(process.env.ESCROW_EXPIRY_DAYS) || 7;
+export const ESCROW_INTERVAL_SECONDS =
+  parseInt(process.env.ESCROW_INTERVAL_SECONDS) || 60;
+
+// Requests for money: pending until the payer accepts (and pays) or declines
+// them, or PAYMENT_REQUEST_EXPIRY_HOURS pass
+export const PAYMENT_REQUEST_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+};
+export const PAYMENT_REQUEST_EXPIRY_HOURS =
+  parseInt(process.env.PAYMENT_REQUEST_EXPIRY_HOURS) || 72;
+export const PAYMENT_REQUEST_INTERVAL_SECONDS =
+  parseInt(process.env.PAYMENT_REQUEST_INTERVAL_SECONDS) || 300;
+
+// Transfer job retries for transient RPC errors (delay doubles each time)
+export const TRANSFER_JOB_MAX_ATTEMPTS = 5;
+export const TRANSFER_JOB_RETRY_SECONDS = 5;
+// How long a REST request waits for its transfer before answering 202
+export const TRANSFER_WAIT_SECONDS =
+  parseInt(process.env.TRANSFER_WAIT_SECONDS) || 20;
+
+// Gas sponsorship: the operator pays gas for user transactions, up to a
+// daily budget per user (in SUI, per UTC day); over it, users pay their own
+export const GAS_SPONSORSHIP_ENABLED = process.env.GAS_SPONSORSHIP !== "false";
+export const SPONSORED_GAS_DAILY_BUDGET =
+  parseFloat(process.env.SPONSORED_GAS_DAILY_BUDGET) || 0.05;
+
+// Operator gas-coin pool: the operator's SUI is kept split into this many
+// coins so operator-paid transactions can run in parallel
+export const GAS_POOL_SIZE = parseInt(process.env.GAS_POOL_SIZE) || 10;
+// Coins below this (in SUI) are not leased and get merged back
+export const GAS_POOL_MIN_COIN_BALANCE = 0.05;
+export const GAS_POOL_LEASE_WAIT_SECONDS = 30;
+export const GAS_POOL_REBALANCE_SECONDS =
+  parseInt(process.env.GAS_POOL_REBALANCE_SECONDS) || 300;
+
+// Reconciliation of transactions left created or submitted
+export const RECONCILIATION_INTERVAL_SECONDS =
+  parseInt(process.env.RECONCILIATION_INTERVAL_SECONDS) || 300;
+// Leave recent transactions to the request that is still handling them
+export const RECONCILIATION_MIN_AGE_SECONDS = 120;
+// How long after submission a transfer is searched for on chain
+export const RECONCILIATION_MATCH_WINDOW_MINUTES = 10;
+// Mark transfers failed if still not found on chain after this long
+export const RECONCILIATION_GIVE_UP_MINUTES = 60;
+
+// Chain indexer: how often it reads new checkpoints, and how many per pass
+export const CHAIN_INDEXER_INTERVAL_SECONDS =
+  parseInt(process.env.CHAIN_INDEXER_INTERVAL_SECONDS) || 10;
+export const CHAIN_INDEXER_BATCH_SIZE = 20;
+
 // User role constants
 export const USER_ROLES = {
   USER: "user",
   ADMIN: "admin",
 };
 
-// USSD_STATES removed - no longer needed in stateless implementation
+// USSD session settings
+export const USSD_SESSION_STORE = process.env.USSD_SESSION_STORE || "sqlite";
+export const USSD_SESSION_TTL_SECONDS =
+  parseInt(process.env.USSD_SESSION_TTL_SECONDS) || 180;
+export const USSD_MAX_RETRIES = 3;
+
+// USSD callback authentication (per-provider secrets and IP allowlists are
+// read from USSD_<PROVIDER>_SECRET and USSD_<PROVIDER>_ALLOWED_IPS)
+export const USSD_SIGNATURE_TOLERANCE_SECONDS =
+  parseInt(process.env.USSD_SIGNATURE_TOLERANCE_SECONDS) || 300;
+export const USSD_ALLOW_UNSIGNED = process.env.USSD_ALLOW_UNSIGNED === "true";
+
+// Sliding-window rate limit policies for the USSD channel
+export const RATE_LIMIT_POLICIES = {
+  // Requests per phone number
+  phone: { limit: 20, windowSeconds: 60 },
+  // Requests per caller IP (aggregators share a handful of IPs)
+  ip: { limit: 300, windowSeconds: 60 },
+  // Requests per USSD session
+  session: { limit: 15, windowSeconds: 60 },
+  // PIN entries per phone number
+  pin: { limit: 5, windowSeconds: 15 * 60 },
+};
+
+// How long throttled keys are kept for GET /api/admin/rate-limits
+export const RATE_LIMIT_EVENT_RETENTION_HOURS = 24 * 30;
+
+// SMS provider for notifications: console, file or africastalking
+export const SMS_PROVIDER = process.env.SMS_PROVIDER || "console";
+export const SMS_FILE_PATH = process.env.SMS_FILE_PATH || "sms-outbox.log";
+export const SMS_SENDER_ID = process.env.SMS_SENDER_ID;
+export const AFRICASTALKING_USERNAME = process.env.AFRICASTALKING_USERNAME;
+export const AFRICASTALKING_API_KEY = process.env.AFRICASTALKING_API_KEY;
+
+// Notification delivery status constants
+export const NOTIFICATION_STATUS = {
+  QUEUED: "queued",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+// Notification delivery retries (delay doubles after each failed attempt)
+export const NOTIFICATION_MAX_ATTEMPTS = 5;
+export const NOTIFICATION_RETRY_SECONDS = 30;
+
+// Maximum characters a USSD screen can display
+export const USSD_MAX_LENGTH = 182;
+
+// Longest full name accepted at registration, and the most of a name shown
+// on a USSD screen
+export const FULL_NAME_MAX_LENGTH = 100;
+export const USSD_NAME_MAX_LENGTH = 16;
+
+// Saved addresses listed on the USSD "Send to Sui address" screen, and the
+// longest label they can have
+export const USSD_MAX_SAVED_ADDRESSES = 4;
+export const SAVED_ADDRESS_LABEL_MAX_LENGTH = 12;
+
+// Pending payment requests listed on the USSD "Payment requests" screen
+export const USSD_MAX_PAYMENT_REQUESTS = 4;
 
 // Funding amount for new users (0.02 SUI)
 export const NEW_USER_FUNDING_AMOUNT = 0.02;
 
-// Maximum failed login attempts
+// SUI kept at a user's address to pay gas when a deposit is swept into their
+// SuiFlowWallet without sponsorship
+export const DEPOSIT_SWEEP_GAS_RESERVE = 0.01;
+
+// Maximum failed PIN attempts before the account is locked
 export const MAX_FAILED_ATTEMPTS = 3;
+
+// PIN lockout durations in minutes for consecutive lockouts (the last repeats)
+export const PIN_LOCKOUT_MINUTES = [5, 30, 120, 24 * 60];
+
+// Admin-issued PIN reset codes
+export const PIN_RESET_CODE_TTL_MINUTES = 30;
+export const PIN_RESET_MAX_ATTEMPTS = 3;
@@ -0,0 +1,52 @@
+import en from "./locales/en.js";
+import sw from "./locales/sw.js";
+import fr from "./locales/fr.js";
+
+/**
+ * Translation catalogue for user-facing messages.
+ * Templates use {placeholder} interpolation; keys missing from a language
+ * fall back to English.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+const catalogues = { en, sw, fr };
+
+// Languages in the order they are offered to users, with their native names
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "sw", name: "Kiswahili" },
+  { code: "fr", name: "Français" },
+];
+
+export const SUPPORTED_LANGUAGES = LANGUAGES.map((language) => language.code);
+
+/**
+ * Get the catalogue for a language
+ * @param {string} language - Language code
+ * @returns {Object} - Message templates keyed by message key
+ */
+export function getCatalogue(language) {
+  return catalogues[language] || catalogues[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Translate a message key
+ * @param {string} language - Language code
+ * @param {string} key - Message key, e.g. 'send.confirm'
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} - Translated message
+ */
+export function t(language, key, params = {}) {
+  const template =
+    getCatalogue(language)[key] ?? catalogues[DEFAULT_LANGUAGE][key];
+
+  if (template === undefined) {
+    console.warn(`⚠️ Missing translation for key: ${key}`);
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
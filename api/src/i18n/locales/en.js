@@ -0,0 +1,157 @@
+// English USSD and SMS messages
+export default {
+  "main.welcome": "Welcome to SuiFlow!",
+  "main.welcomeBack": "Welcome back, {name}!",
+  "nav.hint": "0. Back 00. Main menu",
+  "nav.more": "98. More",
+
+  "error.invalidSelection": "Invalid selection.",
+  "error.tooManyAttempts": "Too many invalid attempts. Please try again later.",
+  "error.unexpected": "An unexpected error occurred. Please try again later.",
+  "error.unavailable": "Service unavailable. Please try again later.",
+  "error.sessionLost": "Your session timed out. Please dial again.",
+  "error.nameTooShort": "Name too short.",
+  "error.nameTooLong": "Name too long. Use up to {max} characters.",
+  "error.invalidPin": "Invalid PIN. Please enter 4 digits.",
+  "error.invalidPhone": "Invalid phone number.",
+  "error.invalidAmount": "Invalid amount.",
+  "error.wrongPin": "Invalid PIN. {attempts} attempt(s) left.",
+  "error.pinLocked":
+    "Too many wrong PINs. Your account is locked for {minutes} min.",
+  "error.pinRateLimited":
+    "Too many PIN entries. Please try again in {minutes} min.",
+  "error.invalidResetCode": "Invalid code. Please enter 6 digits.",
+  "error.invalidAddress": "Invalid address. Use 0-9 and a-f only.",
+  "error.invalidLabel": "Enter a name of up to {max} characters.",
+
+  "register.menu": "Register New Wallet",
+  "register.name": "Enter your full name:",
+  "register.pin": "Create a 4-digit PIN:",
+  "register.confirmPin": "Confirm your 4-digit PIN:",
+  "register.pinMismatch": "PINs do not match.",
+  "register.success":
+    "Welcome, {name}! Your SuiFlow wallet is created.\nYou will receive {amount} SUI for gas fees shortly.",
+  "register.successSponsored":
+    "Welcome, {name}! Your SuiFlow wallet is created.\nNetwork fees are covered by SuiFlow.",
+
+  "send.menu": "Send SUI",
+  "send.recipient": "Enter the recipient's phone number:",
+  "send.self": "You cannot send SUI to yourself.",
+  "send.escrow":
+    "This number is not on SuiFlow yet. We will hold the SUI for {days} days for them to register.",
+  "send.mode": "Sending to {name}.",
+  "send.enterAmount": "Enter an amount",
+  "send.maximum": "Send maximum",
+  "send.amount": "Sending to {name}.\nEnter amount in SUI:",
+  "send.tooMuch": "You can send at most {max} (fee ~{fee}).",
+  "send.confirm": "Send {amount}, fee ~{fee}?\nEnter your PIN to confirm:",
+  "send.confirmSponsored":
+    "Send {amount}? No network fee.\nEnter your PIN to confirm:",
+  "send.insufficient": "Insufficient balance. You have {balance}.",
+  "send.processing":
+    "Transaction of {amount} to {name} is being processed.\nYou will receive an SMS confirmation shortly.",
+
+  "requests.menu": "Requests",
+  "requests.title": "Payment requests:",
+  "requests.new": "Request SUI",
+  "requests.pay": "Requests to pay ({count})",
+  "requests.payer": "Enter the phone number to request from:",
+  "requests.self": "You cannot request SUI from yourself.",
+  "requests.unregistered": "That number is not registered with SuiFlow.",
+  "requests.amount": "Requesting from {name}.\nEnter amount in SUI:",
+  "requests.sent":
+    "Request for {amount} sent to {name}.\nWe will SMS you when they respond.",
+  "requests.none": "You have no requests to pay.",
+  "requests.choose": "Choose a request to pay:",
+  "requests.detail": "{name} requests {amount}.",
+  "requests.accept": "Pay",
+  "requests.decline": "Decline",
+  "requests.declined": "Request declined. We have let {name} know.",
+  "requests.closed": "This request is no longer open.",
+
+  "withdraw.menu": "Send to Sui address",
+  "withdraw.source": "Send to:",
+  "withdraw.newAddress": "New address",
+  "withdraw.address":
+    "Enter the Sui address (0x...). You can type it in several parts:",
+  "withdraw.addressMore":
+    "Got {count} of {total} characters, ending {end}.\nEnter the next part:",
+  "withdraw.addressTooLong":
+    "That is more than 64 characters. Start again from the beginning.",
+  "withdraw.check": "Send to\n{address}?",
+  "withdraw.continue": "Continue",
+  "withdraw.saveAndContinue": "Save and continue",
+  "withdraw.reenter": "Re-enter address",
+  "withdraw.label": "Enter a name for this address:",
+
+  "balance.menu": "Check Balance",
+  "balance.pin": "Enter your PIN to check balance:",
+  "balance.result": "Your balance is:\n{balance}",
+
+  "transactions.menu": "Recent Transactions",
+  "transactions.none": "You have no recent transactions.",
+  "transactions.title": "Recent Transactions:",
+  "transactions.sent": "Sent {amount} to {name} - {status}",
+  "transactions.received": "Received {amount} from {name} - {status}",
+
+  "status.created": "pending",
+  "status.submitted": "processing",
+  "status.confirmed": "completed",
+  "status.failed": "failed",
+  "status.reversed": "reversed",
+  "status.pending": "unconfirmed",
+
+  "pin.menu": "Change PIN",
+  "pin.current": "Enter your current PIN:",
+  "pin.new": "Enter your new 4-digit PIN:",
+  "pin.confirm": "Confirm your new PIN:",
+  "pin.mismatch": "PINs do not match.",
+  "pin.same": "Your new PIN must be different from the current one.",
+  "pin.changed": "Your PIN has been changed.",
+
+  "reset.menu": "Forgot PIN",
+  "reset.none":
+    "You have no active reset code. Contact SuiFlow support to get one.",
+  "reset.code": "Enter the 6-digit reset code from SuiFlow support:",
+  "reset.wrongCode": "Wrong code. {attempts} attempt(s) left.",
+  "reset.done": "Your PIN has been reset. Use your new PIN from now on.",
+
+  "language.menu": "Change language",
+  "language.select": "Choose your language:",
+  "language.updated": "Language updated.",
+
+  "sms.registered":
+    "Welcome to SuiFlow, {name}! Your wallet is ready. Dial the SuiFlow code to send and check your balance.",
+  "sms.funded": "SuiFlow: {amount} has been added to your wallet for gas fees.",
+  "sms.accountLocked":
+    "SuiFlow: Too many wrong PIN attempts. Your account is locked for {minutes} min. If this wasn't you, contact support.",
+  "sms.sent":
+    "SuiFlow: You sent {amount} to {name} ({phone}). Ref: {reference}",
+  "sms.received":
+    "SuiFlow: You received {amount} from {name} ({phone}). Ref: {reference}",
+  "sms.failed":
+    "SuiFlow: Your transfer of {amount} to {name} could not be completed. Ref: {reference}",
+  "sms.interrupted":
+    "SuiFlow: Your transfer of {amount} to {name} was interrupted and not sent. Please try again. Ref: {reference}",
+  "sms.withdrawn":
+    "SuiFlow: You sent {amount} to {address}. Ref: {reference}",
+  "sms.escrowSent":
+    "SuiFlow: You sent {amount} to {phone}. They have {days} days to join SuiFlow and claim it, or it comes back to you. Ref: {reference}",
+  "sms.escrowInvite":
+    "SuiFlow: {name} ({phone}) sent you {amount}. Dial the SuiFlow code within {days} days to register and claim it.",
+  "sms.escrowRefunded":
+    "SuiFlow: {phone} did not claim {amount} in time, so it has been returned to you. Ref: {reference}",
+  "sms.escrowReturned":
+    "SuiFlow: {amount} could not be paid out to {phone}, so it has been returned to you. Ref: {reference}",
+  "sms.escrowCancelled":
+    "SuiFlow: The {amount} {name} ({phone}) sent you did not go through, so there is nothing to claim.",
+  "sms.paymentRequested":
+    "SuiFlow: {name} ({phone}) is requesting {amount}. Dial the SuiFlow code and choose Requests within {hours} hours to pay or decline.",
+  "sms.requestAccepted":
+    "SuiFlow: {name} paid your request for {amount}. Ref: {reference}",
+  "sms.requestDeclined": "SuiFlow: {name} declined your request for {amount}.",
+  "sms.requestExpired":
+    "SuiFlow: Your request for {amount} from {name} expired without being paid.",
+  "sms.deposit":
+    "SuiFlow: You received {amount} from {address}. Ref: {reference}",
+};
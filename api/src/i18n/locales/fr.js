@@ -0,0 +1,162 @@
+// French USSD and SMS messages
+export default {
+  "main.welcome": "Bienvenue sur SuiFlow !",
+  "main.welcomeBack": "Bon retour, {name} !",
+  "nav.hint": "0. Retour 00. Menu principal",
+  "nav.more": "98. Suite",
+
+  "error.invalidSelection": "Choix invalide.",
+  "error.tooManyAttempts": "Trop de tentatives invalides. Réessayez plus tard.",
+  "error.unexpected":
+    "Une erreur inattendue s'est produite. Réessayez plus tard.",
+  "error.unavailable": "Service indisponible. Réessayez plus tard.",
+  "error.sessionLost": "Votre session a expiré. Veuillez recomposer le code.",
+  "error.nameTooShort": "Nom trop court.",
+  "error.nameTooLong": "Nom trop long. {max} caractères maximum.",
+  "error.invalidPin": "PIN invalide. Entrez 4 chiffres.",
+  "error.invalidPhone": "Numéro de téléphone invalide.",
+  "error.invalidAmount": "Montant invalide.",
+  "error.wrongPin": "PIN incorrect. {attempts} essai(s) restant(s).",
+  "error.pinLocked":
+    "Trop de PIN incorrects. Compte bloqué pendant {minutes} min.",
+  "error.pinRateLimited":
+    "Trop de saisies de PIN. Réessayez dans {minutes} min.",
+  "error.invalidResetCode": "Code invalide. Entrez 6 chiffres.",
+  "error.invalidAddress": "Adresse invalide. Utilisez seulement 0-9 et a-f.",
+  "error.invalidLabel": "Entrez un nom de {max} caractères maximum.",
+
+  "register.menu": "Créer un portefeuille",
+  "register.name": "Entrez votre nom complet :",
+  "register.pin": "Créez un PIN à 4 chiffres :",
+  "register.confirmPin": "Confirmez votre PIN à 4 chiffres :",
+  "register.pinMismatch": "Les PIN ne correspondent pas.",
+  "register.success":
+    "Bienvenue, {name} ! Votre portefeuille SuiFlow est créé.\nVous recevrez bientôt {amount} SUI pour les frais de gaz.",
+  "register.successSponsored":
+    "Bienvenue, {name} ! Votre portefeuille SuiFlow est créé.\nLes frais de réseau sont pris en charge par SuiFlow.",
+
+  "send.menu": "Envoyer des SUI",
+  "send.recipient": "Entrez le numéro du destinataire :",
+  "send.self": "Vous ne pouvez pas vous envoyer des SUI.",
+  "send.escrow":
+    "Ce numéro n'est pas encore sur SuiFlow. Les SUI seront gardés {days} jours le temps qu'il s'inscrive.",
+  "send.mode": "Envoi à {name}.",
+  "send.enterAmount": "Saisir un montant",
+  "send.maximum": "Envoyer le maximum",
+  "send.amount": "Envoi à {name}.\nEntrez le montant en SUI :",
+  "send.tooMuch": "Vous pouvez envoyer au plus {max} (frais ~{fee}).",
+  "send.confirm":
+    "Envoyer {amount}, frais ~{fee} ?\nEntrez votre PIN pour confirmer :",
+  "send.confirmSponsored":
+    "Envoyer {amount} ? Sans frais de réseau.\nEntrez votre PIN pour confirmer :",
+  "send.insufficient": "Solde insuffisant. Vous avez {balance}.",
+  "send.processing":
+    "La transaction de {amount} vers {name} est en cours.\nVous recevrez bientôt une confirmation par SMS.",
+
+  "requests.menu": "Demandes",
+  "requests.title": "Demandes de paiement :",
+  "requests.new": "Demander des SUI",
+  "requests.pay": "Demandes à payer ({count})",
+  "requests.payer": "Entrez le numéro à qui demander :",
+  "requests.self": "Vous ne pouvez pas vous demander des SUI.",
+  "requests.unregistered": "Ce numéro n'est pas inscrit sur SuiFlow.",
+  "requests.amount": "Demande à {name}.\nEntrez le montant en SUI :",
+  "requests.sent":
+    "Demande de {amount} envoyée à {name}.\nVous recevrez un SMS dès sa réponse.",
+  "requests.none": "Vous n'avez aucune demande à payer.",
+  "requests.choose": "Choisissez une demande à payer :",
+  "requests.detail": "{name} vous demande {amount}.",
+  "requests.accept": "Payer",
+  "requests.decline": "Refuser",
+  "requests.declined": "Demande refusée. {name} a été prévenu(e).",
+  "requests.closed": "Cette demande n'est plus ouverte.",
+
+  "withdraw.menu": "Envoyer à une adresse Sui",
+  "withdraw.source": "Envoyer à :",
+  "withdraw.newAddress": "Nouvelle adresse",
+  "withdraw.address":
+    "Entrez l'adresse Sui (0x...). Vous pouvez la saisir en plusieurs parties :",
+  "withdraw.addressMore":
+    "{count} caractères sur {total} reçus, finissant par {end}.\nEntrez la suite :",
+  "withdraw.addressTooLong":
+    "Cela dépasse 64 caractères. Recommencez depuis le début.",
+  "withdraw.check": "Envoyer à\n{address} ?",
+  "withdraw.continue": "Continuer",
+  "withdraw.saveAndContinue": "Enregistrer et continuer",
+  "withdraw.reenter": "Ressaisir l'adresse",
+  "withdraw.label": "Entrez un nom pour cette adresse :",
+
+  "balance.menu": "Consulter le solde",
+  "balance.pin": "Entrez votre PIN pour voir le solde :",
+  "balance.result": "Votre solde est :\n{balance}",
+
+  "transactions.menu": "Historique",
+  "transactions.none": "Vous n'avez aucune transaction récente.",
+  "transactions.title": "Transactions récentes :",
+  "transactions.sent": "Envoyé {amount} à {name} - {status}",
+  "transactions.received": "Reçu {amount} de {name} - {status}",
+
+  "status.created": "en attente",
+  "status.submitted": "en cours",
+  "status.confirmed": "terminé",
+  "status.failed": "échoué",
+  "status.reversed": "annulé",
+  "status.pending": "non confirmé",
+
+  "pin.menu": "Changer le PIN",
+  "pin.current": "Entrez votre PIN actuel :",
+  "pin.new": "Entrez votre nouveau PIN à 4 chiffres :",
+  "pin.confirm": "Confirmez votre nouveau PIN :",
+  "pin.mismatch": "Les PIN ne correspondent pas.",
+  "pin.same": "Le nouveau PIN doit être différent de l'actuel.",
+  "pin.changed": "Votre PIN a été changé.",
+
+  "reset.menu": "PIN oublié",
+  "reset.none":
+    "Aucun code de réinitialisation actif. Contactez le support SuiFlow.",
+  "reset.code": "Entrez le code à 6 chiffres fourni par le support SuiFlow :",
+  "reset.wrongCode": "Code incorrect. {attempts} essai(s) restant(s).",
+  "reset.done":
+    "Votre PIN a été réinitialisé. Utilisez désormais le nouveau PIN.",
+
+  "language.menu": "Changer de langue",
+  "language.select": "Choisissez votre langue :",
+  "language.updated": "Langue mise à jour.",
+
+  "sms.registered":
+    "Bienvenue sur SuiFlow, {name} ! Votre portefeuille est prêt. Composez le code SuiFlow pour envoyer et consulter votre solde.",
+  "sms.funded":
+    "SuiFlow : {amount} ont été ajoutés à votre portefeuille pour les frais de gaz.",
+  "sms.accountLocked":
+    "SuiFlow : Trop de PIN incorrects. Votre compte est bloqué pendant {minutes} min. Si ce n'était pas vous, contactez le support.",
+  "sms.sent":
+    "SuiFlow : Vous avez envoyé {amount} à {name} ({phone}). Réf : {reference}",
+  "sms.received":
+    "SuiFlow : Vous avez reçu {amount} de {name} ({phone}). Réf : {reference}",
+  "sms.failed":
+    "SuiFlow : Votre transfert de {amount} à {name} n'a pas abouti. Réf : {reference}",
+  "sms.interrupted":
+    "SuiFlow : Votre transfert de {amount} à {name} a été interrompu et n'a pas été envoyé. Veuillez réessayer. Réf : {reference}",
+  "sms.withdrawn":
+    "SuiFlow : Vous avez envoyé {amount} à {address}. Réf : {reference}",
+  "sms.escrowSent":
+    "SuiFlow : Vous avez envoyé {amount} à {phone}. Cette personne a {days} jours pour rejoindre SuiFlow et les réclamer, sinon ils vous seront rendus. Réf : {reference}",
+  "sms.escrowInvite":
+    "SuiFlow : {name} ({phone}) vous a envoyé {amount}. Composez le code SuiFlow d'ici {days} jours pour vous inscrire et les recevoir.",
+  "sms.escrowRefunded":
+    "SuiFlow : {phone} n'a pas réclamé {amount} à temps, le montant vous a été rendu. Réf : {reference}",
+  "sms.escrowReturned":
+    "SuiFlow : {amount} n'a pas pu être versé à {phone}, le montant vous a été rendu. Réf : {reference}",
+  "sms.escrowCancelled":
+    "SuiFlow : Les {amount} que {name} ({phone}) vous a envoyés n'ont pas abouti, il n'y a rien à réclamer.",
+  "sms.paymentRequested":
+    "SuiFlow : {name} ({phone}) vous demande {amount}. Composez le code SuiFlow et choisissez Demandes d'ici {hours} heures pour payer ou refuser.",
+  "sms.requestAccepted":
+    "SuiFlow : {name} a payé votre demande de {amount}. Réf : {reference}",
+  "sms.requestDeclined":
+    "SuiFlow : {name} a refusé votre demande de {amount}.",
+  "sms.requestExpired":
+    "SuiFlow : Votre demande de {amount} à {name} a expiré sans être payée.",
+  "sms.deposit":
+    "SuiFlow : Vous avez reçu {amount} de {address}. Réf : {reference}",
+};
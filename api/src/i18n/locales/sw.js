@@ -0,0 +1,161 @@
+// Swahili USSD and SMS messages
+export default {
+  "main.welcome": "Karibu SuiFlow!",
+  "main.welcomeBack": "Karibu tena, {name}!",
+  "nav.hint": "0. Rudi 00. Menyu kuu",
+  "nav.more": "98. Zaidi",
+
+  "error.invalidSelection": "Chaguo batili.",
+  "error.tooManyAttempts":
+    "Majaribio mengi batili. Tafadhali jaribu tena baadaye.",
+  "error.unexpected":
+    "Hitilafu isiyotarajiwa imetokea. Tafadhali jaribu tena baadaye.",
+  "error.unavailable": "Huduma haipatikani. Tafadhali jaribu tena baadaye.",
+  "error.sessionLost": "Kipindi chako kimeisha. Tafadhali piga tena.",
+  "error.nameTooShort": "Jina ni fupi mno.",
+  "error.nameTooLong": "Jina ni refu mno. Tumia herufi {max} au chache.",
+  "error.invalidPin": "PIN batili. Tafadhali weka tarakimu 4.",
+  "error.invalidPhone": "Nambari ya simu si sahihi.",
+  "error.invalidAmount": "Kiasi si sahihi.",
+  "error.wrongPin": "PIN si sahihi. Umebakiwa na majaribio {attempts}.",
+  "error.pinLocked":
+    "PIN zisizo sahihi nyingi mno. Akaunti yako imefungwa kwa dakika {minutes}.",
+  "error.pinRateLimited":
+    "Umeweka PIN mara nyingi mno. Tafadhali jaribu tena baada ya dakika {minutes}.",
+  "error.invalidResetCode": "Msimbo batili. Tafadhali weka tarakimu 6.",
+  "error.invalidAddress": "Anwani batili. Tumia 0-9 na a-f tu.",
+  "error.invalidLabel": "Weka jina lenye herufi hadi {max}.",
+
+  "register.menu": "Sajili Pochi Mpya",
+  "register.name": "Weka jina lako kamili:",
+  "register.pin": "Unda PIN ya tarakimu 4:",
+  "register.confirmPin": "Thibitisha PIN yako ya tarakimu 4:",
+  "register.pinMismatch": "PIN hazilingani.",
+  "register.success":
+    "Karibu, {name}! Pochi yako ya SuiFlow imeundwa.\nUtapokea {amount} SUI za ada ya gesi hivi karibuni.",
+  "register.successSponsored":
+    "Karibu, {name}! Pochi yako ya SuiFlow imeundwa.\nAda za mtandao zinalipwa na SuiFlow.",
+
+  "send.menu": "Tuma SUI",
+  "send.recipient": "Weka nambari ya simu ya mpokeaji:",
+  "send.self": "Huwezi kujitumia SUI.",
+  "send.escrow":
+    "Nambari hii bado haiko SuiFlow. Tutashikilia SUI kwa siku {days} ili wajisajili.",
+  "send.mode": "Unatuma kwa {name}.",
+  "send.enterAmount": "Weka kiasi",
+  "send.maximum": "Tuma kiasi chote",
+  "send.amount": "Unatuma kwa {name}.\nWeka kiasi cha SUI:",
+  "send.tooMuch": "Unaweza kutuma hadi {max} (ada ~{fee}).",
+  "send.confirm": "Tuma {amount}, ada ~{fee}?\nWeka PIN yako kuthibitisha:",
+  "send.confirmSponsored":
+    "Tuma {amount}? Hakuna ada ya mtandao.\nWeka PIN yako kuthibitisha:",
+  "send.insufficient": "Salio halitoshi. Una {balance}.",
+  "send.processing":
+    "Muamala wa {amount} kwa {name} unashughulikiwa.\nUtapokea uthibitisho kwa SMS hivi karibuni.",
+
+  "requests.menu": "Maombi",
+  "requests.title": "Maombi ya malipo:",
+  "requests.new": "Omba SUI",
+  "requests.pay": "Maombi ya kulipa ({count})",
+  "requests.payer": "Weka nambari ya simu unayoomba kutoka kwake:",
+  "requests.self": "Huwezi kujiomba SUI.",
+  "requests.unregistered": "Nambari hiyo haijasajiliwa na SuiFlow.",
+  "requests.amount": "Unaomba kutoka kwa {name}.\nWeka kiasi cha SUI:",
+  "requests.sent":
+    "Ombi la {amount} limetumwa kwa {name}.\nTutakutumia SMS atakapojibu.",
+  "requests.none": "Huna maombi ya kulipa.",
+  "requests.choose": "Chagua ombi la kulipa:",
+  "requests.detail": "{name} anaomba {amount}.",
+  "requests.accept": "Lipa",
+  "requests.decline": "Kataa",
+  "requests.declined": "Ombi limekataliwa. Tumemjulisha {name}.",
+  "requests.closed": "Ombi hili halipo wazi tena.",
+
+  "withdraw.menu": "Tuma kwa anwani ya Sui",
+  "withdraw.source": "Tuma kwa:",
+  "withdraw.newAddress": "Anwani mpya",
+  "withdraw.address":
+    "Weka anwani ya Sui (0x...). Unaweza kuiandika kwa sehemu kadhaa:",
+  "withdraw.addressMore":
+    "Umeweka herufi {count} kati ya {total}, zinaishia {end}.\nWeka sehemu inayofuata:",
+  "withdraw.addressTooLong":
+    "Hizo ni zaidi ya herufi 64. Anza upya tangu mwanzo.",
+  "withdraw.check": "Tuma kwa\n{address}?",
+  "withdraw.continue": "Endelea",
+  "withdraw.saveAndContinue": "Hifadhi na uendelee",
+  "withdraw.reenter": "Weka anwani upya",
+  "withdraw.label": "Weka jina la anwani hii:",
+
+  "balance.menu": "Angalia Salio",
+  "balance.pin": "Weka PIN yako kuangalia salio:",
+  "balance.result": "Salio lako ni:\n{balance}",
+
+  "transactions.menu": "Miamala ya Hivi Karibuni",
+  "transactions.none": "Huna miamala ya hivi karibuni.",
+  "transactions.title": "Miamala ya Hivi Karibuni:",
+  "transactions.sent": "Umetuma {amount} kwa {name} - {status}",
+  "transactions.received": "Umepokea {amount} kutoka {name} - {status}",
+
+  "status.created": "inasubiri",
+  "status.submitted": "inashughulikiwa",
+  "status.confirmed": "imekamilika",
+  "status.failed": "imeshindwa",
+  "status.reversed": "imerejeshwa",
+  "status.pending": "haijathibitishwa",
+
+  "pin.menu": "Badilisha PIN",
+  "pin.current": "Weka PIN yako ya sasa:",
+  "pin.new": "Weka PIN mpya ya tarakimu 4:",
+  "pin.confirm": "Thibitisha PIN yako mpya:",
+  "pin.mismatch": "PIN hazilingani.",
+  "pin.same": "PIN mpya lazima iwe tofauti na ya sasa.",
+  "pin.changed": "PIN yako imebadilishwa.",
+
+  "reset.menu": "Umesahau PIN",
+  "reset.none":
+    "Huna msimbo wa kubadilisha PIN. Wasiliana na huduma kwa wateja wa SuiFlow.",
+  "reset.code":
+    "Weka msimbo wa tarakimu 6 kutoka kwa huduma kwa wateja wa SuiFlow:",
+  "reset.wrongCode": "Msimbo si sahihi. Umebakiwa na majaribio {attempts}.",
+  "reset.done": "PIN yako imebadilishwa. Tumia PIN mpya kuanzia sasa.",
+
+  "language.menu": "Badilisha lugha",
+  "language.select": "Chagua lugha yako:",
+  "language.updated": "Lugha imebadilishwa.",
+
+  "sms.registered":
+    "Karibu SuiFlow, {name}! Pochi yako iko tayari. Piga msimbo wa SuiFlow kutuma pesa na kuangalia salio.",
+  "sms.funded":
+    "SuiFlow: {amount} zimeongezwa kwenye pochi yako kwa ada za gesi.",
+  "sms.accountLocked":
+    "SuiFlow: PIN zisizo sahihi nyingi mno. Akaunti yako imefungwa kwa dakika {minutes}. Kama si wewe, wasiliana na huduma kwa wateja.",
+  "sms.sent":
+    "SuiFlow: Umetuma {amount} kwa {name} ({phone}). Kumb: {reference}",
+  "sms.received":
+    "SuiFlow: Umepokea {amount} kutoka kwa {name} ({phone}). Kumb: {reference}",
+  "sms.failed":
+    "SuiFlow: Muamala wako wa {amount} kwa {name} haukukamilika. Kumb: {reference}",
+  "sms.interrupted":
+    "SuiFlow: Muamala wako wa {amount} kwa {name} ulikatizwa na haukutumwa. Tafadhali jaribu tena. Kumb: {reference}",
+  "sms.withdrawn":
+    "SuiFlow: Umetuma {amount} kwa {address}. Kumb: {reference}",
+  "sms.escrowSent":
+    "SuiFlow: Umetuma {amount} kwa {phone}. Ana siku {days} kujiunga na SuiFlow na kuzipokea, la sivyo zitarudi kwako. Kumb: {reference}",
+  "sms.escrowInvite":
+    "SuiFlow: {name} ({phone}) amekutumia {amount}. Piga msimbo wa SuiFlow ndani ya siku {days} kujisajili na kuzipokea.",
+  "sms.escrowRefunded":
+    "SuiFlow: {phone} hakupokea {amount} kwa wakati, kwa hivyo zimerudishwa kwako. Kumb: {reference}",
+  "sms.escrowReturned":
+    "SuiFlow: {amount} hazikuweza kulipwa kwa {phone}, kwa hivyo zimerudishwa kwako. Kumb: {reference}",
+  "sms.escrowCancelled":
+    "SuiFlow: {amount} ulizotumiwa na {name} ({phone}) hazikufika, kwa hivyo hakuna cha kupokea.",
+  "sms.paymentRequested":
+    "SuiFlow: {name} ({phone}) anaomba {amount}. Piga namba ya SuiFlow na uchague Maombi ndani ya saa {hours} ili kulipa au kukataa.",
+  "sms.requestAccepted":
+    "SuiFlow: {name} amelipa ombi lako la {amount}. Kumb: {reference}",
+  "sms.requestDeclined": "SuiFlow: {name} amekataa ombi lako la {amount}.",
+  "sms.requestExpired":
+    "SuiFlow: Ombi lako la {amount} kwa {name} limeisha muda bila kulipwa.",
+  "sms.deposit":
+    "SuiFlow: Umepokea {amount} kutoka {address}. Kumb: {reference}",
+};
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { JWT_SECRET, USER_ROLES } from '../constants.js';
 import { getUser, getAdmin } from '../services/database.js';
+import { consumeRateLimits } from '../services/rate-limiter.js';
+import { getPinLockStatus, lockoutMinutes } from '../services/pin.js';
 
 /**
  * Verify JWT token middleware
@@ -108,11 +110,14 @@ export async function checkUserStatus(req, res, next) {
         });
       }
       
-      // Check if account is locked due to failed attempts
-      if (user.failedAttempts >= 3) {
+      // Check if account is locked due to failed PIN attempts
+      const lock = getPinLockStatus(user);
+      if (lock.locked) {
+        res.set('Retry-After', String(lock.retryAfterSeconds));
         return res.status(423).json({
           success: false,
-          error: 'Account is locked due to multiple failed login attempts. Please contact support.'
+          error: `Account is locked due to multiple failed PIN attempts. Try again in ${lockoutMinutes(lock)} minute(s).`,
+          lockedUntil: new Date(lock.lockedUntil).toISOString()
         });
       }
       
@@ -237,44 +242,42 @@ export function errorHandler(err, req, res, next) {
 
 /**
  * Rate limiting for USSD endpoints
- * Simple in-memory rate limiter
+ * Applies the phone, IP and session sliding-window policies to the
+ * normalized request (runs after the USSD adapter middleware)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 10; // Max 10 requests per minute per phone
+export async function rateLimitUSSD(req, res, next) {
+  const request = req.ussdRequest || {};
 
-export function rateLimitUSSD(req, res, next) {
-  const phone = req.body.phoneNumber || req.body.from;
-  
-  if (!phone) {
-    return next();
-  }
-  
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
-  
-  // Clean old entries
-  for (const [key, data] of requestCounts.entries()) {
-    if (data.timestamp < windowStart) {
-      requestCounts.delete(key);
+  try {
+    const result = await consumeRateLimits([
+      { policy: 'ip', key: req.ip },
+      { policy: 'phone', key: request.phone },
+      { policy: 'session', key: request.sessionId },
+    ]);
+
+    if (result.allowed) {
+      return next();
     }
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+
+    const reply = {
+      type: 'END',
+      message: 'Rate limit exceeded. Please try again later.'
+    };
+
+    if (!req.ussdAdapter) {
+      return res.status(429).send(`${reply.type} ${reply.message}`);
+    }
+
+    const { contentType, body } = req.ussdAdapter.format(reply, request);
+    return res.status(429).type(contentType).send(body);
+  } catch (error) {
+    // Don't lock callers out because the limiter itself failed
+    console.error('❌ Error applying USSD rate limits:', error);
+    next();
   }
-  
-  // Check current phone's requests
-  const phoneRequests = requestCounts.get(phone) || { count: 0, timestamp: now };
-  
-  if (phoneRequests.count >= RATE_LIMIT_MAX_REQUESTS && phoneRequests.timestamp > windowStart) {
-    return res.status(429).send('END Rate limit exceeded. Please try again later.');
-  }
-  
-  // Update request count
-  if (phoneRequests.timestamp < windowStart) {
-    phoneRequests.count = 1;
-    phoneRequests.timestamp = now;
-  } else {
-    phoneRequests.count += 1;
-  }
-  
-  requestCounts.set(phone, phoneRequests);
-  next();
-}
\ No newline at end of file
+}
@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import {
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  deleteExpiredIdempotencyKeys,
+  getTransactionByIdempotencyKey,
+} from "../services/database.js";
+import {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS,
+} from "../constants.js";
+
+/**
+ * Idempotency keys for requests that move money.
+ *
+ * Clients send an Idempotency-Key header (any unique string, e.g. a UUID)
+ * and reuse it when retrying the same request. The first request claims the
+ * key. Once it has recorded a transaction under the key (handlers pass
+ * req.idempotencyKey to addTransaction), its response is stored and
+ * replayed, with Idempotent-Replayed: true, to every retry within
+ * IDEMPOTENCY_KEY_TTL_HOURS instead of running the handler again. A request
+ * turned away before that (a wrong PIN, a low balance, an error) gives the
+ * key back, so a corrected retry runs. Keys are scoped to the authenticated
+ * user.
+ *
+ * A retry that arrives while the original is still running gets 409, and a
+ * key reused for a different request gets 422. A claim that has been in
+ * progress for IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS belonged to a request
+ * that died; a retry then runs again, or, if that request had recorded its
+ * transaction, is pointed at the transaction's status. Requests without the
+ * header are not deduplicated.
+ */
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the parts of a request that identify it, so a key can't be reused
+ * for a different request
+ * @param {Object} req - Express request object
+ * @param {Array} ignoreFields - Body fields left out of the hash (e.g. PINs)
+ * @returns {string} - Hex SHA-256 hash
+ */
+function hashRequest(req, ignoreFields) {
+  const body = { ...req.body };
+  for (const field of ignoreFields) {
+    delete body[field];
+  }
+
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(JSON.stringify(body))
+    .digest("hex");
+}
+
+/**
+ * Send a stored response again
+ * @param {Object} res - Express response object
+ * @param {Object} record - Idempotency key record
+ */
+function replay(res, record) {
+  res.set("Idempotent-Replayed", "true");
+  return res
+    .status(record.responseStatus)
+    .json(JSON.parse(record.responseBody));
+}
+
+/**
+ * Answer a retry whose original request died after recording its
+ * transaction, pointing it at the transaction's status
+ * @param {Object} res - Express response object
+ * @param {Object} transaction - Transaction recorded under the key
+ */
+function pointToTransaction(res, transaction) {
+  return res.status(202).json({
+    success: true,
+    message: "The original request was interrupted; check the status URL",
+    data: {
+      transactionId: transaction.id,
+      status: transaction.status,
+      statusUrl: `/api/transaction/${transaction.id}/status`,
+    },
+  });
+}
+
+/**
+ * Store the response if the request recorded a transaction, or give the key
+ * back if it was turned away before that
+ * @param {string} scope - Key owner
+ * @param {string} key - Idempotency key
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON response body
+ */
+async function settleKey(scope, key, status, body) {
+  if (await getTransactionByIdempotencyKey(scope, key)) {
+    await completeIdempotencyKey(scope, key, status, body);
+  } else {
+    await releaseIdempotencyKey(scope, key);
+  }
+}
+
+/**
+ * Create middleware that deduplicates requests by Idempotency-Key.
+ * Must run after verifyToken (keys are scoped to req.user.phone).
+ * @param {Object} options - { ignoreFields } body fields excluded from the
+ *   request hash; secrets such as PINs should not be stored, even hashed
+ * @returns {Function} - Express middleware
+ */
+export function idempotent({ ignoreFields = [] } = {}) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const scope = req.user.phone;
+    const requestHash = hashRequest(req, ignoreFields);
+
+    try {
+      const now = Date.now();
+      const expiresAt = now + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+
+      let claimed = await claimIdempotencyKey(
+        scope,
+        key,
+        requestHash,
+        now,
+        expiresAt
+      );
+
+      if (!claimed) {
+        const existing = await getIdempotencyKey(scope, key);
+
+        if (existing && existing.expiresAt <= now) {
+          // Past the retention window: the key may be used afresh
+          await deleteExpiredIdempotencyKeys(now);
+          claimed = await claimIdempotencyKey(
+            scope,
+            key,
+            requestHash,
+            now,
+            expiresAt
+          );
+        } else if (existing && existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error:
+              "Idempotency-Key has already been used for a different request",
+          });
+        } else if (existing && existing.status === "completed") {
+          console.log(`🔁 Replaying response for idempotency key ${key}`);
+          return replay(res, existing);
+        } else if (existing) {
+          const staleBefore =
+            now - IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS * 1000;
+          const transaction =
+            existing.createdAt < staleBefore &&
+            (await getTransactionByIdempotencyKey(scope, key));
+
+          if (transaction) {
+            return pointToTransaction(res, transaction);
+          }
+          if (await releaseIdempotencyKey(scope, key, staleBefore)) {
+            console.log(`♻️ Reclaiming abandoned idempotency key ${key}`);
+            claimed = await claimIdempotencyKey(
+              scope,
+              key,
+              requestHash,
+              now,
+              expiresAt
+            );
+          }
+        }
+      }
+
+      if (!claimed) {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          success: false,
+          error: "A request with this Idempotency-Key is already in progress",
+        });
+      }
+    } catch (error) {
+      console.error("❌ Idempotency key error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+
+    // Settle the key before sending the response, so a retry can only ever
+    // see "in progress" or the final response
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settleKey(scope, key, res.statusCode, body)
+        .catch((error) => {
+          console.error("❌ Error storing idempotent response:", error);
+        })
+        .finally(() => json(body));
+      return res;
+    };
+
+    req.idempotencyKey = key;
+    next();
+  };
+}
+
+// Drop keys past their retention window every hour
+setInterval(() => {
+  deleteExpiredIdempotencyKeys().catch((error) => {
+    console.error("❌ Error purging idempotency keys:", error);
+  });
+}, 60 * 60 * 1000).unref();
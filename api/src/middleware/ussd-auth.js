@@ -0,0 +1,172 @@
+import crypto from "crypto";
+import {
+  claimUssdSignature,
+  deleteExpiredUssdSignatures,
+} from "../services/database.js";
+import {
+  USSD_ALLOW_UNSIGNED,
+  USSD_SIGNATURE_TOLERANCE_SECONDS,
+} from "../constants.js";
+
+/**
+ * Authentication for USSD aggregator callbacks.
+ *
+ * Configured per provider through environment variables:
+ *   USSD_<PROVIDER>_SECRET       shared secret for HMAC-SHA256 signatures
+ *   USSD_<PROVIDER>_ALLOWED_IPS  comma-separated list of caller IPs
+ *
+ * Signed requests send X-USSD-Timestamp (unix seconds) and X-USSD-Signature,
+ * the hex HMAC of `${timestamp}.${rawBody}` (optionally prefixed 'sha256=').
+ * Timestamps outside USSD_SIGNATURE_TOLERANCE_SECONDS and signatures already
+ * seen inside that window are rejected as replays. Seen signatures are kept
+ * in the database so replays are caught across restarts and workers.
+ */
+
+const TIMESTAMP_HEADER = "x-ussd-timestamp";
+const SIGNATURE_HEADER = "x-ussd-signature";
+
+// Sweep signatures that have left the replay window once per window
+setInterval(() => {
+  deleteExpiredUssdSignatures().catch((error) => {
+    console.error("❌ Error purging USSD signatures:", error);
+  });
+}, USSD_SIGNATURE_TOLERANCE_SECONDS * 1000).unref();
+
+/**
+ * Body parser `verify` hook that keeps the raw body for signature checks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+export function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Read a provider's security settings from the environment
+ * @param {string} provider - Provider name
+ * @returns {Object} - { secret, allowedIps }
+ */
+export function getProviderAuthConfig(provider) {
+  const prefix = `USSD_${provider.toUpperCase()}`;
+  const allowedIps = (process.env[`${prefix}_ALLOWED_IPS`] || "")
+    .split(",")
+    .map((ip) => ip.trim())
+    .filter(Boolean);
+
+  return {
+    secret: process.env[`${prefix}_SECRET`] || null,
+    allowedIps,
+  };
+}
+
+/**
+ * Compute the signature for a callback body
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} - Hex HMAC-SHA256 signature
+ */
+export function signUssdRequest(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || "")
+    .digest("hex");
+}
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node adds to IPv4 addresses
+ * @param {string} ip - Remote address
+ * @returns {string} - Normalized address
+ */
+function normalizeIp(ip = "") {
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+/**
+ * Check the signature headers of a request
+ * @param {Object} req - Express request object
+ * @param {string} secret - Shared secret
+ * @returns {Promise<string|null>} - Reason for rejection, or null if valid
+ */
+async function checkSignature(req, secret) {
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const signature = (req.get(SIGNATURE_HEADER) || "").replace(/^sha256=/, "");
+
+  if (!timestamp || !signature) {
+    return "missing signature headers";
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (
+    !/^\d+$/.test(timestamp) ||
+    Math.abs(now - parseInt(timestamp, 10)) > USSD_SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return "timestamp outside replay window";
+  }
+
+  const expected = Buffer.from(signUssdRequest(secret, timestamp, req.rawBody));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return "invalid signature";
+  }
+
+  // Remember it until its timestamp can no longer be accepted
+  const claimed = await claimUssdSignature(
+    signature,
+    Date.now() + USSD_SIGNATURE_TOLERANCE_SECONDS * 2 * 1000
+  );
+
+  return claimed ? null : "replayed request";
+}
+
+/**
+ * Verify that a USSD callback comes from the configured aggregator.
+ * Must run after the adapter has been resolved (req.ussdAdapter).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function verifyUssdRequest(req, res, next) {
+  const adapter = req.ussdAdapter;
+  const { secret, allowedIps } = getProviderAuthConfig(adapter.name);
+  const ip = normalizeIp(req.ip);
+
+  let reason = null;
+
+  if (!secret && allowedIps.length === 0) {
+    if (!USSD_ALLOW_UNSIGNED) {
+      reason = "provider has no authentication configured";
+    }
+  } else if (allowedIps.length > 0 && !allowedIps.includes(ip)) {
+    reason = "IP address not allowed";
+  } else if (secret) {
+    try {
+      reason = await checkSignature(req, secret);
+    } catch (error) {
+      // Without the replay check the request can't be trusted
+      console.error("❌ Error checking USSD signature:", error);
+      reason = "replay check unavailable";
+    }
+  }
+
+  if (!reason) {
+    return next();
+  }
+
+  console.warn(
+    `[USSD_AUTH] Rejected ${adapter.name} callback from ${ip} for ${
+      req.ussdRequest?.phone || "unknown phone"
+    }: ${reason}`
+  );
+
+  const { contentType, body } = adapter.format(
+    { type: "END", message: "Request could not be authenticated." },
+    req.ussdRequest || {}
+  );
+  return res.status(401).type(contentType).send(body);
+}
@@ -5,6 +5,9 @@ import {
   loginAdminSchema,
   getUsersSchema,
   getAllTransactionsSchema,
+  getRateLimitsSchema,
+  getReconciliationReportsSchema,
+  getSponsorshipReportSchema,
 } from "../schemas/admin.js";
 import {
   validateRequest,
@@ -18,14 +21,26 @@ import {
   getAdmin,
   getUsers,
   getAllTransactions,
+  getTransactionStats,
   getUser,
+  getRateLimitEvents,
+  getReconciliationReports,
 } from "../services/database.js";
 import {
   getOperatorBalance,
   freezeUserWallet,
   unfreezeUserWallet,
-} from "../services/sui-contracts.js";
-import { USER_ROLES } from "../constants.js";
+  getUserBalance,
+  getGasPoolStatus,
+} from "../services/chain/index.js";
+import { issuePinReset } from "../services/pin.js";
+import { reconcileTransactions } from "../services/reconciliation.js";
+import { getSponsorshipReport } from "../services/gas-sponsorship.js";
+import {
+  USER_ROLES,
+  RATE_LIMIT_POLICIES,
+  TRANSACTION_STATUS,
+} from "../constants.js";
 
 const router = express.Router();
 
@@ -158,25 +173,21 @@ router.get(
         (user) => new Date(user.createdAt) > thirtyDaysAgo
       );
 
-      // Get all transactions
-      const allTransactions = await getAllTransactions(1000, 0);
-      const totalTransactions = allTransactions.length;
-
-      // Calculate transaction statistics
-      const successfulTransactions = allTransactions.filter(
-        (tx) => tx.status === "success"
-      ).length;
-      const failedTransactions = allTransactions.filter(
-        (tx) => tx.status === "failed"
-      ).length;
-      const pendingTransactions = allTransactions.filter(
-        (tx) => tx.status === "pending"
-      ).length;
+      // Calculate transaction statistics by status
+      const stats = await getTransactionStats();
+      const totalTransactions = Object.values(stats).reduce(
+        (sum, { count }) => sum + count,
+        0
+      );
+      const successfulTransactions = stats[TRANSACTION_STATUS.CONFIRMED].count;
+      const failedTransactions = stats[TRANSACTION_STATUS.FAILED].count;
+      const reversedTransactions = stats[TRANSACTION_STATUS.REVERSED].count;
+      const pendingTransactions =
+        stats[TRANSACTION_STATUS.CREATED].count +
+        stats[TRANSACTION_STATUS.SUBMITTED].count;
 
       // Calculate total transaction volume
-      const totalVolume = allTransactions
-        .filter((tx) => tx.status === "success")
-        .reduce((sum, tx) => sum + tx.amount, 0);
+      const totalVolume = stats[TRANSACTION_STATUS.CONFIRMED].volume;
 
       // Get operator balance
       let operatorBalance = 0;
@@ -187,10 +198,13 @@ router.get(
       }
 
       // Get recent transactions (last 10)
-      const recentTransactions = allTransactions.slice(0, 10).map((tx) => ({
+      const latestTransactions = await getAllTransactions(10, 0);
+      const recentTransactions = latestTransactions.map((tx) => ({
         id: tx.id,
+        transactionType: tx.type,
         senderName: tx.senderName,
         receiverName: tx.receiverName,
+        counterpartyAddress: tx.counterpartyAddress,
         amount: tx.amount,
         status: tx.status,
         timestamp: tx.timestamp,
@@ -207,6 +221,7 @@ router.get(
             successfulTransactions,
             failedTransactions,
             pendingTransactions,
+            reversedTransactions,
             totalVolume: totalVolume.toFixed(6),
             operatorBalance: operatorBalance.toFixed(6),
           },
@@ -252,6 +267,9 @@ router.get(
         fullName: user.fullName,
         suiAddress: user.suiAddress,
         failedAttempts: user.failedAttempts,
+        lockedUntil: user.lockedUntil
+          ? new Date(user.lockedUntil).toISOString()
+          : null,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       }));
@@ -299,10 +317,12 @@ router.get(
       // Format transactions for response
       const formattedTransactions = transactions.map((tx) => ({
         id: tx.id,
+        transactionType: tx.type,
         senderPhone: tx.senderPhone,
         senderName: tx.senderName,
         receiverPhone: tx.receiverPhone,
         receiverName: tx.receiverName,
+        counterpartyAddress: tx.counterpartyAddress,
         amount: tx.amount,
         status: tx.status,
         txHash: tx.txHash,
@@ -332,6 +352,200 @@ router.get(
   }
 );
 
+/**
+ * POST /api/admin/user/:phone/pin-reset
+ * Issue a one-time code the user can redeem to set a new PIN.
+ * Verify the caller's identity before handing the code over.
+ */
+router.post(
+  "/user/:phone/pin-reset",
+  verifyToken,
+  requireRole([USER_ROLES.ADMIN]),
+  async (req, res) => {
+    try {
+      const { phone } = req.params;
+
+      const user = await getUser(phone);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      if (!user.recoveryEnvelope) {
+        return res.status(409).json({
+          success: false,
+          error:
+            "User has no recovery envelope yet. It is created the next time they enter their PIN.",
+        });
+      }
+
+      const { code, expiresAt } = await issuePinReset(user, req.user.email);
+
+      res.status(201).json({
+        success: true,
+        message: "PIN reset code issued",
+        data: {
+          phone,
+          resetCode: code,
+          expiresAt: new Date(expiresAt).toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error issuing PIN reset code:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to issue PIN reset code",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/rate-limits
+ * List phone numbers, IPs and sessions that have been throttled recently
+ */
+router.get(
+  "/rate-limits",
+  verifyToken,
+  requireRole([USER_ROLES.ADMIN]),
+  validateQuery(getRateLimitsSchema),
+  async (req, res) => {
+    try {
+      const { hours, limit, offset } = req.query;
+
+      const throttled = await getRateLimitEvents(hours, limit, offset);
+
+      res.json({
+        success: true,
+        data: {
+          policies: RATE_LIMIT_POLICIES,
+          throttled,
+          pagination: {
+            hours,
+            limit,
+            offset,
+            total: throttled.length,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error getting rate limit events:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get rate limit events",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/reconciliation
+ * List discrepancies found when reconciling transactions with the chain
+ */
+router.get(
+  "/reconciliation",
+  verifyToken,
+  requireRole([USER_ROLES.ADMIN]),
+  validateQuery(getReconciliationReportsSchema),
+  async (req, res) => {
+    try {
+      const { issue, limit, offset } = req.query;
+
+      const reports = await getReconciliationReports({ issue, limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          reports,
+          pagination: {
+            limit,
+            offset,
+            total: reports.length,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error getting reconciliation reports:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get reconciliation reports",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Reconcile unsettled transactions now instead of waiting for the worker
+ */
+router.post(
+  "/reconciliation/run",
+  verifyToken,
+  requireRole([USER_ROLES.ADMIN]),
+  async (req, res) => {
+    try {
+      console.log(`🔎 Reconciliation run requested by ${req.user.email}`);
+      const summary = await reconcileTransactions();
+
+      res.json({
+        success: true,
+        message: "Reconciliation completed",
+        data: summary,
+      });
+    } catch (error) {
+      console.error("❌ Error reconciling transactions:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to reconcile transactions",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/sponsorship
+ * Report gas the operator sponsored, per day and per user
+ */
+router.get(
+  "/sponsorship",
+  verifyToken,
+  requireRole([USER_ROLES.ADMIN]),
+  validateQuery(getSponsorshipReportSchema),
+  async (req, res) => {
+    try {
+      const { days, limit, offset } = req.query;
+
+      const report = await getSponsorshipReport({ days, limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          pagination: {
+            days,
+            limit,
+            offset,
+            total: report.users.length,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error getting sponsorship report:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to get sponsorship report",
+        details: error.message,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/admin/user/:phone
  * Get specific user details
@@ -356,7 +570,6 @@ router.get(
       const { getUser, getUserTransactions } = await import(
         "../services/database.js"
       );
-      const { getBalance } = await import("../services/sui.js");
 
       const user = await getUser(phone);
       if (!user) {
@@ -369,7 +582,7 @@ router.get(
       // Get user's balance
       let balance = 0;
       try {
-        balance = await getBalance(user.suiAddress);
+        balance = await getUserBalance(user);
       } catch (error) {
         console.error("Error getting user balance:", error);
       }
@@ -387,21 +600,29 @@ router.get(
             publicKey: user.publicKey,
             balance: balance.toFixed(6),
             failedAttempts: user.failedAttempts,
+            lockedUntil: user.lockedUntil
+              ? new Date(user.lockedUntil).toISOString()
+              : null,
+            lockoutCount: user.lockoutCount,
+            pinRecoverable: !!user.recoveryEnvelope,
             createdAt: user.createdAt,
             updatedAt: user.updatedAt,
           },
           transactions: transactions.map((tx) => ({
             id: tx.id,
+            transactionType: tx.type,
             type: tx.senderPhone === phone ? "sent" : "received",
             counterparty:
               tx.senderPhone === phone
                 ? {
                     phone: tx.receiverPhone,
                     name: tx.receiverName,
+                    address: tx.counterpartyAddress,
                   }
                 : {
                     phone: tx.senderPhone,
                     name: tx.senderName,
+                    address: tx.counterpartyAddress,
                   },
             amount: tx.amount,
             status: tx.status,
@@ -470,6 +691,7 @@ router.get(
             suiOperator: {
               status: operatorStatus,
               balance: operatorBalance.toFixed(6),
+              gasPool: getGasPoolStatus(),
             },
           },
         },
@@ -1,6 +1,9 @@
 import express from "express";
 import {
   createTransactionSchema,
+  quoteTransactionSchema,
+  withdrawTransactionSchema,
+  createPaymentRequestSchema,
   getTransactionsSchema,
 } from "../schemas/transaction.js";
 import {
@@ -9,33 +12,178 @@ import {
   verifyToken,
   checkUserStatus,
 } from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
 import {
   addTransaction,
+  getTransaction,
   getUserTransactions,
+  getUserPaymentRequests,
+  countUserPaymentRequests,
   getUser,
-  updateUser,
 } from "../services/database.js";
 import {
-  internalTransfer,
-  getSuiFlowWalletBalance,
-  sendSui,
-  getBalance,
   isValidSuiAddress,
-} from "../services/sui-contracts.js";
-import { decryptMnemonic, verifyPinPhone } from "../utils/encryption.js";
-import { TRANSACTION_STATUS, MAX_FAILED_ATTEMPTS } from "../constants.js";
+  normalizeSuiAddress,
+} from "../services/chain/index.js";
+import { addEscrowTransaction } from "../services/escrow.js";
+import { createPaymentRequest } from "../services/payment-requests.js";
+import {
+  enqueueTransfer,
+  escrowReceiver,
+  outsideReceiver,
+  quoteTransfer,
+  waitForTransferJob,
+  getTransferStatus,
+  getExplorerUrl,
+} from "../services/transfer-queue.js";
+import {
+  PIN_STATUS,
+  lockoutMinutes,
+  verifyUserPin,
+} from "../services/pin.js";
+import { decryptMnemonic } from "../utils/encryption.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  PAYMENT_REQUEST_STATUS,
+  TRANSFER_WAIT_SECONDS,
+} from "../constants.js";
 
 const router = express.Router();
 
+/**
+ * Verify the sender's PIN, which counts failures and locks the account after
+ * too many. Answers 423 (locked) or 401 (wrong PIN) if it doesn't pass.
+ * @param {Object} res - Express response
+ * @param {Object} senderUser - Sender's user data
+ * @param {string} pin - PIN to check
+ * @returns {Promise<boolean>} - Whether the PIN passed
+ */
+async function checkPin(res, senderUser, pin) {
+  const pinCheck = await verifyUserPin(senderUser, pin);
+
+  if (pinCheck.status === PIN_STATUS.LOCKED) {
+    res.set("Retry-After", String(pinCheck.retryAfterSeconds));
+    res.status(423).json({
+      success: false,
+      error: `Account is locked due to multiple failed PIN attempts. Try again in ${lockoutMinutes(pinCheck)} minute(s).`,
+      lockedUntil: new Date(pinCheck.lockedUntil).toISOString(),
+    });
+    return false;
+  }
+
+  if (pinCheck.status === PIN_STATUS.INVALID) {
+    res.status(401).json({
+      success: false,
+      error: `Invalid PIN. ${pinCheck.remainingAttempts} attempt(s) remaining before account lockout.`,
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check the sender can cover the amount and the network fee. Answers 400
+ * with the quote if not.
+ * @param {Object} res - Express response
+ * @param {Object} senderUser - Sender's user data
+ * @param {Object} receiver - Receiving user, or an outside receiver
+ * @param {number} amount - Amount in SUI
+ * @returns {Promise<boolean>} - Whether the balance is enough
+ */
+async function checkBalance(res, senderUser, receiver, amount) {
+  const quote = await quoteTransfer(senderUser, receiver, amount);
+  if (quote.sufficient) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: `Insufficient balance. You have ${quote.balance.toFixed(
+      6
+    )} SUI and can send at most ${quote.maxAmount.toFixed(
+      6
+    )} SUI after the network fee.`,
+    data: quote,
+  });
+  return false;
+}
+
+/**
+ * Queue a recorded transfer (one at a time per sender), wait for it and
+ * answer with how it went: 201 once confirmed, 400 if it failed, or 202
+ * while it is still queued or awaiting confirmation
+ * @param {Object} res - Express response
+ * @param {Object} options - { senderUser, pin, transactionId, label (e.g.
+ *   "Withdrawal"), completedMessage, data (fields for the 201 and 202
+ *   responses) }
+ */
+async function sendTransfer(
+  res,
+  { senderUser, pin, transactionId, label, completedMessage, data }
+) {
+  const jobId = await enqueueTransfer(
+    transactionId,
+    senderUser.suiAddress,
+    decryptMnemonic(senderUser.encryptedMnemonic, pin)
+  );
+  await waitForTransferJob(jobId, TRANSFER_WAIT_SECONDS * 1000);
+
+  const transaction = await getTransaction(transactionId);
+
+  if (transaction.status === TRANSACTION_STATUS.CONFIRMED) {
+    return res.status(201).json({
+      success: true,
+      message: completedMessage,
+      data: {
+        transactionId,
+        txHash: transaction.txHash,
+        explorerUrl: getExplorerUrl(transaction.txHash),
+        ...data,
+        status: transaction.status,
+      },
+    });
+  }
+
+  if (transaction.status === TRANSACTION_STATUS.FAILED) {
+    return res.status(400).json({
+      success: false,
+      error: `${label} failed: ${transaction.errorMessage}`,
+      data: {
+        transactionId,
+        status: transaction.status,
+      },
+    });
+  }
+
+  return res.status(202).json({
+    success: true,
+    message: `${label} is processing`,
+    data: {
+      transactionId,
+      ...data,
+      status: transaction.status,
+      statusUrl: `/api/transaction/${transactionId}/status`,
+    },
+  });
+}
+
 /**
  * POST /api/transaction/new
- * Create a new SUI transaction
+ * Create a new SUI transaction. The transfer runs on the transfer queue;
+ * if it hasn't finished within TRANSFER_WAIT_SECONDS the response is 202 and
+ * the client polls GET /api/transaction/:id/status. Retries that send the
+ * same Idempotency-Key header get the original response instead of a second
+ * transfer. Sends to unregistered numbers are held in escrow until the
+ * recipient registers (data.escrow is true).
  */
 router.post(
   "/new",
   verifyToken,
   checkUserStatus,
   validateRequest(createTransactionSchema),
+  idempotent({ ignoreFields: ["pin"] }),
   async (req, res) => {
     try {
       const { receiverPhone, amount, pin } = req.body;
@@ -50,212 +198,301 @@ router.post(
         });
       }
 
-      // Get receiver user data
+      // Get receiver user data; unregistered numbers are paid into escrow
       const receiverUser = await getUser(receiverPhone);
-      if (!receiverUser) {
-        return res.status(404).json({
+      const escrow = !receiverUser;
+
+      if (!(await checkPin(res, senderUser, pin))) {
+        return;
+      }
+
+      const receiver = receiverUser || escrowReceiver();
+      if (!(await checkBalance(res, senderUser, receiver, amount))) {
+        return;
+      }
+
+      // Create transaction record
+      let transactionId;
+      try {
+        const record = escrow ? addEscrowTransaction : addTransaction;
+        transactionId = await record({
+          senderPhone,
+          receiverPhone,
+          amount,
+          txHash: null,
+          status: TRANSACTION_STATUS.CREATED,
+          idempotencyKey: req.idempotencyKey || null,
+        });
+
+        console.log(
+          `🔄 Created ${escrow ? "escrow " : ""}transaction ${transactionId}: ${amount} SUI from ${senderPhone} to ${receiverPhone}`
+        );
+      } catch (dbError) {
+        console.error("❌ Error creating transaction record:", dbError);
+        return res.status(500).json({
           success: false,
-          error:
-            "Receiver not found. Make sure the phone number is registered with SuiFlow.",
+          error: "Failed to create transaction record",
         });
       }
 
-      // Verify sender's PIN
-      const isValidPin = verifyPinPhone(pin, senderPhone, senderUser.pinHash);
-      if (!isValidPin) {
-        // Increment failed attempts
-        const newFailedAttempts = senderUser.failedAttempts + 1;
-        await updateUser(senderPhone, { failedAttempts: newFailedAttempts });
+      await sendTransfer(res, {
+        senderUser,
+        pin,
+        transactionId,
+        label: "Transaction",
+        completedMessage: escrow
+          ? "Transaction held until the receiver registers with SuiFlow"
+          : "Transaction completed successfully",
+        data: {
+          amount,
+          senderPhone,
+          receiverPhone,
+          receiverName: receiverUser?.fullName || null,
+          escrow,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error creating transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create transaction",
+        details: error.message,
+      });
+    }
+  }
+);
 
-        const remainingAttempts = MAX_FAILED_ATTEMPTS - newFailedAttempts;
+/**
+ * POST /api/transaction/withdraw
+ * Send SUI to a Sui address outside SuiFlow. Users with a SuiFlowWallet are
+ * paid out of it with withdrawFromWallet; others send from their address.
+ * Runs on the transfer queue and answers like POST /api/transaction/new,
+ * including Idempotency-Key support.
+ */
+router.post(
+  "/withdraw",
+  verifyToken,
+  checkUserStatus,
+  validateRequest(withdrawTransactionSchema),
+  idempotent({ ignoreFields: ["pin"] }),
+  async (req, res) => {
+    try {
+      const { amount, pin } = req.body;
+      const senderUser = req.userData;
+      const senderPhone = senderUser.phone;
 
-        if (remainingAttempts <= 0) {
-          return res.status(423).json({
-            success: false,
-            error:
-              "Account has been locked due to multiple failed PIN attempts. Please contact support.",
-          });
-        }
+      if (!isValidSuiAddress(req.body.address)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid Sui address. Expected 0x followed by 64 hex characters.",
+        });
+      }
 
-        return res.status(401).json({
+      const address = normalizeSuiAddress(req.body.address);
+      if (address === senderUser.suiAddress) {
+        return res.status(400).json({
           success: false,
-          error: `Invalid PIN. ${remainingAttempts} attempt(s) remaining before account lockout.`,
+          error: "Cannot send SUI to yourself",
         });
       }
 
-      // Reset failed attempts on successful PIN verification
-      if (senderUser.failedAttempts > 0) {
-        await updateUser(senderPhone, { failedAttempts: 0 });
+      if (!(await checkPin(res, senderUser, pin))) {
+        return;
       }
 
-      // Check sender's balance - use smart contract wallet if available
-      let senderBalance;
-      if (senderUser.walletObjectId) {
-        console.log(
-          `🔄 Checking balance for SuiFlowWallet ${senderUser.walletObjectId}`
-        );
-        try {
-          senderBalance = await getSuiFlowWalletBalance(
-            senderUser.walletObjectId
-          );
-        } catch (contractError) {
-          console.warn(
-            "⚠️ Failed to get smart contract balance, falling back to address balance:",
-            contractError.message
-          );
-          senderBalance = await getBalance(senderUser.suiAddress);
-        }
-      } else {
-        console.log(`🔄 Checking balance for address ${senderUser.suiAddress}`);
-        senderBalance = await getBalance(senderUser.suiAddress);
+      const receiver = outsideReceiver(address);
+      if (!(await checkBalance(res, senderUser, receiver, amount))) {
+        return;
       }
 
-      if (senderBalance < amount) {
+      const transactionId = await addTransaction({
+        type: TRANSACTION_TYPES.WITHDRAWAL,
+        senderPhone,
+        receiverPhone: null,
+        counterpartyAddress: address,
+        amount,
+        txHash: null,
+        status: TRANSACTION_STATUS.CREATED,
+        idempotencyKey: req.idempotencyKey || null,
+      });
+      console.log(
+        `🔄 Created withdrawal ${transactionId}: ${amount} SUI from ${senderPhone} to ${address}`
+      );
+
+      await sendTransfer(res, {
+        senderUser,
+        pin,
+        transactionId,
+        label: "Withdrawal",
+        completedMessage: "Withdrawal completed successfully",
+        data: { amount, senderPhone, address },
+      });
+    } catch (error) {
+      console.error("❌ Error creating withdrawal:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create withdrawal",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/transaction/quote
+ * Estimate the network fee for a transfer and the most the caller can send.
+ * Without an amount, only the maximum is quoted.
+ */
+router.post(
+  "/quote",
+  verifyToken,
+  checkUserStatus,
+  validateRequest(quoteTransactionSchema),
+  async (req, res) => {
+    try {
+      const { receiverPhone, amount = null } = req.body;
+      const senderUser = req.userData;
+
+      if (senderUser.phone === receiverPhone) {
         return res.status(400).json({
           success: false,
-          error: `Insufficient balance. You have ${senderBalance.toFixed(
-            6
-          )} SUI, but tried to send ${amount} SUI.`,
+          error: "Cannot send SUI to yourself",
         });
       }
 
-      // Create pending transaction record
-      let transactionId;
-      try {
-        transactionId = await addTransaction({
-          senderPhone,
+      // Unregistered numbers are paid into escrow
+      const receiverUser = await getUser(receiverPhone);
+      const quote = await quoteTransfer(
+        senderUser,
+        receiverUser || escrowReceiver(),
+        amount
+      );
+
+      res.json({
+        success: true,
+        data: {
           receiverPhone,
-          amount,
-          txHash: null,
-          status: TRANSACTION_STATUS.PENDING,
+          receiverName: receiverUser?.fullName || null,
+          escrow: !receiverUser,
+          ...quote,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error quoting transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to quote transaction",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/transaction/request
+ * Ask another user for SUI. They get an SMS and pay or decline it from the
+ * USSD Requests menu; the request expires after PAYMENT_REQUEST_EXPIRY_HOURS.
+ */
+router.post(
+  "/request",
+  verifyToken,
+  checkUserStatus,
+  validateRequest(createPaymentRequestSchema),
+  async (req, res) => {
+    try {
+      const { payerPhone, amount } = req.body;
+      const requester = req.userData;
+
+      if (requester.phone === payerPhone) {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot request SUI from yourself",
         });
+      }
 
-        console.log(
-          `🔄 Created pending transaction ${transactionId}: ${amount} SUI from ${senderPhone} to ${receiverPhone}`
-        );
-      } catch (dbError) {
-        console.error("❌ Error creating transaction record:", dbError);
-        return res.status(500).json({
+      const payer = await getUser(payerPhone);
+      if (!payer) {
+        return res.status(404).json({
           success: false,
-          error: "Failed to create transaction record",
+          error:
+            "Payer not found. Make sure the phone number is registered with SuiFlow.",
         });
       }
 
-      try {
-        // Decrypt sender's mnemonic
-        const decryptedMnemonic = decryptMnemonic(
-          senderUser.encryptedMnemonic,
-          pin
-        );
+      const request = await createPaymentRequest(requester, payer, amount);
+
+      res.status(201).json({
+        success: true,
+        message: "Payment request sent",
+        data: {
+          requestId: request.id,
+          payerPhone,
+          payerName: payer.fullName,
+          amount,
+          status: PAYMENT_REQUEST_STATUS.PENDING,
+          expiresAt: new Date(request.expiresAt).toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error creating payment request:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create payment request",
+        details: error.message,
+      });
+    }
+  }
+);
 
-        // Choose transfer method based on wallet types
-        let result;
-        if (senderUser.walletObjectId && receiverUser.walletObjectId) {
-          // Both users have smart contract wallets - use internal transfer (more efficient)
-          console.log(
-            `🔄 Internal transfer: ${amount} SUI from wallet ${senderUser.walletObjectId} to wallet ${receiverUser.walletObjectId}`
-          );
-          result = await internalTransfer(
-            senderUser.walletObjectId,
-            receiverUser.walletObjectId,
-            decryptedMnemonic,
-            amount
-          );
-        } else {
-          // At least one user doesn't have smart contract wallet - use regular coin transfer
-          console.log(
-            `🔄 Regular transfer: ${amount} SUI from ${senderUser.suiAddress} to ${receiverUser.suiAddress}`
-          );
-          result = await sendSui(
-            decryptedMnemonic,
-            receiverUser.suiAddress,
-            amount
-          );
-        }
-
-        // Clear decrypted mnemonic from memory immediately
-        // (JavaScript garbage collection will handle this, but we're being explicit)
-
-        if (result.status === "success") {
-          // Update transaction record with success
-          await addTransaction({
-            senderPhone,
-            receiverPhone,
-            amount,
-            txHash: result.digest,
-            status: TRANSACTION_STATUS.SUCCESS,
-          });
-
-          console.log(`✅ Transaction successful: ${result.digest}`);
-
-          return res.status(201).json({
-            success: true,
-            message: "Transaction completed successfully",
-            data: {
-              transactionId,
-              txHash: result.digest,
-              explorerUrl: result.explorerUrl,
-              amount,
-              senderPhone,
-              receiverPhone,
-              receiverName: receiverUser.fullName,
-              status: "success",
-            },
-          });
-        } else {
-          // Update transaction record with failure
-          await addTransaction({
-            senderPhone,
-            receiverPhone,
-            amount,
-            txHash: null,
-            status: TRANSACTION_STATUS.FAILED,
-            errorMessage: result.error,
-          });
-
-          console.log(`❌ Transaction failed: ${result.error}`);
-
-          return res.status(400).json({
-            success: false,
-            error: `Transaction failed: ${result.error}`,
-            data: {
-              transactionId,
-              status: "failed",
-            },
-          });
-        }
-      } catch (transactionError) {
-        console.error("❌ Error during SUI transaction:", transactionError);
-
-        // Update transaction record with failure
-        try {
-          await addTransaction({
-            senderPhone,
-            receiverPhone,
-            amount,
-            txHash: null,
-            status: TRANSACTION_STATUS.FAILED,
-            errorMessage: transactionError.message,
-          });
-        } catch (updateError) {
-          console.error("❌ Error updating failed transaction:", updateError);
-        }
+/**
+ * GET /api/transaction/requests
+ * Get the payment requests the user made or was asked to pay
+ */
+router.get(
+  "/requests",
+  verifyToken,
+  checkUserStatus,
+  validateQuery(getTransactionsSchema),
+  async (req, res) => {
+    try {
+      const user = req.userData;
+      const { limit, offset } = req.query;
 
-        return res.status(500).json({
-          success: false,
-          error: "Transaction failed",
-          details: transactionError.message,
-          data: {
-            transactionId,
-            status: "failed",
+      const [requests, total] = await Promise.all([
+        getUserPaymentRequests(user.phone, limit, offset),
+        countUserPaymentRequests(user.phone),
+      ]);
+
+      const formattedRequests = requests.map((request) => ({
+        id: request.id,
+        type: request.requesterPhone === user.phone ? "outgoing" : "incoming",
+        amount: request.amount,
+        counterparty:
+          request.requesterPhone === user.phone
+            ? { phone: request.payerPhone, name: request.payerName }
+            : { phone: request.requesterPhone, name: request.requesterName },
+        status: request.status,
+        transactionId: request.transactionId,
+        expiresAt: new Date(request.expiresAt).toISOString(),
+        createdAt: request.createdAt,
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          requests: formattedRequests,
+          pagination: {
+            limit,
+            offset,
+            total,
           },
-        });
-      }
+        },
+      });
     } catch (error) {
-      console.error("❌ Error creating transaction:", error);
+      console.error("❌ Error getting payment requests:", error);
       res.status(500).json({
         success: false,
-        error: "Failed to create transaction",
+        error: "Failed to get payment requests",
         details: error.message,
       });
     }
@@ -282,6 +519,7 @@ router.get(
       // Format transactions for response
       const formattedTransactions = transactions.map((tx) => ({
         id: tx.id,
+        transactionType: tx.type,
         type: tx.senderPhone === user.phone ? "sent" : "received",
         amount: tx.amount,
         counterparty:
@@ -289,10 +527,12 @@ router.get(
             ? {
                 phone: tx.receiverPhone,
                 name: tx.receiverName,
+                address: tx.counterpartyAddress,
               }
             : {
                 phone: tx.senderPhone,
                 name: tx.senderName,
+                address: tx.counterpartyAddress,
               },
         status: tx.status,
         txHash: tx.txHash,
@@ -336,6 +576,7 @@ router.get("/recent", verifyToken, checkUserStatus, async (req, res) => {
     // Format transactions for response
     const formattedTransactions = transactions.map((tx) => ({
       id: tx.id,
+      transactionType: tx.type,
       type: tx.senderPhone === user.phone ? "sent" : "received",
       amount: tx.amount,
       counterpartyName:
@@ -360,4 +601,39 @@ router.get("/recent", verifyToken, checkUserStatus, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transaction/:id/status
+ * Poll a transaction's status and its place in the transfer queue
+ */
+router.get("/:id/status", verifyToken, checkUserStatus, async (req, res) => {
+  try {
+    const user = req.userData;
+    const transaction = await getTransaction(parseInt(req.params.id, 10));
+
+    // Only the parties to a transaction can see it
+    if (
+      !transaction ||
+      (transaction.senderPhone !== user.phone &&
+        transaction.receiverPhone !== user.phone)
+    ) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getTransferStatus(transaction),
+    });
+  } catch (error) {
+    console.error("❌ Error getting transaction status:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get transaction status",
+      details: error.message,
+    });
+  }
+});
+
 export default router;
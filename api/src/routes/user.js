@@ -1,24 +1,29 @@
 import express from "express";
-import { registerUserSchema, loginUserSchema } from "../schemas/user.js";
+import {
+  registerUserSchema,
+  loginUserSchema,
+  changePinSchema,
+  resetPinSchema,
+} from "../schemas/user.js";
 import {
   validateRequest,
   verifyToken,
   checkUserStatus,
   generateToken,
 } from "../middleware/auth.js";
-import { registerUser, getUser, updateUser } from "../services/database.js";
-import {
-  createUserWallet,
-  createSuiFlowWallet,
-  fundNewUserAccount,
-  getSuiFlowWalletBalance,
-} from "../services/sui-contracts.js";
+import { getUser } from "../services/database.js";
+import { getUserBalance } from "../services/chain/index.js";
+import { createAccount } from "../services/accounts.js";
 import {
-  encryptMnemonic,
-  hashPinPhone,
-  verifyPinPhone,
-} from "../utils/encryption.js";
-import { USER_ROLES, MAX_FAILED_ATTEMPTS } from "../constants.js";
+  PIN_STATUS,
+  PIN_RESET_STATUS,
+  lockoutMinutes,
+  verifyUserPin,
+  changePin,
+  checkPinResetCode,
+  completePinReset,
+} from "../services/pin.js";
+import { USER_ROLES } from "../constants.js";
 
 const router = express.Router();
 
@@ -28,7 +33,7 @@ const router = express.Router();
  */
 router.post("/new", validateRequest(registerUserSchema), async (req, res) => {
   try {
-    const { phone, fullName, pin } = req.body;
+    const { phone, fullName, pin, language } = req.body;
 
     // Check if user already exists
     const existingUser = await getUser(phone);
@@ -39,58 +44,13 @@ router.post("/new", validateRequest(registerUserSchema), async (req, res) => {
       });
     }
 
-    // Create Sui wallet
-    console.log(`🔄 Creating wallet for user ${phone}`);
-    const walletInfo = createUserWallet();
-
-    // Encrypt mnemonic with user's PIN
-    const encryptedMnemonic = encryptMnemonic(walletInfo.mnemonic, pin);
-
-    // Hash PIN with phone for storage
-    const pinHash = hashPinPhone(pin, phone);
-
-    // Create SuiFlowWallet smart contract object
-    let walletObjectId = null;
-    try {
-      console.log(`🔄 Creating SuiFlowWallet contract for user ${phone}`);
-      const contractResult = await createSuiFlowWallet(walletInfo.mnemonic);
-      walletObjectId = contractResult.walletObjectId;
-      console.log(`✅ Created SuiFlowWallet contract: ${walletObjectId}`);
-    } catch (contractError) {
-      console.error(
-        "⚠️ Failed to create SuiFlowWallet contract:",
-        contractError
-      );
-      // Continue without contract wallet for now - user can create it later
-      // return res.status(500).json({
-      //   success: false,
-      //   error: 'Failed to create smart contract wallet',
-      //   details: contractError.message
-      // });
-    }
-
-    // Register user in database
-    const userData = {
+    const { user, provisioned } = await createAccount({
       phone,
       fullName,
-      suiAddress: walletInfo.address,
-      publicKey: walletInfo.publicKey,
-      encryptedMnemonic,
-      pinHash,
-      walletObjectId,
-    };
-
-    await registerUser(userData);
-
-    // Fund the new user's account with gas fees
-    console.log(`🔄 Funding new user account ${walletInfo.address}`);
-    try {
-      const fundingTxHash = await fundNewUserAccount(walletInfo.address);
-      console.log(`✅ User funded successfully. TX: ${fundingTxHash}`);
-    } catch (fundingError) {
-      console.error("⚠️ Failed to fund new user account:", fundingError);
-      // Don't fail registration if funding fails, user can be funded later
-    }
+      pin,
+      language,
+    });
+    const { walletObjectId } = await provisioned;
 
     console.log(`✅ User registered successfully: ${phone}`);
 
@@ -100,8 +60,9 @@ router.post("/new", validateRequest(registerUserSchema), async (req, res) => {
       data: {
         phone,
         fullName,
-        suiAddress: walletInfo.address,
+        suiAddress: user.suiAddress,
         walletObjectId,
+        language,
       },
     });
   } catch (error) {
@@ -131,44 +92,25 @@ router.post("/login", validateRequest(loginUserSchema), async (req, res) => {
       });
     }
 
-    // Check if account is locked
-    if (user.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    // Verify PIN (counts failures and locks the account after too many)
+    const pinCheck = await verifyUserPin(user, pin);
+
+    if (pinCheck.status === PIN_STATUS.LOCKED) {
+      res.set("Retry-After", String(pinCheck.retryAfterSeconds));
       return res.status(423).json({
         success: false,
-        error:
-          "Account is locked due to multiple failed login attempts. Please contact support.",
+        error: `Account is locked due to multiple failed PIN attempts. Try again in ${lockoutMinutes(pinCheck)} minute(s).`,
+        lockedUntil: new Date(pinCheck.lockedUntil).toISOString(),
       });
     }
 
-    // Verify PIN
-    const isValidPin = verifyPinPhone(pin, phone, user.pinHash);
-
-    if (!isValidPin) {
-      // Increment failed attempts
-      const newFailedAttempts = user.failedAttempts + 1;
-      await updateUser(phone, { failedAttempts: newFailedAttempts });
-
-      const remainingAttempts = MAX_FAILED_ATTEMPTS - newFailedAttempts;
-
-      if (remainingAttempts <= 0) {
-        return res.status(423).json({
-          success: false,
-          error:
-            "Account has been locked due to multiple failed login attempts. Please contact support.",
-        });
-      }
-
+    if (pinCheck.status === PIN_STATUS.INVALID) {
       return res.status(401).json({
         success: false,
-        error: `Invalid phone number or PIN. ${remainingAttempts} attempt(s) remaining before account lockout.`,
+        error: `Invalid phone number or PIN. ${pinCheck.remainingAttempts} attempt(s) remaining before account lockout.`,
       });
     }
 
-    // Reset failed attempts on successful login
-    if (user.failedAttempts > 0) {
-      await updateUser(phone, { failedAttempts: 0 });
-    }
-
     // Generate JWT token
     const token = generateToken(user, USER_ROLES.USER);
 
@@ -205,26 +147,7 @@ router.get("/accountInfo", verifyToken, checkUserStatus, async (req, res) => {
     const user = req.userData;
 
     // Get current balance - use smart contract wallet if available, otherwise use regular address
-    let balance;
-    if (user.walletObjectId) {
-      console.log(
-        `🔄 Getting balance from SuiFlowWallet ${user.walletObjectId}`
-      );
-      try {
-        balance = await getSuiFlowWalletBalance(user.walletObjectId);
-      } catch (contractError) {
-        console.warn(
-          "⚠️ Failed to get smart contract balance, falling back to address balance:",
-          contractError.message
-        );
-        const { getBalance } = await import("../services/sui-contracts.js");
-        balance = await getBalance(user.suiAddress);
-      }
-    } else {
-      console.log(`🔄 Getting balance for address ${user.suiAddress}`);
-      const { getBalance } = await import("../services/sui-contracts.js");
-      balance = await getBalance(user.suiAddress);
-    }
+    const balance = await getUserBalance(user);
 
     res.json({
       success: true,
@@ -238,6 +161,7 @@ router.get("/accountInfo", verifyToken, checkUserStatus, async (req, res) => {
           formatted: `${balance.toFixed(6)} SUI`,
         },
         walletType: user.walletObjectId ? "smart_contract" : "regular",
+        language: user.language,
         accountStatus: "active",
         failedAttempts: user.failedAttempts,
         createdAt: user.createdAt,
@@ -253,6 +177,104 @@ router.get("/accountInfo", verifyToken, checkUserStatus, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/user/pin/change
+ * Change PIN (re-encrypts the wallet mnemonic under the new PIN)
+ */
+router.post(
+  "/pin/change",
+  verifyToken,
+  checkUserStatus,
+  validateRequest(changePinSchema),
+  async (req, res) => {
+    try {
+      const { currentPin, newPin } = req.body;
+      const user = req.userData;
+
+      // Verify current PIN (counts failures like any other PIN entry)
+      const pinCheck = await verifyUserPin(user, currentPin);
+
+      if (pinCheck.status === PIN_STATUS.LOCKED) {
+        res.set("Retry-After", String(pinCheck.retryAfterSeconds));
+        return res.status(423).json({
+          success: false,
+          error: `Account is locked due to multiple failed PIN attempts. Try again in ${lockoutMinutes(pinCheck)} minute(s).`,
+          lockedUntil: new Date(pinCheck.lockedUntil).toISOString(),
+        });
+      }
+
+      if (pinCheck.status === PIN_STATUS.INVALID) {
+        return res.status(401).json({
+          success: false,
+          error: `Invalid PIN. ${pinCheck.remainingAttempts} attempt(s) remaining before account lockout.`,
+        });
+      }
+
+      await changePin(user, currentPin, newPin);
+
+      res.json({
+        success: true,
+        message: "PIN changed successfully",
+      });
+    } catch (error) {
+      console.error("❌ Error changing PIN:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to change PIN",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/user/pin/reset
+ * Set a new PIN for a forgotten one, using a reset code issued by an admin
+ */
+router.post("/pin/reset", validateRequest(resetPinSchema), async (req, res) => {
+  try {
+    const { phone, resetCode, newPin } = req.body;
+
+    const user = await getUser(phone);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired reset code",
+      });
+    }
+
+    const codeCheck = await checkPinResetCode(user, resetCode);
+
+    if (codeCheck.status === PIN_RESET_STATUS.NONE) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired reset code",
+      });
+    }
+
+    if (codeCheck.status === PIN_RESET_STATUS.INVALID) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid reset code. ${codeCheck.remainingAttempts} attempt(s) remaining.`,
+      });
+    }
+
+    await completePinReset(user, codeCheck.resetId, newPin);
+
+    res.json({
+      success: true,
+      message: "PIN reset successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error resetting PIN:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reset PIN",
+      details: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/user/balance
  * Get user's SUI balance (lightweight endpoint for USSD)
@@ -262,22 +284,7 @@ router.get("/balance", verifyToken, checkUserStatus, async (req, res) => {
     const user = req.userData;
 
     // Get current balance - use smart contract wallet if available, otherwise use regular address
-    let balance;
-    if (user.walletObjectId) {
-      try {
-        balance = await getSuiFlowWalletBalance(user.walletObjectId);
-      } catch (contractError) {
-        console.warn(
-          "⚠️ Failed to get smart contract balance, falling back to address balance:",
-          contractError.message
-        );
-        const { getBalance } = await import("../services/sui-contracts.js");
-        balance = await getBalance(user.suiAddress);
-      }
-    } else {
-      const { getBalance } = await import("../services/sui-contracts.js");
-      balance = await getBalance(user.suiAddress);
-    }
+    const balance = await getUserBalance(user);
 
     res.json({
       success: true,
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { RATE_LIMIT_EVENT_RETENTION_HOURS } from '../constants.js';
 
 // Admin registration schema
 export const registerAdminSchema = Joi.object({
@@ -94,4 +95,106 @@ export const getAllTransactionsSchema = Joi.object({
       'number.integer': 'Offset must be an integer',
       'number.min': 'Offset cannot be negative'
     })
-});
\ No newline at end of file
+});
+// Get reconciliation reports query schema
+export const getReconciliationReportsSchema = Joi.object({
+  issue: Joi.string()
+    .valid(
+      'never_submitted',
+      'confirmed_on_chain',
+      'failed_on_chain',
+      'not_found_on_chain',
+      'ambiguous_match'
+    )
+    .messages({
+      'any.only': 'Unknown reconciliation issue'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(100)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 1000'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+// Get rate limit events query schema
+export const getRateLimitsSchema = Joi.object({
+  hours: Joi.number()
+    .integer()
+    .min(1)
+    .max(RATE_LIMIT_EVENT_RETENTION_HOURS)
+    .default(24)
+    .messages({
+      'number.integer': 'Hours must be an integer',
+      'number.min': 'Hours must be at least 1',
+      'number.max': 'Hours cannot exceed 720'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(100)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 1000'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+// Gas sponsorship report query schema
+export const getSponsorshipReportSchema = Joi.object({
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(90)
+    .default(7)
+    .messages({
+      'number.integer': 'Days must be an integer',
+      'number.min': 'Days must be at least 1',
+      'number.max': 'Days cannot exceed 90'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(100)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 1000'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
@@ -34,6 +34,28 @@ export const createTransactionSchema = Joi.object({
     })
 });
 
+// Transfer quote schema (amount omitted: quote the maximum sendable)
+export const quoteTransactionSchema = Joi.object({
+  receiverPhone: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Receiver phone number must be a valid international format',
+      'any.required': 'Receiver phone number is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(6)
+    .min(0.000001)
+    .max(1000000)
+    .messages({
+      'number.positive': 'Amount must be positive',
+      'number.min': 'Amount must be at least 0.000001 SUI',
+      'number.max': 'Amount cannot exceed 1,000,000 SUI'
+    })
+});
+
 // Get transactions schema (query parameters)
 export const getTransactionsSchema = Joi.object({
   limit: Joi.number()
@@ -55,4 +77,59 @@ export const getTransactionsSchema = Joi.object({
       'number.integer': 'Offset must be an integer',
       'number.min': 'Offset cannot be negative'
     })
-});
\ No newline at end of file
+});
+// Withdrawal schema (address is checked with isValidSuiAddress in the route)
+export const withdrawTransactionSchema = Joi.object({
+  address: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Sui address is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(6)
+    .min(0.000001)
+    .max(1000000)
+    .required()
+    .messages({
+      'number.positive': 'Amount must be positive',
+      'number.min': 'Amount must be at least 0.000001 SUI',
+      'number.max': 'Amount cannot exceed 1,000,000 SUI',
+      'any.required': 'Amount is required'
+    }),
+
+  pin: Joi.string()
+    .length(4)
+    .pattern(/^\d{4}$/)
+    .required()
+    .messages({
+      'string.length': 'PIN must be exactly 4 digits',
+      'string.pattern.base': 'PIN must contain only numbers',
+      'any.required': 'PIN is required'
+    })
+});
+
+// Payment request schema
+export const createPaymentRequestSchema = Joi.object({
+  payerPhone: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Payer phone number must be a valid international format',
+      'any.required': 'Payer phone number is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(6)
+    .min(0.000001)
+    .max(1000000)
+    .required()
+    .messages({
+      'number.positive': 'Amount must be positive',
+      'number.min': 'Amount must be at least 0.000001 SUI',
+      'number.max': 'Amount cannot exceed 1,000,000 SUI',
+      'any.required': 'Amount is required'
+    })
+});
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { SUPPORTED_LANGUAGES } from '../i18n/index.js';
 
 // User registration schema
 export const registerUserSchema = Joi.object({
@@ -38,6 +39,13 @@ export const registerUserSchema = Joi.object({
     .messages({
       'any.only': 'Confirm PIN must match PIN',
       'any.required': 'Confirm PIN is required'
+    }),
+
+  language: Joi.string()
+    .valid(...SUPPORTED_LANGUAGES)
+    .default('en')
+    .messages({
+      'any.only': `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
     })
 });
 
@@ -73,4 +81,75 @@ export const verifyPinSchema = Joi.object({
       'string.pattern.base': 'PIN must contain only numbers',
       'any.required': 'PIN is required'
     })
-});
\ No newline at end of file
+});
+// Change PIN schema
+export const changePinSchema = Joi.object({
+  currentPin: Joi.string()
+    .length(4)
+    .pattern(/^\d{4}$/)
+    .required()
+    .messages({
+      'string.length': 'Current PIN must be exactly 4 digits',
+      'string.pattern.base': 'Current PIN must contain only numbers',
+      'any.required': 'Current PIN is required'
+    }),
+
+  newPin: Joi.string()
+    .length(4)
+    .pattern(/^\d{4}$/)
+    .invalid(Joi.ref('currentPin'))
+    .required()
+    .messages({
+      'string.length': 'New PIN must be exactly 4 digits',
+      'string.pattern.base': 'New PIN must contain only numbers',
+      'any.invalid': 'New PIN must be different from the current PIN',
+      'any.required': 'New PIN is required'
+    }),
+
+  confirmPin: Joi.string()
+    .valid(Joi.ref('newPin'))
+    .required()
+    .messages({
+      'any.only': 'Confirm PIN must match new PIN',
+      'any.required': 'Confirm PIN is required'
+    })
+});
+
+// Reset forgotten PIN schema (with an admin-issued reset code)
+export const resetPinSchema = Joi.object({
+  phone: Joi.string()
+    .pattern(/^\+?[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Phone number must be a valid international format',
+      'any.required': 'Phone number is required'
+    }),
+
+  resetCode: Joi.string()
+    .length(6)
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.length': 'Reset code must be exactly 6 digits',
+      'string.pattern.base': 'Reset code must contain only numbers',
+      'any.required': 'Reset code is required'
+    }),
+
+  newPin: Joi.string()
+    .length(4)
+    .pattern(/^\d{4}$/)
+    .required()
+    .messages({
+      'string.length': 'New PIN must be exactly 4 digits',
+      'string.pattern.base': 'New PIN must contain only numbers',
+      'any.required': 'New PIN is required'
+    }),
+
+  confirmPin: Joi.string()
+    .valid(Joi.ref('newPin'))
+    .required()
+    .messages({
+      'any.only': 'Confirm PIN must match new PIN',
+      'any.required': 'Confirm PIN is required'
+    })
+});
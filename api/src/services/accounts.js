@@ -0,0 +1,97 @@
+import { registerUser, updateUser } from "./database.js";
+import {
+  createUserWallet,
+  createSuiFlowWallet,
+  fundNewUserAccount,
+} from "./chain/index.js";
+import { claimEscrow } from "./escrow.js";
+import { isSponsorshipEnabled } from "./gas-sponsorship.js";
+import { NOTIFICATION_EVENTS, notify } from "./notifications.js";
+import { createRecoveryEnvelope } from "./pin.js";
+import { encryptMnemonic, hashPinPhone } from "../utils/encryption.js";
+import { formatSui } from "../utils/format.js";
+import { NEW_USER_FUNDING_AMOUNT } from "../constants.js";
+
+/**
+ * Account creation shared by the REST API and the USSD menus.
+ *
+ * A new account is stored straight away with a fresh key pair (the
+ * mnemonic encrypted under the PIN, plus a PIN recovery envelope). It is
+ * then provisioned on chain: funded with NEW_USER_FUNDING_AMOUNT for gas
+ * unless the operator sponsors gas, and given a SuiFlowWallet object.
+ * Provisioning failures don't undo the registration; a user without a
+ * wallet object sends plain coin transfers. Anything sent to the number
+ * before it registered is then paid out of escrow.
+ */
+
+/**
+ * Fund a new account and create its SuiFlowWallet object
+ * @param {Object} user - New user record
+ * @param {string} mnemonic - The user's mnemonic
+ * @returns {Promise<Object>} - { walletObjectId, funded }
+ */
+async function provisionAccount(user, mnemonic) {
+  let funded = false;
+  let walletObjectId = null;
+
+  // Wallet creation needs gas, so fund first
+  if (!isSponsorshipEnabled()) {
+    try {
+      const fundingTxHash = await fundNewUserAccount(user.suiAddress);
+      console.log(`✅ User funded successfully. TX: ${fundingTxHash}`);
+      funded = true;
+
+      await notify(user.phone, NOTIFICATION_EVENTS.FUNDED, {
+        amount: formatSui(NEW_USER_FUNDING_AMOUNT),
+      });
+    } catch (error) {
+      console.error("⚠️ Failed to fund new user account:", error);
+    }
+  }
+
+  try {
+    ({ walletObjectId } = await createSuiFlowWallet(mnemonic));
+    await updateUser(user.phone, { walletObjectId });
+    console.log(`✅ Created SuiFlowWallet contract: ${walletObjectId}`);
+  } catch (error) {
+    console.error("⚠️ Failed to create SuiFlowWallet contract:", error);
+  }
+
+  await claimEscrow(user.phone);
+
+  return { walletObjectId, funded };
+}
+
+/**
+ * Register a new user with a new wallet
+ * @param {Object} details - { phone, fullName, pin, language }
+ * @returns {Promise<Object>} - { user, provisioned }; provisioned resolves
+ *   with { walletObjectId, funded } once the on-chain setup is done
+ */
+export async function createAccount({ phone, fullName, pin, language }) {
+  console.log(`🔄 Creating wallet for user ${phone}`);
+  const wallet = createUserWallet();
+
+  const user = {
+    phone,
+    fullName,
+    suiAddress: wallet.address,
+    publicKey: wallet.publicKey,
+    encryptedMnemonic: encryptMnemonic(wallet.mnemonic, pin),
+    pinHash: hashPinPhone(pin, phone),
+    walletObjectId: null,
+    recoveryEnvelope: createRecoveryEnvelope(wallet.mnemonic),
+    language,
+  };
+
+  await registerUser(user);
+
+  await notify(
+    phone,
+    NOTIFICATION_EVENTS.REGISTERED,
+    { name: fullName },
+    language
+  );
+
+  return { user, provisioned: provisionAccount(user, wallet.mnemonic) };
+}
@@ -0,0 +1,284 @@
+import {
+  addTransaction,
+  getTransactionByTxHash,
+  getUserAccounts,
+  hasUnsettledTransactions,
+  getChainCursor,
+  setChainCursor,
+} from "./database.js";
+import { getChainActivity, getOperatorAddress } from "./chain/index.js";
+import { handleDeposit } from "./deposits.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  CHAIN_INDEXER_INTERVAL_SECONDS,
+  CHAIN_INDEXER_BATCH_SIZE,
+} from "../constants.js";
+
+/**
+ * Chain indexer.
+ *
+ * Follows the chain checkpoint by checkpoint and records activity on
+ * SuiFlow accounts (users' addresses and SuiFlowWallet objects) that the
+ * API didn't initiate, as confirmed transactions:
+ *
+ *   deposit     SUI arriving from outside SuiFlow
+ *   withdrawal  SUI leaving for outside SuiFlow
+ *   transfer    SUI moving between two SuiFlow users outside the API
+ *
+ * Deposits go on to handleDeposit, which alerts the user and sweeps the SUI
+ * into their SuiFlowWallet. The outside party of a deposit or withdrawal is stored by its Sui address
+ * in place of a phone number. Gas a user pays is not counted as money
+ * moving, and the operator's own transactions (funding, freezing) are
+ * skipped. A transaction is one row, so one paying several users is
+ * recorded for the largest amount only.
+ *
+ * The cursor is saved after every checkpoint, so the indexer resumes where
+ * it stopped; the first run starts at the latest checkpoint instead of
+ * reading history. Transactions are matched on digest, so re-reading a
+ * checkpoint or seeing a transfer the API made never records anything
+ * twice. An unknown transaction from a user with transfers still in flight
+ * may be one of them before its digest is stored, so the indexer stops at
+ * that checkpoint until they settle.
+ */
+
+const CURSOR_NAME = "checkpoints";
+const DEFERRED = "deferred";
+
+let running = false;
+
+/**
+ * Round an amount to whole MIST
+ * @param {number} amount - Amount in SUI
+ * @returns {number} - Amount in SUI
+ */
+function roundMist(amount) {
+  return Math.round(amount * 1_000_000_000) / 1_000_000_000;
+}
+
+/**
+ * Work out what a transaction did to each SuiFlow user, leaving out gas
+ * @param {Object} activity - Transaction summary from getChainActivity
+ * @param {Object} accounts - { byAddress, byWallet } phone lookups
+ * @returns {Map} - phone -> net amount in SUI (negative when they paid)
+ */
+function netChanges(activity, { byAddress, byWallet }) {
+  const net = new Map();
+  const add = (phone, amount) =>
+    net.set(phone, (net.get(phone) || 0) + amount);
+
+  for (const { address, amount } of activity.balanceChanges) {
+    if (byAddress.has(address)) {
+      add(byAddress.get(address), amount);
+    }
+  }
+  for (const { walletObjectId, amount } of activity.walletChanges) {
+    if (byWallet.has(walletObjectId)) {
+      add(byWallet.get(walletObjectId), amount);
+    }
+  }
+  if (byAddress.has(activity.gasOwner)) {
+    add(byAddress.get(activity.gasOwner), activity.gasFee);
+  }
+
+  for (const [phone, amount] of net) {
+    if (roundMist(amount) === 0) {
+      net.delete(phone);
+    } else {
+      net.set(phone, roundMist(amount));
+    }
+  }
+  return net;
+}
+
+/**
+ * Find who outside SuiFlow received most from a transaction
+ * @param {Object} activity - Transaction summary
+ * @param {Object} accounts - { byAddress } phone lookup
+ * @returns {string} - Their address, or the sender's if nobody did
+ */
+function externalReceiver(activity, { byAddress }) {
+  const received = activity.balanceChanges
+    .filter(
+      ({ address, amount }) =>
+        amount > 0 && !byAddress.has(address) && address !== activity.gasOwner
+    )
+    .sort((a, b) => b.amount - a.amount);
+
+  return received.length > 0 ? received[0].address : activity.sender;
+}
+
+/**
+ * Add up what a transaction paid to a user's address, leaving out their
+ * SuiFlowWallet
+ * @param {Object} activity - Transaction summary
+ * @param {Object} accounts - { byAddress } phone lookup
+ * @param {string} phone - User's phone number
+ * @returns {number} - Amount in SUI
+ */
+function addressAmount(activity, { byAddress }, phone) {
+  const total = activity.balanceChanges
+    .filter(({ address }) => byAddress.get(address) === phone)
+    .reduce((sum, { amount }) => sum + amount, 0);
+
+  return roundMist(total);
+}
+
+/**
+ * Record one transaction if it touched SuiFlow accounts and is new
+ * @param {Object} activity - Transaction summary from getChainActivity
+ * @param {Object} accounts - { byAddress, byWallet, operatorAddress }
+ * @returns {Promise<Object|string|null>} - The recorded transaction,
+ *   DEFERRED, or null if there was nothing to record
+ */
+async function indexTransaction(activity, accounts) {
+  if (!activity.succeeded || activity.sender === accounts.operatorAddress) {
+    return null;
+  }
+
+  const net = netChanges(activity, accounts);
+  if (net.size === 0 || (await getTransactionByTxHash(activity.digest))) {
+    return null;
+  }
+
+  const senderPhone = accounts.byAddress.get(activity.sender);
+  if (senderPhone && (await hasUnsettledTransactions(senderPhone))) {
+    console.log(
+      `⏳ Indexer waiting for ${senderPhone}'s transfers to settle before ${activity.digest}`
+    );
+    return DEFERRED;
+  }
+
+  const changes = [...net];
+  const [payer] = changes
+    .filter(([, amount]) => amount < 0)
+    .sort((a, b) => a[1] - b[1]);
+  const [payee] = changes
+    .filter(([, amount]) => amount > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  let transaction;
+  if (payer && payee) {
+    transaction = {
+      type: TRANSACTION_TYPES.TRANSFER,
+      senderPhone: payer[0],
+      receiverPhone: payee[0],
+      amount: payee[1],
+    };
+  } else if (payee) {
+    transaction = {
+      type: TRANSACTION_TYPES.DEPOSIT,
+      senderPhone: null,
+      receiverPhone: payee[0],
+      counterpartyAddress: activity.sender,
+      amount: payee[1],
+    };
+  } else {
+    transaction = {
+      type: TRANSACTION_TYPES.WITHDRAWAL,
+      senderPhone: payer[0],
+      receiverPhone: null,
+      counterpartyAddress: externalReceiver(activity, accounts),
+      amount: -payer[1],
+    };
+  }
+
+  const id = await addTransaction({
+    ...transaction,
+    txHash: activity.digest,
+    status: TRANSACTION_STATUS.CONFIRMED,
+  });
+  console.log(
+    `📥 Indexed ${transaction.type} of ${transaction.amount} SUI: ${activity.digest}`
+  );
+
+  const recorded = { id, ...transaction, txHash: activity.digest };
+  if (transaction.type === TRANSACTION_TYPES.DEPOSIT) {
+    await handleDeposit(
+      recorded,
+      addressAmount(activity, accounts, transaction.receiverPhone)
+    );
+  }
+
+  return recorded;
+}
+
+/**
+ * Read new checkpoints and record SuiFlow activity in them. Only one pass
+ * runs at a time.
+ * @returns {Promise<Object>} - { checkpoints, recorded: [transactions] }
+ */
+export async function syncChainActivity() {
+  const summary = { checkpoints: 0, recorded: [] };
+  if (running) {
+    return summary;
+  }
+  running = true;
+
+  try {
+    let cursor = await getChainCursor(CURSOR_NAME);
+
+    // Start from now rather than reading the whole chain
+    if (cursor === null) {
+      const start = await getChainActivity(null, CHAIN_INDEXER_BATCH_SIZE);
+      await setChainCursor(CURSOR_NAME, start.cursor);
+      console.log(`📍 Chain indexer starting at checkpoint ${start.cursor}`);
+      return summary;
+    }
+
+    const accounts = {
+      byAddress: new Map(),
+      byWallet: new Map(),
+      operatorAddress: getOperatorAddress(),
+    };
+    for (const user of await getUserAccounts()) {
+      accounts.byAddress.set(user.suiAddress, user.phone);
+      if (user.walletObjectId) {
+        accounts.byWallet.set(user.walletObjectId, user.phone);
+      }
+    }
+
+    // Keep reading until caught up or held up by a deferred transaction
+    let caughtUp = false;
+    while (!caughtUp) {
+      const page = await getChainActivity(cursor, CHAIN_INDEXER_BATCH_SIZE);
+      caughtUp = page.checkpoints.length < CHAIN_INDEXER_BATCH_SIZE;
+
+      for (const checkpoint of page.checkpoints) {
+        for (const activity of checkpoint.transactions) {
+          const outcome = await indexTransaction(activity, accounts);
+          if (outcome === DEFERRED) {
+            return summary;
+          }
+          if (outcome) {
+            summary.recorded.push(outcome);
+          }
+        }
+
+        cursor = checkpoint.sequenceNumber;
+        await setChainCursor(CURSOR_NAME, cursor);
+        summary.checkpoints++;
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Index now and then every intervalSeconds
+ * @param {number} intervalSeconds - Polling interval
+ */
+export function startChainIndexer(
+  intervalSeconds = CHAIN_INDEXER_INTERVAL_SECONDS
+) {
+  const run = () =>
+    syncChainActivity().catch((error) => {
+      console.error("❌ Error indexing chain activity:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
@@ -0,0 +1,439 @@
+import { Transaction } from "@mysten/sui/transactions";
+import {
+  GAS_POOL_SIZE,
+  GAS_POOL_MIN_COIN_BALANCE,
+  GAS_POOL_LEASE_WAIT_SECONDS,
+  GAS_POOL_REBALANCE_SECONDS,
+} from "../../constants.js";
+
+/**
+ * Operator gas-coin pool.
+ *
+ * A transaction locks the coins it pays gas with until it is executed, so
+ * operator-paid transactions that pick gas coins for themselves equivocate
+ * or lock each other when run in parallel. Instead, the operator's SUI is
+ * kept split into GAS_POOL_SIZE coins and each transaction leases one:
+ *
+ *   leaseGasCoin     takes a free coin, waiting up to
+ *                    GAS_POOL_LEASE_WAIT_SECONDS for one to be returned
+ *   releaseGasCoin   returns it with the version and balance from the
+ *                    transaction's effects; without effects (the outcome is
+ *                    unknown) the coin is left out until the next refresh
+ *
+ * Every GAS_POOL_REBALANCE_SECONDS the pool is refreshed from the chain,
+ * coins below GAS_POOL_MIN_COIN_BALANCE are merged back into the largest
+ * free coin, and that coin is split until there are GAS_POOL_SIZE usable
+ * coins again. Leases live in memory, so only one process may use the
+ * operator key.
+ */
+
+const SUI_COIN_TYPE = "0x2::sui::SUI";
+// A transaction can pay gas with at most 256 coins
+const MAX_GAS_PAYMENT_COINS = 256;
+
+let suiClient = null;
+let operatorKeypair = null;
+
+// objectId -> { ref: { objectId, version, digest }, balance (MIST), leased }
+const coins = new Map();
+// Coins merged away, so a lagging refresh doesn't bring them back
+const mergedCoins = new Set();
+const waiters = [];
+let rebalancing = false;
+
+/**
+ * Convert SUI to MIST
+ * @param {number} amount - Amount in SUI
+ * @returns {bigint} - Amount in MIST
+ */
+function toMist(amount) {
+  return BigInt(Math.floor(amount * 1_000_000_000));
+}
+
+const MIN_COIN_BALANCE = toMist(GAS_POOL_MIN_COIN_BALANCE);
+
+/**
+ * Get the net gas a transaction charged its gas coin
+ * @param {Object} gasUsed - Effects gasUsed
+ * @returns {bigint} - Charge in MIST
+ */
+function gasCharged(gasUsed) {
+  return (
+    BigInt(gasUsed.computationCost) +
+    BigInt(gasUsed.storageCost) -
+    BigInt(gasUsed.storageRebate)
+  );
+}
+
+/**
+ * Wake everything waiting for a coin to be returned
+ */
+function wakeWaiters() {
+  while (waiters.length > 0) {
+    waiters.shift()();
+  }
+}
+
+/**
+ * Set the client and key the pool manages coins for
+ * @param {SuiClient} client - Sui client
+ * @param {Ed25519Keypair} keypair - Operator keypair
+ */
+export function initGasPool(client, keypair) {
+  suiClient = client;
+  operatorKeypair = keypair;
+  coins.clear();
+  mergedCoins.clear();
+}
+
+/**
+ * Get the operator's address
+ * @returns {string} - Sui address
+ */
+function operatorAddress() {
+  return operatorKeypair.getPublicKey().toSuiAddress();
+}
+
+/**
+ * Reload the operator's coins from the chain. Leased coins are left to
+ * their lease holders, and coins known at a newer version are kept.
+ */
+export async function refreshGasPool() {
+  if (!suiClient || !operatorKeypair) {
+    throw new Error("Gas pool not initialized");
+  }
+
+  const seen = new Set();
+  let cursor = null;
+  let morePages = true;
+
+  while (morePages) {
+    const page = await suiClient.getCoins({
+      owner: operatorAddress(),
+      coinType: SUI_COIN_TYPE,
+      cursor,
+    });
+
+    for (const coin of page.data) {
+      seen.add(coin.coinObjectId);
+
+      const known = coins.get(coin.coinObjectId);
+      if (
+        mergedCoins.has(coin.coinObjectId) ||
+        known?.leased ||
+        (known && BigInt(known.ref.version) >= BigInt(coin.version))
+      ) {
+        continue;
+      }
+
+      coins.set(coin.coinObjectId, {
+        ref: {
+          objectId: coin.coinObjectId,
+          version: coin.version,
+          digest: coin.digest,
+        },
+        balance: BigInt(coin.balance),
+        leased: false,
+      });
+    }
+
+    morePages = page.hasNextPage;
+    cursor = page.nextCursor;
+  }
+
+  for (const [objectId, coin] of coins) {
+    if (!seen.has(objectId) && !coin.leased) {
+      coins.delete(objectId);
+    }
+  }
+  for (const objectId of mergedCoins) {
+    if (!seen.has(objectId)) {
+      mergedCoins.delete(objectId);
+    }
+  }
+
+  wakeWaiters();
+}
+
+/**
+ * Find the smallest free coin that can pay for a transaction
+ * @param {bigint} minBalance - Balance the coin needs, in MIST
+ * @returns {Object|null} - Pool entry
+ */
+function findFreeCoin(minBalance) {
+  let best = null;
+  for (const coin of coins.values()) {
+    if (
+      !coin.leased &&
+      coin.balance >= minBalance &&
+      (!best || coin.balance < best.balance)
+    ) {
+      best = coin;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lease a gas coin. Must be returned with releaseGasCoin.
+ * @param {number} spend - MIST the transaction takes from the gas coin on
+ *   top of gas (e.g. an amount split from tx.gas)
+ * @returns {Promise<Object>} - Coin reference { objectId, version, digest }
+ */
+export async function leaseGasCoin(spend = 0) {
+  const minBalance = MIN_COIN_BALANCE + BigInt(spend);
+  const deadline = Date.now() + GAS_POOL_LEASE_WAIT_SECONDS * 1000;
+  let refreshed = false;
+
+  for (;;) {
+    const coin = findFreeCoin(minBalance);
+    if (coin) {
+      coin.leased = true;
+      return { ...coin.ref };
+    }
+
+    // Nothing out on lease that could come back big enough: reload first
+    const pending = [...coins.values()].some(
+      (entry) => entry.leased && entry.balance >= minBalance
+    );
+    if (!pending && !refreshed) {
+      refreshed = true;
+      await refreshGasPool();
+      continue;
+    }
+
+    const remaining = deadline - Date.now();
+    if (!pending || remaining <= 0) {
+      throw new Error("No operator gas coin available");
+    }
+
+    await new Promise((resolve) => {
+      waiters.push(resolve);
+      setTimeout(resolve, remaining).unref();
+    });
+  }
+}
+
+/**
+ * Return a leased gas coin
+ * @param {Object} lease - Coin reference from leaseGasCoin
+ * @param {Object|null} effects - Effects of the transaction, if it executed
+ * @param {number} spend - MIST the transaction took from the gas coin on
+ *   top of gas, if it succeeded
+ */
+export function releaseGasCoin(lease, effects = null, spend = 0) {
+  const coin = coins.get(lease.objectId);
+  if (!coin) {
+    return;
+  }
+
+  if (effects?.gasObject) {
+    coin.ref = effects.gasObject.reference;
+    coin.balance -= gasCharged(effects.gasUsed);
+    if (effects.status?.status === "success") {
+      coin.balance -= BigInt(spend);
+    }
+    coin.leased = false;
+  } else {
+    // Version unknown: leave it out until the chain says what happened
+    coins.delete(lease.objectId);
+  }
+
+  wakeWaiters();
+}
+
+/**
+ * Return a leased gas coin that no transaction used
+ * @param {Object} lease - Coin reference from leaseGasCoin
+ */
+function returnUnusedGasCoin(lease) {
+  const coin = coins.get(lease.objectId);
+  if (coin) {
+    coin.leased = false;
+    wakeWaiters();
+  }
+}
+
+/**
+ * Run a transaction with a leased gas coin, returning the coin afterwards
+ * @param {Function} run - (gasCoin) => Promise of a transaction result with
+ *   effects, or of null if nothing was executed
+ * @param {Object} options - { spend } MIST taken from the gas coin on top of
+ *   gas
+ * @returns {Promise<Object|null>} - The transaction result
+ */
+export async function withGasCoin(run, { spend = 0 } = {}) {
+  const lease = await leaseGasCoin(spend);
+
+  let result;
+  try {
+    result = await run(lease);
+  } catch (error) {
+    releaseGasCoin(lease);
+    throw error;
+  }
+
+  if (result) {
+    releaseGasCoin(lease, result.effects, spend);
+  } else {
+    returnUnusedGasCoin(lease);
+  }
+
+  return result;
+}
+
+/**
+ * Merge dust coins into the largest free coin and split it until the pool
+ * has GAS_POOL_SIZE usable coins
+ * @returns {Promise<Object>} - { coins, merged, split }
+ */
+export async function rebalanceGasPool() {
+  const summary = { coins: 0, merged: 0, split: 0 };
+
+  if (rebalancing) {
+    return summary;
+  }
+
+  rebalancing = true;
+
+  try {
+    await refreshGasPool();
+
+    const free = [...coins.values()]
+      .filter((coin) => !coin.leased)
+      .sort((a, b) => Number(b.balance - a.balance));
+    const usable = [...coins.values()].filter(
+      (coin) => coin.balance >= MIN_COIN_BALANCE
+    ).length;
+
+    const [primary] = free;
+    if (!primary) {
+      return summary;
+    }
+
+    const dust = free
+      .slice(1)
+      .filter((coin) => coin.balance < MIN_COIN_BALANCE)
+      .slice(0, MAX_GAS_PAYMENT_COINS - 1);
+    const total = dust.reduce(
+      (sum, coin) => sum + coin.balance,
+      primary.balance
+    );
+
+    // The primary counts once merged; each new coin, and what is left of
+    // the primary, keeps twice the minimum so it stays usable for a while
+    const usableAfterMerge =
+      usable + (primary.balance < MIN_COIN_BALANCE ? 1 : 0);
+    let splits = Math.max(0, GAS_POOL_SIZE - usableAfterMerge);
+    if (total / BigInt(splits + 1) < MIN_COIN_BALANCE * 2n) {
+      splits = Math.max(0, Number(total / (MIN_COIN_BALANCE * 2n)) - 1);
+    }
+    const amount = splits > 0 ? total / BigInt(splits + 1) : 0n;
+
+    if (dust.length === 0 && splits === 0) {
+      summary.coins = usable;
+      return summary;
+    }
+
+    const involved = [primary, ...dust];
+    for (const coin of involved) {
+      coin.leased = true;
+    }
+
+    let effects = null;
+    try {
+      const tx = new Transaction();
+      tx.setSender(operatorAddress());
+      // Paying with several coins merges them all into the first
+      tx.setGasPayment(involved.map((coin) => coin.ref));
+
+      if (splits > 0) {
+        const parts = tx.splitCoins(tx.gas, Array(splits).fill(amount));
+        tx.transferObjects(
+          Array.from({ length: splits }, (_, index) => parts[index]),
+          operatorAddress()
+        );
+      } else {
+        tx.transferObjects([tx.gas], operatorAddress());
+      }
+
+      const result = await suiClient.signAndExecuteTransaction({
+        transaction: tx,
+        signer: operatorKeypair,
+        options: { showEffects: true },
+      });
+      effects = result.effects;
+    } finally {
+      // Gas coins are merged even when the transaction fails; with no
+      // effects, all of them wait for the next refresh
+      for (const coin of dust) {
+        coins.delete(coin.ref.objectId);
+        if (effects) {
+          mergedCoins.add(coin.ref.objectId);
+        }
+      }
+
+      const succeeded = effects?.status?.status === "success";
+      primary.balance = total - (succeeded ? amount * BigInt(splits) : 0n);
+      releaseGasCoin(primary.ref, effects);
+
+      for (const created of succeeded ? effects.created || [] : []) {
+        coins.set(created.reference.objectId, {
+          ref: created.reference,
+          balance: amount,
+          leased: false,
+        });
+      }
+    }
+
+    if (effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${effects?.status?.error}`);
+    }
+
+    summary.coins = [...coins.values()].filter(
+      (coin) => coin.balance >= MIN_COIN_BALANCE
+    ).length;
+    summary.merged = dust.length;
+    summary.split = splits;
+
+    console.log(
+      `⛽ Gas pool rebalanced: ${summary.coins} coins, ${summary.merged} merged, ${summary.split} split`
+    );
+  } finally {
+    rebalancing = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Get the pool's coins for monitoring
+ * @returns {Object} - { size, free, leased, balance } with balance in SUI
+ */
+export function getGasPoolStatus() {
+  const entries = [...coins.values()];
+  const balance = entries.reduce((sum, coin) => sum + coin.balance, 0n);
+
+  return {
+    size: entries.length,
+    free: entries.filter((coin) => !coin.leased).length,
+    leased: entries.filter((coin) => coin.leased).length,
+    balance: Number(balance) / 1_000_000_000,
+  };
+}
+
+/**
+ * Rebalance now and then every intervalSeconds
+ * @param {number} intervalSeconds - Rebalancing interval
+ */
+export function startGasPoolWorker(
+  intervalSeconds = GAS_POOL_REBALANCE_SECONDS
+) {
+  const run = () =>
+    rebalanceGasPool().catch((error) => {
+      console.error("❌ Error rebalancing gas pool:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
@@ -0,0 +1,228 @@
+import * as suiAdapter from "./sui.js";
+import * as mockAdapter from "./mock.js";
+
+/**
+ * Chain access for the whole app.
+ *
+ * Routes, USSD menus and services import chain functions from here and
+ * never from an implementation, so every channel behaves the same. The
+ * functions delegate to the active adapter: the in-memory ledger in mock.js
+ * when SUI_NETWORK is "mock", otherwise the Sui implementation in sui.js.
+ * useChainAdapter swaps in any other ChainAdapter.
+ *
+ * Amounts are in SUI. Mnemonics are base64 secret keys as returned by
+ * createUserWallet.
+ *
+ * @typedef {Object} ChainAdapter
+ * @property {Function} init - () => void; connect and load the operator key
+ * @property {Function} startWorkers - () => void; start background work
+ * @property {Function} createUserWallet - () => { address, publicKey,
+ *   mnemonic }
+ * @property {Function} createSuiFlowWallet - (mnemonic) => Promise of
+ *   { walletObjectId, txHash }
+ * @property {Function} depositToWallet - (walletObjectId, mnemonic, amount)
+ *   => Promise of a digest
+ * @property {Function} internalTransfer - (fromWalletObjectId,
+ *   toWalletObjectId, mnemonic, amount) => Promise of { status, digest,
+ *   explorerUrl, error }
+ * @property {Function} withdrawFromWallet - (walletObjectId, mnemonic,
+ *   amount, receiverAddress) => Promise of a digest; receiverAddress
+ *   defaults to the wallet owner's address
+ * @property {Function} getSuiFlowWalletBalance - (walletObjectId) => Promise
+ *   of a balance
+ * @property {Function} freezeUserWallet - (walletObjectId) => Promise of a
+ *   digest
+ * @property {Function} unfreezeUserWallet - (walletObjectId) => Promise of a
+ *   digest
+ * @property {Function} fundNewUserAccount - (address) => Promise of a digest
+ * @property {Function} payFromOperator - (address, amount) => Promise of a
+ *   digest
+ * @property {Function} sendSui - (mnemonic, receiverAddress, amount) =>
+ *   Promise of { status, digest, explorerUrl, error }
+ * @property {Function} estimateTransferFee - (senderAddress, target,
+ *   sponsored) => Promise of { fee, gasBudget }; target is
+ *   { receiverAddress }, { fromWalletObjectId, toWalletObjectId } or
+ *   { fromWalletObjectId, receiverAddress }
+ * @property {Function} getBalance - (address) => Promise of a balance
+ * @property {Function} getOperatorBalance - () => Promise of a balance
+ * @property {Function} getTransactionDetails - (digest) => Promise of a
+ *   transaction block with input, effects and events
+ * @property {Function} findTransactionsFromAddress - (address, fromMs, toMs)
+ *   => Promise of transaction blocks with input, effects and balance changes
+ * @property {Function} getChainActivity - (cursor, limit) => Promise of
+ *   { cursor, checkpoints: [{ sequenceNumber, transactions }] }: up to limit
+ *   checkpoints after cursor (none, with the latest cursor, when cursor is
+ *   null). Transactions are { digest, timestampMs, sender, gasOwner, gasFee,
+ *   succeeded, balanceChanges: [{ address, amount }], walletChanges:
+ *   [{ walletObjectId, amount }] }
+ * @property {Function} getOperatorAddress - () => the operator's address
+ * @property {Function} getGasPoolStatus - () => operator gas pool status, or
+ *   null if there is none
+ */
+
+let adapter = process.env.SUI_NETWORK === "mock" ? mockAdapter : suiAdapter;
+
+/**
+ * Switch the chain implementation every chain function delegates to
+ * @param {ChainAdapter} chainAdapter - Adapter to use
+ */
+export function useChainAdapter(chainAdapter) {
+  adapter = chainAdapter;
+}
+
+/**
+ * Initialize the active adapter
+ */
+export function initChain() {
+  return adapter.init();
+}
+
+/**
+ * Start the active adapter's background work
+ */
+export function startChainWorkers() {
+  adapter.startWorkers();
+}
+
+export function createUserWallet() {
+  return adapter.createUserWallet();
+}
+
+export function createSuiFlowWallet(mnemonic) {
+  return adapter.createSuiFlowWallet(mnemonic);
+}
+
+export function depositToWallet(walletObjectId, mnemonic, amount) {
+  return adapter.depositToWallet(walletObjectId, mnemonic, amount);
+}
+
+export function internalTransfer(
+  fromWalletObjectId,
+  toWalletObjectId,
+  mnemonic,
+  amount
+) {
+  return adapter.internalTransfer(
+    fromWalletObjectId,
+    toWalletObjectId,
+    mnemonic,
+    amount
+  );
+}
+
+export function withdrawFromWallet(
+  walletObjectId,
+  mnemonic,
+  amount,
+  receiverAddress = null
+) {
+  return adapter.withdrawFromWallet(
+    walletObjectId,
+    mnemonic,
+    amount,
+    receiverAddress
+  );
+}
+
+export function getSuiFlowWalletBalance(walletObjectId) {
+  return adapter.getSuiFlowWalletBalance(walletObjectId);
+}
+
+export function freezeUserWallet(walletObjectId) {
+  return adapter.freezeUserWallet(walletObjectId);
+}
+
+export function unfreezeUserWallet(walletObjectId) {
+  return adapter.unfreezeUserWallet(walletObjectId);
+}
+
+export function fundNewUserAccount(address) {
+  return adapter.fundNewUserAccount(address);
+}
+
+export function payFromOperator(address, amount) {
+  return adapter.payFromOperator(address, amount);
+}
+
+export function sendSui(mnemonic, receiverAddress, amount) {
+  return adapter.sendSui(mnemonic, receiverAddress, amount);
+}
+
+export function estimateTransferFee(senderAddress, target, sponsored) {
+  return adapter.estimateTransferFee(senderAddress, target, sponsored);
+}
+
+export function getBalance(address) {
+  return adapter.getBalance(address);
+}
+
+export function getOperatorBalance() {
+  return adapter.getOperatorBalance();
+}
+
+export function getTransactionDetails(digest) {
+  return adapter.getTransactionDetails(digest);
+}
+
+export function findTransactionsFromAddress(address, fromMs, toMs) {
+  return adapter.findTransactionsFromAddress(address, fromMs, toMs);
+}
+
+export function getChainActivity(cursor, limit) {
+  return adapter.getChainActivity(cursor, limit);
+}
+
+export function getOperatorAddress() {
+  return adapter.getOperatorAddress();
+}
+
+export function getGasPoolStatus() {
+  return adapter.getGasPoolStatus();
+}
+
+/**
+ * Get the balance a user can send: their SuiFlowWallet balance if they
+ * have a wallet object, otherwise their address balance
+ * @param {Object} user - User record
+ * @returns {Promise<number>} - Balance in SUI
+ */
+export async function getUserBalance(user) {
+  if (!user.walletObjectId) {
+    return getBalance(user.suiAddress);
+  }
+
+  try {
+    return await getSuiFlowWalletBalance(user.walletObjectId);
+  } catch (error) {
+    console.warn(
+      "⚠️ Failed to get smart contract balance, falling back to address balance:",
+      error.message
+    );
+    return getBalance(user.suiAddress);
+  }
+}
+
+/**
+ * Check that a string is a Sui address (0x and 64 hex characters)
+ * @param {string} address - Address to check
+ * @returns {boolean} - Whether it is a valid address
+ */
+export function isValidSuiAddress(address) {
+  if (!address || typeof address !== "string") {
+    return false;
+  }
+
+  // Remove 0x prefix if present
+  const cleanAddress = address.startsWith("0x") ? address.slice(2) : address;
+
+  return /^[0-9a-fA-F]{64}$/.test(cleanAddress);
+}
+
+/**
+ * Write a Sui address the way the chain reports it: 0x and lowercase hex
+ * @param {string} address - Address that passes isValidSuiAddress
+ * @returns {string} - Normalized address
+ */
+export function normalizeSuiAddress(address) {
+  return `0x${address.replace(/^0x/, "").toLowerCase()}`;
+}
@@ -0,0 +1,759 @@
+import crypto from "crypto";
+import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
+import { fromB64, toBase58 } from "@mysten/sui/utils";
+import { createUserWallet } from "./sui.js";
+import {
+  isSponsorshipEnabled,
+  reserveSponsoredGas,
+  settleSponsoredGas,
+  releaseSponsoredGas,
+} from "../gas-sponsorship.js";
+import { NEW_USER_FUNDING_AMOUNT } from "../../constants.js";
+
+/**
+ * In-memory implementation of the chain adapter (see index.js) for running
+ * the API and its tests without a Sui network; selected with
+ * SUI_NETWORK=mock. Addresses, balances, SuiFlowWallet objects and
+ * transactions live in process memory and are lost on restart. Keys are
+ * real Ed25519 keys, so mnemonics decrypt and sign-in works exactly as on
+ * chain. Exported functions follow the ChainAdapter contract documented in
+ * index.js, including its error messages.
+ *
+ * The ledger behaves like Sui where the app can tell:
+ *
+ *   digests    derived from the transaction's contents and its position in
+ *              the ledger, so a replayed run produces the same digests
+ *   gas        every transaction locks MOCK_GAS_BUDGET from its gas owner
+ *              and is charged MOCK_GAS_USED; user transactions are
+ *              sponsored by the operator while their daily budget lasts
+ *   failures   injectFailure makes upcoming calls fail, before or after
+ *              the transaction executes (a lost response)
+ *
+ * Each transaction is a checkpoint of its own for getChainActivity.
+ * mintSui, injectFailure and clearFailures are for tests and local setups
+ * and are not part of the ChainAdapter contract.
+ */
+
+const MIST_PER_SUI = 1_000_000_000;
+// What the operator starts with, for funding new users and sponsoring gas
+const OPERATOR_BALANCE = 1000;
+// mintSui pays from this outside address, so mints show up as deposits
+const FAUCET_ADDRESS = `0x${"fa".repeat(32)}`;
+const FAUCET_BALANCE = 1_000_000;
+
+// Gas charged per transaction and the budget it must be able to cover (MIST)
+export const MOCK_GAS_USED = {
+  computationCost: 1_000_000,
+  storageCost: 2_000_000,
+  storageRebate: 1_000_000,
+};
+export const MOCK_GAS_BUDGET = 5_000_000;
+
+const GAS_FEE =
+  MOCK_GAS_USED.computationCost +
+  MOCK_GAS_USED.storageCost -
+  MOCK_GAS_USED.storageRebate;
+
+let operatorAddress = null;
+
+// address -> balance in MIST
+const balances = new Map();
+// objectId -> { owner, balance (MIST), frozen }
+const wallets = new Map();
+// digest -> transaction block
+const transactions = new Map();
+// One checkpoint per transaction, in order, summarized for the indexer
+const checkpoints = [];
+// operation -> [{ message, executed }] failures still to happen
+const failures = new Map();
+
+/**
+ * Convert SUI to MIST
+ * @param {number} amount - Amount in SUI
+ * @returns {number} - Amount in MIST
+ */
+function toMist(amount) {
+  return Math.floor(amount * MIST_PER_SUI);
+}
+
+/**
+ * Hash a string to 32 bytes
+ * @param {string} value - Value to hash
+ * @returns {Buffer} - SHA-256 digest
+ */
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Get the address a mnemonic signs for
+ * @param {string} mnemonic - Base64 secret key
+ * @returns {string} - Sui address
+ */
+function addressOf(mnemonic) {
+  return Ed25519Keypair.fromSecretKey(fromB64(mnemonic))
+    .getPublicKey()
+    .toSuiAddress();
+}
+
+/**
+ * Check that the service is initialized
+ */
+function ensureInitialized() {
+  if (!operatorAddress) {
+    throw new Error("Sui service not initialized");
+  }
+}
+
+/**
+ * Take the next injected failure for an operation, if any
+ * @param {string} operation - Adapter function name
+ * @returns {Object|null} - { message, executed }
+ */
+function takeFailure(operation) {
+  const queued = failures.get(operation);
+  if (!queued || queued.length === 0) {
+    return null;
+  }
+  return queued.shift();
+}
+
+/**
+ * Throw the next injected failure for a call that doesn't execute anything
+ * @param {string} operation - Adapter function name
+ */
+function checkFailure(operation) {
+  const failure = takeFailure(operation);
+  if (failure) {
+    throw new Error(failure.message);
+  }
+}
+
+/**
+ * Get a wallet object, checking who may use it
+ * @param {string} walletObjectId - Wallet object ID
+ * @param {string} owner - Address that must own it, or null for anyone
+ * @returns {Object} - Wallet object
+ */
+function getWallet(walletObjectId, owner = null) {
+  const wallet = wallets.get(walletObjectId);
+  if (!wallet) {
+    throw new Error(`Object ${walletObjectId} does not exist`);
+  }
+  if (owner && wallet.owner !== owner) {
+    throw new Error(`Object ${walletObjectId} is not owned by ${owner}`);
+  }
+  return wallet;
+}
+
+/**
+ * Move MIST out of an address
+ * @param {string} address - Paying address
+ * @param {number} amountInMist - Amount in MIST
+ */
+function debit(address, amountInMist) {
+  const balance = balances.get(address) || 0;
+  if (balance < amountInMist) {
+    throw new Error("Insufficient balance");
+  }
+  balances.set(address, balance - amountInMist);
+}
+
+/**
+ * Move MIST into an address
+ * @param {string} address - Receiving address
+ * @param {number} amountInMist - Amount in MIST
+ */
+function credit(address, amountInMist) {
+  balances.set(address, (balances.get(address) || 0) + amountInMist);
+}
+
+/**
+ * Apply a transaction's changes, charge its gas and record it. The gas
+ * budget is locked first, as Sui does; changes that throw give it back,
+ * leave the ledger untouched and record nothing.
+ * @param {string} operation - Adapter function name, for injected failures
+ * @param {Object} parties - { sender, gasOwner } addresses
+ * @param {Array} objectIds - Objects the transaction uses
+ * @param {Function} apply - () => balance changes [{ owner, amount }] in MIST
+ * @returns {Object} - Transaction block
+ */
+function execute(operation, { sender, gasOwner }, objectIds, apply) {
+  ensureInitialized();
+
+  const failure = takeFailure(operation);
+  if (failure && !failure.executed) {
+    throw new Error(failure.message);
+  }
+
+  if ((balances.get(gasOwner) || 0) < MOCK_GAS_BUDGET) {
+    throw new Error(
+      `Balance of gas owned by ${gasOwner} is lower than the gas budget: ${MOCK_GAS_BUDGET}`
+    );
+  }
+
+  const walletsBefore = objectIds
+    .filter((objectId) => wallets.has(objectId))
+    .map((objectId) => [objectId, wallets.get(objectId).balance]);
+
+  debit(gasOwner, MOCK_GAS_BUDGET);
+  let balanceChanges;
+  try {
+    balanceChanges = apply();
+  } finally {
+    credit(gasOwner, MOCK_GAS_BUDGET - (balanceChanges ? GAS_FEE : 0));
+  }
+
+  // Net the gas into the gas owner's balance change
+  const net = new Map([[gasOwner, -GAS_FEE]]);
+  for (const { owner, amount } of balanceChanges) {
+    net.set(owner, (net.get(owner) || 0) + amount);
+  }
+
+  // Sui hashes the transaction data; hash what this ledger knows of it
+  const digest = toBase58(
+    hash(
+      JSON.stringify([
+        transactions.size,
+        operation,
+        sender,
+        gasOwner,
+        objectIds,
+        balanceChanges,
+      ])
+    )
+  );
+
+  const transaction = {
+    digest,
+    timestampMs: String(Date.now()),
+    transaction: {
+      data: {
+        sender,
+        gasData: { owner: gasOwner, budget: String(MOCK_GAS_BUDGET) },
+        transaction: {
+          inputs: objectIds.map((objectId) => ({ type: "object", objectId })),
+        },
+      },
+    },
+    effects: {
+      status: { status: "success" },
+      gasUsed: {
+        computationCost: String(MOCK_GAS_USED.computationCost),
+        storageCost: String(MOCK_GAS_USED.storageCost),
+        storageRebate: String(MOCK_GAS_USED.storageRebate),
+      },
+    },
+    events: [],
+    balanceChanges: [...net]
+      .filter(([, amount]) => amount !== 0)
+      .map(([owner, amount]) => ({
+        owner: { AddressOwner: owner },
+        coinType: "0x2::sui::SUI",
+        amount: String(amount),
+      })),
+  };
+  transactions.set(digest, transaction);
+
+  checkpoints.push({
+    sequenceNumber: String(checkpoints.length + 1),
+    transactions: [
+      {
+        digest,
+        timestampMs: Number(transaction.timestampMs),
+        sender,
+        gasOwner,
+        gasFee: GAS_FEE / MIST_PER_SUI,
+        succeeded: true,
+        balanceChanges: [...net]
+          .filter(([, amount]) => amount !== 0)
+          .map(([address, amount]) => ({
+            address,
+            amount: amount / MIST_PER_SUI,
+          })),
+        walletChanges: walletsBefore
+          .map(([walletObjectId, balance]) => ({
+            walletObjectId,
+            amount:
+              (wallets.get(walletObjectId).balance - balance) / MIST_PER_SUI,
+          }))
+          .filter((change) => change.amount !== 0),
+      },
+    ],
+  });
+
+  // Executed, but the caller never hears about it
+  if (failure) {
+    throw new Error(failure.message);
+  }
+
+  return transaction;
+}
+
+/**
+ * Execute a user's transaction. The operator pays the gas while the user's
+ * daily sponsorship budget lasts; after that the user does.
+ * @param {string} operation - Adapter function name
+ * @param {string} sender - User's address
+ * @param {string} kind - What the transaction does, for sponsorship reports
+ * @param {Array} objectIds - Objects the transaction uses
+ * @param {Function} apply - Applies the changes (see execute)
+ * @returns {Promise<string>} - Transaction digest
+ */
+async function executeUserTransaction(
+  operation,
+  sender,
+  kind,
+  objectIds,
+  apply
+) {
+  ensureInitialized();
+
+  if (isSponsorshipEnabled()) {
+    const sponsorshipId = await reserveSponsoredGas(
+      sender,
+      kind,
+      MOCK_GAS_BUDGET
+    );
+
+    if (sponsorshipId) {
+      let transaction;
+      try {
+        transaction = execute(
+          operation,
+          { sender, gasOwner: operatorAddress },
+          objectIds,
+          apply
+        );
+      } catch (error) {
+        await releaseSponsoredGas(sponsorshipId);
+        throw error;
+      }
+
+      await settleSponsoredGas(
+        sponsorshipId,
+        transaction.digest,
+        transaction.effects.gasUsed
+      );
+      return transaction.digest;
+    }
+  }
+
+  return execute(operation, { sender, gasOwner: sender }, objectIds, apply)
+    .digest;
+}
+
+/**
+ * Execute a transaction the operator signs and pays for
+ * @param {string} operation - Adapter function name
+ * @param {Array} objectIds - Objects the transaction uses
+ * @param {Function} apply - Applies the changes (see execute)
+ * @returns {string} - Transaction digest
+ */
+function executeOperatorTransaction(operation, objectIds, apply) {
+  ensureInitialized();
+
+  return execute(
+    operation,
+    { sender: operatorAddress, gasOwner: operatorAddress },
+    objectIds,
+    apply
+  ).digest;
+}
+
+/**
+ * Send MIST from the operator's address
+ * @param {string} operation - Adapter function name
+ * @param {string} receiverAddress - Receiver's address
+ * @param {number} amountInMist - Amount in MIST
+ * @returns {string} - Transaction digest
+ */
+function payOut(operation, receiverAddress, amountInMist) {
+  return executeOperatorTransaction(operation, [], () => {
+    debit(operatorAddress, amountInMist);
+    credit(receiverAddress, amountInMist);
+    return [
+      { owner: operatorAddress, amount: -amountInMist },
+      { owner: receiverAddress, amount: amountInMist },
+    ];
+  });
+}
+
+export { createUserWallet };
+
+export async function createSuiFlowWallet(userMnemonic) {
+  try {
+    const owner = addressOf(userMnemonic);
+    let walletObjectId;
+
+    const txHash = await executeUserTransaction(
+      "createSuiFlowWallet",
+      owner,
+      "create_wallet",
+      [],
+      () => {
+        walletObjectId = `0x${hash(
+          JSON.stringify(["wallet", transactions.size, owner])
+        ).toString("hex")}`;
+        wallets.set(walletObjectId, { owner, balance: 0, frozen: false });
+        return [];
+      }
+    );
+
+    return { walletObjectId, txHash };
+  } catch (error) {
+    throw new Error(`Failed to create SuiFlowWallet: ${error.message}`);
+  }
+}
+
+export async function depositToWallet(
+  walletObjectId,
+  userMnemonic,
+  amountInSui
+) {
+  try {
+    const owner = addressOf(userMnemonic);
+    const amountInMist = toMist(amountInSui);
+
+    return await executeUserTransaction(
+      "depositToWallet",
+      owner,
+      "deposit",
+      [walletObjectId],
+      () => {
+        const wallet = getWallet(walletObjectId);
+        debit(owner, amountInMist);
+        wallet.balance += amountInMist;
+        return [{ owner, amount: -amountInMist }];
+      }
+    );
+  } catch (error) {
+    throw new Error(`Failed to deposit to wallet: ${error.message}`);
+  }
+}
+
+export async function internalTransfer(
+  fromWalletObjectId,
+  toWalletObjectId,
+  senderMnemonic,
+  amountInSui
+) {
+  try {
+    const sender = addressOf(senderMnemonic);
+    const amountInMist = toMist(amountInSui);
+
+    const digest = await executeUserTransaction(
+      "internalTransfer",
+      sender,
+      "transfer",
+      [fromWalletObjectId, toWalletObjectId],
+      () => {
+        const from = getWallet(fromWalletObjectId, sender);
+        const to = getWallet(toWalletObjectId);
+        if (from.frozen || to.frozen) {
+          throw new Error("Wallet is frozen");
+        }
+        if (from.balance < amountInMist) {
+          throw new Error("Insufficient balance");
+        }
+        from.balance -= amountInMist;
+        to.balance += amountInMist;
+        return [];
+      }
+    );
+
+    return { status: "success", digest, explorerUrl: null };
+  } catch (error) {
+    return {
+      status: "failed",
+      digest: null,
+      explorerUrl: null,
+      error: error.message,
+    };
+  }
+}
+
+export async function withdrawFromWallet(
+  walletObjectId,
+  userMnemonic,
+  amountInSui,
+  receiverAddress = null
+) {
+  try {
+    const owner = addressOf(userMnemonic);
+    const receiver = receiverAddress || owner;
+    const amountInMist = toMist(amountInSui);
+
+    return await executeUserTransaction(
+      "withdrawFromWallet",
+      owner,
+      "withdraw",
+      [walletObjectId],
+      () => {
+        const wallet = getWallet(walletObjectId, owner);
+        if (wallet.frozen) {
+          throw new Error("Wallet is frozen");
+        }
+        if (wallet.balance < amountInMist) {
+          throw new Error("Insufficient balance");
+        }
+        wallet.balance -= amountInMist;
+        credit(receiver, amountInMist);
+        return [{ owner: receiver, amount: amountInMist }];
+      }
+    );
+  } catch (error) {
+    throw new Error(`Failed to withdraw from wallet: ${error.message}`);
+  }
+}
+
+export async function getSuiFlowWalletBalance(walletObjectId) {
+  try {
+    ensureInitialized();
+    checkFailure("getSuiFlowWalletBalance");
+    return getWallet(walletObjectId).balance / MIST_PER_SUI;
+  } catch (error) {
+    throw new Error(`Failed to get wallet balance: ${error.message}`);
+  }
+}
+
+/**
+ * Freeze or unfreeze a wallet as the operator
+ * @param {string} operation - Adapter function name
+ * @param {string} walletObjectId - Wallet object ID
+ * @param {boolean} frozen - New state
+ * @returns {string} - Transaction digest
+ */
+function setFrozen(operation, walletObjectId, frozen) {
+  return executeOperatorTransaction(operation, [walletObjectId], () => {
+    getWallet(walletObjectId).frozen = frozen;
+    return [];
+  });
+}
+
+export async function freezeUserWallet(walletObjectId) {
+  try {
+    return setFrozen("freezeUserWallet", walletObjectId, true);
+  } catch (error) {
+    throw new Error(`Failed to freeze wallet: ${error.message}`);
+  }
+}
+
+export async function unfreezeUserWallet(walletObjectId) {
+  try {
+    return setFrozen("unfreezeUserWallet", walletObjectId, false);
+  } catch (error) {
+    throw new Error(`Failed to unfreeze wallet: ${error.message}`);
+  }
+}
+
+export async function fundNewUserAccount(receiverAddress) {
+  try {
+    return await payOut(
+      "fundNewUserAccount",
+      receiverAddress,
+      toMist(NEW_USER_FUNDING_AMOUNT)
+    );
+  } catch (error) {
+    throw new Error(`Failed to fund new user account: ${error.message}`);
+  }
+}
+
+export async function payFromOperator(receiverAddress, amountInSui) {
+  try {
+    return await payOut(
+      "payFromOperator",
+      receiverAddress,
+      toMist(amountInSui)
+    );
+  } catch (error) {
+    throw new Error(`Failed to pay from operator: ${error.message}`);
+  }
+}
+
+export async function sendSui(senderMnemonic, receiverAddress, amountInSui) {
+  try {
+    const sender = addressOf(senderMnemonic);
+    const amountInMist = toMist(amountInSui);
+
+    const digest = await executeUserTransaction(
+      "sendSui",
+      sender,
+      "transfer",
+      [],
+      () => {
+        debit(sender, amountInMist);
+        credit(receiverAddress, amountInMist);
+        return [
+          { owner: sender, amount: -amountInMist },
+          { owner: receiverAddress, amount: amountInMist },
+        ];
+      }
+    );
+
+    return { status: "success", digest, explorerUrl: null };
+  } catch (error) {
+    return {
+      status: "failed",
+      digest: null,
+      explorerUrl: null,
+      error: error.message,
+    };
+  }
+}
+
+export async function estimateTransferFee() {
+  try {
+    ensureInitialized();
+    checkFailure("estimateTransferFee");
+    return {
+      fee: GAS_FEE / MIST_PER_SUI,
+      gasBudget: MOCK_GAS_BUDGET / MIST_PER_SUI,
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+export async function getBalance(address) {
+  try {
+    ensureInitialized();
+    checkFailure("getBalance");
+    return (balances.get(address) || 0) / MIST_PER_SUI;
+  } catch (error) {
+    throw new Error(`Failed to get balance: ${error.message}`);
+  }
+}
+
+export async function getOperatorBalance() {
+  return getBalance(operatorAddress);
+}
+
+export async function getTransactionDetails(txHash) {
+  try {
+    checkFailure("getTransactionDetails");
+    const transaction = transactions.get(txHash);
+    if (!transaction) {
+      throw new Error(
+        `Could not find the referenced transaction [TransactionDigest(${txHash})].`
+      );
+    }
+    return transaction;
+  } catch (error) {
+    throw new Error(`Failed to get transaction details: ${error.message}`);
+  }
+}
+
+export async function findTransactionsFromAddress(address, fromMs, toMs) {
+  checkFailure("findTransactionsFromAddress");
+  return [...transactions.values()]
+    .filter((tx) => {
+      const timestamp = Number(tx.timestampMs);
+      return (
+        tx.transaction.data.sender === address &&
+        timestamp >= fromMs &&
+        timestamp <= toMs
+      );
+    })
+    .reverse();
+}
+
+export async function getChainActivity(cursor, limit) {
+  try {
+    ensureInitialized();
+    checkFailure("getChainActivity");
+
+    if (cursor === null) {
+      return { cursor: String(checkpoints.length), checkpoints: [] };
+    }
+
+    const page = checkpoints.slice(Number(cursor), Number(cursor) + limit);
+    return {
+      cursor: page.length ? page[page.length - 1].sequenceNumber : cursor,
+      checkpoints: page,
+    };
+  } catch (error) {
+    throw new Error(`Failed to read checkpoints: ${error.message}`);
+  }
+}
+
+export function getOperatorAddress() {
+  ensureInitialized();
+  return operatorAddress;
+}
+
+export function getGasPoolStatus() {
+  return null;
+}
+
+export function startWorkers() {}
+
+/**
+ * Send SUI to an address from an outside faucet address
+ * @param {string} address - Receiving address
+ * @param {number} amountInSui - Amount in SUI
+ * @returns {string} - Transaction digest
+ */
+export function mintSui(address, amountInSui) {
+  const amountInMist = toMist(amountInSui);
+
+  return execute(
+    "mintSui",
+    { sender: FAUCET_ADDRESS, gasOwner: FAUCET_ADDRESS },
+    [],
+    () => {
+      debit(FAUCET_ADDRESS, amountInMist);
+      credit(address, amountInMist);
+      return [
+        { owner: FAUCET_ADDRESS, amount: -amountInMist },
+        { owner: address, amount: amountInMist },
+      ];
+    }
+  ).digest;
+}
+
+/**
+ * Make upcoming calls to an adapter function fail
+ * @param {string} operation - Adapter function name, e.g. "internalTransfer"
+ * @param {Object} options - { message, times, executed }; executed failures
+ *   apply the transaction and then fail, like a lost response
+ */
+export function injectFailure(
+  operation,
+  { message = "Injected failure", times = 1, executed = false } = {}
+) {
+  const queued = failures.get(operation) || [];
+  for (let i = 0; i < times; i++) {
+    queued.push({ message, executed });
+  }
+  failures.set(operation, queued);
+}
+
+/**
+ * Drop every injected failure that hasn't happened yet
+ */
+export function clearFailures() {
+  failures.clear();
+}
+
+/**
+ * Start an empty ledger with a funded operator
+ */
+export function init() {
+  balances.clear();
+  wallets.clear();
+  transactions.clear();
+  checkpoints.length = 0;
+  failures.clear();
+
+  const mnemonics = process.env.SUI_OPERATOR_MNEMONICS;
+  const operator = mnemonics
+    ? Ed25519Keypair.deriveKeypair(mnemonics)
+    : new Ed25519Keypair();
+  operatorAddress = operator.getPublicKey().toSuiAddress();
+  credit(operatorAddress, toMist(OPERATOR_BALANCE));
+  credit(FAUCET_ADDRESS, toMist(FAUCET_BALANCE));
+
+  console.log("✅ Mock Sui ledger initialized");
+  console.log(`📍 Operator address: ${operatorAddress}`);
+}
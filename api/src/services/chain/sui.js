@@ -0,0 +1,1180 @@
+import { SuiClient, getFullnodeUrl } from "@mysten/sui/client";
+import { decodeSuiPrivateKey } from "@mysten/sui/cryptography";
+import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
+import { Transaction, coinWithBalance } from "@mysten/sui/transactions";
+import { fromB64, toB64 } from "@mysten/sui/utils";
+import dotenv from "dotenv";
+
+// Load environment variables first
+dotenv.config();
+
+import {
+  SUI_NETWORK,
+  SUI_OPERATOR_MNEMONICS,
+  NEW_USER_FUNDING_AMOUNT,
+} from "../../constants.js";
+import {
+  isSponsorshipEnabled,
+  reserveSponsoredGas,
+  settleSponsoredGas,
+  releaseSponsoredGas,
+} from "../gas-sponsorship.js";
+import {
+  initGasPool,
+  withGasCoin,
+  startGasPoolWorker,
+  getGasPoolStatus,
+} from "./gas-pool.js";
+
+/**
+ * Sui implementation of the chain adapter (see index.js), talking to the
+ * network named by SUI_NETWORK with the operator key from
+ * SUI_OPERATOR_MNEMONICS.
+ */
+
+// Initialize Sui client
+let suiClient;
+let operatorKeypair;
+
+// Smart contract configuration
+const CONTRACTS_PACKAGE_ID = process.env.CONTRACTS_PACKAGE_ID;
+const ADMIN_CAP_OBJECT_ID = process.env.ADMIN_CAP_OBJECT_ID;
+
+/**
+ * Initialize the Sui service
+ */
+function initSuiService() {
+  try {
+    console.log("🔄 Initializing Sui service...");
+    console.log(
+      "DEBUG - SUI_OPERATOR_MNEMONICS env:",
+      process.env.SUI_OPERATOR_MNEMONICS ? "Set" : "Not set"
+    );
+    console.log("DEBUG - SUI_NETWORK env:", process.env.SUI_NETWORK);
+    console.log(
+      "DEBUG - CONTRACTS_PACKAGE_ID env:",
+      process.env.CONTRACTS_PACKAGE_ID ? "Set" : "Not set"
+    );
+
+    // Use environment variables directly
+    const suiNetwork = process.env.SUI_NETWORK || "testnet";
+    const operatorMnemonics = process.env.SUI_OPERATOR_MNEMONICS;
+
+    // Initialize SuiClient based on network
+    const networkUrl = getFullnodeUrl(suiNetwork);
+    suiClient = new SuiClient({ url: networkUrl });
+
+    // Initialize operator keypair from mnemonics
+    if (!operatorMnemonics) {
+      throw new Error("SUI_OPERATOR_MNEMONICS not configured");
+    }
+
+    operatorKeypair = Ed25519Keypair.deriveKeypair(operatorMnemonics);
+    initGasPool(suiClient, operatorKeypair);
+
+    console.log(`✅ Sui service initialized on ${suiNetwork}`);
+    console.log(
+      `📍 Operator address: ${operatorKeypair.getPublicKey().toSuiAddress()}`
+    );
+  } catch (error) {
+    console.error("❌ Failed to initialize Sui service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Sign and execute a transaction as the operator, paying the gas with a
+ * coin leased from the gas pool
+ * @param {Transaction} tx - Unsigned transaction
+ * @param {Object} options - Response options
+ * @param {number} spend - MIST the transaction takes from tx.gas
+ * @returns {Promise<Object>} - Transaction result
+ */
+function executeOperatorTransaction(tx, options, spend = 0) {
+  return withGasCoin(
+    (gasCoin) => {
+      tx.setGasPayment([gasCoin]);
+      return suiClient.signAndExecuteTransaction({
+        transaction: tx,
+        signer: operatorKeypair,
+        options: { ...options, showEffects: true },
+      });
+    },
+    { spend }
+  );
+}
+
+/**
+ * Execute a transaction with the operator paying the gas, if the sender's
+ * daily sponsorship budget covers the gas budget. The sender and the
+ * operator both sign.
+ * @param {Transaction} tx - Unsigned transaction that doesn't use tx.gas
+ * @param {Ed25519Keypair} signer - Sender's keypair
+ * @param {string} kind - What the transaction does, for sponsorship reports
+ * @param {Object} options - Response options
+ * @param {Object} gasCoin - Operator gas coin leased from the gas pool
+ * @returns {Promise<Object|null>} - Transaction result, or null if over budget
+ */
+async function executeSponsored(tx, signer, kind, options, gasCoin) {
+  const senderAddress = signer.getPublicKey().toSuiAddress();
+
+  tx.setSender(senderAddress);
+  tx.setGasOwner(operatorKeypair.getPublicKey().toSuiAddress());
+  tx.setGasPayment([gasCoin]);
+  const transactionBlock = await tx.build({ client: suiClient });
+
+  const sponsorshipId = await reserveSponsoredGas(
+    senderAddress,
+    kind,
+    Number(tx.getData().gasData.budget)
+  );
+  if (!sponsorshipId) {
+    return null;
+  }
+
+  let result;
+  try {
+    const [userSignature, sponsorSignature] = await Promise.all([
+      signer.signTransaction(transactionBlock),
+      operatorKeypair.signTransaction(transactionBlock),
+    ]);
+
+    result = await suiClient.executeTransactionBlock({
+      transactionBlock,
+      signature: [userSignature.signature, sponsorSignature.signature],
+      options,
+    });
+  } catch (error) {
+    // Not executed as far as we know; a lost response costs the operator
+    // the gas without counting it against the user
+    await releaseSponsoredGas(sponsorshipId);
+    throw error;
+  }
+
+  await settleSponsoredGas(
+    sponsorshipId,
+    result.digest,
+    result.effects.gasUsed
+  );
+  console.log(`⛽ Sponsored gas for ${kind} by ${senderAddress}`);
+
+  return result;
+}
+
+/**
+ * Sign and execute a user's transaction. The operator pays the gas while
+ * the user's daily sponsorship budget lasts; after that the user does.
+ * @param {Function} buildTransaction - (sponsored) => Transaction; sponsored
+ *   transactions must not take coins from tx.gas, which is the operator's
+ * @param {Ed25519Keypair} signer - User's keypair
+ * @param {string} kind - What the transaction does, for sponsorship reports
+ * @param {Object} options - Response options
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function executeUserTransaction(buildTransaction, signer, kind, options) {
+  const responseOptions = { ...options, showEffects: true };
+
+  if (isSponsorshipEnabled() && operatorKeypair) {
+    const result = await withGasCoin((gasCoin) =>
+      executeSponsored(
+        buildTransaction(true),
+        signer,
+        kind,
+        responseOptions,
+        gasCoin
+      )
+    );
+    if (result) {
+      return result;
+    }
+
+    console.log(
+      `⛽ Gas sponsorship budget used up for ${signer
+        .getPublicKey()
+        .toSuiAddress()}, sender pays gas`
+    );
+  }
+
+  return suiClient.signAndExecuteTransaction({
+    transaction: buildTransaction(false),
+    signer,
+    options: responseOptions,
+  });
+}
+
+/**
+ * Create a new user wallet (off-chain key generation)
+ * @returns {Object} - Wallet information { address, publicKey, mnemonic }
+ */
+export function createUserWallet() {
+  try {
+    // Generate a new Ed25519 keypair
+    const keypair = new Ed25519Keypair();
+
+    // Extract wallet information
+    const publicKey = keypair.getPublicKey();
+    const address = publicKey.toSuiAddress();
+
+    // Get the secret key (seed) as mnemonic representation. getSecretKey
+    // returns a bech32 "suiprivkey" string, so decode it to the raw seed
+    const { secretKey } = decodeSuiPrivateKey(keypair.getSecretKey());
+    const mnemonic = toB64(secretKey);
+
+    return {
+      address,
+      publicKey: publicKey.toBase64(),
+      mnemonic,
+    };
+  } catch (error) {
+    console.error("❌ Error creating user wallet:", error);
+    throw new Error("Failed to create user wallet");
+  }
+}
+
+/**
+ * Create a SuiFlowWallet smart contract object for a new user
+ * @param {string} userMnemonic - User's mnemonic (base64 encoded secret key)
+ * @returns {Object} - { walletObjectId, txHash }
+ */
+export async function createSuiFlowWallet(userMnemonic) {
+  try {
+    if (!operatorKeypair || !suiClient || !CONTRACTS_PACKAGE_ID) {
+      throw new Error("Sui service or contracts not properly configured");
+    }
+
+    // Create user keypair from mnemonic
+    const secretKeyBytes = fromB64(userMnemonic);
+    const userKeypair = Ed25519Keypair.fromSecretKey(secretKeyBytes);
+    const userAddress = userKeypair.getPublicKey().toSuiAddress();
+
+    const buildTransaction = () => {
+      const tx = new Transaction();
+
+      // Call create_wallet function from suiflow_wallet module - it returns the wallet object
+      const [wallet] = tx.moveCall({
+        target: `${CONTRACTS_PACKAGE_ID}::suiflow_wallet::create_wallet`,
+        arguments: [],
+      });
+
+      // Transfer the wallet to the user
+      tx.transferObjects([wallet], userAddress);
+
+      return tx;
+    };
+
+    // Execute transaction with user's keypair (so they own the wallet)
+    const result = await executeUserTransaction(
+      buildTransaction,
+      userKeypair,
+      "create_wallet",
+      {
+        showEffects: true,
+        showEvents: true,
+        showObjectChanges: true,
+      }
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    // Extract the created wallet object ID
+    const createdObjects = result.objectChanges?.filter(
+      (obj) => obj.type === "created"
+    );
+    const walletObject = createdObjects?.find((obj) =>
+      obj.objectType?.includes("suiflow_wallet::SuiFlowWallet")
+    );
+
+    if (!walletObject) {
+      throw new Error("Failed to find created wallet object");
+    }
+
+    console.log(`✅ Created SuiFlowWallet object: ${walletObject.objectId}`);
+    return {
+      walletObjectId: walletObject.objectId,
+      txHash: result.digest,
+    };
+  } catch (error) {
+    console.error("❌ Error creating SuiFlowWallet:", error);
+    throw new Error(`Failed to create SuiFlowWallet: ${error.message}`);
+  }
+}
+
+/**
+ * Deposit SUI into a SuiFlowWallet
+ * @param {string} walletObjectId - The wallet object ID
+ * @param {string} userMnemonic - User's mnemonic
+ * @param {number} amountInSui - Amount to deposit in SUI
+ * @returns {string} - Transaction digest
+ */
+export async function depositToWallet(
+  walletObjectId,
+  userMnemonic,
+  amountInSui
+) {
+  try {
+    if (!suiClient || !CONTRACTS_PACKAGE_ID) {
+      throw new Error("Sui service or contracts not properly configured");
+    }
+
+    // Create user keypair from mnemonic
+    const secretKeyBytes = fromB64(userMnemonic);
+    const userKeypair = Ed25519Keypair.fromSecretKey(secretKeyBytes);
+
+    // Convert SUI to MIST
+    const amountInMist = Math.floor(amountInSui * 1_000_000_000);
+
+    const buildTransaction = (sponsored) => {
+      const tx = new Transaction();
+
+      // Call deposit function from suiflow_wallet module
+      tx.moveCall({
+        target: `${CONTRACTS_PACKAGE_ID}::suiflow_wallet::deposit`,
+        arguments: [
+          tx.object(walletObjectId),
+          userCoin(tx, amountInMist, sponsored),
+        ],
+      });
+
+      return tx;
+    };
+
+    const result = await executeUserTransaction(
+      buildTransaction,
+      userKeypair,
+      "deposit",
+      {
+        showEffects: true,
+        showEvents: true,
+      }
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    console.log(`✅ Deposited ${amountInSui} SUI to wallet ${walletObjectId}`);
+    return result.digest;
+  } catch (error) {
+    console.error("❌ Error depositing to wallet:", error);
+    throw new Error(`Failed to deposit to wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Take a coin of the given value from the sender's SUI. When the sender pays
+ * gas it is split from the gas coin; a sponsored transaction's gas coin is
+ * the operator's, so the sender's own coins are used instead.
+ * @param {Transaction} tx - Transaction being built
+ * @param {number} amountInMist - Amount in MIST
+ * @param {boolean} sponsored - Whether the operator pays the gas
+ * @returns {Object} - Coin argument
+ */
+function userCoin(tx, amountInMist, sponsored) {
+  if (sponsored) {
+    return tx.add(
+      coinWithBalance({ balance: amountInMist, useGasCoin: false })
+    );
+  }
+
+  const [coin] = tx.splitCoins(tx.gas, [amountInMist]);
+  return coin;
+}
+
+/**
+ * Build a plain coin transfer
+ * @param {string} receiverAddress - Receiver's Sui address
+ * @param {number} amountInMist - Amount in MIST
+ * @param {boolean} sponsored - Whether the operator pays the gas
+ * @returns {Transaction} - Unsigned transaction
+ */
+function buildCoinTransfer(receiverAddress, amountInMist, sponsored = false) {
+  const tx = new Transaction();
+
+  tx.transferObjects([userCoin(tx, amountInMist, sponsored)], receiverAddress);
+
+  return tx;
+}
+
+/**
+ * Build a wallet-to-wallet transfer using internal_transfer
+ * @param {string} fromWalletObjectId - Sender's wallet object ID
+ * @param {string} toWalletObjectId - Receiver's wallet object ID
+ * @param {number} amountInMist - Amount in MIST
+ * @returns {Transaction} - Unsigned transaction
+ */
+function buildInternalTransfer(
+  fromWalletObjectId,
+  toWalletObjectId,
+  amountInMist
+) {
+  const tx = new Transaction();
+
+  // Call internal_transfer function from suiflow_wallet module
+  tx.moveCall({
+    target: `${CONTRACTS_PACKAGE_ID}::suiflow_wallet::internal_transfer`,
+    arguments: [
+      tx.object(fromWalletObjectId),
+      tx.object(toWalletObjectId),
+      tx.pure.u64(amountInMist),
+    ],
+  });
+
+  return tx;
+}
+
+/**
+ * Build a withdrawal from a SuiFlowWallet to an address
+ * @param {string} walletObjectId - Wallet object ID
+ * @param {number} amountInMist - Amount in MIST
+ * @param {string} receiverAddress - Address the withdrawn coin goes to
+ * @returns {Transaction} - Unsigned transaction
+ */
+function buildWalletWithdrawal(walletObjectId, amountInMist, receiverAddress) {
+  const tx = new Transaction();
+
+  // Call withdraw function from suiflow_wallet module
+  const [withdrawnCoin] = tx.moveCall({
+    target: `${CONTRACTS_PACKAGE_ID}::suiflow_wallet::withdraw`,
+    arguments: [tx.object(walletObjectId), tx.pure.u64(amountInMist)],
+  });
+
+  tx.transferObjects([withdrawnCoin], receiverAddress);
+
+  return tx;
+}
+
+/**
+ * Estimate the network fee for a transfer with a dry run. Gas doesn't depend
+ * on the amount, so the estimate moves a single MIST and holds for any
+ * amount (and for working out the most a sender can send).
+ * @param {string} senderAddress - Sender's Sui address
+ * @param {Object} target - { receiverAddress } for a coin transfer,
+ *   { fromWalletObjectId, toWalletObjectId } for a wallet-to-wallet transfer,
+ *   or { fromWalletObjectId, receiverAddress } for a wallet withdrawal
+ * @param {boolean} sponsored - Estimate with the operator paying the gas
+ * @returns {Object} - { fee, gasBudget } in SUI: the expected charge, and the
+ *   budget the gas payer's coins must cover
+ */
+export async function estimateTransferFee(
+  senderAddress,
+  target,
+  sponsored = false
+) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    let tx;
+    if (target.toWalletObjectId) {
+      tx = buildInternalTransfer(
+        target.fromWalletObjectId,
+        target.toWalletObjectId,
+        1
+      );
+    } else if (target.fromWalletObjectId) {
+      tx = buildWalletWithdrawal(
+        target.fromWalletObjectId,
+        1,
+        target.receiverAddress
+      );
+    } else {
+      tx = buildCoinTransfer(target.receiverAddress, 1, sponsored);
+    }
+    tx.setSender(senderAddress);
+    if (sponsored) {
+      tx.setGasOwner(operatorKeypair.getPublicKey().toSuiAddress());
+    }
+
+    // Building sets the gas budget from a dry run of its own
+    const transactionBlock = await tx.build({ client: suiClient });
+    const dryRun = await suiClient.dryRunTransactionBlock({ transactionBlock });
+
+    if (dryRun.effects.status.status !== "success") {
+      throw new Error(`Dry run failed: ${dryRun.effects.status.error}`);
+    }
+
+    const { computationCost, storageCost, storageRebate } =
+      dryRun.effects.gasUsed;
+    const feeInMist =
+      BigInt(computationCost) + BigInt(storageCost) - BigInt(storageRebate);
+    const budgetInMist = BigInt(tx.getData().gasData.budget);
+
+    return {
+      fee: Number(feeInMist > 0n ? feeInMist : 0n) / 1_000_000_000,
+      gasBudget: Number(budgetInMist) / 1_000_000_000,
+    };
+  } catch (error) {
+    console.error("❌ Error estimating transfer fee:", error);
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+/**
+ * Transfer SUI between two SuiFlowWallets using internal_transfer
+ * @param {string} fromWalletObjectId - Sender's wallet object ID
+ * @param {string} toWalletObjectId - Receiver's wallet object ID
+ * @param {string} senderMnemonic - Sender's mnemonic
+ * @param {number} amountInSui - Amount to transfer in SUI
+ * @returns {Object} - Transaction result { status, digest, explorerUrl }
+ */
+export async function internalTransfer(
+  fromWalletObjectId,
+  toWalletObjectId,
+  senderMnemonic,
+  amountInSui
+) {
+  try {
+    if (!suiClient || !CONTRACTS_PACKAGE_ID) {
+      throw new Error("Sui service or contracts not properly configured");
+    }
+
+    // Create sender keypair from mnemonic
+    const secretKeyBytes = fromB64(senderMnemonic);
+    const senderKeypair = Ed25519Keypair.fromSecretKey(secretKeyBytes);
+
+    // Convert SUI to MIST
+    const amountInMist = Math.floor(amountInSui * 1_000_000_000);
+
+    const result = await executeUserTransaction(
+      () =>
+        buildInternalTransfer(
+          fromWalletObjectId,
+          toWalletObjectId,
+          amountInMist
+        ),
+      senderKeypair,
+      "internal_transfer",
+      {
+        showEffects: true,
+        showEvents: true,
+      }
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    // Create explorer URL
+    const explorerUrl = `https://suiscan.xyz/${SUI_NETWORK}/tx/${result.digest}`;
+
+    console.log(`✅ Internal transfer successful: ${result.digest}`);
+
+    return {
+      status: "success",
+      digest: result.digest,
+      explorerUrl,
+    };
+  } catch (error) {
+    console.error("❌ Error in internal transfer:", error);
+
+    return {
+      status: "failed",
+      digest: null,
+      explorerUrl: null,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Withdraw SUI from a SuiFlowWallet
+ * @param {string} walletObjectId - The wallet object ID
+ * @param {string} userMnemonic - User's mnemonic
+ * @param {number} amountInSui - Amount to withdraw in SUI
+ * @param {string} receiverAddress - Where to send it (the user's own
+ *   address if omitted)
+ * @returns {string} - Transaction digest
+ */
+export async function withdrawFromWallet(
+  walletObjectId,
+  userMnemonic,
+  amountInSui,
+  receiverAddress = null
+) {
+  try {
+    if (!suiClient || !CONTRACTS_PACKAGE_ID) {
+      throw new Error("Sui service or contracts not properly configured");
+    }
+
+    // Create user keypair from mnemonic
+    const secretKeyBytes = fromB64(userMnemonic);
+    const userKeypair = Ed25519Keypair.fromSecretKey(secretKeyBytes);
+
+    // Convert SUI to MIST
+    const amountInMist = Math.floor(amountInSui * 1_000_000_000);
+
+    const buildTransaction = () =>
+      buildWalletWithdrawal(
+        walletObjectId,
+        amountInMist,
+        receiverAddress || userKeypair.getPublicKey().toSuiAddress()
+      );
+
+    const result = await executeUserTransaction(
+      buildTransaction,
+      userKeypair,
+      "withdraw",
+      {
+        showEffects: true,
+        showEvents: true,
+      }
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    console.log(`✅ Withdrew ${amountInSui} SUI from wallet ${walletObjectId}`);
+    return result.digest;
+  } catch (error) {
+    console.error("❌ Error withdrawing from wallet:", error);
+    throw new Error(`Failed to withdraw from wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Get the balance of a SuiFlowWallet by reading its object
+ * @param {string} walletObjectId - The wallet object ID
+ * @returns {number} - Balance in SUI
+ */
+export async function getSuiFlowWalletBalance(walletObjectId) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    // Get the wallet object
+    const walletObject = await suiClient.getObject({
+      id: walletObjectId,
+      options: {
+        showContent: true,
+        showType: true,
+      },
+    });
+
+    if (walletObject.error) {
+      throw new Error(
+        `Failed to get wallet object: ${walletObject.error.message}`
+      );
+    }
+
+    // Extract balance from the wallet object
+    const content = walletObject.data?.content;
+    if (content?.dataType === "moveObject") {
+      const fields = content.fields;
+      const balanceInMist = parseInt(fields.balance || "0");
+      const balanceInSui = balanceInMist / 1_000_000_000;
+
+      return balanceInSui;
+    }
+
+    throw new Error("Invalid wallet object format");
+  } catch (error) {
+    console.error("❌ Error getting SuiFlowWallet balance:", error);
+    throw new Error(`Failed to get wallet balance: ${error.message}`);
+  }
+}
+
+/**
+ * Freeze a user's SuiFlowWallet (admin function)
+ * @param {string} walletObjectId - The wallet object ID to freeze
+ * @returns {string} - Transaction digest
+ */
+export async function freezeUserWallet(walletObjectId) {
+  try {
+    if (
+      !operatorKeypair ||
+      !suiClient ||
+      !CONTRACTS_PACKAGE_ID ||
+      !ADMIN_CAP_OBJECT_ID
+    ) {
+      throw new Error("Admin service not properly configured");
+    }
+
+    // Create transaction
+    const tx = new Transaction();
+
+    // Call freeze_user_wallet function from suiflow_admin module
+    tx.moveCall({
+      target: `${CONTRACTS_PACKAGE_ID}::suiflow_admin::freeze_user_wallet`,
+      arguments: [tx.object(ADMIN_CAP_OBJECT_ID), tx.object(walletObjectId)],
+    });
+
+    // Execute transaction with operator's keypair (admin)
+    const result = await executeOperatorTransaction(tx, {
+      showEffects: true,
+      showEvents: true,
+    });
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    console.log(`✅ Froze wallet ${walletObjectId}`);
+    return result.digest;
+  } catch (error) {
+    console.error("❌ Error freezing wallet:", error);
+    throw new Error(`Failed to freeze wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Unfreeze a user's SuiFlowWallet (admin function)
+ * @param {string} walletObjectId - The wallet object ID to unfreeze
+ * @returns {string} - Transaction digest
+ */
+export async function unfreezeUserWallet(walletObjectId) {
+  try {
+    if (
+      !operatorKeypair ||
+      !suiClient ||
+      !CONTRACTS_PACKAGE_ID ||
+      !ADMIN_CAP_OBJECT_ID
+    ) {
+      throw new Error("Admin service not properly configured");
+    }
+
+    // Create transaction
+    const tx = new Transaction();
+
+    // Call unfreeze_user_wallet function from suiflow_admin module
+    tx.moveCall({
+      target: `${CONTRACTS_PACKAGE_ID}::suiflow_admin::unfreeze_user_wallet`,
+      arguments: [tx.object(ADMIN_CAP_OBJECT_ID), tx.object(walletObjectId)],
+    });
+
+    // Execute transaction with operator's keypair (admin)
+    const result = await executeOperatorTransaction(tx, {
+      showEffects: true,
+      showEvents: true,
+    });
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    console.log(`✅ Unfroze wallet ${walletObjectId}`);
+    return result.digest;
+  } catch (error) {
+    console.error("❌ Error unfreezing wallet:", error);
+    throw new Error(`Failed to unfreeze wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Fund a new user account with gas for initial transactions
+ * @param {string} receiverAddress - The address to fund
+ * @returns {string} - Transaction digest
+ */
+export async function fundNewUserAccount(receiverAddress) {
+  try {
+    const digest = await payFromOperator(
+      receiverAddress,
+      NEW_USER_FUNDING_AMOUNT
+    );
+
+    console.log(
+      `✅ Funded new user account ${receiverAddress} with ${NEW_USER_FUNDING_AMOUNT} SUI`
+    );
+    return digest;
+  } catch (error) {
+    console.error("❌ Error funding new user account:", error);
+    throw new Error(`Failed to fund new user account: ${error.message}`);
+  }
+}
+
+/**
+ * Send SUI from the operator's address (e.g. paying out escrow)
+ * @param {string} receiverAddress - Receiver's Sui address
+ * @param {number} amountInSui - Amount to send in SUI
+ * @returns {string} - Transaction digest
+ */
+export async function payFromOperator(receiverAddress, amountInSui) {
+  try {
+    if (!operatorKeypair || !suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    // Convert SUI to MIST (1 SUI = 1,000,000,000 MIST)
+    const amountInMist = Math.floor(amountInSui * 1_000_000_000);
+
+    // Create transaction
+    const tx = new Transaction();
+
+    // Split coins and transfer to the receiver
+    const [coin] = tx.splitCoins(tx.gas, [amountInMist]);
+    tx.transferObjects([coin], receiverAddress);
+
+    // Execute transaction
+    const result = await executeOperatorTransaction(
+      tx,
+      {
+        showEffects: true,
+        showEvents: true,
+      },
+      amountInMist
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    return result.digest;
+  } catch (error) {
+    console.error("❌ Error paying from operator:", error);
+    throw new Error(`Failed to pay from operator: ${error.message}`);
+  }
+}
+
+/**
+ * Send SUI from a user's address to another address
+ * @param {string} senderMnemonic - Sender's mnemonic (base64 encoded secret key)
+ * @param {string} receiverAddress - Receiver's Sui address
+ * @param {number} amountInSui - Amount to send in SUI
+ * @returns {Object} - Transaction result { status, digest, explorerUrl }
+ */
+export async function sendSui(senderMnemonic, receiverAddress, amountInSui) {
+  let senderKeypair = null;
+
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    // Create temporary sender keypair from mnemonic
+    const secretKeyBytes = fromB64(senderMnemonic);
+    senderKeypair = Ed25519Keypair.fromSecretKey(secretKeyBytes);
+
+    const senderAddress = senderKeypair.getPublicKey().toSuiAddress();
+
+    // Convert SUI to MIST
+    const amountInMist = Math.floor(amountInSui * 1_000_000_000);
+
+    // Check sender balance first
+    const balance = await getBalance(senderAddress);
+    if (balance < amountInSui) {
+      throw new Error("Insufficient balance");
+    }
+
+    const result = await executeUserTransaction(
+      (sponsored) =>
+        buildCoinTransfer(receiverAddress, amountInMist, sponsored),
+      senderKeypair,
+      "transfer",
+      {
+        showEffects: true,
+        showEvents: true,
+      }
+    );
+
+    if (result.effects?.status?.status !== "success") {
+      throw new Error(`Transaction failed: ${result.effects?.status?.error}`);
+    }
+
+    // Create explorer URL
+    const explorerUrl = `https://suiscan.xyz/${SUI_NETWORK}/tx/${result.digest}`;
+
+    console.log(`✅ Transaction successful: ${result.digest}`);
+
+    return {
+      status: "success",
+      digest: result.digest,
+      explorerUrl,
+    };
+  } catch (error) {
+    console.error("❌ Error sending SUI:", error);
+
+    return {
+      status: "failed",
+      digest: null,
+      explorerUrl: null,
+      error: error.message,
+    };
+  } finally {
+    // Clear the temporary keypair from memory for security
+    if (senderKeypair) {
+      senderKeypair = null;
+    }
+  }
+}
+
+/**
+ * Get the SUI balance of an address
+ * @param {string} address - Sui address
+ * @returns {number} - Balance in SUI
+ */
+export async function getBalance(address) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    // Get balance in MIST
+    const balanceResponse = await suiClient.getBalance({
+      owner: address,
+      coinType: "0x2::sui::SUI",
+    });
+
+    const balanceInMist = parseInt(balanceResponse.totalBalance);
+
+    // Convert MIST to SUI
+    const balanceInSui = balanceInMist / 1_000_000_000;
+
+    return balanceInSui;
+  } catch (error) {
+    console.error("❌ Error getting balance:", error);
+    throw new Error(`Failed to get balance: ${error.message}`);
+  }
+}
+
+/**
+ * Get the operator's SUI balance
+ * @returns {number} - Balance in SUI
+ */
+export async function getOperatorBalance() {
+  try {
+    return await getBalance(getOperatorAddress());
+  } catch (error) {
+    console.error("❌ Error getting operator balance:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get transaction details
+ * @param {string} txHash - Transaction hash
+ * @returns {Object} - Transaction details
+ */
+export async function getTransactionDetails(txHash) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    const txResult = await suiClient.getTransactionBlock({
+      digest: txHash,
+      options: {
+        showInput: true,
+        showEffects: true,
+        showEvents: true,
+      },
+    });
+
+    return txResult;
+  } catch (error) {
+    console.error("❌ Error getting transaction details:", error);
+    throw new Error(`Failed to get transaction details: ${error.message}`);
+  }
+}
+
+/**
+ * Find transactions signed by an address within a time range
+ * @param {string} address - Sender's Sui address
+ * @param {number} fromMs - Start of the range (milliseconds)
+ * @param {number} toMs - End of the range (milliseconds)
+ * @returns {Array} - Transaction blocks with input, effects and balance changes
+ */
+export async function findTransactionsFromAddress(address, fromMs, toMs) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    const matches = [];
+    let cursor = null;
+    let morePages = true;
+
+    // Newest first, so stop paging once we're past the start of the range
+    while (morePages) {
+      const page = await suiClient.queryTransactionBlocks({
+        filter: { FromAddress: address },
+        options: {
+          showInput: true,
+          showEffects: true,
+          showBalanceChanges: true,
+        },
+        order: "descending",
+        cursor,
+        limit: 50,
+      });
+
+      for (const tx of page.data) {
+        const timestamp = Number(tx.timestampMs);
+        if (timestamp >= fromMs && timestamp <= toMs) {
+          matches.push(tx);
+        }
+      }
+
+      const oldest = page.data[page.data.length - 1];
+      morePages =
+        page.hasNextPage && !!oldest && Number(oldest.timestampMs) >= fromMs;
+      cursor = page.nextCursor;
+    }
+
+    return matches;
+  } catch (error) {
+    console.error("❌ Error querying transactions:", error);
+    throw new Error(`Failed to query transactions: ${error.message}`);
+  }
+}
+
+/**
+ * Get the operator's address
+ * @returns {string} - Operator's Sui address
+ */
+export function getOperatorAddress() {
+  if (!operatorKeypair) {
+    throw new Error("Operator keypair not initialized");
+  }
+  return operatorKeypair.getPublicKey().toSuiAddress();
+}
+
+/**
+ * Work out how much a transaction moved into or out of each SuiFlowWallet
+ * it changed, from the wallet's balance before and after
+ * @param {Object} tx - Transaction block with object changes
+ * @returns {Promise<Array>} - [{ walletObjectId, amount }] in SUI
+ */
+async function getWalletChanges(tx) {
+  const walletType = `${CONTRACTS_PACKAGE_ID}::suiflow_wallet::SuiFlowWallet`;
+  const mutated = (tx.objectChanges || []).filter(
+    (change) => change.type === "mutated" && change.objectType === walletType
+  );
+  if (mutated.length === 0) {
+    return [];
+  }
+
+  const versions = await suiClient.tryMultiGetPastObjects({
+    args: mutated.flatMap((change) => [
+      { objectId: change.objectId, version: change.previousVersion },
+      { objectId: change.objectId, version: change.version },
+    ]),
+    options: { showContent: true },
+  });
+  const balanceAt = (result) =>
+    BigInt(result.details?.content?.fields?.balance || "0");
+
+  return mutated
+    .map((change, i) => ({
+      walletObjectId: change.objectId,
+      amount:
+        Number(balanceAt(versions[2 * i + 1]) - balanceAt(versions[2 * i])) /
+        1_000_000_000,
+    }))
+    .filter((change) => change.amount !== 0);
+}
+
+/**
+ * Summarize a transaction block for the indexer
+ * @param {Object} tx - Transaction block with input, effects, balance and
+ *   object changes
+ * @returns {Promise<Object>} - { digest, timestampMs, sender, gasOwner,
+ *   gasFee, succeeded, balanceChanges: [{ address, amount }],
+ *   walletChanges: [{ walletObjectId, amount }] } in SUI
+ */
+async function toActivity(tx) {
+  const { computationCost, storageCost, storageRebate } = tx.effects.gasUsed;
+  const succeeded = tx.effects.status.status === "success";
+
+  return {
+    digest: tx.digest,
+    timestampMs: Number(tx.timestampMs),
+    sender: tx.transaction.data.sender,
+    gasOwner: tx.transaction.data.gasData.owner,
+    gasFee:
+      Number(
+        BigInt(computationCost) + BigInt(storageCost) - BigInt(storageRebate)
+      ) / 1_000_000_000,
+    succeeded,
+    balanceChanges: (tx.balanceChanges || [])
+      .filter(
+        (change) =>
+          change.coinType === "0x2::sui::SUI" && change.owner?.AddressOwner
+      )
+      .map((change) => ({
+        address: change.owner.AddressOwner,
+        amount: Number(change.amount) / 1_000_000_000,
+      })),
+    walletChanges: succeeded ? await getWalletChanges(tx) : [],
+  };
+}
+
+/**
+ * Read the checkpoints after a cursor, for the chain indexer
+ * @param {string|null} cursor - Last checkpoint read, or null to start from
+ *   the latest checkpoint without reading history
+ * @param {number} limit - Maximum number of checkpoints
+ * @returns {Promise<Object>} - { cursor, checkpoints: [{ sequenceNumber,
+ *   transactions }] }; transactions are summarized by toActivity
+ */
+export async function getChainActivity(cursor, limit) {
+  try {
+    if (!suiClient) {
+      throw new Error("Sui service not initialized");
+    }
+
+    if (cursor === null) {
+      const latest = await suiClient.getLatestCheckpointSequenceNumber();
+      return { cursor: latest, checkpoints: [] };
+    }
+
+    const page = await suiClient.getCheckpoints({
+      cursor,
+      limit,
+      descendingOrder: false,
+    });
+
+    const checkpoints = [];
+    for (const checkpoint of page.data) {
+      const blocks = [];
+      // The RPC takes at most 50 digests at a time
+      for (let i = 0; i < checkpoint.transactions.length; i += 50) {
+        blocks.push(
+          ...(await suiClient.multiGetTransactionBlocks({
+            digests: checkpoint.transactions.slice(i, i + 50),
+            options: {
+              showInput: true,
+              showEffects: true,
+              showBalanceChanges: true,
+              showObjectChanges: true,
+            },
+          }))
+        );
+      }
+
+      checkpoints.push({
+        sequenceNumber: checkpoint.sequenceNumber,
+        transactions: await Promise.all(blocks.map(toActivity)),
+      });
+    }
+
+    return {
+      cursor: checkpoints.length
+        ? checkpoints[checkpoints.length - 1].sequenceNumber
+        : cursor,
+      checkpoints,
+    };
+  } catch (error) {
+    console.error("❌ Error reading checkpoints:", error);
+    throw new Error(`Failed to read checkpoints: ${error.message}`);
+  }
+}
+
+/**
+ * Start background work: keeping the operator's gas coins split
+ */
+export function startWorkers() {
+  startGasPoolWorker();
+}
+
+export { getGasPoolStatus };
+
+/**
+ * Initialize the Sui service
+ */
+export function init() {
+  return initSuiService();
+}
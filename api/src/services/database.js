@@ -1,17 +1,57 @@
 import sqlite3 from "sqlite3";
 import path from "path";
 import { fileURLToPath } from "url";
-import { TRANSACTION_STATUS } from "../constants.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TRANSITIONS,
+  TRANSACTION_TYPES,
+  ESCROW_STATUS,
+  PAYMENT_REQUEST_STATUS,
+} from "../constants.js";
+import { DEFAULT_LANGUAGE } from "../i18n/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Database file path
-const DB_PATH = path.join(__dirname, "../../suiflow.db");
+// Database file path (":memory:" for a throwaway database, e.g. in tests)
+const DB_PATH =
+  process.env.DB_PATH || path.join(__dirname, "../../suiflow.db");
 
 // Initialize SQLite database
 const db = new sqlite3.Database(DB_PATH);
 
+/**
+ * Get the CREATE TABLE statement for transactions. Deposits and withdrawals
+ * have an outside party, identified by counterpartyAddress, and no phone
+ * number on that side.
+ * @param {string} name - Table name
+ * @returns {string} - SQL statement
+ */
+function transactionsTable(name) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      senderPhone TEXT,
+      receiverPhone TEXT,
+      counterpartyAddress TEXT,
+      amount REAL NOT NULL,
+      txHash TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'created',
+      errorMessage TEXT,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      submittedAt TIMESTAMP,
+      confirmedAt TIMESTAMP,
+      failedAt TIMESTAMP,
+      reversedAt TIMESTAMP,
+      idempotencyKey TEXT,
+      type TEXT NOT NULL DEFAULT 'transfer',
+      supersededBy INTEGER REFERENCES transactions(id),
+      FOREIGN KEY (senderPhone) REFERENCES users(phone),
+      FOREIGN KEY (receiverPhone) REFERENCES users(phone)
+    )
+  `;
+}
+
 /**
  * Initialize the database and create tables if they don't exist
  */
@@ -29,6 +69,10 @@ export function initDB() {
           pinHash TEXT NOT NULL,
           walletObjectId TEXT UNIQUE,
           failedAttempts INTEGER DEFAULT 0,
+          lockedUntil INTEGER,
+          lockoutCount INTEGER NOT NULL DEFAULT 0,
+          recoveryEnvelope TEXT,
+          language TEXT NOT NULL DEFAULT 'en',
           createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
@@ -47,19 +91,354 @@ export function initDB() {
         }
       );
 
+      // Add language column if it doesn't exist (migration)
+      db.run(
+        `
+        ALTER TABLE users ADD COLUMN language TEXT NOT NULL DEFAULT 'en'
+      `,
+        (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes("duplicate column name")) {
+            console.warn("Warning adding language column:", err.message);
+          }
+        }
+      );
+
+      // Add PIN lockout columns if they don't exist (migration)
+      db.run(`ALTER TABLE users ADD COLUMN lockedUntil INTEGER`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes("duplicate column name")) {
+          console.warn("Warning adding lockedUntil column:", err.message);
+        }
+      });
+
+      db.run(
+        `ALTER TABLE users ADD COLUMN lockoutCount INTEGER NOT NULL DEFAULT 0`,
+        (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes("duplicate column name")) {
+            console.warn("Warning adding lockoutCount column:", err.message);
+          }
+        }
+      );
+
+      // Add recoveryEnvelope column if it doesn't exist (migration)
+      db.run(`ALTER TABLE users ADD COLUMN recoveryEnvelope TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes("duplicate column name")) {
+          console.warn("Warning adding recoveryEnvelope column:", err.message);
+        }
+      });
+
       // Transactions table
+      db.run(transactionsTable("transactions"));
+
+      // Add transition timestamp columns if they don't exist (migration)
+      for (const column of [
+        "submittedAt",
+        "confirmedAt",
+        "failedAt",
+        "reversedAt",
+      ]) {
+        db.run(
+          `ALTER TABLE transactions ADD COLUMN ${column} TIMESTAMP`,
+          (err) => {
+            // Ignore error if column already exists
+            if (err && !err.message.includes("duplicate column name")) {
+              console.warn(`Warning adding ${column} column:`, err.message);
+            }
+          }
+        );
+      }
+
+      // Add type column if it doesn't exist (migration)
+      db.run(
+        `ALTER TABLE transactions ADD COLUMN type TEXT NOT NULL DEFAULT 'transfer'`,
+        (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes("duplicate column name")) {
+            console.warn("Warning adding type column:", err.message);
+          }
+        }
+      );
+
+      // Add idempotencyKey column if it doesn't exist (migration)
+      db.run(
+        `ALTER TABLE transactions ADD COLUMN idempotencyKey TEXT`,
+        (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes("duplicate column name")) {
+            console.warn("Warning adding idempotencyKey column:", err.message);
+          }
+        }
+      );
+
+      // Add supersededBy column if it doesn't exist (migration). It links a
+      // legacy pending row to the row that recorded the same transfer's
+      // outcome (see MIGRATIONS)
+      db.run(
+        `ALTER TABLE transactions ADD COLUMN supersededBy INTEGER REFERENCES transactions(id)`,
+        (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes("duplicate column name")) {
+            console.warn("Warning adding supersededBy column:", err.message);
+          }
+        }
+      );
+
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency
+        ON transactions (senderPhone, idempotencyKey)
+        WHERE idempotencyKey IS NOT NULL
+      `);
+
+      // Idempotency keys with the stored response for replays
+      db.run(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          scope TEXT NOT NULL,
+          key TEXT NOT NULL,
+          requestHash TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'processing',
+          responseStatus INTEGER,
+          responseBody TEXT,
+          createdAt INTEGER NOT NULL,
+          expiresAt INTEGER NOT NULL,
+          PRIMARY KEY (scope, key)
+        )
+      `);
+
+      // USSD sessions table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS ussd_sessions (
+          sessionId TEXT PRIMARY KEY,
+          phone TEXT NOT NULL,
+          data TEXT NOT NULL,
+          expiresAt INTEGER NOT NULL,
+          updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_ussd_sessions_expiresAt
+        ON ussd_sessions (expiresAt)
+      `);
+
+      // Signatures of accepted USSD callbacks, kept to reject replays
+      db.run(`
+        CREATE TABLE IF NOT EXISTS ussd_signatures (
+          signature TEXT PRIMARY KEY,
+          expiresAt INTEGER NOT NULL
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_ussd_signatures_expiresAt
+        ON ussd_signatures (expiresAt)
+      `);
+
+      // Rate limit counters (one row per policy, key and fixed window)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS rate_limit_counters (
+          policy TEXT NOT NULL,
+          key TEXT NOT NULL,
+          windowStart INTEGER NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (policy, key, windowStart)
+        )
+      `);
+
+      // Throttled requests, counted per policy, key and window. These used
+      // to be one rate_limit_events row per request, which an attacker could
+      // grow without bound; that table only ever held diagnostics.
+      db.run(`DROP TABLE IF EXISTS rate_limit_events`);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS rate_limit_blocks (
+          policy TEXT NOT NULL,
+          key TEXT NOT NULL,
+          windowStart INTEGER NOT NULL,
+          blockedRequests INTEGER NOT NULL DEFAULT 1,
+          rateLimit INTEGER NOT NULL,
+          firstBlockedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          lastBlockedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (policy, key, windowStart)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_rate_limit_blocks_lastBlockedAt
+        ON rate_limit_blocks (lastBlockedAt)
+      `);
+
+      // PIN reset codes issued by admins
+      db.run(`
+        CREATE TABLE IF NOT EXISTS pin_resets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phone TEXT NOT NULL,
+          codeHash TEXT NOT NULL,
+          issuedBy TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          expiresAt INTEGER NOT NULL,
+          usedAt INTEGER,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (phone) REFERENCES users (phone)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_pin_resets_phone
+        ON pin_resets (phone)
+      `);
+
+      // Notifications table (SMS delivery queue and log)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phone TEXT NOT NULL,
+          event TEXT NOT NULL,
+          language TEXT NOT NULL,
+          message TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          provider TEXT,
+          providerMessageId TEXT,
+          lastError TEXT,
+          nextAttemptAt INTEGER,
+          sentAt INTEGER,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_notifications_due
+        ON notifications (status, nextAttemptAt)
+      `);
+
+      // Outbound transfer queue, executed one job at a time per sender
+      db.run(`
+        CREATE TABLE IF NOT EXISTS transfer_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transactionId INTEGER NOT NULL UNIQUE,
+          senderAddress TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          lastError TEXT,
+          nextAttemptAt INTEGER NOT NULL,
+          startedAt INTEGER,
+          finishedAt INTEGER,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (transactionId) REFERENCES transactions(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_transfer_jobs_sender
+        ON transfer_jobs (senderAddress, status)
+      `);
+
+      // Discrepancies found by the reconciliation worker, one per
+      // transaction and issue
+      db.run(`
+        CREATE TABLE IF NOT EXISTS reconciliation_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transactionId INTEGER NOT NULL,
+          issue TEXT NOT NULL,
+          previousStatus TEXT NOT NULL,
+          resolvedStatus TEXT,
+          txHash TEXT,
+          details TEXT,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (transactionId, issue),
+          FOREIGN KEY (transactionId) REFERENCES transactions(id)
+        )
+      `);
+
+      // Gas paid by the operator for user transactions. gasBudget is held
+      // against the user's daily budget until gasUsed is known (amounts in
+      // MIST, times in milliseconds).
+      db.run(`
+        CREATE TABLE IF NOT EXISTS gas_sponsorships (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          senderAddress TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          gasBudget INTEGER NOT NULL,
+          gasUsed INTEGER,
+          txHash TEXT,
+          createdAt INTEGER NOT NULL
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_gas_sponsorships_sender
+        ON gas_sponsorships (senderAddress, createdAt)
+      `);
+
+      // How far the chain indexer has read, by stream (e.g. checkpoints)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS chain_cursors (
+          name TEXT PRIMARY KEY,
+          cursor TEXT NOT NULL,
+          updatedAt INTEGER NOT NULL
+        )
+      `);
+
+      // Sends to unregistered numbers held in escrow, one per escrow
+      // transaction
       db.run(`
-        CREATE TABLE IF NOT EXISTS transactions (
+        CREATE TABLE IF NOT EXISTS escrow_claims (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transactionId INTEGER NOT NULL UNIQUE,
           senderPhone TEXT NOT NULL,
-          receiverPhone TEXT NOT NULL,
+          recipientPhone TEXT NOT NULL,
+          amount REAL NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          expiresAt INTEGER NOT NULL,
+          payoutTxHash TEXT,
+          lastError TEXT,
+          settledAt INTEGER,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (transactionId) REFERENCES transactions(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_escrow_claims_recipient
+        ON escrow_claims (recipientPhone, status)
+      `);
+
+      // Requests for money from one user to another; transactionId is the
+      // transfer made when the payer accepts
+      db.run(`
+        CREATE TABLE IF NOT EXISTS payment_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          requesterPhone TEXT NOT NULL,
+          payerPhone TEXT NOT NULL,
           amount REAL NOT NULL,
-          txHash TEXT UNIQUE,
           status TEXT NOT NULL DEFAULT 'pending',
-          errorMessage TEXT,
-          timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (senderPhone) REFERENCES users(phone),
-          FOREIGN KEY (receiverPhone) REFERENCES users(phone)
+          transactionId INTEGER,
+          expiresAt INTEGER NOT NULL,
+          respondedAt INTEGER,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (requesterPhone) REFERENCES users(phone),
+          FOREIGN KEY (payerPhone) REFERENCES users(phone),
+          FOREIGN KEY (transactionId) REFERENCES transactions(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_payment_requests_payer
+        ON payment_requests (payerPhone, status)
+      `);
+
+      // Outside Sui addresses users have saved to send to
+      db.run(`
+        CREATE TABLE IF NOT EXISTS saved_addresses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phone TEXT NOT NULL,
+          label TEXT NOT NULL,
+          address TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (phone, address),
+          FOREIGN KEY (phone) REFERENCES users (phone)
         )
       `);
 
@@ -79,7 +458,7 @@ export function initDB() {
           if (err) {
             reject(err);
           } else {
-            resolve();
+            runMigrations().then(resolve, reject);
           }
         }
       );
@@ -87,6 +466,139 @@ export function initDB() {
   });
 }
 
+/**
+ * One-off data migrations, in order. PRAGMA user_version records how many
+ * have been applied, so each runs once per database.
+ */
+const MIGRATIONS = [
+  // 1: Move to the transaction state machine. Transfers used to insert a
+  // pending row and then a second row with the outcome. Link each of those
+  // pending rows to its outcome row rather than deleting it. Pending rows
+  // with no outcome row are settled by migration 3.
+  [
+    `
+      UPDATE transactions SET supersededBy = (
+        SELECT MIN(settled.id) FROM transactions settled
+        WHERE settled.id > transactions.id
+          AND settled.senderPhone = transactions.senderPhone
+          AND settled.receiverPhone = transactions.receiverPhone
+          AND settled.amount = transactions.amount
+          AND settled.status IN ('success', 'failed')
+          AND settled.timestamp <= datetime(transactions.timestamp, '+10 minutes')
+      )
+      WHERE status = 'pending'
+    `,
+    `
+      UPDATE transactions SET status = 'confirmed', confirmedAt = timestamp
+      WHERE status = 'success'
+    `,
+    `
+      UPDATE transactions SET failedAt = timestamp
+      WHERE status = 'failed' AND failedAt IS NULL
+    `,
+  ],
+  // 2: Give outside Sui addresses their own column. Deposits used to keep
+  // the sending address in senderPhone and withdrawals the receiving address
+  // in receiverPhone, and both columns were NOT NULL, which SQLite can only
+  // drop by rebuilding the table.
+  [
+    transactionsTable("transactions_rebuilt"),
+    `
+      INSERT INTO transactions_rebuilt (
+        id, senderPhone, receiverPhone, counterpartyAddress, amount, txHash,
+        status, errorMessage, timestamp, submittedAt, confirmedAt, failedAt,
+        reversedAt, idempotencyKey, type, supersededBy
+      )
+      SELECT id,
+             CASE WHEN type = 'deposit' THEN NULL ELSE senderPhone END,
+             CASE WHEN type = 'withdrawal' THEN NULL ELSE receiverPhone END,
+             CASE type
+               WHEN 'deposit' THEN senderPhone
+               WHEN 'withdrawal' THEN receiverPhone
+             END,
+             amount, txHash, status, errorMessage, timestamp, submittedAt,
+             confirmedAt, failedAt, reversedAt, idempotencyKey, type,
+             supersededBy
+      FROM transactions
+    `,
+    `DROP TABLE transactions`,
+    `ALTER TABLE transactions_rebuilt RENAME TO transactions`,
+    `
+      CREATE UNIQUE INDEX idx_transactions_idempotency
+      ON transactions (senderPhone, idempotencyKey)
+      WHERE idempotencyKey IS NOT NULL
+    `,
+  ],
+  // 3: Migration 1 left legacy pending rows with no outcome row pending,
+  // which is outside the state machine. Nothing recorded how they ended or
+  // their digest, so reconciliation couldn't find them on chain either; fail
+  // them with a reason instead.
+  [
+    `
+      UPDATE transactions
+      SET status = 'failed', failedAt = timestamp,
+          errorMessage = 'Outcome not recorded (legacy pending transfer)'
+      WHERE status = 'pending' AND supersededBy IS NULL
+    `,
+  ],
+];
+
+// initDB runs when this module loads and may be called again, so migration
+// runs queue up behind each other rather than overlapping
+let migrationQueue = Promise.resolve();
+
+/**
+ * Apply the migrations this database hasn't had yet, all in one transaction
+ * @returns {Promise} - Promise that resolves once the schema is current
+ */
+function runMigrations() {
+  const migrated = migrationQueue.then(migrate);
+  migrationQueue = migrated.catch(() => {});
+  return migrated;
+}
+
+/**
+ * Apply pending migrations (see runMigrations)
+ * @returns {Promise} - Promise that resolves once the schema is current
+ */
+function migrate() {
+  const run = (query) =>
+    new Promise((resolve, reject) => {
+      db.run(query, (err) => (err ? reject(err) : resolve()));
+    });
+
+  return new Promise((resolve, reject) => {
+    db.get(`PRAGMA user_version`, async (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const version = row.user_version;
+      if (version >= MIGRATIONS.length) {
+        return resolve();
+      }
+
+      try {
+        await run("BEGIN");
+        for (const statements of MIGRATIONS.slice(version)) {
+          for (const statement of statements) {
+            await run(statement);
+          }
+        }
+        await run(`PRAGMA user_version = ${MIGRATIONS.length}`);
+        await run("COMMIT");
+        console.log(
+          `✅ Database migrated from version ${version} to ${MIGRATIONS.length}`
+        );
+        resolve();
+      } catch (error) {
+        await run("ROLLBACK").catch(() => {});
+        reject(error);
+      }
+    });
+  });
+}
+
 /**
  * Register a new user
  * @param {Object} userData - User data
@@ -102,11 +614,13 @@ export function registerUser(userData) {
       encryptedMnemonic,
       pinHash,
       walletObjectId,
+      recoveryEnvelope = null,
+      language = DEFAULT_LANGUAGE,
     } = userData;
 
     const query = `
-      INSERT INTO users (phone, fullName, suiAddress, publicKey, encryptedMnemonic, pinHash, walletObjectId)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO users (phone, fullName, suiAddress, publicKey, encryptedMnemonic, pinHash, walletObjectId, recoveryEnvelope, language)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     db.run(
@@ -119,6 +633,8 @@ export function registerUser(userData) {
         encryptedMnemonic,
         pinHash,
         walletObjectId,
+        recoveryEnvelope,
+        language,
       ],
       function (err) {
         if (err) {
@@ -132,7 +648,14 @@ export function registerUser(userData) {
             reject(err);
           }
         } else {
-          resolve({ phone, fullName, suiAddress, publicKey, walletObjectId });
+          resolve({
+            phone,
+            fullName,
+            suiAddress,
+            publicKey,
+            walletObjectId,
+            language,
+          });
         }
       }
     );
@@ -168,7 +691,13 @@ export function getUser(phone) {
  */
 export function updateUser(phone, updateData) {
   return new Promise((resolve, reject) => {
-    const allowedFields = ["failedAttempts", "pinHash", "fullName"];
+    const allowedFields = [
+      "failedAttempts",
+      "pinHash",
+      "fullName",
+      "language",
+      "walletObjectId",
+    ];
     const fields = Object.keys(updateData).filter((key) =>
       allowedFields.includes(key)
     );
@@ -201,116 +730,1688 @@ export function updateUser(phone, updateData) {
 }
 
 /**
- * Add a new transaction
- * @param {Object} transactionData - Transaction data
- * @returns {Promise} - Promise that resolves with transaction ID
+ * Count a failed PIN attempt
+ * @param {string} phone - Phone number
+ * @returns {Promise} - Promise that resolves with { failedAttempts, lockoutCount }
  */
-export function addTransaction(transactionData) {
+export function recordFailedPinAttempt(phone) {
   return new Promise((resolve, reject) => {
-    const {
-      senderPhone,
-      receiverPhone,
-      amount,
-      txHash,
-      status = TRANSACTION_STATUS.PENDING,
-      errorMessage,
-    } = transactionData;
-
     const query = `
-      INSERT INTO transactions (senderPhone, receiverPhone, amount, txHash, status, errorMessage)
-      VALUES (?, ?, ?, ?, ?, ?)
+      UPDATE users
+      SET failedAttempts = failedAttempts + 1, updatedAt = CURRENT_TIMESTAMP
+      WHERE phone = ?
+      RETURNING failedAttempts, lockoutCount
     `;
 
-    db.run(
-      query,
-      [senderPhone, receiverPhone, amount, txHash, status, errorMessage],
-      function (err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
+    db.get(query, [phone], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (!row) {
+        reject(new Error("User not found"));
+      } else {
+        resolve(row);
       }
-    );
+    });
   });
 }
 
 /**
- * Get transactions for a user
+ * Lock a user's PIN until a given time and start a fresh attempt count
  * @param {string} phone - Phone number
- * @param {number} limit - Limit number of transactions
- * @param {number} offset - Offset for pagination
- * @returns {Promise} - Promise that resolves with transactions
+ * @param {number} lockedUntil - Lock expiry in milliseconds
+ * @returns {Promise} - Promise that resolves with success
  */
-export function getUserTransactions(phone, limit = 50, offset = 0) {
+export function lockUserPin(phone, lockedUntil) {
   return new Promise((resolve, reject) => {
     const query = `
-      SELECT t.*, 
-             s.fullName as senderName,
-             r.fullName as receiverName
-      FROM transactions t
-      LEFT JOIN users s ON t.senderPhone = s.phone
-      LEFT JOIN users r ON t.receiverPhone = r.phone
-      WHERE t.senderPhone = ? OR t.receiverPhone = ?
-      ORDER BY t.timestamp DESC
-      LIMIT ? OFFSET ?
+      UPDATE users
+      SET failedAttempts = 0, lockedUntil = ?, lockoutCount = lockoutCount + 1,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phone = ?
     `;
 
-    db.all(query, [phone, phone, limit, offset], (err, rows) => {
+    db.run(query, [lockedUntil, phone], function (err) {
       if (err) {
         reject(err);
+      } else if (this.changes === 0) {
+        reject(new Error("User not found"));
       } else {
-        resolve(rows || []);
+        resolve(true);
       }
     });
   });
 }
 
 /**
- * Get all users (admin function)
- * @param {number} limit - Limit number of users
- * @param {number} offset - Offset for pagination
- * @returns {Promise} - Promise that resolves with users
+ * Clear failed PIN attempts and lockouts after a correct PIN
+ * @param {string} phone - Phone number
+ * @returns {Promise} - Promise that resolves with success
  */
-export function getUsers(limit = 100, offset = 0) {
+export function resetPinAttempts(phone) {
   return new Promise((resolve, reject) => {
     const query = `
-      SELECT phone, fullName, suiAddress, publicKey, failedAttempts, createdAt, updatedAt
-      FROM users
-      ORDER BY createdAt DESC
-      LIMIT ? OFFSET ?
+      UPDATE users
+      SET failedAttempts = 0, lockedUntil = NULL, lockoutCount = 0,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phone = ?
     `;
 
-    db.all(query, [limit, offset], (err, rows) => {
+    db.run(query, [phone], (err) => {
       if (err) {
         reject(err);
       } else {
-        resolve(rows || []);
+        resolve(true);
       }
     });
   });
 }
 
 /**
- * Get all transactions (admin function)
- * @param {number} limit - Limit number of transactions
- * @param {number} offset - Offset for pagination
- * @returns {Promise} - Promise that resolves with transactions
+ * Replace a user's PIN and the mnemonic encrypted under it in one statement.
+ * Only applies if the PIN hash is still the one the caller checked against,
+ * so two concurrent changes can't leave the mnemonic under the wrong PIN.
+ * @param {string} phone - Phone number
+ * @param {string} currentPinHash - PIN hash the change was based on
+ * @param {Object} pinData - { pinHash, encryptedMnemonic, recoveryEnvelope }
+ * @returns {Promise} - Promise that resolves with success
  */
-export function getAllTransactions(limit = 100, offset = 0) {
+export function changeUserPin(phone, currentPinHash, pinData) {
   return new Promise((resolve, reject) => {
+    const { pinHash, encryptedMnemonic, recoveryEnvelope = null } = pinData;
     const query = `
-      SELECT t.*, 
-             s.fullName as senderName,
-             r.fullName as receiverName
-      FROM transactions t
-      LEFT JOIN users s ON t.senderPhone = s.phone
-      LEFT JOIN users r ON t.receiverPhone = r.phone
-      ORDER BY t.timestamp DESC
-      LIMIT ? OFFSET ?
+      UPDATE users
+      SET pinHash = ?, encryptedMnemonic = ?,
+          recoveryEnvelope = COALESCE(?, recoveryEnvelope),
+          failedAttempts = 0, lockedUntil = NULL, lockoutCount = 0,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phone = ? AND pinHash = ?
     `;
 
-    db.all(query, [limit, offset], (err, rows) => {
+    db.run(
+      query,
+      [pinHash, encryptedMnemonic, recoveryEnvelope, phone, currentPinHash],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(new Error("PIN was changed by another request"));
+        } else {
+          resolve(true);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Store a recovery envelope for a user that doesn't have one yet
+ * @param {string} phone - Phone number
+ * @param {string} recoveryEnvelope - Mnemonic encrypted under the recovery key
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function setRecoveryEnvelope(phone, recoveryEnvelope) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users SET recoveryEnvelope = ?
+      WHERE phone = ? AND recoveryEnvelope IS NULL
+    `;
+
+    db.run(query, [recoveryEnvelope, phone], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Issue a PIN reset code, replacing any unused code for the same user
+ * @param {string} phone - Phone number
+ * @param {string} codeHash - Hashed reset code
+ * @param {string} issuedBy - Email of the issuing admin
+ * @param {number} expiresAt - Expiry time in milliseconds
+ * @returns {Promise} - Promise that resolves with the reset ID
+ */
+export function addPinReset(phone, codeHash, issuedBy, expiresAt) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `DELETE FROM pin_resets WHERE phone = ? AND usedAt IS NULL`,
+        [phone],
+        (err) => {
+          if (err) {
+            reject(err);
+          }
+        }
+      );
+
+      db.run(
+        `
+        INSERT INTO pin_resets (phone, codeHash, issuedBy, expiresAt)
+        VALUES (?, ?, ?, ?)
+      `,
+        [phone, codeHash, issuedBy, expiresAt],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Get the unused, unexpired PIN reset for a user
+ * @param {string} phone - Phone number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the reset or null
+ */
+export function getActivePinReset(phone, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM pin_resets
+      WHERE phone = ? AND usedAt IS NULL AND expiresAt > ?
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+
+    db.get(query, [phone, now], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Count a wrong code against a PIN reset
+ * @param {number} id - Reset ID
+ * @returns {Promise} - Promise that resolves with the new attempt count
+ */
+export function recordPinResetAttempt(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE pin_resets SET attempts = attempts + 1
+      WHERE id = ?
+      RETURNING attempts
+    `;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row ? row.attempts : 0);
+      }
+    });
+  });
+}
+
+/**
+ * Mark a PIN reset as used (or revoked)
+ * @param {number} id - Reset ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with true if it was still unused
+ */
+export function markPinResetUsed(id, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE pin_resets SET usedAt = ? WHERE id = ? AND usedAt IS NULL`,
+      [now, id],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Add a new transaction
+ * @param {Object} transactionData - Transaction data
+ * @returns {Promise} - Promise that resolves with transaction ID
+ */
+export function addTransaction(transactionData) {
+  return new Promise((resolve, reject) => {
+    const {
+      senderPhone,
+      receiverPhone,
+      counterpartyAddress = null,
+      amount,
+      txHash,
+      status = TRANSACTION_STATUS.CREATED,
+      errorMessage,
+      idempotencyKey = null,
+      type = TRANSACTION_TYPES.TRANSFER,
+    } = transactionData;
+
+    if (!TRANSACTION_TRANSITIONS[status]) {
+      reject(new Error(`Unknown transaction status: ${status}`));
+      return;
+    }
+
+    // Records of already-settled activity can start in a later state; stamp
+    // that state's transition time too
+    const stampColumn =
+      status === TRANSACTION_STATUS.CREATED ? "" : `, ${status}At`;
+    const stampValue =
+      status === TRANSACTION_STATUS.CREATED ? "" : ", CURRENT_TIMESTAMP";
+
+    const query = `
+      INSERT INTO transactions (senderPhone, receiverPhone, counterpartyAddress, amount, txHash, status, errorMessage, idempotencyKey, type${stampColumn})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?${stampValue})
+    `;
+
+    db.run(
+      query,
+      [
+        senderPhone,
+        receiverPhone,
+        counterpartyAddress,
+        amount,
+        txHash,
+        status,
+        errorMessage,
+        idempotencyKey,
+        type,
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a sender's transaction by idempotency key
+ * @param {string} senderPhone - Sender's phone number
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {Promise} - Promise that resolves with the transaction or null
+ */
+export function getTransactionByIdempotencyKey(senderPhone, idempotencyKey) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM transactions
+      WHERE senderPhone = ? AND idempotencyKey = ?
+    `;
+
+    db.get(query, [senderPhone, idempotencyKey], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Get a transaction by ID
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise} - Promise that resolves with the transaction or null
+ */
+export function getTransaction(transactionId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM transactions WHERE id = ?`,
+      [transactionId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a transaction by its on-chain digest
+ * @param {string} txHash - Transaction digest
+ * @returns {Promise} - Promise that resolves with the transaction or null
+ */
+export function getTransactionByTxHash(txHash) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM transactions WHERE txHash = ?`,
+      [txHash],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get transactions that are still created or submitted after a grace period
+ * and not waiting in the transfer queue, with both parties' on-chain
+ * addresses (a withdrawal's receiverAddress is the outside address)
+ * @param {number} before - Skip transactions submitted (or, if never
+ *   submitted, created) after this time, in milliseconds
+ * @param {number} limit - Maximum number of transactions
+ * @returns {Promise} - Promise that resolves with transactions, oldest first
+ */
+export function getUnsettledTransactions(before, limit = 100) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT t.*,
+             s.suiAddress as senderAddress,
+             s.walletObjectId as senderWalletObjectId,
+             COALESCE(r.suiAddress, CASE WHEN t.type = ? THEN t.counterpartyAddress END)
+               as receiverAddress,
+             r.walletObjectId as receiverWalletObjectId
+      FROM transactions t
+      LEFT JOIN users s ON t.senderPhone = s.phone
+      LEFT JOIN users r ON t.receiverPhone = r.phone
+      WHERE t.status IN (?, ?)
+        AND COALESCE(t.submittedAt, t.timestamp) <= datetime(?, 'unixepoch')
+        AND NOT EXISTS (
+          SELECT 1 FROM transfer_jobs j
+          WHERE j.transactionId = t.id AND j.status IN ('queued', 'running')
+        )
+      ORDER BY t.id ASC
+      LIMIT ?
+    `;
+
+    db.all(
+      query,
+      [
+        TRANSACTION_TYPES.WITHDRAWAL,
+        TRANSACTION_STATUS.CREATED,
+        TRANSACTION_STATUS.SUBMITTED,
+        Math.floor(before / 1000),
+        limit,
+      ],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Check whether a user has sent transactions that aren't settled yet
+ * @param {string} phone - Sender's phone number
+ * @returns {Promise} - Promise that resolves with true or false
+ */
+export function hasUnsettledTransactions(phone) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT 1 FROM transactions
+      WHERE senderPhone = ? AND status IN (?, ?)
+      LIMIT 1
+    `;
+
+    db.get(
+      query,
+      [phone, TRANSACTION_STATUS.CREATED, TRANSACTION_STATUS.SUBMITTED],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(!!row);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get transactions for a user
+ * @param {string} phone - Phone number
+ * @param {number} limit - Limit number of transactions
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise} - Promise that resolves with transactions
+ */
+export function getUserTransactions(phone, limit = 50, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT t.*, 
+             s.fullName as senderName,
+             r.fullName as receiverName
+      FROM transactions t
+      LEFT JOIN users s ON t.senderPhone = s.phone
+      LEFT JOIN users r ON t.receiverPhone = r.phone
+      WHERE (t.senderPhone = ? OR t.receiverPhone = ?)
+        AND t.supersededBy IS NULL
+      ORDER BY t.timestamp DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [phone, phone, limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get all users (admin function)
+ * @param {number} limit - Limit number of users
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise} - Promise that resolves with users
+ */
+export function getUsers(limit = 100, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT phone, fullName, suiAddress, publicKey, failedAttempts, lockedUntil, language, createdAt, updatedAt
+      FROM users
+      ORDER BY createdAt DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get all transactions (admin function)
+ * @param {number} limit - Limit number of transactions
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise} - Promise that resolves with transactions
+ */
+export function getAllTransactions(limit = 100, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT t.*, 
+             s.fullName as senderName,
+             r.fullName as receiverName
+      FROM transactions t
+      LEFT JOIN users s ON t.senderPhone = s.phone
+      LEFT JOIN users r ON t.receiverPhone = r.phone
+      ORDER BY t.timestamp DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Move a transaction to a new status, recording when it happened.
+ * Only transitions listed in TRANSACTION_TRANSITIONS are allowed; the check
+ * and the update are a single statement, so concurrent updates can't both
+ * succeed from the same state.
+ * @param {number} transactionId - Transaction ID
+ * @param {string} status - New status
+ * @param {string} txHash - Transaction hash (optional, kept if omitted)
+ * @param {string} errorMessage - Error message (optional, kept if omitted)
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function updateTransaction(
+  transactionId,
+  status,
+  txHash = null,
+  errorMessage = null
+) {
+  return new Promise((resolve, reject) => {
+    const fromStatuses = Object.keys(TRANSACTION_TRANSITIONS).filter(
+      (from) => TRANSACTION_TRANSITIONS[from].includes(status)
+    );
+
+    if (fromStatuses.length === 0) {
+      reject(new Error(`Illegal transaction status: ${status}`));
+      return;
+    }
+
+    const placeholders = fromStatuses.map(() => "?").join(", ");
+    const query = `
+      UPDATE transactions
+      SET status = ?, txHash = COALESCE(?, txHash),
+          errorMessage = COALESCE(?, errorMessage),
+          ${status}At = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN (${placeholders})
+    `;
+
+    db.run(
+      query,
+      [status, txHash, errorMessage, transactionId, ...fromStatuses],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes > 0) {
+          resolve(true);
+        } else {
+          db.get(
+            `SELECT status FROM transactions WHERE id = ?`,
+            [transactionId],
+            (getErr, row) => {
+              if (getErr) {
+                reject(getErr);
+              } else if (!row) {
+                reject(new Error("Transaction not found"));
+              } else {
+                reject(
+                  new Error(
+                    `Illegal transaction transition: ${row.status} -> ${status}`
+                  )
+                );
+              }
+            }
+          );
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Count transactions and sum their amounts by status (admin function)
+ * @returns {Promise} - Promise that resolves with { status: { count, volume } }
+ */
+export function getTransactionStats() {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT status, COUNT(*) as count, COALESCE(SUM(amount), 0) as volume
+      FROM transactions
+      WHERE supersededBy IS NULL
+      GROUP BY status
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        const stats = {};
+        for (const status of Object.values(TRANSACTION_STATUS)) {
+          stats[status] = { count: 0, volume: 0 };
+        }
+        for (const row of rows || []) {
+          stats[row.status] = { count: row.count, volume: row.volume };
+        }
+        resolve(stats);
+      }
+    });
+  });
+}
+
+/**
+ * Register a new admin
+ * @param {Object} adminData - Admin data
+ * @returns {Promise} - Promise that resolves with admin data
+ */
+export function registerAdmin(adminData) {
+  return new Promise((resolve, reject) => {
+    const { fullName, email, password } = adminData;
+
+    const query = `
+      INSERT INTO admins (fullName, email, password)
+      VALUES (?, ?, ?)
+    `;
+
+    db.run(query, [fullName, email, password], function (err) {
+      if (err) {
+        if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+          reject(new Error("Admin with this email already exists"));
+        } else {
+          reject(err);
+        }
+      } else {
+        resolve({ id: this.lastID, fullName, email });
+      }
+    });
+  });
+}
+
+/**
+ * Get admin by email
+ * @param {string} email - Email address
+ * @returns {Promise} - Promise that resolves with admin data
+ */
+export function getAdmin(email) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM admins WHERE email = ?
+    `;
+
+    db.get(query, [email], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Get a USSD session that has not expired yet
+ * @param {string} sessionId - Aggregator session ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the session row or null
+ */
+export function getUssdSession(sessionId, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM ussd_sessions WHERE sessionId = ? AND expiresAt > ?
+    `;
+
+    db.get(query, [sessionId, now], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Insert or replace a USSD session
+ * @param {string} sessionId - Aggregator session ID
+ * @param {string} phone - Phone number that owns the session
+ * @param {string} data - Serialized session state
+ * @param {number} expiresAt - Expiry time in milliseconds
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function saveUssdSession(sessionId, phone, data, expiresAt) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO ussd_sessions (sessionId, phone, data, expiresAt)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(sessionId) DO UPDATE SET
+        data = excluded.data,
+        expiresAt = excluded.expiresAt,
+        updatedAt = CURRENT_TIMESTAMP
+    `;
+
+    db.run(query, [sessionId, phone, data, expiresAt], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Delete a USSD session
+ * @param {string} sessionId - Aggregator session ID
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function deleteUssdSession(sessionId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM ussd_sessions WHERE sessionId = ?`,
+      [sessionId],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(true);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete all expired USSD sessions
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the number of deleted sessions
+ */
+export function deleteExpiredUssdSessions(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM ussd_sessions WHERE expiresAt <= ?`,
+      [now],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record a USSD callback signature unless it has already been seen
+ * @param {string} signature - Hex request signature
+ * @param {number} expiresAt - When it can be forgotten, in milliseconds
+ * @returns {Promise} - Promise that resolves with true if it was new
+ */
+export function claimUssdSignature(signature, expiresAt) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT OR IGNORE INTO ussd_signatures (signature, expiresAt)
+      VALUES (?, ?)
+    `;
+
+    db.run(query, [signature, expiresAt], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes === 1);
+      }
+    });
+  });
+}
+
+/**
+ * Delete USSD callback signatures past their expiry
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the number of deleted rows
+ */
+export function deleteExpiredUssdSignatures(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM ussd_signatures WHERE expiresAt <= ?`,
+      [now],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get rate limit counts for a key in the given windows
+ * @param {string} policy - Rate limit policy name
+ * @param {string} key - Throttled key (phone, IP, session ID)
+ * @param {Array<number>} windowStarts - Window start times in milliseconds
+ * @returns {Promise} - Promise that resolves with { windowStart: count }
+ */
+export function getRateLimitCounts(policy, key, windowStarts) {
+  return new Promise((resolve, reject) => {
+    const placeholders = windowStarts.map(() => "?").join(", ");
+    const query = `
+      SELECT windowStart, count FROM rate_limit_counters
+      WHERE policy = ? AND key = ? AND windowStart IN (${placeholders})
+    `;
+
+    db.all(query, [policy, key, ...windowStarts], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        const counts = {};
+        for (const row of rows || []) {
+          counts[row.windowStart] = row.count;
+        }
+        resolve(counts);
+      }
+    });
+  });
+}
+
+/**
+ * Count a request in a key's current window if the sliding estimate is
+ * still under the limit. The check and the increment are one statement, so
+ * concurrent requests can't all pass the check before any is counted.
+ * @param {string} policy - Rate limit policy name
+ * @param {string} key - Throttled key
+ * @param {Object} window - { windowStart, previousStart, overlap, limit };
+ *   overlap is the share of the previous window still being counted
+ * @returns {Promise} - Promise that resolves with whether it was counted
+ */
+export function consumeRateLimitCounter(policy, key, window) {
+  return new Promise((resolve, reject) => {
+    const { windowStart, previousStart, overlap, limit } = window;
+    const query = `
+      INSERT INTO rate_limit_counters (policy, key, windowStart, count)
+      SELECT ?, ?, ?, 1
+      WHERE (
+        SELECT COALESCE(SUM(
+          CASE WHEN windowStart = ? THEN count * ? ELSE count END
+        ), 0)
+        FROM rate_limit_counters
+        WHERE policy = ? AND key = ? AND windowStart IN (?, ?)
+      ) < ?
+      ON CONFLICT(policy, key, windowStart) DO UPDATE SET count = count + 1
+    `;
+
+    db.run(
+      query,
+      [
+        policy,
+        key,
+        windowStart,
+        previousStart,
+        overlap,
+        policy,
+        key,
+        previousStart,
+        windowStart,
+        limit,
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete rate limit counters for windows that started before a time
+ * @param {number} before - Time in milliseconds
+ * @returns {Promise} - Promise that resolves with the number of deleted rows
+ */
+export function deleteRateLimitCounters(before) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM rate_limit_counters WHERE windowStart < ?`,
+      [before],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record a throttled request, counting it against the key's window
+ * @param {string} policy - Rate limit policy name
+ * @param {string} key - Throttled key
+ * @param {number} windowStart - Window start time in milliseconds
+ * @param {number} rateLimit - Policy limit
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function addRateLimitEvent(policy, key, windowStart, rateLimit) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO rate_limit_blocks (policy, key, windowStart, rateLimit)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(policy, key, windowStart) DO UPDATE SET
+        blockedRequests = blockedRequests + 1,
+        rateLimit = excluded.rateLimit,
+        lastBlockedAt = CURRENT_TIMESTAMP
+    `;
+
+    db.run(query, [policy, key, windowStart, rateLimit], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Delete throttled request counts not updated within a number of hours
+ * @param {number} hours - How many hours of counts to keep
+ * @returns {Promise} - Promise that resolves with the number of deleted rows
+ */
+export function deleteRateLimitEvents(hours) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM rate_limit_blocks WHERE lastBlockedAt < datetime('now', ?)`,
+      [`-${hours} hours`],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get throttled keys, most recently throttled first (admin function)
+ * @param {number} hours - How far back to look
+ * @param {number} limit - Limit number of keys
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise} - Promise that resolves with throttled keys
+ */
+export function getRateLimitEvents(hours = 24, limit = 100, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT policy, key,
+             SUM(blockedRequests) as blockedRequests,
+             MAX(rateLimit) as rateLimit,
+             MIN(firstBlockedAt) as firstBlockedAt,
+             MAX(lastBlockedAt) as lastBlockedAt
+      FROM rate_limit_blocks
+      WHERE lastBlockedAt >= datetime('now', ?)
+      GROUP BY policy, key
+      ORDER BY lastBlockedAt DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [`-${hours} hours`, limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Queue a notification
+ * @param {Object} notification - { phone, event, language, message, nextAttemptAt }
+ * @returns {Promise} - Promise that resolves with the notification ID
+ */
+export function addNotification(notification) {
+  return new Promise((resolve, reject) => {
+    const { phone, event, language, message, nextAttemptAt } = notification;
+    const query = `
+      INSERT INTO notifications (phone, event, language, message, nextAttemptAt)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.run(
+      query,
+      [phone, event, language, message, nextAttemptAt],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a notification by ID
+ * @param {number} id - Notification ID
+ * @returns {Promise} - Promise that resolves with it, or undefined
+ */
+export function getNotification(id) {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT * FROM notifications WHERE id = ?`;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get queued notifications that are due for a delivery attempt
+ * @param {number} now - Current time in milliseconds
+ * @param {number} limit - Limit number of notifications
+ * @returns {Promise} - Promise that resolves with notifications, oldest first
+ */
+export function getDueNotifications(now = Date.now(), limit = 50) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM notifications
+      WHERE status = 'queued' AND nextAttemptAt <= ?
+      ORDER BY id ASC
+      LIMIT ?
+    `;
+
+    db.all(query, [now, limit], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Update a notification's delivery state
+ * @param {number} id - Notification ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function updateNotification(id, updateData) {
+  return new Promise((resolve, reject) => {
+    const allowedFields = [
+      "status",
+      "attempts",
+      "provider",
+      "providerMessageId",
+      "lastError",
+      "nextAttemptAt",
+      "sentAt",
+    ];
+    const fields = Object.keys(updateData).filter((key) =>
+      allowedFields.includes(key)
+    );
+
+    if (fields.length === 0) {
+      reject(new Error("No valid fields to update"));
+      return;
+    }
+
+    const setClause = fields.map((field) => `${field} = ?`).join(", ");
+    const values = fields.map((field) => updateData[field]);
+    values.push(id);
+
+    db.run(
+      `UPDATE notifications SET ${setClause} WHERE id = ?`,
+      values,
+      function (err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(new Error("Notification not found"));
+        } else {
+          resolve(true);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Claim an idempotency key for a request
+ * @param {string} scope - Key owner (e.g. the caller's phone number)
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Hash of the request the key was first used for
+ * @param {number} now - Current time in milliseconds
+ * @param {number} expiresAt - Expiry time in milliseconds
+ * @returns {Promise} - Promise that resolves with true if the key was claimed,
+ *   false if it is already in use
+ */
+export function claimIdempotencyKey(scope, key, requestHash, now, expiresAt) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT OR IGNORE INTO idempotency_keys (scope, key, requestHash, createdAt, expiresAt)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.run(query, [scope, key, requestHash, now, expiresAt], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes > 0);
+      }
+    });
+  });
+}
+
+/**
+ * Get an idempotency key record
+ * @param {string} scope - Key owner
+ * @param {string} key - Idempotency key
+ * @returns {Promise} - Promise that resolves with the record or null
+ */
+export function getIdempotencyKey(scope, key) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?`,
+      [scope, key],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Store the response for an idempotency key
+ * @param {string} scope - Key owner
+ * @param {string} key - Idempotency key
+ * @param {number} responseStatus - HTTP status code
+ * @param {Object} responseBody - JSON response body
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function completeIdempotencyKey(
+  scope,
+  key,
+  responseStatus,
+  responseBody
+) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = 'completed', responseStatus = ?, responseBody = ?
+      WHERE scope = ? AND key = ?
+    `;
+
+    db.run(
+      query,
+      [responseStatus, JSON.stringify(responseBody), scope, key],
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(true);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Give up a claimed idempotency key that has no stored response, so the
+ * request can run again
+ * @param {string} scope - Key owner
+ * @param {string} key - Idempotency key
+ * @param {number} claimedBefore - Only release claims made before this
+ *   time, in milliseconds
+ * @returns {Promise} - Promise that resolves with true if it was released
+ */
+export function releaseIdempotencyKey(
+  scope,
+  key,
+  claimedBefore = Number.MAX_SAFE_INTEGER
+) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      DELETE FROM idempotency_keys
+      WHERE scope = ? AND key = ? AND status = 'processing' AND createdAt < ?
+    `;
+
+    db.run(query, [scope, key, claimedBefore], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes > 0);
+      }
+    });
+  });
+}
+
+/**
+ * Delete idempotency keys past their retention window
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the number of deleted keys
+ */
+export function deleteExpiredIdempotencyKeys(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM idempotency_keys WHERE expiresAt <= ?`,
+      [now],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Queue a transfer job for a transaction
+ * @param {number} transactionId - Transaction to execute
+ * @param {string} senderAddress - Sender's Sui address (jobs for the same
+ *   address run one at a time, in order)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with the job ID
+ */
+export function addTransferJob(transactionId, senderAddress, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO transfer_jobs (transactionId, senderAddress, nextAttemptAt)
+      VALUES (?, ?, ?)
+    `;
+
+    db.run(query, [transactionId, senderAddress, now], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
+      }
+    });
+  });
+}
+
+/**
+ * Get a transfer job
+ * @param {number} id - Job ID
+ * @returns {Promise} - Promise that resolves with the job or null
+ */
+export function getTransferJob(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM transfer_jobs WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+/**
+ * Get the transfer job for a transaction
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise} - Promise that resolves with the job or null
+ */
+export function getTransferJobByTransaction(transactionId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM transfer_jobs WHERE transactionId = ?`,
+      [transactionId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get transfer jobs in a status
+ * @param {string} status - Job status
+ * @returns {Promise} - Promise that resolves with jobs, oldest first
+ */
+export function getTransferJobsByStatus(status) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM transfer_jobs WHERE status = ? ORDER BY id ASC`,
+      [status],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the transfer jobs that can run now: the oldest unfinished job of each
+ * sender, if it is queued and due (a sender with a running or backing-off
+ * job waits for it)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with jobs
+ */
+export function getRunnableTransferJobs(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT j.* FROM transfer_jobs j
+      WHERE j.status = 'queued' AND j.nextAttemptAt <= ?
+        AND j.id = (
+          SELECT MIN(q.id) FROM transfer_jobs q
+          WHERE q.senderAddress = j.senderAddress
+            AND q.status IN ('queued', 'running')
+        )
+      ORDER BY j.id ASC
+    `;
+
+    db.all(query, [now], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Mark a queued transfer job as running
+ * @param {number} id - Job ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with false if the job was
+ *   already claimed
+ */
+export function claimTransferJob(id, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE transfer_jobs
+      SET status = 'running', attempts = attempts + 1, startedAt = ?
+      WHERE id = ? AND status = 'queued'
+    `;
+
+    db.run(query, [now, id], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes > 0);
+      }
+    });
+  });
+}
+
+/**
+ * Update a transfer job's state
+ * @param {number} id - Job ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise} - Promise that resolves with success
+ */
+export function updateTransferJob(id, updateData) {
+  return new Promise((resolve, reject) => {
+    const allowedFields = [
+      "status",
+      "lastError",
+      "nextAttemptAt",
+      "finishedAt",
+    ];
+    const fields = Object.keys(updateData).filter((key) =>
+      allowedFields.includes(key)
+    );
+
+    if (fields.length === 0) {
+      reject(new Error("No valid fields to update"));
+      return;
+    }
+
+    const setClause = fields.map((field) => `${field} = ?`).join(", ");
+    const values = fields.map((field) => updateData[field]);
+    values.push(id);
+
+    db.run(
+      `UPDATE transfer_jobs SET ${setClause} WHERE id = ?`,
+      values,
+      function (err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(new Error("Transfer job not found"));
+        } else {
+          resolve(true);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record a reconciliation discrepancy. A transaction is reported at most
+ * once per issue.
+ * @param {Object} report - { transactionId, issue, previousStatus, resolvedStatus, txHash, details }
+ * @returns {Promise} - Promise that resolves with true if the report is new
+ */
+export function addReconciliationReport(report) {
+  return new Promise((resolve, reject) => {
+    const {
+      transactionId,
+      issue,
+      previousStatus,
+      resolvedStatus = null,
+      txHash = null,
+      details = null,
+    } = report;
+    const query = `
+      INSERT OR IGNORE INTO reconciliation_reports
+        (transactionId, issue, previousStatus, resolvedStatus, txHash, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(
+      query,
+      [transactionId, issue, previousStatus, resolvedStatus, txHash, details],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get reconciliation reports, newest first
+ * @param {Object} filters - { issue, limit, offset }
+ * @returns {Promise} - Promise that resolves with reports
+ */
+export function getReconciliationReports({
+  issue = null,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT rr.*, t.senderPhone, t.receiverPhone, t.amount,
+             t.status as currentStatus
+      FROM reconciliation_reports rr
+      LEFT JOIN transactions t ON rr.transactionId = t.id
+      WHERE (? IS NULL OR rr.issue = ?)
+      ORDER BY rr.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [issue, issue, limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Record gas the operator is about to sponsor, if the sender's spend since
+ * a point in time plus this budget stays within a limit. Checked and
+ * inserted in one statement, so concurrent reservations can't overspend.
+ * @param {Object} sponsorship - { senderAddress, kind, gasBudget, createdAt }
+ * @param {number} limit - Most gas the sender may use, in MIST
+ * @param {number} since - Start of the period the limit covers (ms)
+ * @returns {Promise} - Promise that resolves with the sponsorship ID, or
+ *   null if over the limit
+ */
+export function reserveGasSponsorship(sponsorship, limit, since) {
+  return new Promise((resolve, reject) => {
+    const { senderAddress, kind, gasBudget, createdAt } = sponsorship;
+    const query = `
+      INSERT INTO gas_sponsorships (senderAddress, kind, gasBudget, createdAt)
+      SELECT ?, ?, ?, ?
+      WHERE (
+        SELECT COALESCE(SUM(COALESCE(gasUsed, gasBudget)), 0)
+        FROM gas_sponsorships
+        WHERE senderAddress = ? AND createdAt >= ?
+      ) + ? <= ?
+    `;
+
+    db.run(
+      query,
+      [
+        senderAddress,
+        kind,
+        gasBudget,
+        createdAt,
+        senderAddress,
+        since,
+        gasBudget,
+        limit,
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0 ? this.lastID : null);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Record the gas a sponsored transaction actually used
+ * @param {number} id - Sponsorship ID
+ * @param {string} txHash - Transaction digest
+ * @param {number} gasUsed - Gas charged to the operator, in MIST
+ * @returns {Promise} - Promise that resolves when updated
+ */
+export function settleGasSponsorship(id, txHash, gasUsed) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE gas_sponsorships SET txHash = ?, gasUsed = ? WHERE id = ?
+    `;
+
+    db.run(query, [txHash, gasUsed, id], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Delete a sponsorship whose transaction was never executed
+ * @param {number} id - Sponsorship ID
+ * @returns {Promise} - Promise that resolves when deleted
+ */
+export function deleteGasSponsorship(id) {
+  return new Promise((resolve, reject) => {
+    db.run("DELETE FROM gas_sponsorships WHERE id = ?", [id], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get the gas sponsored for an address since a point in time, counting the
+ * budget of transactions not settled yet
+ * @param {string} senderAddress - User's Sui address
+ * @param {number} since - Start time in milliseconds
+ * @returns {Promise} - Promise that resolves with the total in MIST
+ */
+export function getSponsoredGasSince(senderAddress, since) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT COALESCE(SUM(COALESCE(gasUsed, gasBudget)), 0) as total
+      FROM gas_sponsorships
+      WHERE senderAddress = ? AND createdAt >= ?
+    `;
+
+    db.get(query, [senderAddress, since], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row.total);
+      }
+    });
+  });
+}
+
+/**
+ * Get sponsored gas per UTC day (admin function)
+ * @param {number} since - Start time in milliseconds
+ * @returns {Promise} - Promise that resolves with daily totals, newest first
+ */
+export function getSponsoredGasByDay(since) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT date(createdAt / 1000, 'unixepoch') as day,
+             COUNT(*) as transactions,
+             COUNT(DISTINCT senderAddress) as users,
+             COALESCE(SUM(COALESCE(gasUsed, gasBudget)), 0) as gasUsed
+      FROM gas_sponsorships
+      WHERE createdAt >= ?
+      GROUP BY day
+      ORDER BY day DESC
+    `;
+
+    db.all(query, [since], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get the users with the most sponsored gas (admin function)
+ * @param {number} since - Start time in milliseconds
+ * @param {number} limit - Limit number of users
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise} - Promise that resolves with per-user totals
+ */
+export function getSponsoredGasByUser(since, limit = 100, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT gs.senderAddress, u.phone, u.fullName,
+             COUNT(*) as transactions,
+             COALESCE(SUM(COALESCE(gs.gasUsed, gs.gasBudget)), 0) as gasUsed
+      FROM gas_sponsorships gs
+      LEFT JOIN users u ON u.suiAddress = gs.senderAddress
+      WHERE gs.createdAt >= ?
+      GROUP BY gs.senderAddress
+      ORDER BY gasUsed DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [since, limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Get every user's on-chain address and wallet object
+ * @returns {Promise} - Promise that resolves with { phone, suiAddress,
+ *   walletObjectId } rows
+ */
+export function getUserAccounts() {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT phone, suiAddress, walletObjectId FROM users`;
+
+    db.all(query, [], (err, rows) => {
       if (err) {
         reject(err);
       } else {
@@ -321,36 +2422,79 @@ export function getAllTransactions(limit = 100, offset = 0) {
 }
 
 /**
- * Update transaction status
- * @param {number} transactionId - Transaction ID
- * @param {string} status - New status
- * @param {string} txHash - Transaction hash (optional)
- * @param {string} errorMessage - Error message (optional)
- * @returns {Promise} - Promise that resolves with success
+ * Get a chain indexer cursor
+ * @param {string} name - Stream name
+ * @returns {Promise} - Promise that resolves with the cursor or null
  */
-export function updateTransaction(
-  transactionId,
-  status,
-  txHash = null,
-  errorMessage = null
-) {
+export function getChainCursor(name) {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT cursor FROM chain_cursors WHERE name = ?`;
+
+    db.get(query, [name], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row ? row.cursor : null);
+      }
+    });
+  });
+}
+
+/**
+ * Save a chain indexer cursor
+ * @param {string} name - Stream name
+ * @param {string} cursor - Position read up to
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves when saved
+ */
+export function setChainCursor(name, cursor, now = Date.now()) {
   return new Promise((resolve, reject) => {
     const query = `
-      UPDATE transactions 
-      SET status = ?, txHash = ?, errorMessage = ?
-      WHERE id = ?
+      INSERT INTO chain_cursors (name, cursor, updatedAt)
+      VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        cursor = excluded.cursor,
+        updatedAt = excluded.updatedAt
+    `;
+
+    db.run(query, [name, cursor, now], (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Hold a send to an unregistered number in escrow
+ * @param {Object} claim - { transactionId, senderPhone, recipientPhone,
+ *   amount, expiresAt }
+ * @returns {Promise} - Promise that resolves with the claim ID
+ */
+export function addEscrowClaim(claim) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO escrow_claims
+        (transactionId, senderPhone, recipientPhone, amount, expiresAt)
+      VALUES (?, ?, ?, ?, ?)
     `;
 
     db.run(
       query,
-      [status, txHash, errorMessage, transactionId],
+      [
+        claim.transactionId,
+        claim.senderPhone,
+        claim.recipientPhone,
+        claim.amount,
+        claim.expiresAt,
+      ],
       function (err) {
         if (err) {
           reject(err);
-        } else if (this.changes === 0) {
-          reject(new Error("Transaction not found"));
         } else {
-          resolve(true);
+          resolve(this.lastID);
         }
       }
     );
@@ -358,49 +2502,371 @@ export function updateTransaction(
 }
 
 /**
- * Register a new admin
- * @param {Object} adminData - Admin data
- * @returns {Promise} - Promise that resolves with admin data
+ * Get pending escrow claims with the status of the transaction that funded
+ * them and whether the recipient has registered
+ * @param {string|null} recipientPhone - Only this recipient's claims
+ * @returns {Promise} - Promise that resolves with claims, oldest first
  */
-export function registerAdmin(adminData) {
+export function getPendingEscrowClaims(recipientPhone = null) {
   return new Promise((resolve, reject) => {
-    const { fullName, email, password } = adminData;
+    const query = `
+      SELECT c.*,
+             t.status as transactionStatus,
+             u.phone IS NOT NULL as recipientRegistered
+      FROM escrow_claims c
+      JOIN transactions t ON c.transactionId = t.id
+      LEFT JOIN users u ON c.recipientPhone = u.phone
+      WHERE c.status = ? AND (? IS NULL OR c.recipientPhone = ?)
+      ORDER BY c.id ASC
+    `;
+
+    db.all(
+      query,
+      [ESCROW_STATUS.PENDING, recipientPhone, recipientPhone],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the escrow claim for a transaction
+ * @param {number} transactionId - Escrow transaction ID
+ * @returns {Promise} - Promise that resolves with the claim or undefined
+ */
+export function getEscrowClaimByTransaction(transactionId) {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT * FROM escrow_claims WHERE transactionId = ?`;
+
+    db.get(query, [transactionId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Move an escrow claim from one status to another, if nothing else has
+ * @param {number} id - Claim ID
+ * @param {string} from - Status it must have
+ * @param {Object} updateData - status and any of payoutTxHash, lastError,
+ *   settledAt
+ * @returns {Promise} - Promise that resolves with whether it was updated
+ */
+export function updateEscrowClaim(id, from, updateData) {
+  return new Promise((resolve, reject) => {
+    const allowedFields = ["status", "payoutTxHash", "lastError", "settledAt"];
+    const fields = Object.keys(updateData).filter((key) =>
+      allowedFields.includes(key)
+    );
+
+    if (fields.length === 0) {
+      reject(new Error("No valid fields to update"));
+      return;
+    }
+
+    const setClause = fields.map((field) => `${field} = ?`).join(", ");
+    const values = fields.map((field) => updateData[field]);
+    values.push(id, from);
+
+    db.run(
+      `UPDATE escrow_claims SET ${setClause} WHERE id = ? AND status = ?`,
+      values,
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      }
+    );
+  });
+}
 
+/**
+ * Record a request for money
+ * @param {Object} request - { requesterPhone, payerPhone, amount, expiresAt }
+ * @returns {Promise} - Promise that resolves with the request ID
+ */
+export function addPaymentRequest(request) {
+  return new Promise((resolve, reject) => {
     const query = `
-      INSERT INTO admins (fullName, email, password)
-      VALUES (?, ?, ?)
+      INSERT INTO payment_requests
+        (requesterPhone, payerPhone, amount, expiresAt)
+      VALUES (?, ?, ?, ?)
     `;
 
-    db.run(query, [fullName, email, password], function (err) {
+    db.run(
+      query,
+      [
+        request.requesterPhone,
+        request.payerPhone,
+        request.amount,
+        request.expiresAt,
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get a payment request with both parties' names
+ * @param {number} id - Request ID
+ * @returns {Promise} - Promise that resolves with the request or undefined
+ */
+export function getPaymentRequest(id) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.*,
+             requester.fullName as requesterName,
+             payer.fullName as payerName
+      FROM payment_requests r
+      LEFT JOIN users requester ON r.requesterPhone = requester.phone
+      LEFT JOIN users payer ON r.payerPhone = payer.phone
+      WHERE r.id = ?
+    `;
+
+    db.get(query, [id], (err, row) => {
       if (err) {
-        if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
-          reject(new Error("Admin with this email already exists"));
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get the payment request a transaction was made to pay
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise} - Promise that resolves with the request (with
+ *   payerName) or undefined
+ */
+export function getPaymentRequestByTransaction(transactionId) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.*, payer.fullName as payerName
+      FROM payment_requests r
+      LEFT JOIN users payer ON r.payerPhone = payer.phone
+      WHERE r.transactionId = ?
+    `;
+
+    db.get(query, [transactionId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Get the requests a user has been asked to pay that are still open
+ * @param {string} payerPhone - Payer's phone number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with requests (with
+ *   requesterName), oldest first
+ */
+export function getPendingPaymentRequests(payerPhone, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.*, requester.fullName as requesterName
+      FROM payment_requests r
+      LEFT JOIN users requester ON r.requesterPhone = requester.phone
+      WHERE r.payerPhone = ? AND r.status = ? AND r.expiresAt > ?
+      ORDER BY r.id ASC
+    `;
+
+    db.all(
+      query,
+      [payerPhone, PAYMENT_REQUEST_STATUS.PENDING, now],
+      (err, rows) => {
+        if (err) {
+          reject(err);
         } else {
+          resolve(rows || []);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Get the payment requests a user made or was asked to pay
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Number of requests to return
+ * @param {number} offset - Number of requests to skip
+ * @returns {Promise} - Promise that resolves with requests (with
+ *   requesterName and payerName), newest first
+ */
+export function getUserPaymentRequests(phone, limit = 50, offset = 0) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.*,
+             requester.fullName as requesterName,
+             payer.fullName as payerName
+      FROM payment_requests r
+      LEFT JOIN users requester ON r.requesterPhone = requester.phone
+      LEFT JOIN users payer ON r.payerPhone = payer.phone
+      WHERE r.requesterPhone = ? OR r.payerPhone = ?
+      ORDER BY r.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [phone, phone, limit, offset], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Count the payment requests a user made or was asked to pay
+ * @param {string} phone - User's phone number
+ * @returns {Promise} - Promise that resolves with the count
+ */
+export function countUserPaymentRequests(phone) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT COUNT(*) as count FROM payment_requests
+      WHERE requesterPhone = ? OR payerPhone = ?
+    `;
+
+    db.get(query, [phone, phone], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row.count);
+      }
+    });
+  });
+}
+
+/**
+ * Get pending payment requests that have expired
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise} - Promise that resolves with requests (with
+ *   payerName), oldest first
+ */
+export function getExpiredPaymentRequests(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.*, payer.fullName as payerName
+      FROM payment_requests r
+      LEFT JOIN users payer ON r.payerPhone = payer.phone
+      WHERE r.status = ? AND r.expiresAt <= ?
+      ORDER BY r.id ASC
+    `;
+
+    db.all(query, [PAYMENT_REQUEST_STATUS.PENDING, now], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
+/**
+ * Move a payment request from one status to another, if nothing else has
+ * @param {number} id - Request ID
+ * @param {string} from - Status it must have
+ * @param {Object} updateData - Any of status, transactionId, respondedAt
+ * @returns {Promise} - Promise that resolves with whether it was updated
+ */
+export function updatePaymentRequest(id, from, updateData) {
+  return new Promise((resolve, reject) => {
+    const allowedFields = ["status", "transactionId", "respondedAt"];
+    const fields = Object.keys(updateData).filter((key) =>
+      allowedFields.includes(key)
+    );
+
+    if (fields.length === 0) {
+      reject(new Error("No valid fields to update"));
+      return;
+    }
+
+    const setClause = fields.map((field) => `${field} = ?`).join(", ");
+    const values = fields.map((field) => updateData[field]);
+    values.push(id, from);
+
+    db.run(
+      `UPDATE payment_requests SET ${setClause} WHERE id = ? AND status = ?`,
+      values,
+      function (err) {
+        if (err) {
           reject(err);
+        } else {
+          resolve(this.changes > 0);
         }
+      }
+    );
+  });
+}
+
+/**
+ * Get a user's saved addresses
+ * @param {string} phone - User's phone number
+ * @returns {Promise} - Promise that resolves with { id, label, address }
+ *   rows, oldest first
+ */
+export function getSavedAddresses(phone) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT id, label, address FROM saved_addresses
+      WHERE phone = ?
+      ORDER BY id ASC
+    `;
+
+    db.all(query, [phone], (err, rows) => {
+      if (err) {
+        reject(err);
       } else {
-        resolve({ id: this.lastID, fullName, email });
+        resolve(rows || []);
       }
     });
   });
 }
 
 /**
- * Get admin by email
- * @param {string} email - Email address
- * @returns {Promise} - Promise that resolves with admin data
+ * Save an address for a user, or relabel it if already saved
+ * @param {string} phone - User's phone number
+ * @param {string} label - Name the user gave it
+ * @param {string} address - Sui address
+ * @returns {Promise} - Promise that resolves when saved
  */
-export function getAdmin(email) {
+export function saveAddress(phone, label, address) {
   return new Promise((resolve, reject) => {
     const query = `
-      SELECT * FROM admins WHERE email = ?
+      INSERT INTO saved_addresses (phone, label, address)
+      VALUES (?, ?, ?)
+      ON CONFLICT(phone, address) DO UPDATE SET label = excluded.label
     `;
 
-    db.get(query, [email], (err, row) => {
+    db.run(query, [phone, label, address], (err) => {
       if (err) {
         reject(err);
       } else {
-        resolve(row || null);
+        resolve();
       }
     });
   });
@@ -0,0 +1,86 @@
+import { getUser } from "./database.js";
+import { depositToWallet, getBalance } from "./chain/index.js";
+import { isSponsorshipEnabled } from "./gas-sponsorship.js";
+import { NOTIFICATION_EVENTS, notify } from "./notifications.js";
+import {
+  isRecoveryEnabled,
+  decryptRecoveryEnvelope,
+} from "../utils/encryption.js";
+import { formatSui } from "../utils/format.js";
+import { DEPOSIT_SWEEP_GAS_RESERVE } from "../constants.js";
+
+/**
+ * Incoming deposits.
+ *
+ * The chain indexer records SUI sent to a user from outside SuiFlow as a
+ * deposit transaction and hands it here. The user gets a DEPOSIT SMS, and
+ * for users with a SuiFlowWallet, SUI that landed on their address is swept
+ * into the wallet (their balance is the wallet's), signed with the PIN
+ * recovery envelope. Without sponsorship DEPOSIT_SWEEP_GAS_RESERVE is left
+ * at the address for gas. A failed sweep leaves the SUI at the address.
+ */
+
+/**
+ * Move SUI from a user's address into their SuiFlowWallet
+ * @param {Object} user - User record
+ * @param {number} amount - Amount that arrived at the address, in SUI
+ * @returns {Promise<string|null>} - Sweep digest, or null if nothing moved
+ */
+export async function sweepDeposit(user, amount) {
+  if (!isRecoveryEnabled() || !user.recoveryEnvelope) {
+    console.warn(
+      `⚠️ Can't sweep deposit for ${user.phone}: no recovery envelope`
+    );
+    return null;
+  }
+
+  const reserve = isSponsorshipEnabled() ? 0 : DEPOSIT_SWEEP_GAS_RESERVE;
+  const available = (await getBalance(user.suiAddress)) - reserve;
+  const sweepAmount =
+    Math.floor(Math.min(amount, available) * 1_000_000_000) / 1_000_000_000;
+  if (sweepAmount <= 0) {
+    return null;
+  }
+
+  const digest = await depositToWallet(
+    user.walletObjectId,
+    decryptRecoveryEnvelope(user.recoveryEnvelope),
+    sweepAmount
+  );
+  console.log(
+    `🧹 Swept ${sweepAmount} SUI into ${user.phone}'s wallet: ${digest}`
+  );
+  return digest;
+}
+
+/**
+ * Alert a user to a deposit and sweep it into their SuiFlowWallet. Never
+ * throws, so a failed sweep can't stop the indexer.
+ * @param {Object} transaction - Recorded deposit { id, receiverPhone,
+ *   counterpartyAddress (the sending address), amount }
+ * @param {number} addressAmount - How much of it arrived at the user's
+ *   address rather than straight into their wallet, in SUI
+ */
+export async function handleDeposit(transaction, addressAmount) {
+  try {
+    const user = await getUser(transaction.receiverPhone);
+    if (!user) {
+      return;
+    }
+
+    await notify(user.phone, NOTIFICATION_EVENTS.DEPOSIT, {
+      amount: formatSui(transaction.amount),
+      address: transaction.counterpartyAddress,
+      reference: transaction.id,
+    });
+
+    if (user.walletObjectId && addressAmount > 0) {
+      await sweepDeposit(user, addressAmount);
+    }
+  } catch (error) {
+    console.error(
+      `❌ Error handling deposit ${transaction.id} for ${transaction.receiverPhone}:`,
+      error
+    );
+  }
+}
@@ -0,0 +1,355 @@
+import {
+  addTransaction,
+  addEscrowClaim,
+  getPendingEscrowClaims,
+  updateEscrowClaim,
+  getUser,
+} from "./database.js";
+import { payFromOperator } from "./chain/index.js";
+import { sweepDeposit } from "./deposits.js";
+import { NOTIFICATION_EVENTS, notify } from "./notifications.js";
+import { classifyError } from "./transfer-queue.js";
+import { formatSui } from "../utils/format.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  ESCROW_STATUS,
+  ESCROW_EXPIRY_DAYS,
+  ESCROW_INTERVAL_SECONDS,
+} from "../constants.js";
+
+/**
+ * Escrow for sends to unregistered phone numbers.
+ *
+ * A send to a number that isn't registered is recorded as an escrow
+ * transaction paid to the operator's address, which holds it, with a claim
+ * keyed to the recipient's phone. Once the transfer confirms the recipient
+ * gets an SMS invite (see notifyTransferOutcome). When they register, the
+ * operator pays the claim out to them; if they haven't registered after
+ * ESCROW_EXPIRY_DAYS it is refunded to the sender instead. Payouts land on
+ * the user's address and are swept into their SuiFlowWallet like deposits.
+ *
+ * If the send into escrow fails, the claim is cancelled and both the sender
+ * and the recipient are told. A payout the chain won't take (see
+ * PERMANENT_PAYOUT_ERRORS) is refunded to the sender at once instead of
+ * retried. A payout whose outcome is unknown (a timeout), or a refund that
+ * can't be paid either, leaves its claim paying rather than risk paying
+ * twice; those need an admin.
+ */
+
+// Payouts the chain will never accept as they are: a bad address, or too
+// little in the operator's account
+const PERMANENT_PAYOUT_ERRORS = [/invalid .*address/i, /insufficient/i];
+
+let running = false;
+
+/**
+ * Record a send to an unregistered number and its escrow claim
+ * @param {Object} transaction - Transaction data for addTransaction, with
+ *   receiverPhone the unregistered number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Transaction ID
+ */
+export async function addEscrowTransaction(transaction, now = Date.now()) {
+  const transactionId = await addTransaction({
+    ...transaction,
+    type: TRANSACTION_TYPES.ESCROW,
+  });
+
+  await addEscrowClaim({
+    transactionId,
+    senderPhone: transaction.senderPhone,
+    recipientPhone: transaction.receiverPhone,
+    amount: transaction.amount,
+    expiresAt: now + ESCROW_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
+  });
+
+  return transactionId;
+}
+
+/**
+ * Classify a failed payout
+ * @param {string} message - Error message
+ * @returns {string} - "ambiguous" if it may have gone through, "permanent"
+ *   if retrying can't help, otherwise "retryable"
+ */
+function classifyPayoutError(message) {
+  if (classifyError(message) === "ambiguous") {
+    return "ambiguous";
+  }
+  return PERMANENT_PAYOUT_ERRORS.some((pattern) => pattern.test(message))
+    ? "permanent"
+    : "retryable";
+}
+
+/**
+ * Pay a claim out of escrow to the recipient or back to the sender
+ * @param {Object} claim - Claim to pay
+ * @param {Object} user - User to pay
+ * @param {string} status - CLAIMED or REFUNDED
+ * @param {number} now - Current time in milliseconds
+ * @param {string} from - Status the claim must have (PAYING to refund a
+ *   claim whose payout just failed)
+ * @returns {Promise<string|null>} - "paid", the classifyPayoutError kind if
+ *   the payment failed, or null if another pass took the claim. A retryable
+ *   failure leaves the claim pending, any other leaves it paying.
+ */
+async function payOut(
+  claim,
+  user,
+  status,
+  now,
+  from = ESCROW_STATUS.PENDING
+) {
+  if (
+    !(await updateEscrowClaim(claim.id, from, {
+      status: ESCROW_STATUS.PAYING,
+    }))
+  ) {
+    return null;
+  }
+
+  let digest;
+  try {
+    digest = await payFromOperator(user.suiAddress, claim.amount);
+  } catch (error) {
+    // Only try again if the payment can't have gone through and might
+    // still go through
+    const kind = classifyPayoutError(error.message);
+    await updateEscrowClaim(claim.id, ESCROW_STATUS.PAYING, {
+      status:
+        kind === "retryable" ? ESCROW_STATUS.PENDING : ESCROW_STATUS.PAYING,
+      lastError: error.message,
+    });
+    console.error(
+      `❌ Failed to pay escrow claim ${claim.id} to ${user.phone}:`,
+      error.message
+    );
+    return kind;
+  }
+
+  await updateEscrowClaim(claim.id, ESCROW_STATUS.PAYING, {
+    status,
+    payoutTxHash: digest,
+    lastError: null,
+    settledAt: now,
+  });
+  console.log(
+    `✅ Escrow claim ${claim.id} ${status}: ${claim.amount} SUI to ${user.phone} (${digest})`
+  );
+
+  if (user.walletObjectId) {
+    try {
+      await sweepDeposit(user, claim.amount);
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to sweep escrow payout into ${user.phone}'s wallet:`,
+        error.message
+      );
+    }
+  }
+
+  return "paid";
+}
+
+/**
+ * Refund a claim the recipient can't be paid, and tell them both
+ * @param {Object} claim - Claim left paying by a permanent payout failure
+ * @param {Object} recipient - Registered recipient
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string|null>} - REFUNDED, or null if the refund failed
+ */
+async function returnClaim(claim, recipient, now) {
+  const sender = await getUser(claim.senderPhone);
+  if (
+    !sender ||
+    (await payOut(
+      claim,
+      sender,
+      ESCROW_STATUS.REFUNDED,
+      now,
+      ESCROW_STATUS.PAYING
+    )) !== "paid"
+  ) {
+    console.error(`⚠️ Escrow claim ${claim.id} could not be refunded either`);
+    return null;
+  }
+
+  await notify(sender.phone, NOTIFICATION_EVENTS.ESCROW_RETURNED, {
+    amount: formatSui(claim.amount),
+    reference: claim.transactionId,
+    phone: claim.recipientPhone,
+  });
+  await notify(recipient.phone, NOTIFICATION_EVENTS.ESCROW_CANCELLED, {
+    amount: formatSui(claim.amount),
+    name: sender.fullName,
+    phone: claim.senderPhone,
+  });
+  return ESCROW_STATUS.REFUNDED;
+}
+
+/**
+ * Cancel a claim whose send into escrow failed, and tell the sender and the
+ * recipient
+ * @param {Object} claim - Pending claim
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string|null>} - CANCELLED, or null if another pass took
+ *   the claim
+ */
+async function cancelClaim(claim, now) {
+  if (
+    !(await updateEscrowClaim(claim.id, ESCROW_STATUS.PENDING, {
+      status: ESCROW_STATUS.CANCELLED,
+      settledAt: now,
+    }))
+  ) {
+    return null;
+  }
+
+  const sender = await getUser(claim.senderPhone);
+  await notify(claim.senderPhone, NOTIFICATION_EVENTS.FAILED, {
+    amount: formatSui(claim.amount),
+    reference: claim.transactionId,
+    name: claim.recipientPhone,
+  });
+  // In the sender's language unless the recipient has since registered
+  await notify(
+    claim.recipientPhone,
+    NOTIFICATION_EVENTS.ESCROW_CANCELLED,
+    {
+      amount: formatSui(claim.amount),
+      name: sender?.fullName,
+      phone: claim.senderPhone,
+    },
+    claim.recipientRegistered ? null : sender?.language
+  );
+  return ESCROW_STATUS.CANCELLED;
+}
+
+/**
+ * Settle one pending claim if it can be: cancel it if its transfer failed,
+ * pay it to a registered recipient (or back to the sender if they can't be
+ * paid), or refund it once expired
+ * @param {Object} claim - Row from getPendingEscrowClaims
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string|null>} - New status, or null if left pending
+ */
+async function settleClaim(claim, now) {
+  if (claim.transactionStatus === TRANSACTION_STATUS.FAILED) {
+    return cancelClaim(claim, now);
+  }
+
+  // Still on its way into escrow
+  if (claim.transactionStatus !== TRANSACTION_STATUS.CONFIRMED) {
+    return null;
+  }
+
+  const params = {
+    amount: formatSui(claim.amount),
+    reference: claim.transactionId,
+  };
+
+  if (claim.recipientRegistered) {
+    const [recipient, sender] = await Promise.all([
+      getUser(claim.recipientPhone),
+      getUser(claim.senderPhone),
+    ]);
+    const paid = await payOut(claim, recipient, ESCROW_STATUS.CLAIMED, now);
+    if (paid === "permanent") {
+      return returnClaim(claim, recipient, now);
+    }
+    if (paid !== "paid") {
+      return null;
+    }
+
+    await notify(recipient.phone, NOTIFICATION_EVENTS.RECEIVED, {
+      ...params,
+      name: sender?.fullName,
+      phone: claim.senderPhone,
+    });
+    return ESCROW_STATUS.CLAIMED;
+  }
+
+  if (claim.expiresAt <= now) {
+    const sender = await getUser(claim.senderPhone);
+    if (
+      !sender ||
+      (await payOut(claim, sender, ESCROW_STATUS.REFUNDED, now)) !== "paid"
+    ) {
+      return null;
+    }
+
+    await notify(sender.phone, NOTIFICATION_EVENTS.ESCROW_REFUNDED, {
+      ...params,
+      phone: claim.recipientPhone,
+    });
+    return ESCROW_STATUS.REFUNDED;
+  }
+
+  return null;
+}
+
+/**
+ * Settle pending claims: pay out to recipients who have registered and
+ * refund expired ones. Only one pass runs at a time.
+ * @param {Object} options - { now, recipientPhone } (recipientPhone limits
+ *   the pass to one recipient's claims)
+ * @returns {Promise<Object>} - Counts by new status
+ */
+export async function processEscrowClaims({
+  now = Date.now(),
+  recipientPhone = null,
+} = {}) {
+  const summary = { claimed: 0, refunded: 0, cancelled: 0 };
+  if (running) {
+    return summary;
+  }
+  running = true;
+
+  try {
+    for (const claim of await getPendingEscrowClaims(recipientPhone)) {
+      try {
+        const status = await settleClaim(claim, now);
+        if (status) {
+          summary[status]++;
+        }
+      } catch (error) {
+        console.error(`❌ Error settling escrow claim ${claim.id}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+/**
+ * Pay a newly registered user what was sent to their number before they
+ * registered. Never throws, so it can't fail a registration.
+ * @param {string} phone - New user's phone number
+ */
+export async function claimEscrow(phone) {
+  try {
+    const { claimed } = await processEscrowClaims({ recipientPhone: phone });
+    if (claimed > 0) {
+      console.log(`🎁 Paid ${claimed} escrow claim(s) to ${phone}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error claiming escrow for ${phone}:`, error);
+  }
+}
+
+/**
+ * Settle claims now and then every intervalSeconds
+ * @param {number} intervalSeconds - Polling interval
+ */
+export function startEscrowWorker(intervalSeconds = ESCROW_INTERVAL_SECONDS) {
+  const run = () =>
+    processEscrowClaims().catch((error) => {
+      console.error("❌ Error processing escrow claims:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
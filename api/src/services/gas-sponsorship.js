@@ -0,0 +1,149 @@
+import {
+  reserveGasSponsorship,
+  settleGasSponsorship,
+  deleteGasSponsorship,
+  getSponsoredGasSince,
+  getSponsoredGasByDay,
+  getSponsoredGasByUser,
+} from "./database.js";
+import {
+  GAS_SPONSORSHIP_ENABLED,
+  SPONSORED_GAS_DAILY_BUDGET,
+} from "../constants.js";
+
+/**
+ * Gas sponsorship bookkeeping.
+ *
+ * User transactions are built with the operator as gas owner, signed by both
+ * the user and the operator, and executed with the operator paying (Sui's
+ * sponsored transactions), so users never need SUI for gas. Each user gets
+ * SPONSORED_GAS_DAILY_BUDGET of sponsored gas per UTC day; past that they pay
+ * their own gas.
+ *
+ * A transaction's gas budget is reserved before it is executed and replaced
+ * by the gas actually used afterwards. Reservations for transactions that
+ * never ran are released. All amounts here are in MIST.
+ */
+
+const MIST_PER_SUI = 1_000_000_000;
+
+/**
+ * Check whether user transactions are sponsored at all
+ * @returns {boolean} - Whether gas sponsorship is enabled
+ */
+export function isSponsorshipEnabled() {
+  return GAS_SPONSORSHIP_ENABLED && SPONSORED_GAS_DAILY_BUDGET > 0;
+}
+
+/**
+ * Get the daily sponsorship budget
+ * @returns {number} - Budget per user per day in MIST
+ */
+function dailyBudget() {
+  return Math.floor(SPONSORED_GAS_DAILY_BUDGET * MIST_PER_SUI);
+}
+
+/**
+ * Get the start of the UTC day
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Midnight UTC in milliseconds
+ */
+function startOfDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Get how much sponsored gas a user has left today
+ * @param {string} senderAddress - User's Sui address
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Remaining budget in MIST
+ */
+export async function getRemainingSponsoredGas(senderAddress, now = Date.now()) {
+  if (!isSponsorshipEnabled()) {
+    return 0;
+  }
+
+  const spent = await getSponsoredGasSince(senderAddress, startOfDay(now));
+  return Math.max(0, dailyBudget() - spent);
+}
+
+/**
+ * Reserve sponsored gas for a transaction, if the user's budget covers it
+ * @param {string} senderAddress - User's Sui address
+ * @param {string} kind - What the transaction does (e.g. "transfer")
+ * @param {number} gasBudget - Transaction gas budget in MIST
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number|null>} - Sponsorship ID, or null if over budget
+ */
+export async function reserveSponsoredGas(
+  senderAddress,
+  kind,
+  gasBudget,
+  now = Date.now()
+) {
+  if (!isSponsorshipEnabled()) {
+    return null;
+  }
+
+  return reserveGasSponsorship(
+    { senderAddress, kind, gasBudget, createdAt: now },
+    dailyBudget(),
+    startOfDay(now)
+  );
+}
+
+/**
+ * Replace a reservation with the gas the transaction actually used
+ * @param {number} id - Sponsorship ID
+ * @param {string} txHash - Transaction digest
+ * @param {Object} gasUsed - Effects gasUsed { computationCost, storageCost,
+ *   storageRebate }
+ */
+export async function settleSponsoredGas(id, txHash, gasUsed) {
+  const used =
+    BigInt(gasUsed.computationCost) +
+    BigInt(gasUsed.storageCost) -
+    BigInt(gasUsed.storageRebate);
+
+  await settleGasSponsorship(id, txHash, Number(used > 0n ? used : 0n));
+}
+
+/**
+ * Release a reservation for a transaction that was never executed
+ * @param {number} id - Sponsorship ID
+ */
+export async function releaseSponsoredGas(id) {
+  await deleteGasSponsorship(id);
+}
+
+/**
+ * Report sponsored spend for admins
+ * @param {Object} options - { days, limit, offset }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { dailyBudget, total, days, users } in SUI
+ */
+export async function getSponsorshipReport(
+  { days = 7, limit = 100, offset = 0 } = {},
+  now = Date.now()
+) {
+  const since = startOfDay(now) - (days - 1) * 24 * 60 * 60 * 1000;
+  const [byDay, byUser] = await Promise.all([
+    getSponsoredGasByDay(since),
+    getSponsoredGasByUser(since, limit, offset),
+  ]);
+
+  const toSui = (row) => ({ ...row, gasUsed: row.gasUsed / MIST_PER_SUI });
+
+  return {
+    enabled: isSponsorshipEnabled(),
+    dailyBudget: SPONSORED_GAS_DAILY_BUDGET,
+    total: {
+      transactions: byDay.reduce((sum, day) => sum + day.transactions, 0),
+      gasUsed:
+        byDay.reduce((sum, day) => sum + day.gasUsed, 0) / MIST_PER_SUI,
+    },
+    days: byDay.map(toSui),
+    users: byUser.map(toSui),
+  };
+}
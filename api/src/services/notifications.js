@@ -0,0 +1,300 @@
+import {
+  addNotification,
+  getDueNotifications,
+  updateNotification,
+  getUser,
+} from "./database.js";
+import { getSmsSender } from "./sms.js";
+import { DEFAULT_LANGUAGE, t } from "../i18n/index.js";
+import { formatSui } from "../utils/format.js";
+import {
+  TRANSACTION_TYPES,
+  ESCROW_EXPIRY_DAYS,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_SECONDS,
+} from "../constants.js";
+
+/**
+ * User notifications.
+ *
+ * notify() renders the event's template (the "sms.<event>" key in the i18n
+ * catalogue) in the user's language and queues it in the notifications
+ * table. The queue is drained straight away and then periodically; failed
+ * deliveries are retried with exponential backoff until
+ * NOTIFICATION_MAX_ATTEMPTS, and every attempt is recorded on the row.
+ */
+
+export const NOTIFICATION_EVENTS = {
+  REGISTERED: "registered",
+  FUNDED: "funded",
+  SENT: "sent",
+  RECEIVED: "received",
+  FAILED: "failed",
+  INTERRUPTED: "interrupted",
+  DEPOSIT: "deposit",
+  WITHDRAWN: "withdrawn",
+  ESCROW_SENT: "escrowSent",
+  ESCROW_INVITE: "escrowInvite",
+  ESCROW_REFUNDED: "escrowRefunded",
+  ESCROW_RETURNED: "escrowReturned",
+  ESCROW_CANCELLED: "escrowCancelled",
+  PAYMENT_REQUESTED: "paymentRequested",
+  REQUEST_ACCEPTED: "requestAccepted",
+  REQUEST_DECLINED: "requestDeclined",
+  REQUEST_EXPIRED: "requestExpired",
+  ACCOUNT_LOCKED: "accountLocked",
+};
+
+const KNOWN_EVENTS = new Set(Object.values(NOTIFICATION_EVENTS));
+
+let processing = false;
+
+/**
+ * Queue a notification for a user. Never throws: a notification that can't
+ * be queued is logged and skipped so it can't undo the action it reports on.
+ * @param {string} phone - Recipient phone number
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} params - Template parameters
+ * @param {string} language - Language code (looked up from the user if omitted)
+ * @returns {Promise<number|null>} - Notification ID, or null if not queued
+ */
+export async function notify(phone, event, params = {}, language = null) {
+  try {
+    if (!KNOWN_EVENTS.has(event)) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const userLanguage =
+      language || (await getUser(phone))?.language || DEFAULT_LANGUAGE;
+
+    const id = await addNotification({
+      phone,
+      event,
+      language: userLanguage,
+      message: t(userLanguage, `sms.${event}`, params),
+      nextAttemptAt: Date.now(),
+    });
+
+    setImmediate(() => {
+      processNotificationQueue().catch((error) => {
+        console.error("❌ Error processing notification queue:", error);
+      });
+    });
+
+    return id;
+  } catch (error) {
+    console.error(
+      `❌ Error queueing ${event} notification for ${phone}:`,
+      error
+    );
+    return null;
+  }
+}
+
+/**
+ * Tell both parties how a transfer ended: the sender gets SENT and the
+ * receiver RECEIVED, or the sender alone gets FAILED. A withdrawal's sender
+ * gets WITHDRAWN or FAILED. A send held in escrow gets the sender
+ * ESCROW_SENT and the unregistered receiver an ESCROW_INVITE; if it fails,
+ * both are told when its claim is cancelled (see escrow.js).
+ * @param {Object} transaction - Transaction row
+ * @param {boolean} succeeded - Whether the transfer went through
+ */
+export async function notifyTransferOutcome(transaction, succeeded) {
+  if (transaction.type === TRANSACTION_TYPES.WITHDRAWAL) {
+    await notify(
+      transaction.senderPhone,
+      succeeded ? NOTIFICATION_EVENTS.WITHDRAWN : NOTIFICATION_EVENTS.FAILED,
+      {
+        amount: formatSui(transaction.amount),
+        reference: transaction.id,
+        name: transaction.counterpartyAddress,
+        address: transaction.counterpartyAddress,
+      }
+    );
+    return;
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.ESCROW) {
+    // Told when the escrow worker cancels the claim
+    if (!succeeded) {
+      return;
+    }
+
+    const params = {
+      amount: formatSui(transaction.amount),
+      reference: transaction.id,
+      days: ESCROW_EXPIRY_DAYS,
+    };
+
+    const sender = await getUser(transaction.senderPhone);
+    await notify(transaction.senderPhone, NOTIFICATION_EVENTS.ESCROW_SENT, {
+      ...params,
+      phone: transaction.receiverPhone,
+    });
+    // Not a user yet, so in the sender's language
+    await notify(
+      transaction.receiverPhone,
+      NOTIFICATION_EVENTS.ESCROW_INVITE,
+      { ...params, name: sender?.fullName, phone: transaction.senderPhone },
+      sender?.language
+    );
+    return;
+  }
+
+  const [sender, receiver] = await Promise.all([
+    getUser(transaction.senderPhone),
+    getUser(transaction.receiverPhone),
+  ]);
+  const params = {
+    amount: formatSui(transaction.amount),
+    reference: transaction.id,
+  };
+
+  if (!succeeded) {
+    await notify(transaction.senderPhone, NOTIFICATION_EVENTS.FAILED, {
+      ...params,
+      name: receiver?.fullName,
+    });
+    return;
+  }
+
+  await notify(transaction.senderPhone, NOTIFICATION_EVENTS.SENT, {
+    ...params,
+    name: receiver?.fullName,
+    phone: transaction.receiverPhone,
+  });
+  await notify(transaction.receiverPhone, NOTIFICATION_EVENTS.RECEIVED, {
+    ...params,
+    name: sender?.fullName,
+    phone: transaction.senderPhone,
+  });
+}
+
+/**
+ * Tell the sender a transfer was interrupted before it was sent and should
+ * be tried again
+ * @param {Object} transaction - Transaction row
+ */
+export async function notifyTransferInterrupted(transaction) {
+  // Withdrawals and escrowed sends have no user on the other side
+  const receiver =
+    transaction.type === TRANSACTION_TYPES.TRANSFER
+      ? await getUser(transaction.receiverPhone)
+      : null;
+
+  await notify(transaction.senderPhone, NOTIFICATION_EVENTS.INTERRUPTED, {
+    amount: formatSui(transaction.amount),
+    reference: transaction.id,
+    name:
+      receiver?.fullName ||
+      transaction.receiverPhone ||
+      transaction.counterpartyAddress,
+  });
+}
+
+/**
+ * Get the delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return NOTIFICATION_RETRY_SECONDS * 2 ** (attempts - 1) * 1000;
+}
+
+/**
+ * Attempt to deliver one queued notification
+ * @param {Object} notification - Notification row
+ * @param {Object} sender - SMS sender
+ * @returns {Promise<boolean>} - Whether the provider accepted the message
+ */
+async function deliver(notification, sender) {
+  const attempts = notification.attempts + 1;
+
+  try {
+    const { messageId } = await sender.send(
+      notification.phone,
+      notification.message
+    );
+
+    await updateNotification(notification.id, {
+      status: NOTIFICATION_STATUS.SENT,
+      attempts,
+      provider: sender.name,
+      providerMessageId: messageId || null,
+      lastError: null,
+      sentAt: Date.now(),
+    });
+
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+
+    await updateNotification(notification.id, {
+      status: exhausted
+        ? NOTIFICATION_STATUS.FAILED
+        : NOTIFICATION_STATUS.QUEUED,
+      attempts,
+      provider: sender.name,
+      lastError: error.message,
+      nextAttemptAt: exhausted ? null : Date.now() + retryDelay(attempts),
+    });
+
+    console.error(
+      `❌ SMS ${notification.id} to ${notification.phone} failed (attempt ${attempts}/${NOTIFICATION_MAX_ATTEMPTS}):`,
+      error.message
+    );
+
+    return false;
+  }
+}
+
+/**
+ * Deliver every notification that is due. Only one pass runs at a time.
+ * @returns {Promise<number>} - Number of notifications delivered
+ */
+export async function processNotificationQueue() {
+  if (processing) {
+    return 0;
+  }
+
+  processing = true;
+  let delivered = 0;
+
+  try {
+    const sender = getSmsSender();
+
+    // Failed deliveries are rescheduled into the future, so this drains
+    // everything due now (including anything queued meanwhile) and stops
+    let due = await getDueNotifications();
+    while (due.length > 0) {
+      for (const notification of due) {
+        if (await deliver(notification, sender)) {
+          delivered++;
+        }
+      }
+
+      due = await getDueNotifications();
+    }
+  } finally {
+    processing = false;
+  }
+
+  return delivered;
+}
+
+/**
+ * Drain the queue now and then every intervalSeconds, picking up retries
+ * and anything queued before a restart
+ * @param {number} intervalSeconds - Polling interval
+ */
+export function startNotificationWorker(intervalSeconds = 15) {
+  const run = () =>
+    processNotificationQueue().catch((error) => {
+      console.error("❌ Error processing notification queue:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
@@ -0,0 +1,223 @@
+import {
+  addTransaction,
+  addPaymentRequest,
+  getExpiredPaymentRequests,
+  getPaymentRequestByTransaction,
+  updatePaymentRequest,
+} from "./database.js";
+import { NOTIFICATION_EVENTS, notify } from "./notifications.js";
+import { formatSui } from "../utils/format.js";
+import {
+  TRANSACTION_STATUS,
+  PAYMENT_REQUEST_STATUS,
+  PAYMENT_REQUEST_EXPIRY_HOURS,
+  PAYMENT_REQUEST_INTERVAL_SECONDS,
+} from "../constants.js";
+
+/**
+ * Payment requests: one user asks another for an amount.
+ *
+ * The payer gets an SMS and finds the request under "Payment requests" on
+ * the USSD menu. Accepting it records an ordinary transfer, which the caller
+ * queues, so the usual sent/received SMSes follow. The requester is told
+ * when the transfer is confirmed, or when the request is declined or
+ * expires after PAYMENT_REQUEST_EXPIRY_HOURS. A request whose transfer
+ * fails goes back to pending, to be paid again or to expire. Status changes
+ * are compare-and-set, so a request is only ever paid once.
+ */
+
+/**
+ * Request money from another user and tell them
+ * @param {Object} requester - Requesting user
+ * @param {Object} payer - User asked to pay
+ * @param {number} amount - Amount in SUI
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { id, expiresAt }
+ */
+export async function createPaymentRequest(
+  requester,
+  payer,
+  amount,
+  now = Date.now()
+) {
+  const expiresAt = now + PAYMENT_REQUEST_EXPIRY_HOURS * 60 * 60 * 1000;
+  const id = await addPaymentRequest({
+    requesterPhone: requester.phone,
+    payerPhone: payer.phone,
+    amount,
+    expiresAt,
+  });
+  console.log(
+    `🧾 Payment request ${id}: ${requester.phone} asked ${payer.phone} for ${amount} SUI`
+  );
+
+  await notify(payer.phone, NOTIFICATION_EVENTS.PAYMENT_REQUESTED, {
+    amount: formatSui(amount),
+    name: requester.fullName,
+    phone: requester.phone,
+    hours: PAYMENT_REQUEST_EXPIRY_HOURS,
+  });
+
+  return { id, expiresAt };
+}
+
+/**
+ * Accept a pending request and record the transfer that pays it, for the
+ * caller to put on the transfer queue
+ * @param {Object} request - Request from getPendingPaymentRequests
+ * @param {Object} payer - Paying user
+ * @param {Object} options - { idempotencyKey, now }
+ * @returns {Promise<number|null>} - Transaction ID, or null if the request
+ *   is no longer pending
+ */
+export async function acceptPaymentRequest(
+  request,
+  payer,
+  { idempotencyKey = null, now = Date.now() } = {}
+) {
+  if (
+    request.expiresAt <= now ||
+    !(await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.PENDING, {
+      status: PAYMENT_REQUEST_STATUS.ACCEPTED,
+      respondedAt: now,
+    }))
+  ) {
+    return null;
+  }
+
+  let transactionId;
+  try {
+    transactionId = await addTransaction({
+      senderPhone: payer.phone,
+      receiverPhone: request.requesterPhone,
+      amount: request.amount,
+      txHash: null,
+      status: TRANSACTION_STATUS.CREATED,
+      idempotencyKey,
+    });
+  } catch (error) {
+    // Nothing was paid, so the request can be answered again
+    await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.ACCEPTED, {
+      status: PAYMENT_REQUEST_STATUS.PENDING,
+      respondedAt: null,
+    });
+    throw error;
+  }
+
+  await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.ACCEPTED, {
+    transactionId,
+  });
+  console.log(
+    `✅ Payment request ${request.id} accepted as transaction ${transactionId}`
+  );
+
+  return transactionId;
+}
+
+/**
+ * Follow up a settled transaction that paid a request: tell the requester
+ * it was paid, or put the request back to pending if the transfer failed
+ * @param {Object} transaction - Settled transaction row
+ * @param {boolean} succeeded - Whether the transfer went through
+ */
+export async function settlePaymentRequest(transaction, succeeded) {
+  const request = await getPaymentRequestByTransaction(transaction.id);
+  if (!request || request.status !== PAYMENT_REQUEST_STATUS.ACCEPTED) {
+    return;
+  }
+
+  if (succeeded) {
+    await notify(request.requesterPhone, NOTIFICATION_EVENTS.REQUEST_ACCEPTED, {
+      amount: formatSui(request.amount),
+      name: request.payerName,
+      reference: transaction.id,
+    });
+    return;
+  }
+
+  if (
+    await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.ACCEPTED, {
+      status: PAYMENT_REQUEST_STATUS.PENDING,
+      transactionId: null,
+      respondedAt: null,
+    })
+  ) {
+    console.log(
+      `↩️ Payment request ${request.id} is pending again: transaction ${transaction.id} failed`
+    );
+  }
+}
+
+/**
+ * Decline a pending request and tell the requester
+ * @param {Object} request - Request from getPendingPaymentRequests
+ * @param {Object} payer - User declining it
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} - Whether it was still pending
+ */
+export async function declinePaymentRequest(request, payer, now = Date.now()) {
+  if (
+    !(await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.PENDING, {
+      status: PAYMENT_REQUEST_STATUS.DECLINED,
+      respondedAt: now,
+    }))
+  ) {
+    return false;
+  }
+  console.log(`🚫 Payment request ${request.id} declined`);
+
+  await notify(request.requesterPhone, NOTIFICATION_EVENTS.REQUEST_DECLINED, {
+    amount: formatSui(request.amount),
+    name: payer.fullName,
+  });
+  return true;
+}
+
+/**
+ * Expire pending requests past their expiry and tell the requesters
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Number of requests expired
+ */
+export async function expirePaymentRequests(now = Date.now()) {
+  let expired = 0;
+
+  for (const request of await getExpiredPaymentRequests(now)) {
+    if (
+      await updatePaymentRequest(request.id, PAYMENT_REQUEST_STATUS.PENDING, {
+        status: PAYMENT_REQUEST_STATUS.EXPIRED,
+        respondedAt: now,
+      })
+    ) {
+      expired++;
+      await notify(
+        request.requesterPhone,
+        NOTIFICATION_EVENTS.REQUEST_EXPIRED,
+        {
+          amount: formatSui(request.amount),
+          name: request.payerName || request.payerPhone,
+        }
+      );
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} payment request(s)`);
+  }
+  return expired;
+}
+
+/**
+ * Expire requests now and then every intervalSeconds
+ * @param {number} intervalSeconds - Polling interval
+ */
+export function startPaymentRequestWorker(
+  intervalSeconds = PAYMENT_REQUEST_INTERVAL_SECONDS
+) {
+  const run = () =>
+    expirePaymentRequests().catch((error) => {
+      console.error("❌ Error expiring payment requests:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
@@ -0,0 +1,326 @@
+import crypto from "crypto";
+import {
+  recordFailedPinAttempt,
+  lockUserPin,
+  resetPinAttempts,
+  changeUserPin,
+  setRecoveryEnvelope,
+  addPinReset,
+  getActivePinReset,
+  recordPinResetAttempt,
+  markPinResetUsed,
+} from "./database.js";
+import { NOTIFICATION_EVENTS, notify } from "./notifications.js";
+import {
+  encryptMnemonic,
+  decryptMnemonic,
+  hashPinPhone,
+  verifyPinPhone,
+  isRecoveryEnabled,
+  encryptRecoveryEnvelope,
+  decryptRecoveryEnvelope,
+} from "../utils/encryption.js";
+import {
+  MAX_FAILED_ATTEMPTS,
+  PIN_LOCKOUT_MINUTES,
+  PIN_RESET_CODE_TTL_MINUTES,
+  PIN_RESET_MAX_ATTEMPTS,
+} from "../constants.js";
+
+/**
+ * PIN verification shared by the REST API and the USSD menus.
+ *
+ * Every wrong PIN counts against the user. After MAX_FAILED_ATTEMPTS in a
+ * row the account is locked for PIN_LOCKOUT_MINUTES, each consecutive
+ * lockout lasting longer than the last. A correct PIN clears both counts.
+ *
+ * Wallet mnemonics are encrypted under the PIN, so changing a PIN re-encrypts
+ * the mnemonic. For forgotten PINs each user also has a recovery envelope
+ * (the mnemonic encrypted under the server's PIN_RECOVERY_KEY) that an
+ * admin-issued reset code unlocks.
+ */
+
+export const PIN_STATUS = {
+  OK: "ok",
+  INVALID: "invalid",
+  LOCKED: "locked",
+};
+
+export const PIN_RESET_STATUS = {
+  OK: "ok",
+  INVALID: "invalid",
+  NONE: "none",
+};
+
+/**
+ * Check whether a user's PIN is currently locked
+ * @param {Object} user - User record
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { locked, lockedUntil, retryAfterSeconds }
+ */
+export function getPinLockStatus(user, now = Date.now()) {
+  const lockedUntil = user.lockedUntil || null;
+
+  if (!lockedUntil || lockedUntil <= now) {
+    return { locked: false, lockedUntil: null, retryAfterSeconds: 0 };
+  }
+
+  return {
+    locked: true,
+    lockedUntil,
+    retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000),
+  };
+}
+
+/**
+ * Get how long the next lockout lasts
+ * @param {number} lockoutCount - Lockouts since the last correct PIN
+ * @returns {number} - Lockout duration in milliseconds
+ */
+function lockoutDuration(lockoutCount) {
+  const index = Math.min(lockoutCount, PIN_LOCKOUT_MINUTES.length - 1);
+  return PIN_LOCKOUT_MINUTES[index] * 60 * 1000;
+}
+
+/**
+ * Verify a user's PIN, counting failures and applying lockouts
+ * @param {Object} user - User record
+ * @param {string} pin - Submitted PIN
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { status, remainingAttempts, lockedUntil, retryAfterSeconds }
+ */
+export async function verifyUserPin(user, pin, now = Date.now()) {
+  const lock = getPinLockStatus(user, now);
+  if (lock.locked) {
+    return {
+      status: PIN_STATUS.LOCKED,
+      remainingAttempts: 0,
+      lockedUntil: lock.lockedUntil,
+      retryAfterSeconds: lock.retryAfterSeconds,
+    };
+  }
+
+  if (verifyPinPhone(pin, user.phone, user.pinHash)) {
+    if (user.failedAttempts > 0 || user.lockoutCount > 0 || user.lockedUntil) {
+      await resetPinAttempts(user.phone);
+    }
+
+    if (!user.recoveryEnvelope) {
+      await backfillRecoveryEnvelope(user, pin);
+    }
+
+    return {
+      status: PIN_STATUS.OK,
+      remainingAttempts: MAX_FAILED_ATTEMPTS,
+      lockedUntil: null,
+      retryAfterSeconds: 0,
+    };
+  }
+
+  const { failedAttempts, lockoutCount } = await recordFailedPinAttempt(
+    user.phone
+  );
+
+  if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+    return {
+      status: PIN_STATUS.INVALID,
+      remainingAttempts: MAX_FAILED_ATTEMPTS - failedAttempts,
+      lockedUntil: null,
+      retryAfterSeconds: 0,
+    };
+  }
+
+  const lockedUntil = now + lockoutDuration(lockoutCount);
+  await lockUserPin(user.phone, lockedUntil);
+
+  console.warn(
+    `🔒 PIN locked for ${user.phone} until ${new Date(lockedUntil).toISOString()}`
+  );
+
+  await notify(user.phone, NOTIFICATION_EVENTS.ACCOUNT_LOCKED, {
+    minutes: Math.ceil((lockedUntil - now) / 60000),
+  });
+
+  return {
+    status: PIN_STATUS.LOCKED,
+    remainingAttempts: 0,
+    lockedUntil,
+    retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000),
+  };
+}
+
+/**
+ * Round a lockout's remaining time up to whole minutes for display
+ * @param {Object} lock - Result of getPinLockStatus or verifyUserPin
+ * @returns {number} - Minutes until the lock expires (at least 1)
+ */
+export function lockoutMinutes(lock) {
+  return Math.max(1, Math.ceil(lock.retryAfterSeconds / 60));
+}
+
+/**
+ * Create a recovery envelope for a new wallet, if recovery is configured
+ * @param {string} mnemonic - Wallet mnemonic
+ * @returns {string|null} - Recovery envelope, or null if recovery is disabled
+ */
+export function createRecoveryEnvelope(mnemonic) {
+  return isRecoveryEnabled() ? encryptRecoveryEnvelope(mnemonic) : null;
+}
+
+/**
+ * Give users registered before recovery envelopes existed an envelope the
+ * next time they enter a correct PIN
+ * @param {Object} user - User record
+ * @param {string} pin - The user's correct PIN
+ */
+async function backfillRecoveryEnvelope(user, pin) {
+  if (!isRecoveryEnabled()) {
+    return;
+  }
+
+  try {
+    const mnemonic = decryptMnemonic(user.encryptedMnemonic, pin);
+    await setRecoveryEnvelope(user.phone, encryptRecoveryEnvelope(mnemonic));
+    console.log(`✅ Created PIN recovery envelope for ${user.phone}`);
+  } catch (error) {
+    console.error("⚠️ Failed to create PIN recovery envelope:", error);
+  }
+}
+
+/**
+ * Re-key a user's wallet to a new PIN
+ * @param {Object} user - User record
+ * @param {string} mnemonic - Decrypted wallet mnemonic
+ * @param {string} newPin - New PIN
+ */
+async function rekeyWallet(user, mnemonic, newPin) {
+  await changeUserPin(user.phone, user.pinHash, {
+    pinHash: hashPinPhone(newPin, user.phone),
+    encryptedMnemonic: encryptMnemonic(mnemonic, newPin),
+    recoveryEnvelope: user.recoveryEnvelope
+      ? null
+      : createRecoveryEnvelope(mnemonic),
+  });
+}
+
+/**
+ * Change a user's PIN. The current PIN must already have been verified.
+ * @param {Object} user - User record
+ * @param {string} currentPin - Current (verified) PIN
+ * @param {string} newPin - New PIN
+ * @returns {Promise<void>}
+ */
+export async function changePin(user, currentPin, newPin) {
+  const mnemonic = decryptMnemonic(user.encryptedMnemonic, currentPin);
+  await rekeyWallet(user, mnemonic, newPin);
+
+  console.log(`✅ PIN changed for ${user.phone}`);
+}
+
+/**
+ * Issue a one-time PIN reset code (admin-assisted recovery). The code is
+ * handed to the user out of band after the admin has verified their identity.
+ * @param {Object} user - User record
+ * @param {string} issuedBy - Email of the issuing admin
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { code, expiresAt }
+ */
+export async function issuePinReset(user, issuedBy, now = Date.now()) {
+  if (!isRecoveryEnabled()) {
+    throw new Error("PIN recovery is not configured");
+  }
+
+  if (!user.recoveryEnvelope) {
+    throw new Error(
+      "User has no recovery envelope yet. It is created the next time they enter their PIN."
+    );
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = now + PIN_RESET_CODE_TTL_MINUTES * 60 * 1000;
+
+  await addPinReset(
+    user.phone,
+    hashPinPhone(code, user.phone),
+    issuedBy,
+    expiresAt
+  );
+
+  console.log(`🔑 PIN reset code issued for ${user.phone} by ${issuedBy}`);
+
+  return { code, expiresAt };
+}
+
+/**
+ * Check a PIN reset code, revoking it after too many wrong guesses
+ * @param {Object} user - User record
+ * @param {string} code - Submitted reset code
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { status, resetId, remainingAttempts }
+ */
+export async function checkPinResetCode(user, code, now = Date.now()) {
+  const reset = await getActivePinReset(user.phone, now);
+  if (!reset) {
+    return {
+      status: PIN_RESET_STATUS.NONE,
+      resetId: null,
+      remainingAttempts: 0,
+    };
+  }
+
+  if (verifyPinPhone(code, user.phone, reset.codeHash)) {
+    return {
+      status: PIN_RESET_STATUS.OK,
+      resetId: reset.id,
+      remainingAttempts: PIN_RESET_MAX_ATTEMPTS - reset.attempts,
+    };
+  }
+
+  const attempts = await recordPinResetAttempt(reset.id);
+  if (attempts >= PIN_RESET_MAX_ATTEMPTS) {
+    await markPinResetUsed(reset.id, now);
+    console.warn(
+      `🔒 PIN reset code revoked for ${user.phone} after ${attempts} wrong attempts`
+    );
+    return {
+      status: PIN_RESET_STATUS.NONE,
+      resetId: null,
+      remainingAttempts: 0,
+    };
+  }
+
+  return {
+    status: PIN_RESET_STATUS.INVALID,
+    resetId: null,
+    remainingAttempts: PIN_RESET_MAX_ATTEMPTS - attempts,
+  };
+}
+
+/**
+ * Use a checked reset code to set a new PIN from the recovery envelope.
+ * Clears any PIN lockout.
+ * @param {Object} user - User record
+ * @param {number} resetId - ID returned by checkPinResetCode
+ * @param {string} newPin - New PIN
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function completePinReset(
+  user,
+  resetId,
+  newPin,
+  now = Date.now()
+) {
+  const reset = await getActivePinReset(user.phone, now);
+  const claimed =
+    reset?.id === resetId && (await markPinResetUsed(resetId, now));
+
+  if (!claimed) {
+    throw new Error("PIN reset code is no longer valid");
+  }
+
+  const mnemonic = decryptRecoveryEnvelope(user.recoveryEnvelope);
+  await rekeyWallet(user, mnemonic, newPin);
+
+  console.log(`✅ PIN reset for ${user.phone}`);
+}
@@ -0,0 +1,119 @@
+import {
+  getRateLimitCounts,
+  consumeRateLimitCounter,
+  deleteRateLimitCounters,
+  addRateLimitEvent,
+  deleteRateLimitEvents,
+} from "./database.js";
+import {
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_EVENT_RETENTION_HOURS,
+} from "../constants.js";
+
+/**
+ * Sliding window rate limiter backed by SQLite.
+ *
+ * Requests are counted in fixed windows per policy and key. The sliding
+ * estimate weights the previous window by how much of it still overlaps
+ * the sliding window, so a burst at a window boundary can't double the
+ * limit. Counters live in the database so limits survive restarts, and a
+ * request is checked and counted in one statement so concurrent requests
+ * can't slip past the limit together.
+ */
+
+/**
+ * Get a rate limit policy by name
+ * @param {string} policy - Policy name (phone, ip, session, pin)
+ * @returns {Object} - { limit, windowSeconds }
+ */
+function getPolicy(policy) {
+  const config = RATE_LIMIT_POLICIES[policy];
+  if (!config) {
+    throw new Error(`Unknown rate limit policy: ${policy}`);
+  }
+  return config;
+}
+
+/**
+ * Count a request against a policy, unless the key is already over its limit
+ * @param {string} policy - Policy name
+ * @param {string} key - Throttled key (phone number, IP, session ID)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed, count, limit, retryAfterSeconds }
+ */
+export async function consumeRateLimit(policy, key, now = Date.now()) {
+  const { limit, windowSeconds } = getPolicy(policy);
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const previousStart = windowStart - windowMs;
+  const overlap = 1 - (now - windowStart) / windowMs;
+
+  const allowed = await consumeRateLimitCounter(policy, key, {
+    windowStart,
+    previousStart,
+    overlap,
+    limit,
+  });
+
+  const counts = await getRateLimitCounts(policy, key, [
+    previousStart,
+    windowStart,
+  ]);
+  const count =
+    (counts[previousStart] || 0) * overlap + (counts[windowStart] || 0);
+
+  if (!allowed) {
+    await addRateLimitEvent(policy, key, windowStart, limit);
+    console.warn(`⚠️ Rate limit ${policy} exceeded for ${key}`);
+
+    return {
+      allowed: false,
+      count,
+      limit,
+      retryAfterSeconds: Math.ceil((windowStart + windowMs - now) / 1000),
+    };
+  }
+
+  return { allowed: true, count, limit, retryAfterSeconds: 0 };
+}
+
+/**
+ * Check several policies in turn, stopping at the first one that throttles
+ * @param {Array} checks - [{ policy, key }]; checks without a key are skipped
+ * @returns {Promise<Object>} - { allowed, policy, retryAfterSeconds }
+ */
+export async function consumeRateLimits(checks) {
+  for (const { policy, key } of checks) {
+    if (!key) {
+      continue;
+    }
+
+    const result = await consumeRateLimit(policy, key);
+    if (!result.allowed) {
+      return { ...result, policy };
+    }
+  }
+
+  return { allowed: true, policy: null, retryAfterSeconds: 0 };
+}
+
+/**
+ * Delete counters that no longer fall inside any policy's sliding window,
+ * and throttled request counts older than the admin can look back
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - Number of counters removed
+ */
+export async function purgeRateLimitCounters(now = Date.now()) {
+  const longestWindow = Math.max(
+    ...Object.values(RATE_LIMIT_POLICIES).map((p) => p.windowSeconds)
+  );
+  await deleteRateLimitEvents(RATE_LIMIT_EVENT_RETENTION_HOURS);
+  return deleteRateLimitCounters(now - 2 * longestWindow * 1000);
+}
+
+// Sweep stale counters every 10 minutes
+setInterval(() => {
+  purgeRateLimitCounters().catch((error) => {
+    console.error("❌ Error purging rate limit counters:", error);
+  });
+}, 10 * 60 * 1000).unref();
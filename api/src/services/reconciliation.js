@@ -0,0 +1,343 @@
+import {
+  getUnsettledTransactions,
+  getTransactionByTxHash,
+  updateTransaction,
+  addReconciliationReport,
+} from "./database.js";
+import {
+  getTransactionDetails,
+  findTransactionsFromAddress,
+  getOperatorAddress,
+} from "./chain/index.js";
+import { notifyTransferOutcome } from "./notifications.js";
+import { settlePaymentRequest } from "./payment-requests.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  RECONCILIATION_INTERVAL_SECONDS,
+  RECONCILIATION_MIN_AGE_SECONDS,
+  RECONCILIATION_MATCH_WINDOW_MINUTES,
+  RECONCILIATION_GIVE_UP_MINUTES,
+} from "../constants.js";
+
+/**
+ * Reconciliation of transactions against chain state.
+ *
+ * A transfer can be left created or submitted if the process dies around
+ * signAndExecuteTransaction or the response is lost. The worker periodically
+ * picks up such rows (once they are RECONCILIATION_MIN_AGE_SECONDS old) and
+ * settles them from the chain:
+ *
+ *   created               never broadcast, marked failed
+ *   submitted + digest    looked up with getTransactionDetails
+ *   submitted, no digest  matched by sender address, amount and time window
+ *
+ * Rows that still can't be found after RECONCILIATION_GIVE_UP_MINUTES are
+ * marked failed. Every discrepancy is written to reconciliation_reports for
+ * admins, and settled transfers send the usual SMS notifications.
+ */
+
+export const RECONCILIATION_ISSUES = {
+  NEVER_SUBMITTED: "never_submitted",
+  CONFIRMED_ON_CHAIN: "confirmed_on_chain",
+  FAILED_ON_CHAIN: "failed_on_chain",
+  NOT_FOUND_ON_CHAIN: "not_found_on_chain",
+  AMBIGUOUS_MATCH: "ambiguous_match",
+};
+
+let running = false;
+
+/**
+ * Parse an SQLite CURRENT_TIMESTAMP value (UTC)
+ * @param {string} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseTimestamp(value) {
+  return new Date(`${value.replace(" ", "T")}Z`).getTime();
+}
+
+/**
+ * Get the on-chain outcome of a transaction block
+ * @param {Object} tx - Transaction block with effects
+ * @returns {Object} - { succeeded, error }
+ */
+function chainOutcome(tx) {
+  const status = tx.effects?.status;
+  return {
+    succeeded: status?.status === "success",
+    error: status?.error || null,
+  };
+}
+
+/**
+ * Check whether a chain transaction is the transfer a row describes: it
+ * paid the receiver's address exactly the amount, or (wallet-to-wallet
+ * transfers) it used both parties' wallet objects
+ * @param {Object} tx - Transaction block with input and balance changes
+ * @param {Object} row - Unsettled transaction row
+ * @returns {boolean} - Whether the transaction matches
+ */
+function matchesTransfer(tx, row) {
+  const amountInMist = BigInt(Math.floor(row.amount * 1_000_000_000));
+
+  const paidReceiver = (tx.balanceChanges || []).some(
+    (change) =>
+      change.owner?.AddressOwner === row.receiverAddress &&
+      BigInt(change.amount) === amountInMist
+  );
+  if (paidReceiver) {
+    return true;
+  }
+
+  if (!row.senderWalletObjectId || !row.receiverWalletObjectId) {
+    return false;
+  }
+
+  const objectIds = (tx.transaction?.data?.transaction?.inputs || [])
+    .filter((input) => input.type === "object")
+    .map((input) => input.objectId);
+
+  return (
+    objectIds.includes(row.senderWalletObjectId) &&
+    objectIds.includes(row.receiverWalletObjectId)
+  );
+}
+
+/**
+ * Look a transaction up by digest
+ * @param {string} txHash - Transaction digest
+ * @returns {Promise<Object|null>} - Transaction block, or null if unknown
+ */
+async function findByDigest(txHash) {
+  try {
+    return await getTransactionDetails(txHash);
+  } catch (error) {
+    if (/could not find/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the chain transactions that could be a row's transfer, skipping any
+ * already recorded against another row
+ * @param {Object} row - Unsettled transaction row
+ * @param {number} submittedAt - Submission time in milliseconds
+ * @returns {Promise<Array>} - Candidate transaction blocks
+ */
+async function findBySender(row, submittedAt) {
+  if (!row.senderAddress) {
+    return [];
+  }
+
+  const candidates = await findTransactionsFromAddress(
+    row.senderAddress,
+    submittedAt - 60 * 1000,
+    submittedAt + RECONCILIATION_MATCH_WINDOW_MINUTES * 60 * 1000
+  );
+
+  // Sends to unregistered numbers pay the escrow, whoever has the number now
+  const expected =
+    row.type === TRANSACTION_TYPES.ESCROW
+      ? {
+          ...row,
+          receiverAddress: getOperatorAddress(),
+          receiverWalletObjectId: null,
+        }
+      : row;
+
+  const matches = [];
+  for (const tx of candidates) {
+    if (!matchesTransfer(tx, expected)) {
+      continue;
+    }
+    if (!(await getTransactionByTxHash(tx.digest))) {
+      matches.push(tx);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Settle a row and report the discrepancy
+ * @param {Object} row - Unsettled transaction row
+ * @param {string} status - CONFIRMED or FAILED
+ * @param {Object} report - { issue, txHash, details }
+ * @returns {Promise<boolean>} - False if something else settled it first
+ */
+async function settle(row, status, { issue, txHash = null, details }) {
+  try {
+    const errorMessage = status === TRANSACTION_STATUS.FAILED ? details : null;
+    await updateTransaction(row.id, status, txHash, errorMessage);
+  } catch (error) {
+    if (/Illegal transaction transition/.test(error.message)) {
+      return false;
+    }
+    throw error;
+  }
+
+  await addReconciliationReport({
+    transactionId: row.id,
+    issue,
+    previousStatus: row.status,
+    resolvedStatus: status,
+    txHash: txHash || row.txHash,
+    details,
+  });
+
+  console.log(
+    `🔎 Reconciled transaction ${row.id}: ${row.status} -> ${status} (${issue})`
+  );
+
+  await notifyTransferOutcome(row, status === TRANSACTION_STATUS.CONFIRMED);
+  await settlePaymentRequest(row, status === TRANSACTION_STATUS.CONFIRMED);
+  return true;
+}
+
+/**
+ * Settle a row from the chain transaction it was matched to
+ * @param {Object} row - Unsettled transaction row
+ * @param {Object} tx - Matching transaction block
+ * @param {string} matchedBy - How the match was made
+ * @returns {Promise<string|null>} - New status, or null if not settled
+ */
+async function settleFromChain(row, tx, matchedBy) {
+  const { succeeded, error } = chainOutcome(tx);
+  const status = succeeded
+    ? TRANSACTION_STATUS.CONFIRMED
+    : TRANSACTION_STATUS.FAILED;
+
+  const settled = await settle(row, status, {
+    issue: succeeded
+      ? RECONCILIATION_ISSUES.CONFIRMED_ON_CHAIN
+      : RECONCILIATION_ISSUES.FAILED_ON_CHAIN,
+    txHash: tx.digest,
+    details: succeeded
+      ? `Found on chain by ${matchedBy}`
+      : `Failed on chain (found by ${matchedBy}): ${error}`,
+  });
+
+  return settled ? status : null;
+}
+
+/**
+ * Reconcile one unsettled transaction
+ * @param {Object} row - Row from getUnsettledTransactions
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string|null>} - New status, or null if left as is
+ */
+async function reconcileTransaction(row, now) {
+  if (row.status === TRANSACTION_STATUS.CREATED) {
+    const settled = await settle(row, TRANSACTION_STATUS.FAILED, {
+      issue: RECONCILIATION_ISSUES.NEVER_SUBMITTED,
+      details: "Never submitted to the chain",
+    });
+    return settled ? TRANSACTION_STATUS.FAILED : null;
+  }
+
+  const submittedAt = parseTimestamp(row.submittedAt || row.timestamp);
+
+  if (row.txHash) {
+    const tx = await findByDigest(row.txHash);
+    if (tx) {
+      return settleFromChain(row, tx, "digest");
+    }
+  } else {
+    const matches = await findBySender(row, submittedAt);
+
+    if (matches.length === 1) {
+      return settleFromChain(row, matches[0], "sender address and amount");
+    }
+
+    if (matches.length > 1) {
+      await addReconciliationReport({
+        transactionId: row.id,
+        issue: RECONCILIATION_ISSUES.AMBIGUOUS_MATCH,
+        previousStatus: row.status,
+        details: `Matches ${matches.map((tx) => tx.digest).join(", ")}`,
+      });
+      return null;
+    }
+  }
+
+  if (now - submittedAt < RECONCILIATION_GIVE_UP_MINUTES * 60 * 1000) {
+    return null;
+  }
+
+  const settled = await settle(row, TRANSACTION_STATUS.FAILED, {
+    issue: RECONCILIATION_ISSUES.NOT_FOUND_ON_CHAIN,
+    details: row.txHash
+      ? `Digest ${row.txHash} not found on chain`
+      : "No matching transaction found on chain",
+  });
+  return settled ? TRANSACTION_STATUS.FAILED : null;
+}
+
+/**
+ * Reconcile every unsettled transaction. Only one pass runs at a time.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { checked, confirmed, failed, unresolved }
+ */
+export async function reconcileTransactions(now = Date.now()) {
+  const summary = { checked: 0, confirmed: 0, failed: 0, unresolved: 0 };
+
+  if (running) {
+    return summary;
+  }
+
+  running = true;
+
+  try {
+    const rows = await getUnsettledTransactions(
+      now - RECONCILIATION_MIN_AGE_SECONDS * 1000
+    );
+
+    for (const row of rows) {
+      summary.checked++;
+
+      try {
+        const status = await reconcileTransaction(row, now);
+
+        if (status === TRANSACTION_STATUS.CONFIRMED) {
+          summary.confirmed++;
+        } else if (status === TRANSACTION_STATUS.FAILED) {
+          summary.failed++;
+        } else {
+          summary.unresolved++;
+        }
+      } catch (error) {
+        // Chain unreachable and the like: try again on the next pass
+        summary.unresolved++;
+        console.error(`❌ Error reconciling transaction ${row.id}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  if (summary.checked > 0) {
+    console.log(
+      `🔎 Reconciliation: ${summary.checked} checked, ${summary.confirmed} confirmed, ${summary.failed} failed, ${summary.unresolved} unresolved`
+    );
+  }
+
+  return summary;
+}
+
+/**
+ * Reconcile now and then every intervalSeconds
+ * @param {number} intervalSeconds - Polling interval
+ */
+export function startReconciliationWorker(
+  intervalSeconds = RECONCILIATION_INTERVAL_SECONDS
+) {
+  const run = () =>
+    reconcileTransactions().catch((error) => {
+      console.error("❌ Error reconciling transactions:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
@@ -0,0 +1,162 @@
+import { appendFile } from "fs/promises";
+import {
+  SMS_PROVIDER,
+  SMS_FILE_PATH,
+  SMS_SENDER_ID,
+  AFRICASTALKING_USERNAME,
+  AFRICASTALKING_API_KEY,
+} from "../constants.js";
+
+/**
+ * SMS delivery providers.
+ *
+ * A sender is an object with a name and an async send(phone, message)
+ * method that resolves with { messageId } or throws if the provider did not
+ * accept the message (the notification queue retries it). The sender is
+ * picked by SMS_PROVIDER:
+ *
+ *   console        - logs messages (local development)
+ *   file           - appends messages to SMS_FILE_PATH as JSON lines
+ *   africastalking - Africa's Talking bulk SMS HTTP API
+ *
+ * Other senders can be added with registerSmsSender or swapped in with
+ * setSmsSender.
+ */
+
+/**
+ * Development sink that prints messages to the console
+ * @returns {Object} - SMS sender
+ */
+function createConsoleSender() {
+  return {
+    name: "console",
+    async send(phone, message) {
+      console.log(`📱 SMS to ${phone}: ${message}`);
+      return { messageId: null };
+    },
+  };
+}
+
+/**
+ * Development sink that appends messages to a file, one JSON object per line
+ * @param {string} filePath - Output file
+ * @returns {Object} - SMS sender
+ */
+function createFileSender(filePath = SMS_FILE_PATH) {
+  return {
+    name: "file",
+    async send(phone, message) {
+      const line = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        phone,
+        message,
+      });
+      await appendFile(filePath, `${line}\n`);
+      return { messageId: null };
+    },
+  };
+}
+
+/**
+ * Africa's Talking SMS sender (the "sandbox" username uses the sandbox API)
+ * @param {Object} options - { username, apiKey, from }
+ * @returns {Object} - SMS sender
+ */
+function createAfricasTalkingSender({
+  username = AFRICASTALKING_USERNAME,
+  apiKey = AFRICASTALKING_API_KEY,
+  from = SMS_SENDER_ID,
+} = {}) {
+  if (!username || !apiKey) {
+    throw new Error(
+      "AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are required for SMS"
+    );
+  }
+
+  const host =
+    username === "sandbox"
+      ? "https://api.sandbox.africastalking.com"
+      : "https://api.africastalking.com";
+
+  return {
+    name: "africastalking",
+    async send(phone, message) {
+      const body = new URLSearchParams({ username, to: phone, message });
+      if (from) {
+        body.set("from", from);
+      }
+
+      const response = await fetch(`${host}/version1/messaging`, {
+        method: "POST",
+        headers: {
+          apiKey,
+          Accept: "application/json",
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body,
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `Africa's Talking responded with HTTP ${response.status}`
+        );
+      }
+
+      const data = await response.json();
+      const recipient = data.SMSMessageData?.Recipients?.[0];
+
+      // 100 Processed, 101 Sent, 102 Queued
+      if (!recipient || ![100, 101, 102].includes(recipient.statusCode)) {
+        throw new Error(
+          `Africa's Talking rejected the message: ${
+            recipient?.status || data.SMSMessageData?.Message || "no recipient"
+          }`
+        );
+      }
+
+      return { messageId: recipient.messageId };
+    },
+  };
+}
+
+const senders = {
+  console: createConsoleSender,
+  file: createFileSender,
+  africastalking: createAfricasTalkingSender,
+};
+
+let smsSender = null;
+
+/**
+ * Make a sender available under a provider name
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Function} createSender - () => sender
+ */
+export function registerSmsSender(name, createSender) {
+  senders[name] = createSender;
+}
+
+/**
+ * Replace the active sender (e.g. in tests)
+ * @param {Object|null} sender - SMS sender, or null to use SMS_PROVIDER again
+ */
+export function setSmsSender(sender) {
+  smsSender = sender;
+}
+
+/**
+ * Get the configured SMS sender
+ * @returns {Object} - SMS sender
+ */
+export function getSmsSender() {
+  if (!smsSender) {
+    const createSender = senders[SMS_PROVIDER];
+    if (!createSender) {
+      throw new Error(`Unknown SMS provider: ${SMS_PROVIDER}`);
+    }
+
+    smsSender = createSender();
+  }
+
+  return smsSender;
+}
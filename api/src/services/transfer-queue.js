@@ -0,0 +1,672 @@
+import {
+  addTransferJob,
+  getTransferJob,
+  getTransferJobByTransaction,
+  getTransferJobsByStatus,
+  getRunnableTransferJobs,
+  claimTransferJob,
+  updateTransferJob,
+  getTransaction,
+  updateTransaction,
+  getUser,
+} from "./database.js";
+import {
+  internalTransfer,
+  withdrawFromWallet,
+  sendSui,
+  estimateTransferFee,
+  getBalance,
+  getSuiFlowWalletBalance,
+  getOperatorAddress,
+} from "./chain/index.js";
+import {
+  notifyTransferOutcome,
+  notifyTransferInterrupted,
+} from "./notifications.js";
+import { settlePaymentRequest } from "./payment-requests.js";
+import {
+  isSponsorshipEnabled,
+  getRemainingSponsoredGas,
+} from "./gas-sponsorship.js";
+import {
+  SUI_NETWORK,
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  TRANSFER_JOB_STATUS,
+  TRANSFER_JOB_MAX_ATTEMPTS,
+  TRANSFER_JOB_RETRY_SECONDS,
+} from "../constants.js";
+
+/**
+ * Outbound transfer queue.
+ *
+ * The REST and USSD channels record a transaction and enqueue a job for it
+ * instead of broadcasting inline. Jobs live in the transfer_jobs table and
+ * run one at a time per sender address, in order, so concurrent sends from
+ * one wallet can't fight over its gas coin. Withdrawals to an outside
+ * address go through the queue too; their counterpartyAddress holds the
+ * address.
+ * So do sends to unregistered numbers, paid into escrow (see escrow.js).
+ *
+ * A failed attempt is handled by what its error says about the chain:
+ *
+ *   retryable  rejected before execution (object version conflicts, the RPC
+ *              refusing or throttling us): retried with backoff up to
+ *              TRANSFER_JOB_MAX_ATTEMPTS
+ *   ambiguous  the request may have executed (timeouts, dropped
+ *              connections): never retried; the transaction stays submitted
+ *              for the reconciliation worker to settle from chain state
+ *   anything else fails the transaction
+ *
+ * A run that throws fails its job at once. If the transaction was never
+ * submitted it fails too and the sender is told; otherwise it is left for
+ * reconciliation.
+ *
+ * The decrypted signing key is only held in memory and never recovered any
+ * other way. Jobs a restart leaves without one are failed and the sender is
+ * asked by SMS to try again; jobs that were mid-broadcast are handed to
+ * reconciliation.
+ */
+
+// Rejected before execution, so a rebuilt transaction can safely be retried
+const RETRYABLE_ERRORS = [
+  /not available for consumption/i,
+  /ObjectVersionUnavailable/i,
+  /already locked/i,
+  /Failed to get balance/i,
+  /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/,
+  /\b429\b|too many requests/i,
+  /not initialized|not properly configured/i,
+  /No operator gas coin available/,
+];
+
+// The transaction may or may not have executed
+const AMBIGUOUS_ERRORS = [
+  /timeout|timed out|ETIMEDOUT/i,
+  /ECONNRESET|socket hang up/i,
+  /fetch failed/i,
+  /\b50[234]\b/,
+];
+
+// Decrypted signing keys by job ID, dropped as soon as the job finishes
+const signingKeys = new Map();
+
+let processing = false;
+let rerun = false;
+
+/**
+ * Classify a failed transfer's error
+ * @param {string} message - Error message
+ * @returns {string} - 'retryable', 'ambiguous' or 'permanent'
+ */
+export function classifyError(message = "") {
+  if (RETRYABLE_ERRORS.some((pattern) => pattern.test(message))) {
+    return "retryable";
+  }
+  if (AMBIGUOUS_ERRORS.some((pattern) => pattern.test(message))) {
+    return "ambiguous";
+  }
+  return "permanent";
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return TRANSFER_JOB_RETRY_SECONDS * 2 ** (attempts - 1) * 1000;
+}
+
+/**
+ * Get the explorer link for a transaction digest
+ * @param {string} digest - Transaction digest
+ * @returns {string|null} - Explorer URL
+ */
+export function getExplorerUrl(digest) {
+  // The mock ledger has no explorer
+  if (!digest || SUI_NETWORK === "mock") {
+    return null;
+  }
+  return `https://suiscan.xyz/${SUI_NETWORK}/tx/${digest}`;
+}
+
+/**
+ * Describe an outside Sui address as a receiver, for quoting and running
+ * withdrawals
+ * @param {string} address - Sui address
+ * @returns {Object} - Receiver with no phone or SuiFlowWallet
+ */
+export function outsideReceiver(address) {
+  return {
+    phone: null,
+    fullName: null,
+    suiAddress: address,
+    walletObjectId: null,
+  };
+}
+
+/**
+ * Describe the escrow that holds sends to unregistered numbers (the
+ * operator's address) as a receiver
+ * @returns {Object} - Receiver with no phone or SuiFlowWallet
+ */
+export function escrowReceiver() {
+  return outsideReceiver(getOperatorAddress());
+}
+
+/**
+ * Get the receiver a transaction pays on chain
+ * @param {Object} transaction - Transaction row
+ * @returns {Promise<Object>} - Receiving user, or an outside receiver
+ */
+async function chainReceiver(transaction) {
+  switch (transaction.type) {
+    case TRANSACTION_TYPES.WITHDRAWAL:
+      return outsideReceiver(transaction.counterpartyAddress);
+    case TRANSACTION_TYPES.ESCROW:
+      return escrowReceiver();
+    default:
+      return getUser(transaction.receiverPhone);
+  }
+}
+
+/**
+ * Check whether a transfer goes wallet to wallet, which it does when both
+ * parties have SuiFlow wallets (cheaper), rather than as a plain coin transfer
+ * @param {Object} sender - Sending user
+ * @param {Object} receiver - Receiving user
+ * @returns {boolean} - Whether internal_transfer is used
+ */
+function isWalletTransfer(sender, receiver) {
+  return !!(sender.walletObjectId && receiver.walletObjectId);
+}
+
+/**
+ * Check whether a transfer is paid out of the sender's SuiFlowWallet to an
+ * outside address
+ * @param {Object} sender - Sending user
+ * @param {Object} receiver - Receiving user or outside receiver
+ * @returns {boolean} - Whether the wallet is withdrawn from
+ */
+function isWalletWithdrawal(sender, receiver) {
+  return !!sender.walletObjectId && !receiver.phone;
+}
+
+/**
+ * Get what estimateTransferFee dry-runs for a transfer
+ * @param {Object} sender - Sending user
+ * @param {Object} receiver - Receiving user or outside receiver
+ * @returns {Object} - Fee estimate target
+ */
+function feeTarget(sender, receiver) {
+  if (isWalletTransfer(sender, receiver)) {
+    return {
+      fromWalletObjectId: sender.walletObjectId,
+      toWalletObjectId: receiver.walletObjectId,
+    };
+  }
+  if (isWalletWithdrawal(sender, receiver)) {
+    return {
+      fromWalletObjectId: sender.walletObjectId,
+      receiverAddress: receiver.suiAddress,
+    };
+  }
+  return { receiverAddress: receiver.suiAddress };
+}
+
+/**
+ * Convert SUI to whole MIST
+ * @param {number} amount - Amount in SUI
+ * @returns {number} - Amount in MIST
+ */
+function toMist(amount) {
+  return Math.round(amount * 1_000_000_000);
+}
+
+/**
+ * Quote a transfer: the network fee the sender pays and how much they can
+ * send. While the sender's gas sponsorship budget lasts the operator pays
+ * the gas and the fee is zero. Otherwise coin transfers pay the amount and
+ * the gas from the same coins, so the most a sender can send is their
+ * balance less the gas budget; wallet transfers pay the amount from the
+ * wallet and the gas from the address, as do withdrawals from a wallet.
+ * @param {Object} sender - Sending user
+ * @param {Object} receiver - Receiving user, or outsideReceiver(address)
+ * @param {number|null} amount - Amount in SUI, or null for just the maximum
+ * @returns {Promise<Object>} - { amount, fee, maxFee, total, balance,
+ *   maxAmount, sufficient, sponsored }; fee is the expected charge and maxFee
+ *   the gas budget the sender must be able to cover (amounts in SUI)
+ */
+export async function quoteTransfer(sender, receiver, amount = null) {
+  const walletTransfer =
+    isWalletTransfer(sender, receiver) || isWalletWithdrawal(sender, receiver);
+  const sponsorable = isSponsorshipEnabled();
+  const [gasBalance, walletBalance] = await Promise.all([
+    getBalance(sender.suiAddress),
+    walletTransfer ? getSuiFlowWalletBalance(sender.walletObjectId) : null,
+  ]);
+  const balance = walletTransfer ? walletBalance : gasBalance;
+
+  // Nothing to send or to pay gas with (and no dry run works)
+  if (balance <= 0 || (!sponsorable && gasBalance <= 0)) {
+    return {
+      amount,
+      fee: null,
+      maxFee: null,
+      total: null,
+      balance,
+      maxAmount: 0,
+      sufficient: false,
+      sponsored: false,
+    };
+  }
+
+  const estimate = await estimateTransferFee(
+    sender.suiAddress,
+    feeTarget(sender, receiver),
+    sponsorable
+  );
+
+  const sponsored =
+    sponsorable &&
+    (await getRemainingSponsoredGas(sender.suiAddress)) >=
+      toMist(estimate.gasBudget);
+  const fee = sponsored ? 0 : estimate.fee;
+  const gasBudget = sponsored ? 0 : estimate.gasBudget;
+
+  let maxAmountInMist;
+  if (walletTransfer) {
+    maxAmountInMist = gasBalance >= gasBudget ? toMist(walletBalance) : 0;
+  } else {
+    maxAmountInMist = Math.max(0, toMist(gasBalance) - toMist(gasBudget));
+  }
+  const maxAmount = maxAmountInMist / 1_000_000_000;
+  const total =
+    amount === null ? null : (toMist(amount) + toMist(fee)) / 1_000_000_000;
+
+  return {
+    amount,
+    fee,
+    maxFee: gasBudget,
+    total,
+    balance,
+    maxAmount,
+    sufficient: amount !== null && toMist(amount) <= maxAmountInMist,
+    sponsored,
+  };
+}
+
+/**
+ * Broadcast a transfer, wallet to wallet when both parties have SuiFlow
+ * wallets (cheaper), out of the sender's wallet for a withdrawal, and as a
+ * plain coin transfer otherwise
+ * @param {Object} sender - Sending user
+ * @param {Object} receiver - Receiving user or outside receiver
+ * @param {number} amount - Amount in SUI
+ * @param {string} mnemonic - Sender's decrypted mnemonic
+ * @returns {Promise<Object>} - { status, digest, error }
+ */
+async function executeTransfer(sender, receiver, amount, mnemonic) {
+  if (isWalletTransfer(sender, receiver)) {
+    console.log(
+      `🔄 Internal transfer: ${amount} SUI from wallet ${sender.walletObjectId} to wallet ${receiver.walletObjectId}`
+    );
+    return internalTransfer(
+      sender.walletObjectId,
+      receiver.walletObjectId,
+      mnemonic,
+      amount
+    );
+  }
+
+  if (isWalletWithdrawal(sender, receiver)) {
+    console.log(
+      `🔄 Withdrawal: ${amount} SUI from wallet ${sender.walletObjectId} to ${receiver.suiAddress}`
+    );
+    try {
+      const digest = await withdrawFromWallet(
+        sender.walletObjectId,
+        mnemonic,
+        amount,
+        receiver.suiAddress
+      );
+      return { status: "success", digest, error: null };
+    } catch (error) {
+      return { status: "failed", digest: null, error: error.message };
+    }
+  }
+
+  console.log(
+    `🔄 Regular transfer: ${amount} SUI from ${sender.suiAddress} to ${receiver.suiAddress}`
+  );
+  return sendSui(mnemonic, receiver.suiAddress, amount);
+}
+
+/**
+ * Fail a job that lost its signing key to a restart before it reached the
+ * chain, and ask the sender to try again
+ * @param {Object} job - Transfer job
+ * @param {Object} transaction - Transaction row, not yet on chain
+ */
+async function interruptJob(job, transaction) {
+  const error = "Interrupted by a restart before it was sent";
+
+  await updateTransaction(
+    transaction.id,
+    TRANSACTION_STATUS.FAILED,
+    null,
+    error
+  );
+  await updateTransferJob(job.id, {
+    status: TRANSFER_JOB_STATUS.FAILED,
+    lastError: error,
+    finishedAt: Date.now(),
+  });
+
+  console.warn(`⚠️ Transfer job ${job.id} interrupted by a restart`);
+
+  await notifyTransferInterrupted(transaction);
+  await settlePaymentRequest(transaction, false);
+}
+
+/**
+ * Finish a job and its transaction, and notify both parties
+ * @param {Object} job - Transfer job
+ * @param {Object} transaction - Transaction row
+ * @param {Object} result - { status, digest, error }
+ */
+async function settleJob(job, transaction, result) {
+  const succeeded = result.status === "success";
+
+  await updateTransaction(
+    transaction.id,
+    succeeded ? TRANSACTION_STATUS.CONFIRMED : TRANSACTION_STATUS.FAILED,
+    result.digest,
+    result.error
+  );
+  await updateTransferJob(job.id, {
+    status: succeeded
+      ? TRANSFER_JOB_STATUS.COMPLETED
+      : TRANSFER_JOB_STATUS.FAILED,
+    lastError: result.error || null,
+    finishedAt: Date.now(),
+  });
+  signingKeys.delete(job.id);
+
+  if (succeeded) {
+    console.log(`✅ Transfer job ${job.id} confirmed: ${result.digest}`);
+  } else {
+    console.log(`❌ Transfer job ${job.id} failed: ${result.error}`);
+  }
+
+  await notifyTransferOutcome(transaction, succeeded);
+  await settlePaymentRequest(transaction, succeeded);
+}
+
+/**
+ * Run one claimed job
+ * @param {Object} job - Transfer job (as read before claiming)
+ */
+async function runJob(job) {
+  const attempts = job.attempts + 1;
+  const transaction = await getTransaction(job.transactionId);
+
+  const mnemonic = signingKeys.get(job.id);
+  if (!mnemonic) {
+    return interruptJob(job, transaction);
+  }
+
+  const [sender, receiver] = await Promise.all([
+    getUser(transaction.senderPhone),
+    chainReceiver(transaction),
+  ]);
+  if (!sender) {
+    throw new Error(`Sender ${transaction.senderPhone} not found`);
+  }
+
+  if (transaction.status === TRANSACTION_STATUS.CREATED) {
+    await updateTransaction(transaction.id, TRANSACTION_STATUS.SUBMITTED);
+  }
+
+  const result = await executeTransfer(
+    sender,
+    receiver,
+    transaction.amount,
+    mnemonic
+  );
+
+  if (result.status === "success") {
+    return settleJob(job, transaction, result);
+  }
+
+  const kind = classifyError(result.error);
+
+  if (kind === "retryable" && attempts < TRANSFER_JOB_MAX_ATTEMPTS) {
+    await updateTransferJob(job.id, {
+      status: TRANSFER_JOB_STATUS.QUEUED,
+      lastError: result.error,
+      nextAttemptAt: Date.now() + retryDelay(attempts),
+    });
+    console.warn(
+      `⚠️ Transfer job ${job.id} failed (attempt ${attempts}/${TRANSFER_JOB_MAX_ATTEMPTS}), retrying: ${result.error}`
+    );
+    return;
+  }
+
+  if (kind === "ambiguous") {
+    await updateTransferJob(job.id, {
+      status: TRANSFER_JOB_STATUS.FAILED,
+      lastError: result.error,
+      finishedAt: Date.now(),
+    });
+    signingKeys.delete(job.id);
+    console.warn(
+      `⚠️ Transfer job ${job.id} outcome unknown, left for reconciliation: ${result.error}`
+    );
+    return;
+  }
+
+  return settleJob(job, transaction, result);
+}
+
+/**
+ * Fail a job whose run threw. Its transaction fails with it, and the sender
+ * is told, unless it may have reached the chain, in which case it is left
+ * for reconciliation.
+ * @param {Object} job - Transfer job
+ * @param {Error} error - What the run threw
+ */
+async function abortJob(job, error) {
+  console.error(`❌ Error running transfer job ${job.id}:`, error);
+  signingKeys.delete(job.id);
+
+  const transaction = await getTransaction(job.transactionId);
+  const unsent = transaction?.status === TRANSACTION_STATUS.CREATED;
+
+  await updateTransferJob(job.id, {
+    status: TRANSFER_JOB_STATUS.FAILED,
+    lastError: unsent
+      ? error.message
+      : `${error.message} (left for reconciliation)`,
+    finishedAt: Date.now(),
+  });
+
+  if (unsent) {
+    await updateTransaction(
+      transaction.id,
+      TRANSACTION_STATUS.FAILED,
+      null,
+      error.message
+    );
+    await notifyTransferOutcome(transaction, false);
+    await settlePaymentRequest(transaction, false);
+  }
+}
+
+/**
+ * Queue a transfer for an already recorded transaction
+ * @param {number} transactionId - Transaction ID (status created)
+ * @param {string} senderAddress - Sender's Sui address
+ * @param {string} mnemonic - Sender's decrypted mnemonic
+ * @returns {Promise<number>} - Job ID
+ */
+export async function enqueueTransfer(transactionId, senderAddress, mnemonic) {
+  const jobId = await addTransferJob(transactionId, senderAddress);
+  signingKeys.set(jobId, mnemonic);
+
+  console.log(
+    `📤 Queued transfer job ${jobId} for transaction ${transactionId}`
+  );
+
+  setImmediate(() => {
+    processTransferQueue().catch((error) => {
+      console.error("❌ Error processing transfer queue:", error);
+    });
+  });
+
+  return jobId;
+}
+
+/**
+ * Run every job that can run now, and any that become runnable meanwhile.
+ * Only one pass runs at a time; a call during a pass makes it go round again.
+ * @returns {Promise<number>} - Number of jobs run
+ */
+export async function processTransferQueue() {
+  if (processing) {
+    rerun = true;
+    return 0;
+  }
+
+  processing = true;
+  let ran = 0;
+
+  try {
+    do {
+      rerun = false;
+
+      let runnable = await getRunnableTransferJobs();
+      while (runnable.length > 0) {
+        const claimed = [];
+        for (const job of runnable) {
+          if (await claimTransferJob(job.id)) {
+            claimed.push(job);
+          }
+        }
+
+        // Different senders run side by side
+        await Promise.all(
+          claimed.map((job) =>
+            runJob(job).catch((error) =>
+              abortJob(job, error).catch(console.error)
+            )
+          )
+        );
+        ran += claimed.length;
+
+        runnable = await getRunnableTransferJobs();
+      }
+    } while (rerun);
+  } finally {
+    processing = false;
+  }
+
+  return ran;
+}
+
+/**
+ * Deal with jobs a restart interrupted: ones that never reached the chain
+ * are failed (their signing keys are gone), the rest are left for
+ * reconciliation
+ */
+async function recoverInterruptedJobs() {
+  const interrupted = await getTransferJobsByStatus(
+    TRANSFER_JOB_STATUS.RUNNING
+  );
+
+  for (const job of interrupted) {
+    const transaction = await getTransaction(job.transactionId);
+
+    if (transaction?.status === TRANSACTION_STATUS.CREATED) {
+      await interruptJob(job, transaction);
+    } else {
+      await updateTransferJob(job.id, {
+        status: TRANSFER_JOB_STATUS.FAILED,
+        lastError: "Interrupted by a restart; left for reconciliation",
+        finishedAt: Date.now(),
+      });
+      console.warn(
+        `⚠️ Transfer job ${job.id} was interrupted mid-broadcast, left for reconciliation`
+      );
+    }
+  }
+}
+
+/**
+ * Recover interrupted jobs, then run the queue now and every intervalSeconds
+ * (picking up retries whose backoff has passed)
+ * @param {number} intervalSeconds - Polling interval
+ */
+export async function startTransferWorker(intervalSeconds = 5) {
+  await recoverInterruptedJobs();
+
+  const run = () =>
+    processTransferQueue().catch((error) => {
+      console.error("❌ Error processing transfer queue:", error);
+    });
+
+  run();
+  setInterval(run, intervalSeconds * 1000).unref();
+}
+
+/**
+ * Wait for a job to finish
+ * @param {number} jobId - Job ID
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<Object>} - The job, finished or not
+ */
+export async function waitForTransferJob(jobId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  let job = await getTransferJob(jobId);
+  while (
+    job &&
+    (job.status === TRANSFER_JOB_STATUS.QUEUED ||
+      job.status === TRANSFER_JOB_STATUS.RUNNING) &&
+    Date.now() < deadline
+  ) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    job = await getTransferJob(jobId);
+  }
+
+  return job;
+}
+
+/**
+ * Describe a transaction and its transfer job for status polling
+ * @param {Object} transaction - Transaction row
+ * @returns {Promise<Object>} - Status summary
+ */
+export async function getTransferStatus(transaction) {
+  const job = await getTransferJobByTransaction(transaction.id);
+
+  return {
+    transactionId: transaction.id,
+    status: transaction.status,
+    txHash: transaction.txHash,
+    explorerUrl: getExplorerUrl(transaction.txHash),
+    errorMessage: transaction.errorMessage,
+    job: job
+      ? {
+          id: job.id,
+          status: job.status,
+          attempts: job.attempts,
+          lastError: job.lastError,
+          nextAttemptAt: job.nextAttemptAt
+            ? new Date(job.nextAttemptAt).toISOString()
+            : null,
+        }
+      : null,
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Africa's Talking adapter.
+ * Form or JSON body with sessionId, phoneNumber, serviceCode and the whole
+ * '*'-joined dial string in text; replies are plain text prefixed with
+ * CON (continue) or END.
+ */
+export default {
+  name: "africastalking",
+
+  parse(body) {
+    return {
+      sessionId: body.sessionId,
+      phone: body.phoneNumber,
+      serviceCode: body.serviceCode,
+      text: body.text || "",
+    };
+  },
+
+  format(reply) {
+    return {
+      contentType: "text/plain",
+      body: `${reply.type} ${reply.message}`,
+    };
+  },
+};
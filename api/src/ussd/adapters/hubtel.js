@@ -0,0 +1,38 @@
+/**
+ * Hubtel-style JSON adapter.
+ * Requests have a Type of Initiation, Response, Release or Timeout, with the
+ * latest input in Message (the dial string itself on Initiation); replies
+ * echo the SessionId with Type Response or Release.
+ */
+export default {
+  name: "hubtel",
+
+  parse(body) {
+    const type = body.Type;
+
+    return {
+      sessionId: body.SessionId,
+      phone: body.Mobile,
+      serviceCode: body.ServiceCode,
+      input: type === "Initiation" ? "" : body.Message || "",
+      isNew: type === "Initiation",
+      isEnd: type === "Release" || type === "Timeout",
+    };
+  },
+
+  format(reply, request) {
+    const end = reply.type === "END";
+
+    return {
+      contentType: "application/json",
+      body: {
+        SessionId: request.sessionId,
+        Type: end ? "Release" : "Response",
+        Message: reply.message,
+        Label: "SuiFlow",
+        DataType: end ? "display" : "input",
+        FieldType: "text",
+      },
+    };
+  },
+};
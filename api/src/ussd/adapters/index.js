@@ -0,0 +1,36 @@
+import africastalking from "./africastalking.js";
+import infobip from "./infobip.js";
+import hubtel from "./hubtel.js";
+import xml from "./xml.js";
+
+/**
+ * USSD aggregator adapters.
+ *
+ * Each adapter has:
+ *   name                    - provider name used in /api/ussd/:provider/webhook
+ *   parse(body)             - normalize a callback body (see ussd/gateway.js)
+ *   format(reply, request)  - { contentType, body } for a { type, message } reply
+ */
+
+const adapters = new Map(
+  [africastalking, infobip, hubtel, xml].map((adapter) => [adapter.name, adapter])
+);
+
+export const DEFAULT_PROVIDER = africastalking.name;
+
+/**
+ * Get the adapter for a provider
+ * @param {string} provider - Provider name
+ * @returns {Object|null} - Adapter, or null if unknown
+ */
+export function getAdapter(provider) {
+  return adapters.get(provider) || null;
+}
+
+/**
+ * List the supported provider names
+ * @returns {Array<string>} - Provider names
+ */
+export function listProviders() {
+  return [...adapters.keys()];
+}
@@ -0,0 +1,29 @@
+/**
+ * Infobip-style JSON adapter.
+ * Requests carry sessionId, msisdn, shortCode and only the latest input in
+ * text; replies are { ussdMenu, shouldClose }.
+ */
+export default {
+  name: "infobip",
+
+  parse(body) {
+    return {
+      sessionId: body.sessionId,
+      phone: body.msisdn,
+      serviceCode: body.shortCode,
+      input: body.text || "",
+      isNew: body.newSession === true,
+      isEnd: body.endSession === true,
+    };
+  },
+
+  format(reply) {
+    return {
+      contentType: "application/json",
+      body: {
+        ussdMenu: reply.message,
+        shouldClose: reply.type === "END",
+      },
+    };
+  },
+};
@@ -0,0 +1,77 @@
+/**
+ * Generic XML adapter.
+ *
+ * Request:  <ussd><sessionId/><msisdn/><serviceCode/><input/><type/></ussd>
+ *           where type is start, continue or end
+ * Response: <ussd><sessionId/><action>continue|end</action><message/></ussd>
+ */
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+/**
+ * Read the text content of the first element with the given name
+ * @param {string} xml - XML document
+ * @param {string} name - Element name
+ * @returns {string|undefined} - Unescaped text content
+ */
+function readTag(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  if (!match) {
+    return undefined;
+  }
+
+  return match[1].replace(/&(amp|lt|gt|quot|apos);/g, (entity) => ENTITIES[entity]);
+}
+
+/**
+ * Escape text for inclusion in an XML element
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export default {
+  name: "xml",
+
+  parse(body) {
+    const xml = typeof body === "string" ? body : "";
+    const type = readTag(xml, "type");
+
+    return {
+      sessionId: readTag(xml, "sessionId"),
+      phone: readTag(xml, "msisdn"),
+      serviceCode: readTag(xml, "serviceCode"),
+      input: readTag(xml, "input") || "",
+      isNew: type === "start",
+      isEnd: type === "end",
+    };
+  },
+
+  format(reply, request) {
+    const action = reply.type === "END" ? "end" : "continue";
+
+    return {
+      contentType: "application/xml",
+      body:
+        `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<ussd>` +
+        `<sessionId>${escapeXml(request.sessionId ?? "")}</sessionId>` +
+        `<action>${action}</action>` +
+        `<message>${escapeXml(reply.message)}</message>` +
+        `</ussd>`,
+    };
+  },
+};
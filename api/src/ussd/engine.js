@@ -0,0 +1,420 @@
+import { DEFAULT_LANGUAGE, t } from "../i18n/index.js";
+import { formatName } from "./format.js";
+import { USSD_MAX_LENGTH, USSD_MAX_RETRIES } from "../constants.js";
+
+/**
+ * Declarative USSD menu engine.
+ *
+ * Every screen is a named node:
+ *
+ *   {
+ *     prompt:   string | (ctx) => string      text shown to the caller
+ *     options:  [{ label, next, value, when }] numbered choices (menu screens);
+ *                                             options without `next` pass
+ *                                             `value` to the node's handler
+ *     key:      string                        store the raw input as ctx.inputs[key]
+ *     guard:    async (input, ctx) => result  runs before validation; a result
+ *                                             (e.g. end) stops the input there
+ *     validate: (input, ctx) => string|null   error message, or null if valid
+ *     handle:   async (input, ctx) => result  business logic for the input
+ *     enter:    async (ctx) => result         runs when the node is reached
+ *     next:     string                        default next node
+ *   }
+ *
+ * Handlers return one of the result helpers below (end, retry, goTo) or
+ * nothing to continue to `next`. Flows are registered with defineFlow and
+ * show up on the main menu without touching the webhook router.
+ *
+ * "0" (back) and "00" (main menu) are reserved on every screen. Each step
+ * forward records the node and the inputs collected before it, so going
+ * back rewinds both. Menus too long for one screen are split into pages,
+ * with "98" showing the next page; options keep their numbers throughout.
+ *
+ * Handlers get a context with ctx.t(key, params) to translate messages into
+ * the caller's language (see src/i18n).
+ */
+
+const MAIN_MENU = "main";
+const BACK = "0";
+const HOME = "00";
+const MORE = "98";
+
+const nodes = new Map();
+const flows = [];
+
+/**
+ * Finish the session with a message
+ * @param {string} message - Message to display
+ * @returns {Object} - Handler result
+ */
+export function end(message) {
+  return { end: message };
+}
+
+/**
+ * Re-prompt the current node with an error message
+ * @param {string} message - Explanation of what went wrong
+ * @returns {Object} - Handler result
+ */
+export function retry(message) {
+  return { retry: message };
+}
+
+/**
+ * Move to another node, optionally prefixing its prompt with a message
+ * @param {string} next - Node name
+ * @param {string} message - Optional message shown above the prompt
+ * @returns {Object} - Handler result
+ */
+export function goTo(next, message = null) {
+  return { next, message };
+}
+
+/**
+ * Register a single menu node
+ * @param {string} name - Unique node name
+ * @param {Object} node - Node definition
+ */
+export function defineNode(name, node) {
+  if (nodes.has(name)) {
+    throw new Error(`USSD menu node already defined: ${name}`);
+  }
+
+  nodes.set(name, { name, ...node });
+}
+
+/**
+ * Register a flow and add it to the main menu
+ * @param {Object} flow - { label, start, nodes, when, order }
+ *   label: main menu text, start: first node, nodes: { name: node },
+ *   when: (ctx) => boolean visibility check, order: main menu position
+ */
+export function defineFlow({ label, start, nodes: flowNodes, when, order }) {
+  for (const [name, node] of Object.entries(flowNodes)) {
+    defineNode(name, node);
+  }
+
+  flows.push({ label, next: start, when, order: order ?? flows.length });
+  flows.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Resolve a value that may be a function of the context
+ * @param {*} value - Static value or (ctx) => value
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<*>} - Resolved value
+ */
+async function resolve(value, ctx) {
+  return typeof value === "function" ? value(ctx) : value;
+}
+
+/**
+ * Get the options of a node that are visible to this caller
+ * @param {Object} node - Menu node
+ * @param {Object} ctx - Menu context
+ * @returns {Array} - Visible options
+ */
+function visibleOptions(node, ctx) {
+  return node.options.filter((option) => !option.when || option.when(ctx));
+}
+
+/**
+ * Pick the options shown on a page: as many as fit on the screen with the
+ * header, the footer and, unless they run to the end, the "More" line
+ * @param {string[]} header - Lines shown above the options
+ * @param {string[]} options - Numbered option lines
+ * @param {string[]} footer - Lines shown below the options
+ * @param {string} more - "More" line
+ * @param {number} first - Index of the first option on the page
+ * @returns {string[]} - Option lines shown (always at least one)
+ */
+function pageOptions(header, options, footer, more, first) {
+  const fits = (lines) =>
+    [...header, ...lines, ...footer].join("\n").length <= USSD_MAX_LENGTH;
+
+  const shown = [options[first]];
+  for (let index = first + 1; index < options.length; index++) {
+    const lines = [...shown, options[index]];
+    if (!fits(index === options.length - 1 ? lines : [...lines, more])) {
+      break;
+    }
+    shown.push(options[index]);
+  }
+
+  return shown;
+}
+
+/**
+ * Render a node's prompt, including numbered options for menu screens.
+ * Options that do not fit are paged: ctx.session.page is the first option
+ * shown and ctx.session.nextPage the first one on the next page, if any.
+ * @param {Object} node - Menu node
+ * @param {Object} ctx - Menu context
+ * @param {string} message - Optional message shown above the prompt
+ * @returns {Promise<string>} - Prompt text
+ */
+async function renderPrompt(node, ctx, message = null) {
+  const { session } = ctx;
+  const header = [message, await resolve(node.prompt, ctx)].filter(Boolean);
+  const footer = node.name !== MAIN_MENU ? [ctx.t("nav.hint")] : [];
+  session.nextPage = null;
+
+  if (!node.options) {
+    return [...header, ...footer].join("\n");
+  }
+
+  const options = [];
+  for (const [index, option] of visibleOptions(node, ctx).entries()) {
+    options.push(`${index + 1}. ${await resolve(option.label, ctx)}`);
+  }
+
+  const more = ctx.t("nav.more");
+  const first = session.page < options.length ? session.page : 0;
+  const shown = pageOptions(header, options, footer, more, first);
+  if (first + shown.length < options.length) {
+    session.nextPage = first + shown.length;
+    shown.push(more);
+  }
+
+  return [...header, ...shown, ...footer].join("\n");
+}
+
+/**
+ * Enter a node and produce the response for it
+ * @param {string} name - Node name
+ * @param {Object} ctx - Menu context
+ * @param {string} message - Optional message shown above the prompt
+ * @param {number} page - Index of the first option to show
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+async function enterNode(name, ctx, message = null, page = 0) {
+  const node = nodes.get(name);
+  if (!node) {
+    throw new Error(`Unknown USSD menu node: ${name}`);
+  }
+
+  ctx.session.node = name;
+  ctx.session.page = page;
+
+  if (node.enter) {
+    const result = await node.enter(ctx);
+    if (result) {
+      return applyResult(result, node, ctx);
+    }
+  }
+
+  return { type: "CON", message: await renderPrompt(node, ctx, message) };
+}
+
+/**
+ * Turn a handler result into a response
+ * @param {Object|undefined} result - Handler result
+ * @param {Object} node - Node that produced the result
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+async function applyResult(result, node, ctx) {
+  if (result?.end) {
+    return { type: "END", message: result.end };
+  }
+
+  if (result?.retry) {
+    const { session } = ctx;
+    const retries = (session.retries[node.name] || 0) + 1;
+    session.retries[node.name] = retries;
+
+    if (retries > USSD_MAX_RETRIES) {
+      return { type: "END", message: ctx.t("error.tooManyAttempts") };
+    }
+
+    return enterNode(node.name, ctx, result.retry, session.page);
+  }
+
+  const next = result?.next || node.next;
+  if (!next) {
+    throw new Error(`USSD menu node ${node.name} has nowhere to go`);
+  }
+
+  return enterNode(next, ctx, result?.message);
+}
+
+/**
+ * Replace the collected inputs in place (ctx.inputs is shared with the session)
+ * @param {Object} ctx - Menu context
+ * @param {Object} inputs - Inputs to restore
+ */
+function restoreInputs(ctx, inputs) {
+  for (const key of Object.keys(ctx.inputs)) {
+    delete ctx.inputs[key];
+  }
+  Object.assign(ctx.inputs, inputs);
+}
+
+/**
+ * Record a step forward in the session history.
+ * Arriving at a node that is already in the history (e.g. re-entering a PIN
+ * after a mismatch) rewinds the history to that point instead.
+ * @param {Object} session - USSD session
+ * @param {string} from - Node the input was given on
+ * @param {Object} inputs - Inputs collected before leaving that node
+ */
+function recordStep(session, from, inputs) {
+  const index = session.history.findIndex((step) => step.node === session.node);
+
+  if (index >= 0) {
+    session.history.splice(index);
+  } else {
+    session.history.push({ node: from, inputs });
+  }
+}
+
+/**
+ * Return to the previous node, discarding what was collected since
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+async function goBack(ctx) {
+  const step = ctx.session.history.pop();
+  if (!step) {
+    return startMenu(ctx);
+  }
+
+  restoreInputs(ctx, step.inputs);
+  delete ctx.session.retries[step.node];
+  return enterNode(step.node, ctx);
+}
+
+/**
+ * Keep a response within the USSD screen limit. Menus are paged and names
+ * shortened before this, so truncation is a last resort.
+ * @param {Object} reply - { type, message }
+ * @returns {Object} - Reply with the message truncated if needed
+ */
+function fitScreen(reply) {
+  if (reply.message.length <= USSD_MAX_LENGTH) {
+    return reply;
+  }
+
+  console.warn(
+    `⚠️ USSD message exceeds ${USSD_MAX_LENGTH} characters: ${reply.message}`
+  );
+  return {
+    ...reply,
+    message: `${reply.message.slice(0, USSD_MAX_LENGTH - 3)}...`,
+  };
+}
+
+/**
+ * Build the context passed to node prompts and handlers
+ * @param {Object} session - USSD session
+ * @param {Object|null} user - Registered user, if any
+ * @returns {Object} - Menu context
+ */
+export function createMenuContext(session, user) {
+  return {
+    session,
+    user,
+    phone: session.phone,
+    inputs: session.inputs,
+    get language() {
+      return this.user?.language || this.session.language || DEFAULT_LANGUAGE;
+    },
+    t(key, params) {
+      return t(this.language, key, params);
+    },
+  };
+}
+
+/**
+ * Start a session at the main menu
+ * @param {Object} ctx - Menu context from createMenuContext
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+export async function startMenu(ctx) {
+  ctx.session.inputs = ctx.inputs = {};
+  ctx.session.retries = {};
+  ctx.session.history = [];
+  return fitScreen(await enterNode(MAIN_MENU, ctx));
+}
+
+/**
+ * Process input for a node
+ * @param {Object} node - Current node
+ * @param {Object} ctx - Menu context
+ * @param {string} input - Latest input
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+async function processInput(node, ctx, input) {
+  if (node.guard) {
+    const blocked = await node.guard(input, ctx);
+    if (blocked) {
+      return applyResult(blocked, node, ctx);
+    }
+  }
+
+  if (node.options) {
+    if (input === MORE && ctx.session.nextPage !== null) {
+      return enterNode(node.name, ctx, null, ctx.session.nextPage);
+    }
+
+    const option = visibleOptions(node, ctx)[parseInt(input, 10) - 1];
+    if (!/^\d+$/.test(input) || !option) {
+      return applyResult(retry(ctx.t("error.invalidSelection")), node, ctx);
+    }
+
+    if (option.next) {
+      return enterNode(option.next, ctx);
+    }
+
+    return applyResult(await node.handle(option.value, ctx), node, ctx);
+  }
+
+  if (node.validate) {
+    const error = await node.validate(input, ctx);
+    if (error) {
+      return applyResult(retry(error), node, ctx);
+    }
+  }
+
+  if (node.key) {
+    ctx.inputs[node.key] = input;
+  }
+
+  const result = node.handle ? await node.handle(input, ctx) : undefined;
+  return applyResult(result, node, ctx);
+}
+
+/**
+ * Feed the caller's latest input to the node the session is on
+ * @param {Object} ctx - Menu context from createMenuContext
+ * @param {string} input - Latest input
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+export async function handleMenuInput(ctx, input) {
+  const node = nodes.get(ctx.session.node);
+  if (!node || input === HOME) {
+    return startMenu(ctx);
+  }
+
+  if (input === BACK) {
+    return fitScreen(await goBack(ctx));
+  }
+
+  const inputs = structuredClone(ctx.inputs);
+  const reply = await processInput(node, ctx, input);
+
+  if (reply.type === "CON" && ctx.session.node !== node.name) {
+    recordStep(ctx.session, node.name, inputs);
+  }
+
+  return fitScreen(reply);
+}
+
+// The main menu lists every registered flow the caller can see
+defineNode(MAIN_MENU, {
+  prompt: (ctx) =>
+    ctx.user
+      ? ctx.t("main.welcomeBack", { name: formatName(ctx.user.fullName) })
+      : ctx.t("main.welcome"),
+  options: flows,
+});
@@ -0,0 +1,21 @@
+import { USSD_NAME_MAX_LENGTH } from "../constants.js";
+
+// Amounts are formatted the same way in SMS notifications
+export { formatSui } from "../utils/format.js";
+
+// Helper to shorten a Sui address for USSD display
+export const formatAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Helper to fit a user's name on a USSD screen: the first name if the full
+// name is too long, cut short if that is still too long
+export const formatName = (name) => {
+  if (name.length <= USSD_NAME_MAX_LENGTH) {
+    return name;
+  }
+
+  const [first] = name.trim().split(/\s+/);
+  return first.length <= USSD_NAME_MAX_LENGTH
+    ? first
+    : `${first.slice(0, USSD_NAME_MAX_LENGTH - 1)}.`;
+};
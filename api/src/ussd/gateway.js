@@ -0,0 +1,108 @@
+import { getUser } from "../services/database.js";
+import {
+  createSession,
+  getSessionStore,
+  sessionDigest,
+} from "./session-store.js";
+import { createMenuContext, handleMenuInput, startMenu } from "./engine.js";
+import { DEFAULT_LANGUAGE, t } from "../i18n/index.js";
+import "./menus/index.js";
+
+/**
+ * Provider-independent USSD request handling.
+ *
+ * Adapters turn aggregator callbacks into a normalized request:
+ *
+ *   {
+ *     sessionId, phone,
+ *     text,     full '*'-joined dial string (Africa's Talking style), or
+ *     input,    only what the caller typed on this screen
+ *     isNew,    the aggregator says this is the first request of a session
+ *     isEnd,    the aggregator says the session is over (release/timeout)
+ *   }
+ *
+ * and get back a reply of { type: 'CON'|'END', message } to format.
+ */
+
+/**
+ * Work out what the caller typed on this screen.
+ * Aggregators that send the whole dial string join inputs with '*', so the
+ * latest input is whatever follows the text we saw on the previous request.
+ * This keeps inputs that themselves contain '*' intact. The previous text
+ * holds PINs, so the session only keeps its length and digest.
+ * @param {Object} session - USSD session
+ * @param {string} text - Full text received from the aggregator
+ * @returns {string} - Latest input
+ */
+function latestInput(session, text) {
+  const length = session.lastTextLength;
+  if (length === 0) {
+    return text;
+  }
+
+  if (
+    text[length] === "*" &&
+    sessionDigest(session.sessionId, text.slice(0, length)) ===
+      session.lastTextDigest
+  ) {
+    return text.slice(length + 1);
+  }
+
+  return text.split("*").pop();
+}
+
+/**
+ * Run a normalized USSD request through the menu engine
+ * @param {Object} request - Normalized request from an adapter
+ * @returns {Promise<Object>} - { type: 'CON'|'END', message }
+ */
+export async function handleUssdRequest(request) {
+  const { sessionId, phone, text = "", input, isNew, isEnd } = request;
+
+  if (!phone) {
+    return { type: "END", message: "Invalid request. Phone number is missing." };
+  }
+
+  if (!sessionId) {
+    return { type: "END", message: "Invalid request. Session ID is missing." };
+  }
+
+  const store = getSessionStore();
+  let language = DEFAULT_LANGUAGE;
+
+  try {
+    if (isEnd) {
+      await store.destroy(sessionId);
+      return { type: "END", message: "" };
+    }
+
+    const user = await getUser(phone);
+
+    let session = isNew ? null : await store.get(sessionId);
+    if (!session || session.phone !== phone) {
+      session = createSession(sessionId, phone);
+    }
+
+    const ctx = createMenuContext(session, user);
+    language = ctx.language;
+
+    // New sessions always start from the main menu
+    const reply = session.node
+      ? await handleMenuInput(ctx, input ?? latestInput(session, text))
+      : await startMenu(ctx);
+
+    session.lastTextLength = text.length;
+    session.lastTextDigest = sessionDigest(sessionId, text);
+
+    if (reply.type === "END") {
+      await store.destroy(sessionId);
+    } else {
+      await store.save(session);
+    }
+
+    return reply;
+  } catch (error) {
+    console.error(`[USSD_ERROR] for ${phone}:`, error);
+    return { type: "END", message: t(language, "error.unexpected") };
+  }
+}
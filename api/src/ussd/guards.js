@@ -0,0 +1,23 @@
+import { end } from "./engine.js";
+import { consumeRateLimit } from "../services/rate-limiter.js";
+
+/**
+ * Node guards shared between flows (see `guard` in engine.js)
+ */
+
+/**
+ * Apply the stricter PIN rate limit to the caller's phone number.
+ * Every entry on a PIN screen counts, valid or not.
+ * @param {string} input - PIN entered by the caller
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<Object|null>} - end() result when throttled
+ */
+export async function limitPinAttempts(input, ctx) {
+  const result = await consumeRateLimit("pin", ctx.phone);
+  if (result.allowed) {
+    return null;
+  }
+
+  const minutes = Math.max(1, Math.ceil(result.retryAfterSeconds / 60));
+  return end(ctx.t("error.pinRateLimited", { minutes }));
+}
@@ -0,0 +1,32 @@
+import { defineFlow, end } from "../engine.js";
+import { formatSui } from "../format.js";
+import { limitPinAttempts } from "../guards.js";
+import { checkPin } from "../pin.js";
+import { validatePin } from "../validators.js";
+import { getUserBalance } from "../../services/chain/index.js";
+
+/**
+ * Check Balance flow (registered callers only)
+ */
+defineFlow({
+  label: (ctx) => ctx.t("balance.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "balance.pin",
+  order: 30,
+  nodes: {
+    "balance.pin": {
+      prompt: (ctx) => ctx.t("balance.pin"),
+      guard: limitPinAttempts,
+      validate: validatePin,
+      handle: async (pin, ctx) => {
+        const rejected = await checkPin(pin, ctx);
+        if (rejected) {
+          return rejected;
+        }
+
+        const balance = await getUserBalance(ctx.user);
+        return end(ctx.t("balance.result", { balance: formatSui(balance) }));
+      },
+    },
+  },
+});
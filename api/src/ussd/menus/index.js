@@ -0,0 +1,13 @@
+/**
+ * USSD menu definitions.
+ * Importing this module registers every flow with the menu engine; add new
+ * flows here in the order their modules should load.
+ */
+import "./registration.js";
+import "./send.js";
+import "./requests.js";
+import "./withdraw.js";
+import "./balance.js";
+import "./transactions.js";
+import "./pin.js";
+import "./language.js";
@@ -0,0 +1,29 @@
+import { defineFlow, goTo } from "../engine.js";
+import { LANGUAGES } from "../../i18n/index.js";
+import { updateUser } from "../../services/database.js";
+
+/**
+ * Change language flow (everyone; unregistered callers pick a language
+ * before registering and it is saved with their account)
+ */
+defineFlow({
+  label: (ctx) => ctx.t("language.menu"),
+  start: "language.select",
+  order: 90,
+  nodes: {
+    "language.select": {
+      prompt: (ctx) => ctx.t("language.select"),
+      options: LANGUAGES.map(({ code, name }) => ({ label: name, value: code })),
+      handle: async (language, ctx) => {
+        ctx.session.language = language;
+
+        if (ctx.user) {
+          await updateUser(ctx.phone, { language });
+          ctx.user.language = language;
+        }
+
+        return goTo("main", ctx.t("language.updated"));
+      },
+    },
+  },
+});
@@ -0,0 +1,135 @@
+import { defineFlow, end, goTo, retry } from "../engine.js";
+import { limitPinAttempts } from "../guards.js";
+import {
+  checkPin,
+  heldPin,
+  holdPin,
+  pinDigest,
+  releasePin,
+} from "../pin.js";
+import { validatePin, validateResetCode } from "../validators.js";
+import { getActivePinReset } from "../../services/database.js";
+import {
+  PIN_RESET_STATUS,
+  changePin,
+  checkPinResetCode,
+  completePinReset,
+} from "../../services/pin.js";
+
+/**
+ * Change PIN flow (registered callers only). Changing the PIN re-encrypts
+ * the key with both PINs, so the current one is held in memory (see
+ * holdPin) between its screen and the last one.
+ */
+defineFlow({
+  label: (ctx) => ctx.t("pin.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "pin.current",
+  order: 50,
+  nodes: {
+    "pin.current": {
+      prompt: (ctx) => ctx.t("pin.current"),
+      guard: limitPinAttempts,
+      validate: validatePin,
+      handle: async (pin, ctx) => {
+        const rejected = await checkPin(pin, ctx);
+        if (rejected) {
+          return rejected;
+        }
+
+        holdPin(ctx, pin);
+      },
+      next: "pin.new",
+    },
+
+    "pin.new": {
+      prompt: (ctx) => ctx.t("pin.new"),
+      validate: (input, ctx) =>
+        validatePin(input, ctx) ||
+        (input === heldPin(ctx) ? ctx.t("pin.same") : null),
+      handle: (input, ctx) => {
+        ctx.inputs.newPinDigest = pinDigest(input, ctx);
+      },
+      next: "pin.confirm",
+    },
+
+    "pin.confirm": {
+      prompt: (ctx) => ctx.t("pin.confirm"),
+      handle: async (newPin, ctx) => {
+        if (pinDigest(newPin, ctx) !== ctx.inputs.newPinDigest) {
+          return goTo("pin.new", ctx.t("pin.mismatch"));
+        }
+
+        const currentPin = heldPin(ctx);
+        if (!currentPin) {
+          return end(ctx.t("error.sessionLost"));
+        }
+
+        releasePin(ctx);
+        await changePin(ctx.user, currentPin, newPin);
+        return end(ctx.t("pin.changed"));
+      },
+    },
+  },
+});
+
+/**
+ * Forgot PIN flow: redeem a reset code issued by SuiFlow support
+ */
+defineFlow({
+  label: (ctx) => ctx.t("reset.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "reset.code",
+  order: 60,
+  nodes: {
+    "reset.code": {
+      prompt: (ctx) => ctx.t("reset.code"),
+      enter: async (ctx) => {
+        if (!(await getActivePinReset(ctx.phone))) {
+          return end(ctx.t("reset.none"));
+        }
+      },
+      guard: limitPinAttempts,
+      validate: validateResetCode,
+      handle: async (code, ctx) => {
+        const result = await checkPinResetCode(ctx.user, code);
+
+        if (result.status === PIN_RESET_STATUS.NONE) {
+          return end(ctx.t("reset.none"));
+        }
+
+        if (result.status === PIN_RESET_STATUS.INVALID) {
+          return retry(
+            ctx.t("reset.wrongCode", { attempts: result.remainingAttempts })
+          );
+        }
+
+        ctx.inputs.resetId = result.resetId;
+      },
+      next: "reset.pin",
+    },
+
+    "reset.pin": {
+      prompt: (ctx) => ctx.t("pin.new"),
+      validate: validatePin,
+      handle: (input, ctx) => {
+        ctx.inputs.newPinDigest = pinDigest(input, ctx);
+      },
+      next: "reset.confirmPin",
+    },
+
+    "reset.confirmPin": {
+      prompt: (ctx) => ctx.t("pin.confirm"),
+      handle: async (newPin, ctx) => {
+        const { resetId } = ctx.inputs;
+
+        if (pinDigest(newPin, ctx) !== ctx.inputs.newPinDigest) {
+          return goTo("reset.pin", ctx.t("pin.mismatch"));
+        }
+
+        await completePinReset(ctx.user, resetId, newPin);
+        return end(ctx.t("reset.done"));
+      },
+    },
+  },
+});
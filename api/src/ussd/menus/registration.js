@@ -0,0 +1,71 @@
+import { defineFlow, end, goTo } from "../engine.js";
+import { formatName } from "../format.js";
+import { pinDigest } from "../pin.js";
+import { validateFullName, validatePin } from "../validators.js";
+import { createAccount } from "../../services/accounts.js";
+import { isSponsorshipEnabled } from "../../services/gas-sponsorship.js";
+import { NEW_USER_FUNDING_AMOUNT } from "../../constants.js";
+
+/**
+ * Registration flow (unregistered callers only)
+ */
+defineFlow({
+  label: (ctx) => ctx.t("register.menu"),
+  when: (ctx) => !ctx.user,
+  start: "register.name",
+  order: 10,
+  nodes: {
+    "register.name": {
+      prompt: (ctx) => ctx.t("register.name"),
+      validate: validateFullName,
+      handle: (input, ctx) => {
+        ctx.inputs.fullName = input.trim();
+      },
+      next: "register.pin",
+    },
+
+    "register.pin": {
+      prompt: (ctx) => ctx.t("register.pin"),
+      validate: validatePin,
+      handle: (input, ctx) => {
+        ctx.inputs.pinDigest = pinDigest(input, ctx);
+      },
+      next: "register.confirmPin",
+    },
+
+    "register.confirmPin": {
+      prompt: (ctx) => ctx.t("register.confirmPin"),
+      handle: async (pin, ctx) => {
+        const { fullName } = ctx.inputs;
+
+        if (pinDigest(pin, ctx) !== ctx.inputs.pinDigest) {
+          return goTo("register.pin", ctx.t("register.pinMismatch"));
+        }
+
+        const { provisioned } = await createAccount({
+          phone: ctx.phone,
+          fullName,
+          pin,
+          language: ctx.language,
+        });
+
+        // Fund the account and create its wallet in the background
+        provisioned.catch(console.error);
+
+        // The operator sponsors gas, so there is nothing to fund
+        if (isSponsorshipEnabled()) {
+          return end(
+            ctx.t("register.successSponsored", { name: formatName(fullName) })
+          );
+        }
+
+        return end(
+          ctx.t("register.success", {
+            name: formatName(fullName),
+            amount: NEW_USER_FUNDING_AMOUNT,
+          })
+        );
+      },
+    },
+  },
+});
@@ -0,0 +1,229 @@
+import { defineFlow, end, retry } from "../engine.js";
+import { formatName, formatSui } from "../format.js";
+import { limitPinAttempts } from "../guards.js";
+import { checkPin } from "../pin.js";
+import { validateAmount, validatePhone, validatePin } from "../validators.js";
+import {
+  getPendingPaymentRequests,
+  getTransactionByIdempotencyKey,
+  getUser,
+} from "../../services/database.js";
+import {
+  acceptPaymentRequest,
+  createPaymentRequest,
+  declinePaymentRequest,
+} from "../../services/payment-requests.js";
+import {
+  enqueueTransfer,
+  quoteTransfer,
+} from "../../services/transfer-queue.js";
+import { decryptMnemonic } from "../../utils/encryption.js";
+import { USSD_MAX_PAYMENT_REQUESTS } from "../../constants.js";
+
+/**
+ * Name the requester of a payment request
+ * @param {Object} request - Request from getPendingPaymentRequests
+ * @returns {string} - Their name, or their phone if they have none
+ */
+function requesterName(request) {
+  return request.requesterName
+    ? formatName(request.requesterName)
+    : request.requesterPhone;
+}
+
+/**
+ * Payment requests flow (registered callers only): ask someone for SUI, or
+ * pay or decline what others have asked for. Paying goes through the same
+ * quote, PIN and transfer queue as Send SUI.
+ */
+defineFlow({
+  label: (ctx) => ctx.t("requests.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "requests.menu",
+  order: 25,
+  nodes: {
+    "requests.menu": {
+      enter: async (ctx) => {
+        const pending = await getPendingPaymentRequests(ctx.phone);
+        ctx.inputs.pending = pending.slice(0, USSD_MAX_PAYMENT_REQUESTS);
+        ctx.inputs.pendingCount = pending.length;
+      },
+      prompt: (ctx) => ctx.t("requests.title"),
+      options: [
+        { label: (ctx) => ctx.t("requests.new"), next: "requests.payer" },
+        {
+          label: (ctx) =>
+            ctx.t("requests.pay", { count: ctx.inputs.pendingCount }),
+          next: "requests.list",
+        },
+      ],
+    },
+
+    "requests.payer": {
+      prompt: (ctx) => ctx.t("requests.payer"),
+      validate: validatePhone,
+      handle: async (input, ctx) => {
+        const payerPhone = input.trim();
+
+        if (payerPhone === ctx.phone) {
+          return retry(ctx.t("requests.self"));
+        }
+
+        const payer = await getUser(payerPhone);
+        if (!payer) {
+          return retry(ctx.t("requests.unregistered"));
+        }
+
+        ctx.inputs.payerPhone = payerPhone;
+        ctx.inputs.payerName = formatName(payer.fullName);
+      },
+      next: "requests.amount",
+    },
+
+    "requests.amount": {
+      prompt: (ctx) =>
+        ctx.t("requests.amount", { name: ctx.inputs.payerName }),
+      validate: validateAmount,
+      handle: async (input, ctx) => {
+        const amount = parseFloat(input);
+        const payer = await getUser(ctx.inputs.payerPhone);
+        await createPaymentRequest(ctx.user, payer, amount);
+
+        return end(
+          ctx.t("requests.sent", {
+            amount: formatSui(amount),
+            name: ctx.inputs.payerName,
+          })
+        );
+      },
+    },
+
+    "requests.list": {
+      enter: async (ctx) => {
+        if (ctx.inputs.pending.length === 0) {
+          return end(ctx.t("requests.none"));
+        }
+      },
+      prompt: (ctx) =>
+        [
+          ctx.t("requests.choose"),
+          ...ctx.inputs.pending.map((request, index) => {
+            const amount = formatSui(request.amount);
+            return `${index + 1}. ${requesterName(request)} ${amount}`;
+          }),
+        ].join("\n"),
+      validate: (input, ctx) => {
+        const choice = parseInt(input, 10);
+        return /^\d+$/.test(input) &&
+          choice >= 1 &&
+          choice <= ctx.inputs.pending.length
+          ? null
+          : ctx.t("error.invalidSelection");
+      },
+      handle: async (input, ctx) => {
+        ctx.inputs.request = ctx.inputs.pending[parseInt(input, 10) - 1];
+      },
+      next: "requests.action",
+    },
+
+    "requests.action": {
+      prompt: (ctx) =>
+        ctx.t("requests.detail", {
+          name: requesterName(ctx.inputs.request),
+          amount: formatSui(ctx.inputs.request.amount),
+        }),
+      options: [
+        { label: (ctx) => ctx.t("requests.accept"), value: "accept" },
+        { label: (ctx) => ctx.t("requests.decline"), value: "decline" },
+      ],
+      handle: async (choice, ctx) => {
+        const { request } = ctx.inputs;
+
+        if (choice === "decline") {
+          const declined = await declinePaymentRequest(request, ctx.user);
+          return end(
+            declined
+              ? ctx.t("requests.declined", { name: requesterName(request) })
+              : ctx.t("requests.closed")
+          );
+        }
+
+        const receiver = await getUser(request.requesterPhone);
+        const quote = await quoteTransfer(ctx.user, receiver, request.amount);
+        if (!quote.sufficient) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        ctx.inputs.fee = quote.fee;
+      },
+      next: "requests.pin",
+    },
+
+    "requests.pin": {
+      prompt: (ctx) =>
+        ctx.inputs.fee > 0
+          ? ctx.t("send.confirm", {
+              amount: formatSui(ctx.inputs.request.amount),
+              fee: formatSui(ctx.inputs.fee),
+            })
+          : ctx.t("send.confirmSponsored", {
+              amount: formatSui(ctx.inputs.request.amount),
+            }),
+      guard: limitPinAttempts,
+      validate: validatePin,
+      handle: async (pin, ctx) => {
+        const { user, phone } = ctx;
+        const { request } = ctx.inputs;
+        const idempotencyKey = `ussd:${ctx.session.sessionId}`;
+
+        const processing = () =>
+          end(
+            ctx.t("send.processing", {
+              amount: formatSui(request.amount),
+              name: requesterName(request),
+            })
+          );
+
+        // A retried request gets the original answer, not a second transfer
+        if (await getTransactionByIdempotencyKey(phone, idempotencyKey)) {
+          console.log(
+            `🔁 Duplicate USSD request payment in session ${ctx.session.sessionId}`
+          );
+          return processing();
+        }
+
+        const rejected = await checkPin(pin, ctx);
+        if (rejected) {
+          return rejected;
+        }
+
+        // The balance may have moved since the quote was shown
+        const receiver = await getUser(request.requesterPhone);
+        const quote = await quoteTransfer(user, receiver, request.amount);
+        if (!quote.sufficient) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        const transactionId = await acceptPaymentRequest(request, user, {
+          idempotencyKey,
+        });
+        if (!transactionId) {
+          return end(ctx.t("requests.closed"));
+        }
+
+        // The transfer queue broadcasts it and SMSes both parties the outcome
+        await enqueueTransfer(
+          transactionId,
+          user.suiAddress,
+          decryptMnemonic(user.encryptedMnemonic, pin)
+        );
+
+        return processing();
+      },
+    },
+  },
+});
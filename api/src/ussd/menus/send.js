@@ -0,0 +1,198 @@
+import { defineFlow, end, goTo, retry } from "../engine.js";
+import { formatName, formatSui } from "../format.js";
+import { limitPinAttempts } from "../guards.js";
+import { checkPin } from "../pin.js";
+import { addSessionTransaction, floorSui } from "../transfers.js";
+import { validateAmount, validatePhone, validatePin } from "../validators.js";
+import {
+  addTransaction,
+  getTransactionByIdempotencyKey,
+  getUser,
+} from "../../services/database.js";
+import { addEscrowTransaction } from "../../services/escrow.js";
+import {
+  enqueueTransfer,
+  escrowReceiver,
+  quoteTransfer,
+} from "../../services/transfer-queue.js";
+import { decryptMnemonic } from "../../utils/encryption.js";
+import { TRANSACTION_STATUS, ESCROW_EXPIRY_DAYS } from "../../constants.js";
+
+/**
+ * Find who a send is paid to: the receiver, or escrow if the number isn't
+ * registered
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<Object>} - Receiver for quoteTransfer
+ */
+async function sendReceiver(ctx) {
+  return ctx.inputs.escrow
+    ? escrowReceiver()
+    : getUser(ctx.inputs.receiverPhone);
+}
+
+/**
+ * Send SUI flow (registered callers only). Sends to unregistered numbers
+ * are held in escrow until the recipient registers.
+ */
+defineFlow({
+  label: (ctx) => ctx.t("send.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "send.recipient",
+  order: 20,
+  nodes: {
+    "send.recipient": {
+      prompt: (ctx) => ctx.t("send.recipient"),
+      validate: validatePhone,
+      handle: async (input, ctx) => {
+        const receiverPhone = input.trim();
+
+        if (receiverPhone === ctx.phone) {
+          return retry(ctx.t("send.self"));
+        }
+
+        ctx.inputs.receiverPhone = receiverPhone;
+
+        const receiver = await getUser(receiverPhone);
+        if (!receiver) {
+          ctx.inputs.escrow = true;
+          ctx.inputs.receiverName = receiverPhone;
+          return goTo(
+            "send.mode",
+            ctx.t("send.escrow", { days: ESCROW_EXPIRY_DAYS })
+          );
+        }
+
+        ctx.inputs.receiverName = formatName(receiver.fullName);
+      },
+      next: "send.mode",
+    },
+
+    "send.mode": {
+      prompt: (ctx) => ctx.t("send.mode", { name: ctx.inputs.receiverName }),
+      options: [
+        { label: (ctx) => ctx.t("send.enterAmount"), next: "send.amount" },
+        { label: (ctx) => ctx.t("send.maximum"), value: "max" },
+      ],
+      handle: async (_, ctx) => {
+        const quote = await quoteTransfer(ctx.user, await sendReceiver(ctx));
+
+        const amount = floorSui(quote.maxAmount);
+        if (amount <= 0) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        ctx.inputs.amount = amount;
+        ctx.inputs.fee = quote.fee;
+      },
+      next: "send.pin",
+    },
+
+    "send.amount": {
+      prompt: (ctx) => ctx.t("send.amount", { name: ctx.inputs.receiverName }),
+      validate: validateAmount,
+      handle: async (input, ctx) => {
+        const amount = parseFloat(input);
+        const quote = await quoteTransfer(
+          ctx.user,
+          await sendReceiver(ctx),
+          amount
+        );
+
+        if (quote.maxAmount <= 0) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        if (!quote.sufficient) {
+          return retry(
+            ctx.t("send.tooMuch", {
+              max: formatSui(floorSui(quote.maxAmount)),
+              fee: formatSui(quote.fee),
+            })
+          );
+        }
+
+        ctx.inputs.amount = amount;
+        ctx.inputs.fee = quote.fee;
+      },
+      next: "send.pin",
+    },
+
+    "send.pin": {
+      prompt: (ctx) =>
+        ctx.inputs.fee > 0
+          ? ctx.t("send.confirm", {
+              amount: formatSui(ctx.inputs.amount),
+              fee: formatSui(ctx.inputs.fee),
+            })
+          : ctx.t("send.confirmSponsored", {
+              amount: formatSui(ctx.inputs.amount),
+            }),
+      guard: limitPinAttempts,
+      validate: validatePin,
+      handle: async (pin, ctx) => {
+        const { user, phone } = ctx;
+        const { receiverPhone, receiverName, amount, escrow } = ctx.inputs;
+        const idempotencyKey = `ussd:${ctx.session.sessionId}`;
+
+        const processing = () =>
+          end(
+            ctx.t("send.processing", {
+              amount: formatSui(amount),
+              name: receiverName,
+            })
+          );
+
+        // A retried request gets the original answer, not a second transfer
+        if (await getTransactionByIdempotencyKey(phone, idempotencyKey)) {
+          console.log(
+            `🔁 Duplicate USSD send in session ${ctx.session.sessionId}`
+          );
+          return processing();
+        }
+
+        const rejected = await checkPin(pin, ctx);
+        if (rejected) {
+          return rejected;
+        }
+
+        // The balance may have moved since the quote was shown
+        const quote = await quoteTransfer(
+          user,
+          await sendReceiver(ctx),
+          amount
+        );
+        if (!quote.sufficient) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        const decryptedMnemonic = decryptMnemonic(user.encryptedMnemonic, pin);
+
+        // Record the transfer before broadcasting so a crash can't lose it
+        const transactionId = await addSessionTransaction(
+          {
+            senderPhone: phone,
+            receiverPhone,
+            amount,
+            status: TRANSACTION_STATUS.CREATED,
+            idempotencyKey,
+          },
+          escrow ? addEscrowTransaction : addTransaction
+        );
+        if (!transactionId) {
+          return processing();
+        }
+
+        // The transfer queue broadcasts it and SMSes both parties the outcome
+        await enqueueTransfer(transactionId, user.suiAddress, decryptedMnemonic);
+
+        return processing();
+      },
+    },
+  },
+});
@@ -0,0 +1,50 @@
+import { defineFlow, end } from "../engine.js";
+import { formatAddress, formatName, formatSui } from "../format.js";
+import { getUserTransactions } from "../../services/database.js";
+import { USSD_MAX_LENGTH } from "../../constants.js";
+
+/**
+ * Recent Transactions flow (registered callers only)
+ */
+defineFlow({
+  label: (ctx) => ctx.t("transactions.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "transactions.recent",
+  order: 40,
+  nodes: {
+    "transactions.recent": {
+      enter: async (ctx) => {
+        const transactions = await getUserTransactions(ctx.phone, 3, 0);
+        if (transactions.length === 0) {
+          return end(ctx.t("transactions.none"));
+        }
+
+        let screen = ctx.t("transactions.title");
+        for (const tx of transactions) {
+          const sent = tx.senderPhone === ctx.phone;
+          // Deposits and withdrawals have an address, not a user, on the
+          // other side; escrowed sends have an unregistered number
+          const name = sent ? tx.receiverName : tx.senderName;
+          const other = sent ? tx.receiverPhone : tx.senderPhone;
+          const line = ctx.t(
+            sent ? "transactions.sent" : "transactions.received",
+            {
+              amount: formatSui(tx.amount),
+              name: name
+                ? formatName(name)
+                : other || formatAddress(tx.counterpartyAddress),
+              status: ctx.t(`status.${tx.status}`),
+            }
+          );
+
+          // Show fewer transactions rather than cutting one off
+          if (screen.length + 1 + line.length > USSD_MAX_LENGTH) {
+            break;
+          }
+          screen = `${screen}\n${line}`;
+        }
+        return end(screen);
+      },
+    },
+  },
+});
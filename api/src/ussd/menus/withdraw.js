@@ -0,0 +1,269 @@
+import { defineFlow, end, goTo, retry } from "../engine.js";
+import { formatAddress, formatSui } from "../format.js";
+import { limitPinAttempts } from "../guards.js";
+import { checkPin } from "../pin.js";
+import { addSessionTransaction, floorSui } from "../transfers.js";
+import {
+  validateAddressLabel,
+  validateAddressPart,
+  validateAmount,
+  validatePin,
+} from "../validators.js";
+import {
+  getSavedAddresses,
+  getTransactionByIdempotencyKey,
+  saveAddress,
+} from "../../services/database.js";
+import { normalizeSuiAddress } from "../../services/chain/index.js";
+import {
+  enqueueTransfer,
+  outsideReceiver,
+  quoteTransfer,
+} from "../../services/transfer-queue.js";
+import { decryptMnemonic } from "../../utils/encryption.js";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  USSD_MAX_SAVED_ADDRESSES,
+} from "../../constants.js";
+
+// Hex characters in a Sui address, after the 0x
+const ADDRESS_LENGTH = 64;
+
+/**
+ * Describe the chosen address: its saved label, or a shortened address
+ * @param {Object} ctx - Menu context
+ * @returns {string} - Display name
+ */
+function addressName(ctx) {
+  return ctx.inputs.label || formatAddress(ctx.inputs.address);
+}
+
+/**
+ * Send to Sui address flow (registered callers only).
+ *
+ * Addresses are too long to type reliably in one go, so the caller can enter
+ * one in parts, check it on a confirmation screen and save it under a label.
+ * Saved addresses are offered first next time.
+ */
+defineFlow({
+  label: (ctx) => ctx.t("withdraw.menu"),
+  when: (ctx) => !!ctx.user,
+  start: "withdraw.source",
+  order: 70,
+  nodes: {
+    "withdraw.source": {
+      enter: async (ctx) => {
+        const saved = await getSavedAddresses(ctx.phone);
+        ctx.inputs.saved = saved.slice(0, USSD_MAX_SAVED_ADDRESSES);
+        ctx.inputs.canSave = saved.length < USSD_MAX_SAVED_ADDRESSES;
+
+        if (saved.length === 0) {
+          return goTo("withdraw.address");
+        }
+      },
+      prompt: (ctx) =>
+        [
+          ctx.t("withdraw.source"),
+          `1. ${ctx.t("withdraw.newAddress")}`,
+          ...ctx.inputs.saved.map(
+            ({ label, address }, index) =>
+              `${index + 2}. ${label} ${formatAddress(address)}`
+          ),
+        ].join("\n"),
+      validate: (input, ctx) => {
+        const choice = parseInt(input, 10);
+        return /^\d+$/.test(input) &&
+          choice >= 1 &&
+          choice <= ctx.inputs.saved.length + 1
+          ? null
+          : ctx.t("error.invalidSelection");
+      },
+      handle: async (input, ctx) => {
+        const choice = parseInt(input, 10);
+        if (choice === 1) {
+          return goTo("withdraw.address");
+        }
+
+        const { label, address } = ctx.inputs.saved[choice - 2];
+        ctx.inputs.label = label;
+        ctx.inputs.address = address;
+      },
+      next: "withdraw.amount",
+    },
+
+    "withdraw.address": {
+      prompt: (ctx) => {
+        const part = ctx.inputs.addressPart;
+        return part
+          ? ctx.t("withdraw.addressMore", {
+              count: part.length,
+              total: ADDRESS_LENGTH,
+              end: part.slice(-4),
+            })
+          : ctx.t("withdraw.address");
+      },
+      validate: validateAddressPart,
+      handle: async (input, ctx) => {
+        const part = `${ctx.inputs.addressPart || ""}${input
+          .trim()
+          .replace(/^0x/, "")}`;
+
+        if (part.length > ADDRESS_LENGTH) {
+          delete ctx.inputs.addressPart;
+          return retry(ctx.t("withdraw.addressTooLong"));
+        }
+
+        // Stay here until the whole address is in
+        if (part.length < ADDRESS_LENGTH) {
+          ctx.inputs.addressPart = part;
+          return goTo("withdraw.address");
+        }
+
+        delete ctx.inputs.addressPart;
+        const address = normalizeSuiAddress(part);
+        if (address === ctx.user.suiAddress) {
+          return retry(ctx.t("send.self"));
+        }
+
+        ctx.inputs.address = address;
+      },
+      next: "withdraw.check",
+    },
+
+    "withdraw.check": {
+      prompt: (ctx) =>
+        ctx.t("withdraw.check", { address: ctx.inputs.address }),
+      options: [
+        {
+          label: (ctx) => ctx.t("withdraw.continue"),
+          next: "withdraw.amount",
+        },
+        {
+          label: (ctx) => ctx.t("withdraw.saveAndContinue"),
+          next: "withdraw.label",
+          when: (ctx) => ctx.inputs.canSave,
+        },
+        { label: (ctx) => ctx.t("withdraw.reenter"), value: "reenter" },
+      ],
+      handle: async (_, ctx) => {
+        delete ctx.inputs.address;
+        return goTo("withdraw.address");
+      },
+    },
+
+    "withdraw.label": {
+      prompt: (ctx) => ctx.t("withdraw.label"),
+      validate: validateAddressLabel,
+      handle: async (input, ctx) => {
+        const label = input.trim();
+        await saveAddress(ctx.phone, label, ctx.inputs.address);
+        ctx.inputs.label = label;
+      },
+      next: "withdraw.amount",
+    },
+
+    "withdraw.amount": {
+      prompt: (ctx) => ctx.t("send.amount", { name: addressName(ctx) }),
+      validate: validateAmount,
+      handle: async (input, ctx) => {
+        const amount = parseFloat(input);
+        const quote = await quoteTransfer(
+          ctx.user,
+          outsideReceiver(ctx.inputs.address),
+          amount
+        );
+
+        if (quote.maxAmount <= 0) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        if (!quote.sufficient) {
+          return retry(
+            ctx.t("send.tooMuch", {
+              max: formatSui(floorSui(quote.maxAmount)),
+              fee: formatSui(quote.fee),
+            })
+          );
+        }
+
+        ctx.inputs.amount = amount;
+        ctx.inputs.fee = quote.fee;
+      },
+      next: "withdraw.pin",
+    },
+
+    "withdraw.pin": {
+      prompt: (ctx) =>
+        ctx.inputs.fee > 0
+          ? ctx.t("send.confirm", {
+              amount: formatSui(ctx.inputs.amount),
+              fee: formatSui(ctx.inputs.fee),
+            })
+          : ctx.t("send.confirmSponsored", {
+              amount: formatSui(ctx.inputs.amount),
+            }),
+      guard: limitPinAttempts,
+      validate: validatePin,
+      handle: async (pin, ctx) => {
+        const { user, phone } = ctx;
+        const { address, amount } = ctx.inputs;
+        const idempotencyKey = `ussd:${ctx.session.sessionId}`;
+
+        const processing = () =>
+          end(
+            ctx.t("send.processing", {
+              amount: formatSui(amount),
+              name: addressName(ctx),
+            })
+          );
+
+        // A retried request gets the original answer, not a second transfer
+        if (await getTransactionByIdempotencyKey(phone, idempotencyKey)) {
+          console.log(
+            `🔁 Duplicate USSD withdrawal in session ${ctx.session.sessionId}`
+          );
+          return processing();
+        }
+
+        const rejected = await checkPin(pin, ctx);
+        if (rejected) {
+          return rejected;
+        }
+
+        // The balance may have moved since the quote was shown
+        const quote = await quoteTransfer(
+          user,
+          outsideReceiver(address),
+          amount
+        );
+        if (!quote.sufficient) {
+          return end(
+            ctx.t("send.insufficient", { balance: formatSui(quote.balance) })
+          );
+        }
+
+        const decryptedMnemonic = decryptMnemonic(user.encryptedMnemonic, pin);
+
+        const transactionId = await addSessionTransaction({
+          type: TRANSACTION_TYPES.WITHDRAWAL,
+          senderPhone: phone,
+          receiverPhone: null,
+          counterpartyAddress: address,
+          amount,
+          status: TRANSACTION_STATUS.CREATED,
+          idempotencyKey,
+        });
+        if (!transactionId) {
+          return processing();
+        }
+
+        await enqueueTransfer(transactionId, user.suiAddress, decryptedMnemonic);
+
+        return processing();
+      },
+    },
+  },
+});
@@ -0,0 +1,80 @@
+import { end, retry } from "./engine.js";
+import { sessionDigest } from "./session-store.js";
+import { PIN_STATUS, lockoutMinutes, verifyUserPin } from "../services/pin.js";
+import { USSD_SESSION_TTL_SECONDS } from "../constants.js";
+
+// PINs a flow needs in the clear on a later screen, by session. They stay in
+// this process and never reach the session store, so a session that moves
+// to another process (or outlives a restart) has to start over.
+const heldPins = new Map();
+
+/**
+ * Check the caller's PIN inside a flow handler
+ * @param {string} pin - PIN entered by the caller
+ * @param {Object} ctx - Menu context
+ * @returns {Promise<Object|null>} - Handler result when the PIN is rejected,
+ *   or null when it is correct
+ */
+export async function checkPin(pin, ctx) {
+  const result = await verifyUserPin(ctx.user, pin);
+
+  if (result.status === PIN_STATUS.LOCKED) {
+    return end(ctx.t("error.pinLocked", { minutes: lockoutMinutes(result) }));
+  }
+
+  if (result.status === PIN_STATUS.INVALID) {
+    return retry(
+      ctx.t("error.wrongPin", { attempts: result.remainingAttempts })
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Digest a PIN so a later screen can check the caller typed it again
+ * without the session holding it
+ * @param {string} pin - PIN entered by the caller
+ * @param {Object} ctx - Menu context
+ * @returns {string} - Digest to keep in ctx.inputs
+ */
+export function pinDigest(pin, ctx) {
+  return sessionDigest(ctx.session.sessionId, pin);
+}
+
+/**
+ * Keep a PIN in memory for a later screen of this session
+ * @param {Object} ctx - Menu context
+ * @param {string} pin - PIN to keep
+ */
+export function holdPin(ctx, pin) {
+  const now = Date.now();
+  for (const [sessionId, held] of heldPins) {
+    if (held.expiresAt <= now) {
+      heldPins.delete(sessionId);
+    }
+  }
+
+  heldPins.set(ctx.session.sessionId, {
+    pin,
+    expiresAt: now + USSD_SESSION_TTL_SECONDS * 1000,
+  });
+}
+
+/**
+ * Get the PIN held for this session
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - The PIN, or null if this process doesn't have it
+ */
+export function heldPin(ctx) {
+  const held = heldPins.get(ctx.session.sessionId);
+  return held && held.expiresAt > Date.now() ? held.pin : null;
+}
+
+/**
+ * Forget the PIN held for this session
+ * @param {Object} ctx - Menu context
+ */
+export function releasePin(ctx) {
+  heldPins.delete(ctx.session.sessionId);
+}
@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import {
+  getUssdSession,
+  saveUssdSession,
+  deleteUssdSession,
+  deleteExpiredUssdSessions,
+} from "../services/database.js";
+import {
+  JWT_SECRET,
+  USSD_SESSION_STORE,
+  USSD_SESSION_TTL_SECONDS,
+} from "../constants.js";
+
+/**
+ * USSD session stores.
+ *
+ * A session is keyed by the aggregator's sessionId and holds the current
+ * menu node, the inputs collected so far and per-node retry counts. Every
+ * backend exposes the same async interface:
+ *
+ *   get(sessionId)    - resolves with the session, or null if missing/expired
+ *   save(session)     - persists the session and refreshes its TTL
+ *   destroy(sessionId)
+ *   purgeExpired()    - resolves with the number of sessions removed
+ *
+ * Sessions are stored as they are, so they must never hold a PIN: flows
+ * keep a sessionDigest of a PIN they need to compare later, and the gateway
+ * keeps only the length and digest of the dial string, which contains every
+ * input of the session.
+ */
+
+/**
+ * Hash a value that must not be stored in the clear, keyed to the server
+ * secret and the session so it can't be looked up or reused elsewhere
+ * @param {string} sessionId - Aggregator session ID
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+export function sessionDigest(sessionId, value) {
+  return crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(`${sessionId}:${value}`)
+    .digest("hex");
+}
+
+/**
+ * Create a fresh session object
+ * @param {string} sessionId - Aggregator session ID
+ * @param {string} phone - Caller's phone number
+ * @returns {Object} - New session
+ */
+export function createSession(sessionId, phone) {
+  const now = Date.now();
+
+  return {
+    sessionId,
+    phone,
+    node: null,
+    page: 0,
+    nextPage: null,
+    inputs: {},
+    history: [],
+    retries: {},
+    language: null,
+    lastTextLength: 0,
+    lastTextDigest: null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: now,
+  };
+}
+
+/**
+ * In-memory session store (single process, lost on restart)
+ * @param {Object} options - { ttlSeconds }
+ * @returns {Object} - Session store
+ */
+export function createMemorySessionStore({
+  ttlSeconds = USSD_SESSION_TTL_SECONDS,
+} = {}) {
+  const sessions = new Map();
+
+  return {
+    async get(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        return null;
+      }
+
+      if (session.expiresAt <= Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+      }
+
+      // Hand out a copy so callers can't mutate stored state without saving
+      return structuredClone(session);
+    },
+
+    async save(session) {
+      const now = Date.now();
+      session.updatedAt = now;
+      session.expiresAt = now + ttlSeconds * 1000;
+      sessions.set(session.sessionId, structuredClone(session));
+      return session;
+    },
+
+    async destroy(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async purgeExpired() {
+      const now = Date.now();
+      let removed = 0;
+
+      for (const [sessionId, session] of sessions.entries()) {
+        if (session.expiresAt <= now) {
+          sessions.delete(sessionId);
+          removed++;
+        }
+      }
+
+      return removed;
+    },
+  };
+}
+
+/**
+ * SQLite-backed session store (survives restarts, shared between workers)
+ * @param {Object} options - { ttlSeconds }
+ * @returns {Object} - Session store
+ */
+export function createSqliteSessionStore({
+  ttlSeconds = USSD_SESSION_TTL_SECONDS,
+} = {}) {
+  return {
+    async get(sessionId) {
+      const row = await getUssdSession(sessionId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async save(session) {
+      const now = Date.now();
+      session.updatedAt = now;
+      session.expiresAt = now + ttlSeconds * 1000;
+      await saveUssdSession(
+        session.sessionId,
+        session.phone,
+        JSON.stringify(session),
+        session.expiresAt
+      );
+      return session;
+    },
+
+    async destroy(sessionId) {
+      await deleteUssdSession(sessionId);
+    },
+
+    async purgeExpired() {
+      return deleteExpiredUssdSessions();
+    },
+  };
+}
+
+const backends = {
+  memory: createMemorySessionStore,
+  sqlite: createSqliteSessionStore,
+};
+
+let sessionStore = null;
+
+/**
+ * Get the configured session store (USSD_SESSION_STORE=memory|sqlite)
+ * @returns {Object} - Session store
+ */
+export function getSessionStore() {
+  if (!sessionStore) {
+    const createStore = backends[USSD_SESSION_STORE];
+    if (!createStore) {
+      throw new Error(`Unknown USSD session store: ${USSD_SESSION_STORE}`);
+    }
+
+    sessionStore = createStore();
+
+    // Sweep expired sessions once per TTL period
+    setInterval(() => {
+      sessionStore.purgeExpired().catch((error) => {
+        console.error("❌ Error purging USSD sessions:", error);
+      });
+    }, USSD_SESSION_TTL_SECONDS * 1000).unref();
+  }
+
+  return sessionStore;
+}
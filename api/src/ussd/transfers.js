@@ -0,0 +1,38 @@
+import { addTransaction } from "../services/database.js";
+
+/**
+ * Helpers shared by the USSD flows that send SUI.
+ */
+
+/**
+ * Record a new transfer, unless this USSD session already made one. Gateways
+ * retry a request that times out while the first is still running, so the
+ * transfer is keyed to the session and the unique index settles the race.
+ * @param {Object} transaction - Transaction data for addTransaction
+ * @param {Function} record - Function that records it (addEscrowTransaction
+ *   for escrowed sends)
+ * @returns {Promise<number|null>} - Transaction ID, or null if already made
+ */
+export async function addSessionTransaction(
+  transaction,
+  record = addTransaction
+) {
+  try {
+    return await record(transaction);
+  } catch (error) {
+    if (error.message.includes("UNIQUE constraint failed")) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Round an amount down to the 4 decimals the screens show, so a displayed
+ * maximum is always sendable
+ * @param {number} amount - Amount in SUI
+ * @returns {number} - Rounded amount
+ */
+export function floorSui(amount) {
+  return Math.floor(amount * 10000) / 10000;
+}
@@ -0,0 +1,96 @@
+import {
+  FULL_NAME_MAX_LENGTH,
+  SAVED_ADDRESS_LABEL_MAX_LENGTH,
+} from "../constants.js";
+
+/**
+ * Input validators for USSD menu nodes.
+ * Each returns a translated error message for invalid input, or null if it
+ * is valid.
+ */
+
+/**
+ * Validate a full name
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validateFullName(input, ctx) {
+  const name = input.trim();
+  if (name.length < 3) {
+    return ctx.t("error.nameTooShort");
+  }
+  return name.length > FULL_NAME_MAX_LENGTH
+    ? ctx.t("error.nameTooLong", { max: FULL_NAME_MAX_LENGTH })
+    : null;
+}
+
+/**
+ * Validate a 4-digit PIN
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validatePin(input, ctx) {
+  return /^\d{4}$/.test(input) ? null : ctx.t("error.invalidPin");
+}
+
+/**
+ * Validate a phone number in international format
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validatePhone(input, ctx) {
+  return /^\+?[1-9]\d{1,14}$/.test(input.trim())
+    ? null
+    : ctx.t("error.invalidPhone");
+}
+
+/**
+ * Validate a positive SUI amount
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validateAmount(input, ctx) {
+  const amount = parseFloat(input);
+  return isNaN(amount) || amount <= 0 ? ctx.t("error.invalidAmount") : null;
+}
+
+/**
+ * Validate part of a Sui address: hex characters, with 0x allowed at the
+ * start of the first part
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validateAddressPart(input, ctx) {
+  const pattern = ctx.inputs.addressPart
+    ? /^[0-9a-fA-F]+$/
+    : /^(0x)?[0-9a-fA-F]+$/;
+  return pattern.test(input.trim()) ? null : ctx.t("error.invalidAddress");
+}
+
+/**
+ * Validate a label for a saved address
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validateAddressLabel(input, ctx) {
+  const label = input.trim();
+  return label.length > 0 && label.length <= SAVED_ADDRESS_LABEL_MAX_LENGTH
+    ? null
+    : ctx.t("error.invalidLabel", { max: SAVED_ADDRESS_LABEL_MAX_LENGTH });
+}
+
+/**
+ * Validate a 6-digit PIN reset code
+ * @param {string} input - Caller input
+ * @param {Object} ctx - Menu context
+ * @returns {string|null} - Error message or null
+ */
+export function validateResetCode(input, ctx) {
+  return /^\d{6}$/.test(input) ? null : ctx.t("error.invalidResetCode");
+}
@@ -1,5 +1,5 @@
 import CryptoJS from "crypto-js";
-import { ENCRYPTION_SALT } from "../constants.js";
+import { ENCRYPTION_SALT, PIN_RECOVERY_KEY } from "../constants.js";
 
 /**
  * Encrypts a Sui mnemonic phrase using AES encryption
@@ -64,6 +64,67 @@ export function decryptMnemonic(encryptedMnemonic, pin) {
   }
 }
 
+/**
+ * Derive the server-held recovery key used for recovery envelopes
+ * @returns {string} - Derived key
+ */
+function deriveRecoveryKey() {
+  if (!PIN_RECOVERY_KEY) {
+    throw new Error("PIN_RECOVERY_KEY is not configured");
+  }
+
+  const salt = ENCRYPTION_SALT || "default-suiflow-salt-2024";
+
+  return CryptoJS.PBKDF2(PIN_RECOVERY_KEY, `${salt}:recovery`, {
+    keySize: 256 / 32,
+    iterations: 10000,
+  }).toString();
+}
+
+/**
+ * Whether recovery envelopes can be created and opened
+ * @returns {boolean} - True if PIN_RECOVERY_KEY is configured
+ */
+export function isRecoveryEnabled() {
+  return !!PIN_RECOVERY_KEY;
+}
+
+/**
+ * Encrypts a mnemonic under the server-held recovery key, so a wallet can be
+ * re-keyed to a new PIN when the user has forgotten the old one
+ * @param {string} mnemonic - The mnemonic phrase to encrypt
+ * @returns {string} - Recovery envelope
+ */
+export function encryptRecoveryEnvelope(mnemonic) {
+  if (!mnemonic) {
+    throw new Error("Mnemonic is required for the recovery envelope");
+  }
+
+  return CryptoJS.AES.encrypt(mnemonic, deriveRecoveryKey()).toString();
+}
+
+/**
+ * Opens a recovery envelope
+ * @param {string} envelope - Recovery envelope
+ * @returns {string} - Decrypted mnemonic
+ */
+export function decryptRecoveryEnvelope(envelope) {
+  if (!envelope) {
+    throw new Error("Recovery envelope is required for decryption");
+  }
+
+  const decrypted = CryptoJS.AES.decrypt(envelope, deriveRecoveryKey());
+  const mnemonic = decrypted.toString(CryptoJS.enc.Utf8);
+
+  if (!mnemonic) {
+    throw new Error(
+      "Failed to open recovery envelope: wrong key or corrupted data"
+    );
+  }
+
+  return mnemonic;
+}
+
 /**
  * Creates a secure, salted hash of a user's PIN and phone number using PBKDF2
  * @param {string} pin - User's PIN
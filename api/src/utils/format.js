@@ -0,0 +1,2 @@
+// Helper to format SUI amounts the same way on USSD screens and in SMS
+export const formatSui = (amount) => `${parseFloat(amount).toFixed(4)} SUI`;
@@ -0,0 +1,891 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+// Configure the app before any of it loads: a throwaway database, the mock
+// ledger and no server or workers of its own
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+process.env.SUI_OPERATOR_MNEMONICS =
+  "abandon abandon abandon abandon abandon abandon abandon abandon " +
+  "abandon abandon abandon about";
+process.env.USSD_ALLOW_UNSIGNED = "true";
+process.env.PIN_RECOVERY_KEY = "test-recovery-key";
+
+const { default: app } = await import("../src/app.js");
+const {
+  initDB,
+  getUser,
+  getTransaction,
+  getUssdSession,
+  getUserTransactions,
+  deleteRateLimitCounters,
+  claimIdempotencyKey,
+} = await import("../src/services/database.js");
+const {
+  initChain,
+  depositToWallet,
+  getBalance,
+  getOperatorBalance,
+  getTransactionDetails,
+} = await import("../src/services/chain/index.js");
+const { MOCK_GAS_USED, mintSui, injectFailure, clearFailures } = await import(
+  "../src/services/chain/mock.js"
+);
+const { syncChainActivity } = await import(
+  "../src/services/chain-indexer.js"
+);
+const { processEscrowClaims } = await import("../src/services/escrow.js");
+const { expirePaymentRequests } = await import(
+  "../src/services/payment-requests.js"
+);
+const { setSmsSender } = await import("../src/services/sms.js");
+const { getAdapter } = await import("../src/ussd/adapters/index.js");
+const { getSessionStore } = await import("../src/ussd/session-store.js");
+const { decryptMnemonic } = await import("../src/utils/encryption.js");
+
+const PIN = "1234";
+const ALICE = "+254700000001";
+const BOB = "+254700000002";
+const CAROL = "+254700000003";
+const DAVE = "+254700000004";
+// Not registered when the escrow tests send to them
+const EVE = "+254700000005";
+const FRANK = "+254700000006";
+const GRACE = "+254700000007";
+const HENRY = "+254700000008";
+const IVY = "+254700000009";
+const JACK = "+254700000010";
+// An address outside SuiFlow
+const EXTERNAL = `0x${"ab".repeat(32)}`;
+
+let server;
+let baseUrl;
+// Every SMS sent, as { phone, message }
+const sms = [];
+// JWTs by phone; logging in derives keys from the PIN, which is slow
+const tokens = new Map();
+
+/**
+ * Call the REST API
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} options - { body, token, headers }
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+async function api(method, path, { body, token, headers } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "content-type": "application/json",
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+}
+
+/**
+ * Dial the USSD code and enter inputs one screen at a time
+ * @param {string} phone - Caller's phone number
+ * @param {Array} inputs - What the caller enters on each screen
+ * @param {string} sessionId - Aggregator session ID (a new one by default)
+ * @returns {Promise<string>} - The last screen
+ */
+async function dial(
+  phone,
+  inputs,
+  sessionId = `session-${phone}-${Date.now()}`
+) {
+  let screen;
+
+  for (let i = 0; i <= inputs.length; i++) {
+    const response = await fetch(`${baseUrl}/api/ussd/webhook`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        sessionId,
+        phoneNumber: phone,
+        text: inputs.slice(0, i).join("*"),
+      }),
+    });
+    screen = await response.text();
+  }
+
+  return screen;
+}
+
+/**
+ * Wait until a check passes
+ * @param {Function} check - Async function returning a truthy value when done
+ * @returns {Promise<*>} - The check's result
+ */
+async function waitFor(check) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Put SUI in a user's SuiFlowWallet
+ * @param {string} phone - User's phone number
+ * @param {number} amount - Amount in SUI
+ */
+async function fundWallet(phone, amount) {
+  const user = await getUser(phone);
+  mintSui(user.suiAddress, amount);
+  await depositToWallet(
+    user.walletObjectId,
+    decryptMnemonic(user.encryptedMnemonic, PIN),
+    amount
+  );
+}
+
+/**
+ * Log a user in over REST, once
+ * @param {string} phone - User's phone number
+ * @returns {Promise<string>} - JWT
+ */
+async function login(phone) {
+  if (!tokens.has(phone)) {
+    const { body } = await api("POST", "/api/user/login", {
+      body: { phone, pin: PIN },
+    });
+    tokens.set(phone, body.data.token);
+  }
+  return tokens.get(phone);
+}
+
+/**
+ * Get a user's balance over REST
+ * @param {string} phone - User's phone number
+ * @returns {Promise<number>} - Balance in SUI
+ */
+async function balanceOf(phone) {
+  const { body } = await api("GET", "/api/user/balance", {
+    token: await login(phone),
+  });
+  return body.data.balance;
+}
+
+before(async () => {
+  await initDB();
+  initChain();
+  setSmsSender({
+    name: "test",
+    async send(phone, message) {
+      sms.push({ phone, message });
+      return { messageId: String(sms.length) };
+    },
+  });
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe("REST API on the mock ledger", () => {
+  it("registers users with SuiFlowWallets", async () => {
+    for (const [phone, fullName] of [
+      [ALICE, "Alice Test"],
+      [BOB, "Bob Test"],
+    ]) {
+      const { status, body } = await api("POST", "/api/user/new", {
+        body: { phone, fullName, pin: PIN, confirmPin: PIN },
+      });
+
+      assert.equal(status, 201);
+      assert.match(body.data.walletObjectId, /^0x[0-9a-f]{64}$/);
+      assert.equal(
+        (await getUser(phone)).walletObjectId,
+        body.data.walletObjectId
+      );
+    }
+  });
+
+  it("reports the wallet balance", async () => {
+    await fundWallet(ALICE, 1);
+
+    assert.equal(await balanceOf(ALICE), 1);
+  });
+
+  it("transfers between wallets on sponsored gas", async () => {
+    const operatorBalance = await getOperatorBalance();
+
+    const { status, body } = await api("POST", "/api/transaction/new", {
+      token: await login(ALICE),
+      body: { receiverPhone: BOB, amount: 0.25, pin: PIN },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(await balanceOf(ALICE), 0.75);
+    assert.equal(await balanceOf(BOB), 0.25);
+
+    const tx = await getTransactionDetails(body.data.txHash);
+    assert.equal(
+      tx.transaction.data.sender,
+      (await getUser(ALICE)).suiAddress
+    );
+
+    const gasUsed =
+      MOCK_GAS_USED.computationCost +
+      MOCK_GAS_USED.storageCost -
+      MOCK_GAS_USED.storageRebate;
+    assert.equal(
+      Math.round((operatorBalance - (await getOperatorBalance())) * 1e9),
+      gasUsed
+    );
+  });
+
+  it("fails a transfer the chain rejects without moving funds", async () => {
+    injectFailure("internalTransfer", { message: "MoveAbort in command 0" });
+
+    const { status, body } = await api("POST", "/api/transaction/new", {
+      token: await login(ALICE),
+      body: { receiverPhone: BOB, amount: 0.1, pin: PIN },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(await balanceOf(ALICE), 0.75);
+    assert.equal(await balanceOf(BOB), 0.25);
+  });
+
+  it("blocks transfers from a wallet an admin froze", async () => {
+    const admin = {
+      fullName: "Admin Test",
+      email: "admin@example.com",
+      password: "Admin@pass1",
+    };
+    await api("POST", "/api/admin/register", { body: admin });
+    const { body: adminLogin } = await api("POST", "/api/admin/login", {
+      body: { email: admin.email, password: admin.password },
+    });
+
+    const freeze = await api("POST", "/api/admin/wallet/freeze", {
+      token: adminLogin.data.token,
+      body: { phone: ALICE },
+    });
+    assert.equal(freeze.status, 200);
+
+    const { status } = await api("POST", "/api/transaction/new", {
+      token: await login(ALICE),
+      body: { receiverPhone: BOB, amount: 0.1, pin: PIN },
+    });
+    assert.equal(status, 400);
+    assert.equal(await balanceOf(ALICE), 0.75);
+  });
+
+  after(clearFailures);
+});
+
+describe("USSD on the mock ledger", () => {
+  it("registers a caller and creates their wallet", async () => {
+    const screen = await dial(CAROL, ["1", "Carol Test", PIN, PIN]);
+
+    assert.match(screen, /^END .*Carol Test/);
+    assert.ok(
+      await waitFor(async () => (await getUser(CAROL))?.walletObjectId)
+    );
+  });
+
+  it("shows the same balance as the REST API", async () => {
+    await fundWallet(CAROL, 0.5);
+
+    const screen = await dial(CAROL, ["3", PIN]);
+
+    assert.match(screen, /0\.5000 SUI/);
+    assert.equal(await balanceOf(CAROL), 0.5);
+  });
+
+  it("never stores PINs in the session", async () => {
+    const storedSession = async (sessionId) =>
+      (await getUssdSession(sessionId)).data;
+
+    await dial(GRACE, ["1", "Grace Test", "4821"], "session-grace-1");
+    assert.doesNotMatch(await storedSession("session-grace-1"), /4821/);
+
+    await dial(GRACE, ["1", "Grace Test", "4821", "4821"]);
+    const menu = await dial(GRACE, []);
+    const option = menu.match(/(\d+)\. Change PIN/)[1];
+
+    await dial(GRACE, [option, "4821", "1357"], "session-grace-2");
+    assert.doesNotMatch(await storedSession("session-grace-2"), /4821|1357/);
+  });
+
+  it("sends to a registered user", async () => {
+    const screen = await dial(CAROL, ["1", BOB, "1", "0.2", PIN]);
+
+    assert.match(screen, /^END /);
+    assert.ok(await waitFor(async () => (await balanceOf(BOB)) === 0.45));
+    assert.equal(await balanceOf(CAROL), 0.3);
+  });
+
+  it("ends the session in the provider's format when it fails", async () => {
+    const infobip = (body) =>
+      fetch(`${baseUrl}/api/ussd/infobip/webhook`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          sessionId: "session-henry",
+          msisdn: HENRY,
+          ...body,
+        }),
+      }).then((response) => response.json());
+
+    const store = getSessionStore();
+    const { destroy } = store;
+    store.destroy = async () => {
+      throw new Error("Session store offline");
+    };
+    try {
+      assert.deepEqual(await infobip({ endSession: true }), {
+        ussdMenu: "An unexpected error occurred. Please try again later.",
+        shouldClose: true,
+      });
+    } finally {
+      store.destroy = destroy;
+    }
+
+    const adapter = getAdapter("infobip");
+    const { format } = adapter;
+    adapter.format = () => {
+      adapter.format = format;
+      throw new Error("Cannot format reply");
+    };
+    assert.deepEqual(await infobip({ newSession: true }), {
+      ussdMenu: "Service unavailable. Please try again later.",
+      shouldClose: true,
+    });
+  });
+});
+
+describe("Chain indexer on the mock ledger", () => {
+  it("records SUI sent from outside SuiFlow as a deposit, once", async () => {
+    const balance = await balanceOf(BOB);
+    // The first pass only saves where to start
+    await syncChainActivity();
+    const { suiAddress } = await getUser(BOB);
+    mintSui(suiAddress, 0.5);
+
+    const { recorded } = await syncChainActivity();
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].type, "deposit");
+    assert.equal(recorded[0].receiverPhone, BOB);
+    assert.equal(recorded[0].amount, 0.5);
+    // The sending address isn't a phone number
+    const deposit = await getTransaction(recorded[0].id);
+    assert.equal(deposit.senderPhone, null);
+    assert.match(deposit.counterpartyAddress, /^0x[0-9a-f]{64}$/);
+
+    assert.deepEqual((await syncChainActivity()).recorded, []);
+
+    const { body } = await api("GET", "/api/transaction/history", {
+      token: await login(BOB),
+    });
+    const deposits = body.data.transactions.filter(
+      (tx) => tx.transactionType === "deposit"
+    );
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].type, "received");
+
+    // Swept from Bob's address into his SuiFlowWallet, and he was told
+    assert.equal(await balanceOf(BOB), balance + 0.5);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes("You received 0.5000 SUI from 0x")
+        )
+      )
+    );
+  });
+});
+
+describe("Withdrawals on the mock ledger", () => {
+  it("sends from a wallet to an outside address over REST", async () => {
+    const balance = await balanceOf(BOB);
+
+    const { status, body } = await api("POST", "/api/transaction/withdraw", {
+      token: await login(BOB),
+      body: { address: EXTERNAL.toUpperCase().slice(2), amount: 0.1, pin: PIN },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.address, EXTERNAL);
+    const withdrawal = await getTransaction(body.data.transactionId);
+    assert.equal(withdrawal.receiverPhone, null);
+    assert.equal(withdrawal.counterpartyAddress, EXTERNAL);
+    assert.equal(await getBalance(EXTERNAL), 0.1);
+    assert.equal(
+      await balanceOf(BOB),
+      Math.round((balance - 0.1) * 1e9) / 1e9
+    );
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes(`You sent 0.1000 SUI to ${EXTERNAL}`)
+        )
+      )
+    );
+  });
+
+  it("rejects an invalid address", async () => {
+    const { status } = await api("POST", "/api/transaction/withdraw", {
+      token: await login(BOB),
+      body: { address: "0x1234", amount: 0.1, pin: PIN },
+    });
+
+    assert.equal(status, 400);
+  });
+
+  it("takes an address in parts over USSD and saves it", async () => {
+    await api("POST", "/api/user/new", {
+      body: { phone: DAVE, fullName: "Dave Test", pin: PIN, confirmPin: PIN },
+    });
+    await fundWallet(DAVE, 0.3);
+
+    const menu = await dial(DAVE, []);
+    const option = menu.match(/(\d+)\. Send to Sui address/)[1];
+
+    const screen = await dial(DAVE, [
+      option,
+      EXTERNAL.slice(0, 30),
+      EXTERNAL.slice(30),
+      "2",
+      "Exchange",
+      "0.1",
+      PIN,
+    ]);
+
+    assert.match(screen, /^END .*Exchange/);
+    assert.ok(
+      await waitFor(async () => (await getBalance(EXTERNAL)) === 0.2)
+    );
+    assert.equal(await balanceOf(DAVE), 0.2);
+
+    const saved = await dial(DAVE, [option]);
+    assert.match(saved, /2\. Exchange 0xabab\.\.\.abab/);
+  });
+});
+
+describe("Escrow on the mock ledger", () => {
+  it("holds a send to an unregistered number until they join", async () => {
+    await fundWallet(BOB, 0.5);
+    const balance = await balanceOf(BOB);
+
+    const { status, body } = await api("POST", "/api/transaction/new", {
+      token: await login(BOB),
+      body: { receiverPhone: EVE, amount: 0.2, pin: PIN },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.escrow, true);
+    assert.equal(
+      await balanceOf(BOB),
+      Math.round((balance - 0.2) * 1e9) / 1e9
+    );
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) => phone === EVE && message.includes("Bob Test")
+        )
+      )
+    );
+
+    await api("POST", "/api/user/new", {
+      body: { phone: EVE, fullName: "Eve Test", pin: PIN, confirmPin: PIN },
+    });
+
+    assert.ok(await waitFor(async () => (await balanceOf(EVE)) === 0.2));
+  });
+
+  it("refunds the sender when the claim expires", async () => {
+    const balance = await balanceOf(BOB);
+
+    const { status } = await api("POST", "/api/transaction/new", {
+      token: await login(BOB),
+      body: { receiverPhone: FRANK, amount: 0.1, pin: PIN },
+    });
+    assert.equal(status, 201);
+
+    const { refunded } = await processEscrowClaims({
+      now: Date.now() + 8 * 24 * 60 * 60 * 1000,
+    });
+
+    assert.equal(refunded, 1);
+    assert.ok(await waitFor(async () => (await balanceOf(BOB)) === balance));
+    assert.ok(
+      sms.find(
+        ({ phone, message }) =>
+          phone === BOB && message.includes(`${FRANK} did not claim`)
+      )
+    );
+  });
+
+  it("tells both sides when a send into escrow fails", async () => {
+    injectFailure("withdrawFromWallet", { message: "MoveAbort in command 0" });
+    const { status, body } = await api("POST", "/api/transaction/new", {
+      token: await login(BOB),
+      body: { receiverPhone: IVY, amount: 0.05, pin: PIN },
+    });
+    assert.equal(status, 400);
+
+    const { cancelled } = await processEscrowClaims();
+
+    assert.equal(cancelled, 1);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes(
+              `0.0500 SUI to ${IVY} could not be completed. ` +
+                `Ref: ${body.data.transactionId}`
+            )
+        )
+      )
+    );
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === IVY &&
+            message.includes("Bob Test (+254700000002) sent you did not go")
+        )
+      )
+    );
+  });
+
+  it("refunds a claim its recipient can't be paid", async () => {
+    const balance = await balanceOf(BOB);
+
+    const { status } = await api("POST", "/api/transaction/new", {
+      token: await login(BOB),
+      body: { receiverPhone: JACK, amount: 0.1, pin: PIN },
+    });
+    assert.equal(status, 201);
+
+    injectFailure("payFromOperator", { message: "Invalid Sui address" });
+    await api("POST", "/api/user/new", {
+      body: { phone: JACK, fullName: "Jack Test", pin: PIN, confirmPin: PIN },
+    });
+
+    assert.ok(await waitFor(async () => (await balanceOf(BOB)) === balance));
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes(`could not be paid out to ${JACK}`)
+        )
+      )
+    );
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === JACK && message.includes("there is nothing to claim")
+        )
+      )
+    );
+    assert.equal(await balanceOf(JACK), 0);
+  });
+});
+
+describe("Payment requests", () => {
+  it("requests money over REST and is paid over USSD", async () => {
+    const balance = await balanceOf(BOB);
+
+    const { status, body } = await api("POST", "/api/transaction/request", {
+      token: await login(BOB),
+      body: { payerPhone: EVE, amount: 0.05 },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, "pending");
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === EVE && message.includes("Bob Test (+254700000002)")
+        )
+      )
+    );
+
+    const menu = await dial(EVE, []);
+    const option = menu.match(/(\d+)\. Requests/)[1];
+    const screen = await dial(EVE, [option, "2", "1", "1", PIN]);
+
+    assert.match(screen, /^END .*Bob Test/);
+    assert.ok(
+      await waitFor(
+        async () =>
+          (await balanceOf(BOB)) === Math.round((balance + 0.05) * 1e9) / 1e9
+      )
+    );
+    assert.equal(await balanceOf(EVE), 0.15);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes("Eve Test paid your request for 0.0500 SUI")
+        )
+      )
+    );
+
+    const { body: list } = await api("GET", "/api/transaction/requests", {
+      token: await login(BOB),
+    });
+    const [request] = list.data.requests;
+    assert.equal(request.id, body.data.requestId);
+    assert.equal(request.type, "outgoing");
+    assert.equal(request.status, "accepted");
+    assert.ok(request.transactionId);
+  });
+
+  it("declines and expires requests", async () => {
+    for (const amount of [0.01, 0.02]) {
+      await api("POST", "/api/transaction/request", {
+        token: await login(BOB),
+        body: { payerPhone: EVE, amount },
+      });
+    }
+
+    const menu = await dial(EVE, []);
+    const option = menu.match(/(\d+)\. Requests/)[1];
+    const screen = await dial(EVE, [option, "2", "1", "2"]);
+
+    assert.match(screen, /^END Request declined/);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB && message.includes("declined your request")
+        )
+      )
+    );
+
+    const expired = await expirePaymentRequests(
+      Date.now() + 73 * 60 * 60 * 1000
+    );
+
+    assert.equal(expired, 1);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB &&
+            message.includes("0.0200 SUI from Eve Test expired")
+        )
+      )
+    );
+    assert.match(
+      await dial(EVE, [option, "2"]),
+      /^END You have no requests to pay/
+    );
+
+    // Bob's three requests, a page at a time
+    const { body } = await api("GET", "/api/transaction/requests?limit=1", {
+      token: await login(BOB),
+    });
+    assert.equal(body.data.requests.length, 1);
+    assert.equal(body.data.pagination.total, 3);
+  });
+
+  it("reopens a request whose payment fails", async () => {
+    const { body } = await api("POST", "/api/transaction/request", {
+      token: await login(BOB),
+      body: { payerPhone: EVE, amount: 0.03 },
+    });
+    const requestStatus = async () => {
+      const { body: list } = await api("GET", "/api/transaction/requests", {
+        token: await login(BOB),
+      });
+      return list.data.requests.find(({ id }) => id === body.data.requestId)
+        .status;
+    };
+    const paid = () =>
+      sms.find(
+        ({ phone, message }) =>
+          phone === BOB &&
+          message.includes("Eve Test paid your request for 0.0300 SUI")
+      );
+
+    // Eve has used the USSD menu a lot in the last minute
+    await deleteRateLimitCounters(Date.now() + 60 * 1000);
+    injectFailure("internalTransfer", { message: "MoveAbort in command 0" });
+    const menu = await dial(EVE, []);
+    const option = menu.match(/(\d+)\. Requests/)[1];
+    await dial(EVE, [option, "2", "1", "1", PIN]);
+
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === EVE &&
+            message.includes("0.0300 SUI to Bob Test could not be completed")
+        )
+      )
+    );
+    assert.equal(await requestStatus(), "pending");
+    assert.equal(paid(), undefined);
+
+    // Eve can pay it again, and only then is Bob told
+    await dial(EVE, [option, "2", "1", "1", PIN]);
+    assert.ok(await waitFor(paid));
+    assert.equal(await requestStatus(), "accepted");
+  });
+});
+
+describe("Idempotent transfers", () => {
+  it("replays a retried REST transfer instead of sending again", async () => {
+    const token = await login(CAROL);
+    const balance = await balanceOf(CAROL);
+    const daveBalance = await balanceOf(DAVE);
+    const transfer = () =>
+      api("POST", "/api/transaction/new", {
+        token,
+        headers: { "idempotency-key": "carol-to-dave-1" },
+        body: { receiverPhone: DAVE, amount: 0.05, pin: PIN },
+      });
+
+    const first = await transfer();
+    const retry = await transfer();
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(
+      await balanceOf(CAROL),
+      Math.round((balance - 0.05) * 1e9) / 1e9
+    );
+    assert.equal(
+      await balanceOf(DAVE),
+      Math.round((daveBalance + 0.05) * 1e9) / 1e9
+    );
+  });
+
+  it("rejects a key reused for a different transfer", async () => {
+    const balance = await balanceOf(CAROL);
+
+    const { status, body } = await api("POST", "/api/transaction/new", {
+      token: await login(CAROL),
+      headers: { "idempotency-key": "carol-to-dave-1" },
+      body: { receiverPhone: DAVE, amount: 0.06, pin: PIN },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.success, false);
+    assert.equal(await balanceOf(CAROL), balance);
+  });
+
+  it("runs a retry with the right PIN after a wrong one", async () => {
+    const token = await login(CAROL);
+    const balance = await balanceOf(CAROL);
+    const transfer = (pin) =>
+      api("POST", "/api/transaction/new", {
+        token,
+        headers: { "idempotency-key": "carol-to-dave-2" },
+        body: { receiverPhone: DAVE, amount: 0.01, pin },
+      });
+
+    const wrong = await transfer("9999");
+    const retry = await transfer(PIN);
+
+    assert.equal(wrong.status, 401);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), null);
+    assert.equal(
+      await balanceOf(CAROL),
+      Math.round((balance - 0.01) * 1e9) / 1e9
+    );
+  });
+
+  it("takes back a key whose request never answered", async () => {
+    const { phone } = await getUser(CAROL);
+    const balance = await balanceOf(CAROL);
+    // Claimed an hour ago by the same request, which a restart cut off
+    const claimedAt = Date.now() - 60 * 60 * 1000;
+    const requestHash = crypto
+      .createHash("sha256")
+      .update("POST /api/transaction/new\n")
+      .update(JSON.stringify({ receiverPhone: DAVE, amount: 0.01 }))
+      .digest("hex");
+    await claimIdempotencyKey(
+      phone,
+      "carol-to-dave-3",
+      requestHash,
+      claimedAt,
+      claimedAt + 24 * 60 * 60 * 1000
+    );
+
+    const { status } = await api("POST", "/api/transaction/new", {
+      token: await login(CAROL),
+      headers: { "idempotency-key": "carol-to-dave-3" },
+      body: { receiverPhone: DAVE, amount: 0.01, pin: PIN },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(
+      await balanceOf(CAROL),
+      Math.round((balance - 0.01) * 1e9) / 1e9
+    );
+  });
+
+  it("sends once when a USSD request is delivered twice", async () => {
+    const sessionId = "session-carol-duplicate";
+    const balance = await balanceOf(CAROL);
+    // Carol's earlier sessions may still count against her phone's limit
+    await deleteRateLimitCounters(Date.now() + 60 * 1000);
+    await dial(CAROL, ["1", DAVE, "1", "0.05"], sessionId);
+
+    // The aggregator retries the PIN screen's request before the first
+    // delivery has been answered
+    const deliver = () =>
+      fetch(`${baseUrl}/api/ussd/webhook`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          sessionId,
+          phoneNumber: CAROL,
+          text: ["1", DAVE, "1", "0.05", PIN].join("*"),
+        }),
+      }).then((response) => response.text());
+    const screens = await Promise.all([deliver(), deliver()]);
+
+    for (const screen of screens) {
+      assert.match(screen, /^END .*Dave Test/);
+    }
+    const sent = (await getUserTransactions(CAROL)).filter(
+      (tx) => tx.idempotencyKey === `ussd:${sessionId}`
+    );
+    assert.equal(sent.length, 1);
+    assert.ok(
+      await waitFor(
+        async () =>
+          (await balanceOf(CAROL)) === Math.round((balance - 0.05) * 1e9) / 1e9
+      )
+    );
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { Ed25519Keypair } from "@mysten/sui/keypairs/ed25519";
+
+process.env.NODE_ENV = "test";
+
+const {
+  initGasPool,
+  refreshGasPool,
+  leaseGasCoin,
+  releaseGasCoin,
+  getGasPoolStatus,
+} = await import("../src/services/chain/gas-pool.js");
+
+const MIST_PER_SUI = 1_000_000_000;
+const GAS_USED = {
+  computationCost: "1000000",
+  storageCost: "2000000",
+  storageRebate: "1000000",
+};
+
+// The operator's coins as the chain has them, by object ID
+const chainCoins = new Map();
+
+/**
+ * Put a coin in the operator's address
+ * @param {string} name - Short name, used for the object ID and digest
+ * @param {number} balance - Balance in SUI
+ */
+function addCoin(name, balance) {
+  chainCoins.set(name, {
+    coinObjectId: name,
+    version: "1",
+    digest: `${name}-1`,
+    balance: String(balance * MIST_PER_SUI),
+  });
+}
+
+/**
+ * Effects of a transaction that paid gas with a coin
+ * @param {Object} lease - Coin reference the transaction used
+ * @returns {Object} - Effects with the coin's new reference
+ */
+function effectsFor(lease) {
+  const version = String(Number(lease.version) + 1);
+  return {
+    status: { status: "success" },
+    gasUsed: GAS_USED,
+    gasObject: {
+      reference: {
+        objectId: lease.objectId,
+        version,
+        digest: `${lease.objectId}-${version}`,
+      },
+    },
+  };
+}
+
+before(async () => {
+  addCoin("small", 0.1);
+  addCoin("medium", 0.2);
+  addCoin("large", 1);
+
+  // Just enough of a Sui client for reading the operator's coins
+  const client = {
+    async getCoins() {
+      return {
+        data: [...chainCoins.values()],
+        hasNextPage: false,
+        nextCursor: null,
+      };
+    },
+  };
+  initGasPool(client, new Ed25519Keypair());
+  await refreshGasPool();
+});
+
+describe("Operator gas pool", () => {
+  it("leases the smallest free coin that covers the spend", async () => {
+    const large = await leaseGasCoin(0.5 * MIST_PER_SUI);
+    const small = await leaseGasCoin();
+    const medium = await leaseGasCoin();
+
+    assert.deepEqual(
+      [large, small, medium].map((lease) => lease.objectId),
+      ["large", "small", "medium"]
+    );
+    assert.deepEqual(getGasPoolStatus(), {
+      size: 3,
+      free: 0,
+      leased: 3,
+      balance: 1.3,
+    });
+
+    for (const lease of [large, small, medium]) {
+      releaseGasCoin(lease, effectsFor(lease));
+    }
+  });
+
+  it("returns coins at the version and balance the effects give", async () => {
+    const lease = await leaseGasCoin();
+    assert.equal(lease.objectId, "small");
+    assert.equal(lease.version, "2");
+
+    releaseGasCoin(lease, effectsFor(lease), 0.01 * MIST_PER_SUI);
+
+    const { balance } = getGasPoolStatus();
+    // Four transactions' gas so far, and the 0.01 SUI the last one spent
+    assert.equal(balance, Math.round((1.3 - 4 * 0.002 - 0.01) * 1e9) / 1e9);
+    // Still leased in the next test
+    assert.equal((await leaseGasCoin()).version, "3");
+  });
+
+  it("waits for a coin to come back when all are leased", async () => {
+    const medium = await leaseGasCoin();
+    const large = await leaseGasCoin();
+    assert.equal(getGasPoolStatus().free, 0);
+
+    const waiting = leaseGasCoin();
+    releaseGasCoin(medium, effectsFor(medium));
+
+    assert.equal((await waiting).objectId, "medium");
+    releaseGasCoin(large, effectsFor(large));
+  });
+
+  it("leaves out a coin whose transaction has no known outcome", async () => {
+    const large = await leaseGasCoin(0.5 * MIST_PER_SUI);
+    releaseGasCoin(large);
+    assert.equal(getGasPoolStatus().size, 2);
+
+    // Until the chain says where it is
+    chainCoins.set("large", {
+      coinObjectId: "large",
+      version: "5",
+      digest: "large-5",
+      balance: String(0.9 * MIST_PER_SUI),
+    });
+    await refreshGasPool();
+
+    assert.equal(getGasPoolStatus().size, 3);
+    assert.equal((await leaseGasCoin(0.5 * MIST_PER_SUI)).version, "5");
+  });
+
+  it("refuses a spend no coin can cover", async () => {
+    await assert.rejects(
+      leaseGasCoin(2 * MIST_PER_SUI),
+      /No operator gas coin available/
+    );
+  });
+});
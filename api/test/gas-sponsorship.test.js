@@ -0,0 +1,75 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// A throwaway database for the sponsorship ledger
+process.env.NODE_ENV = "test";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+
+const { initDB } = await import("../src/services/database.js");
+const {
+  reserveSponsoredGas,
+  settleSponsoredGas,
+  releaseSponsoredGas,
+  getRemainingSponsoredGas,
+} = await import("../src/services/gas-sponsorship.js");
+const { SPONSORED_GAS_DAILY_BUDGET } = await import("../src/constants.js");
+
+const DAILY_BUDGET = SPONSORED_GAS_DAILY_BUDGET * 1_000_000_000;
+// Ten transactions' worth of gas budget a day
+const GAS_BUDGET = DAILY_BUDGET / 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+before(async () => {
+  await initDB();
+});
+
+describe("Gas sponsorship", () => {
+  it("never reserves past the daily budget, even concurrently", async () => {
+    const sender = `0x${"01".repeat(32)}`;
+
+    const reservations = await Promise.all(
+      Array.from({ length: 15 }, () =>
+        reserveSponsoredGas(sender, "transfer", GAS_BUDGET)
+      )
+    );
+
+    assert.equal(reservations.filter((id) => id !== null).length, 10);
+    assert.equal(await getRemainingSponsoredGas(sender), 0);
+  });
+
+  it("charges the gas used and gives back what wasn't", async () => {
+    const sender = `0x${"02".repeat(32)}`;
+    const used = await reserveSponsoredGas(sender, "transfer", GAS_BUDGET);
+    const unused = await reserveSponsoredGas(sender, "transfer", GAS_BUDGET);
+    assert.equal(
+      await getRemainingSponsoredGas(sender),
+      DAILY_BUDGET - 2 * GAS_BUDGET
+    );
+
+    await settleSponsoredGas(used, "digest", {
+      computationCost: "1000000",
+      storageCost: "2000000",
+      storageRebate: "1000000",
+    });
+    await releaseSponsoredGas(unused);
+
+    assert.equal(
+      await getRemainingSponsoredGas(sender),
+      DAILY_BUDGET - 2_000_000
+    );
+  });
+
+  it("starts each UTC day with a fresh budget", async () => {
+    const sender = `0x${"01".repeat(32)}`;
+    const tomorrow = Date.now() + DAY;
+
+    assert.equal(
+      await getRemainingSponsoredGas(sender, tomorrow),
+      DAILY_BUDGET
+    );
+    assert.ok(
+      await reserveSponsoredGas(sender, "transfer", GAS_BUDGET, tomorrow)
+    );
+  });
+});
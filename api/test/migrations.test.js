@@ -0,0 +1,188 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import sqlite3 from "sqlite3";
+
+const ALICE = "+254733000001";
+const BOB = "+254733000002";
+const CAROL = "+254733000003";
+const OUTSIDE = `0x${"ab".repeat(32)}`;
+
+// A database file from before the transaction state machine, where a
+// transfer wrote a pending row and then a second row with its outcome, and
+// deposits and withdrawals kept the outside address in a phone column
+const LEGACY_ROWS = [
+  [1, ALICE, BOB, 1, "pending", "2024-01-01 10:00:00", "transfer"],
+  [2, ALICE, BOB, 1, "pending", "2024-01-01 10:00:30", "transfer"],
+  [3, ALICE, BOB, 1, "success", "2024-01-01 10:01:00", "transfer"],
+  [4, ALICE, CAROL, 0.5, "pending", "2024-01-01 11:00:00", "transfer"],
+  [5, ALICE, CAROL, 0.5, "failed", "2024-01-01 11:02:00", "transfer"],
+  [6, ALICE, BOB, 2, "pending", "2024-01-01 12:00:00", "transfer"],
+  [7, OUTSIDE, ALICE, 3, "success", "2024-01-02 10:00:00", "deposit"],
+  [8, ALICE, OUTSIDE, 1, "success", "2024-01-02 11:00:00", "withdrawal"],
+];
+
+const dir = mkdtempSync(join(tmpdir(), "suiflow-migrations-"));
+const dbPath = join(dir, "legacy.db");
+
+/**
+ * Open the database file directly, next to the app's own connection
+ * @returns {Object} - { run, all, close } as Promises
+ */
+function openRaw() {
+  const raw = new sqlite3.Database(dbPath);
+  const call = (method) => (query, params = []) =>
+    new Promise((resolve, reject) => {
+      raw[method](query, params, (err, rows) =>
+        err ? reject(err) : resolve(rows)
+      );
+    });
+  return {
+    run: call("run"),
+    all: call("all"),
+    close: () => new Promise((resolve) => raw.close(resolve)),
+  };
+}
+
+const legacy = openRaw();
+await legacy.run(`
+  CREATE TABLE transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    senderPhone TEXT NOT NULL,
+    receiverPhone TEXT NOT NULL,
+    amount REAL NOT NULL,
+    txHash TEXT UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending',
+    errorMessage TEXT,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    type TEXT NOT NULL DEFAULT 'transfer'
+  )
+`);
+for (const row of LEGACY_ROWS) {
+  await legacy.run(
+    `INSERT INTO transactions
+       (id, senderPhone, receiverPhone, amount, status, timestamp, type)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    row
+  );
+}
+await legacy.close();
+
+process.env.NODE_ENV = "test";
+process.env.DB_PATH = dbPath;
+process.env.SECRET_KEY = "test-secret";
+
+const {
+  initDB,
+  closeDB,
+  getUnsettledTransactions,
+  getUserTransactions,
+  getTransactionStats,
+} = await import("../src/services/database.js");
+
+/**
+ * Read every transaction row, in id order
+ * @returns {Promise<Object[]>} - Rows
+ */
+async function allRows() {
+  const raw = openRaw();
+  const rows = await raw.all(`SELECT * FROM transactions ORDER BY id`);
+  await raw.close();
+  return rows;
+}
+
+before(async () => {
+  await initDB();
+});
+
+after(() => {
+  closeDB();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Legacy transaction migrations", () => {
+  it("keeps legacy rows and links pending ones to their outcome", async () => {
+    const rows = await allRows();
+
+    assert.deepEqual(
+      rows.map(({ id, status, supersededBy }) => ({
+        id,
+        status,
+        supersededBy,
+      })),
+      [
+        { id: 1, status: "pending", supersededBy: 3 },
+        { id: 2, status: "pending", supersededBy: 3 },
+        { id: 3, status: "confirmed", supersededBy: null },
+        { id: 4, status: "pending", supersededBy: 5 },
+        { id: 5, status: "failed", supersededBy: null },
+        { id: 6, status: "failed", supersededBy: null },
+        { id: 7, status: "confirmed", supersededBy: null },
+        { id: 8, status: "confirmed", supersededBy: null },
+      ]
+    );
+    assert.equal(rows[2].confirmedAt, rows[2].timestamp);
+    assert.equal(rows[4].failedAt, rows[4].timestamp);
+  });
+
+  it("fails legacy pending rows with no outcome", async () => {
+    const [row] = (await allRows()).filter(({ id }) => id === 6);
+
+    assert.equal(row.failedAt, row.timestamp);
+    assert.equal(
+      row.errorMessage,
+      "Outcome not recorded (legacy pending transfer)"
+    );
+  });
+
+  it("moves outside addresses out of the phone columns", async () => {
+    const rows = await allRows();
+
+    assert.deepEqual(
+      rows.map(({ senderPhone, receiverPhone, counterpartyAddress }) => [
+        senderPhone,
+        receiverPhone,
+        counterpartyAddress,
+      ]),
+      [
+        ...Array.from({ length: 3 }, () => [ALICE, BOB, null]),
+        ...Array.from({ length: 2 }, () => [ALICE, CAROL, null]),
+        [ALICE, BOB, null],
+        [null, ALICE, OUTSIDE],
+        [ALICE, null, OUTSIDE],
+      ]
+    );
+  });
+
+  it("leaves legacy rows out of reconciliation", async () => {
+    assert.deepEqual(await getUnsettledTransactions(Date.now()), []);
+  });
+
+  it("hides superseded rows from history and stats", async () => {
+    const history = await getUserTransactions(ALICE);
+    assert.deepEqual(history.map((tx) => tx.id).sort(), [3, 5, 6, 7, 8]);
+
+    const stats = await getTransactionStats();
+    assert.equal(stats.confirmed.count, 3);
+    assert.equal(stats.failed.count, 2);
+    assert.equal(stats.pending, undefined);
+  });
+
+  it("runs only once", async () => {
+    const raw = openRaw();
+    await raw.run(
+      `INSERT INTO transactions (senderPhone, receiverPhone, amount, status)
+       VALUES (?, ?, ?, 'success')`,
+      [ALICE, BOB, 3]
+    );
+    await raw.close();
+
+    await initDB();
+
+    const rows = await allRows();
+    assert.equal(rows.length, LEGACY_ROWS.length + 1);
+    assert.equal(rows.at(-1).status, "success");
+  });
+});
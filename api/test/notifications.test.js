@@ -0,0 +1,147 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// A throwaway database and an SMS provider that can be made to fail
+process.env.NODE_ENV = "test";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+
+const { initDB, getNotification, updateNotification } = await import(
+  "../src/services/database.js"
+);
+const { NOTIFICATION_EVENTS, notify, processNotificationQueue } =
+  await import("../src/services/notifications.js");
+const { setSmsSender } = await import("../src/services/sms.js");
+const {
+  NOTIFICATION_STATUS,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_SECONDS,
+} = await import("../src/constants.js");
+
+const ALICE = "+254777000001";
+const BOB = "+254777000002";
+
+// Every SMS the provider accepted, as { phone, message }
+const sms = [];
+// Whether the provider turns messages away
+let failing = false;
+
+/**
+ * Wait until a check passes
+ * @param {Function} check - Async function returning a truthy value when done
+ * @returns {Promise<*>} - The check's result
+ */
+async function waitFor(check) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Queue a notification and wait for its first delivery attempt
+ * @param {string} phone - Phone number
+ * @returns {Promise<number>} - Notification ID
+ */
+async function notifyAndWait(phone) {
+  const id = await notify(phone, NOTIFICATION_EVENTS.REGISTERED, {
+    name: "Test",
+  });
+  await waitFor(async () => (await getNotification(id)).attempts > 0);
+  return id;
+}
+
+/**
+ * Make a queued notification due and run the queue, as the worker would
+ * once its retry delay has passed
+ * @param {number} id - Notification ID
+ * @returns {Promise<Object>} - { notification, ranAt, doneAt }
+ */
+async function retryNow(id) {
+  await updateNotification(id, { nextAttemptAt: Date.now() });
+  const ranAt = Date.now();
+  await processNotificationQueue();
+  return { notification: await getNotification(id), ranAt, doneAt: Date.now() };
+}
+
+before(async () => {
+  await initDB();
+  setSmsSender({
+    name: "test",
+    async send(phone, message) {
+      if (failing) {
+        throw new Error("Provider unavailable");
+      }
+      sms.push({ phone, message });
+      return { messageId: `test-${sms.length}` };
+    },
+  });
+});
+
+describe("Notification delivery", () => {
+  it("backs off exponentially until it runs out of attempts", async () => {
+    failing = true;
+    const before = Date.now();
+    const id = await notifyAndWait(ALICE);
+
+    const first = await getNotification(id);
+    assert.equal(first.status, NOTIFICATION_STATUS.QUEUED);
+    assert.equal(first.attempts, 1);
+    assert.equal(first.provider, "test");
+    assert.equal(first.lastError, "Provider unavailable");
+    const firstDelay = NOTIFICATION_RETRY_SECONDS * 1000;
+    assert.ok(first.nextAttemptAt >= before + firstDelay);
+    assert.ok(first.nextAttemptAt <= Date.now() + firstDelay);
+
+    // Nothing is due until the delay has passed
+    assert.equal(await processNotificationQueue(), 0);
+    assert.equal((await getNotification(id)).attempts, 1);
+
+    for (let attempts = 2; attempts < NOTIFICATION_MAX_ATTEMPTS; attempts++) {
+      const { notification, ranAt, doneAt } = await retryNow(id);
+      const delay = NOTIFICATION_RETRY_SECONDS * 2 ** (attempts - 1) * 1000;
+
+      assert.equal(notification.status, NOTIFICATION_STATUS.QUEUED);
+      assert.equal(notification.attempts, attempts);
+      assert.ok(notification.nextAttemptAt >= ranAt + delay);
+      assert.ok(notification.nextAttemptAt <= doneAt + delay);
+    }
+
+    const { notification } = await retryNow(id);
+    assert.equal(notification.status, NOTIFICATION_STATUS.FAILED);
+    assert.equal(notification.attempts, NOTIFICATION_MAX_ATTEMPTS);
+    assert.equal(notification.nextAttemptAt, null);
+    assert.equal(notification.sentAt, null);
+
+    // Given up on for good
+    failing = false;
+    assert.equal(await processNotificationQueue(), 0);
+    assert.equal(
+      (await getNotification(id)).attempts,
+      NOTIFICATION_MAX_ATTEMPTS
+    );
+    assert.ok(!sms.some(({ phone }) => phone === ALICE));
+  });
+
+  it("delivers on a later attempt once the provider recovers", async () => {
+    failing = true;
+    const id = await notifyAndWait(BOB);
+    failing = false;
+
+    const { notification } = await retryNow(id);
+
+    assert.equal(notification.status, NOTIFICATION_STATUS.SENT);
+    assert.equal(notification.attempts, 2);
+    assert.equal(notification.lastError, null);
+    assert.equal(notification.providerMessageId, `test-${sms.length}`);
+    assert.ok(notification.sentAt);
+    assert.deepEqual(
+      sms.filter(({ phone }) => phone === BOB).map(({ message }) => message),
+      [notification.message]
+    );
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// Configure the app before any of it loads: a throwaway database and a
+// recovery key for admin-assisted resets
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+process.env.PIN_RECOVERY_KEY = "test-recovery-key";
+
+const {
+  initDB,
+  getUser,
+  registerUser,
+  recordFailedPinAttempt,
+  resetPinAttempts,
+} = await import("../src/services/database.js");
+const {
+  PIN_STATUS,
+  PIN_RESET_STATUS,
+  verifyUserPin,
+  changePin,
+  issuePinReset,
+  checkPinResetCode,
+  completePinReset,
+} = await import("../src/services/pin.js");
+const { setSmsSender } = await import("../src/services/sms.js");
+const {
+  encryptMnemonic,
+  encryptRecoveryEnvelope,
+  hashPinPhone,
+  verifyPinPhone,
+} = await import("../src/utils/encryption.js");
+const {
+  MAX_FAILED_ATTEMPTS,
+  PIN_LOCKOUT_MINUTES,
+  PIN_RESET_CODE_TTL_MINUTES,
+  PIN_RESET_MAX_ATTEMPTS,
+} = await import("../src/constants.js");
+
+// Hashing a PIN takes a few seconds, so tests share users and prime the
+// failure count directly rather than submitting every wrong PIN
+const PIN = "1234";
+const WRONG_PIN = "9999";
+const MNEMONIC =
+  "abandon abandon abandon abandon abandon abandon abandon abandon " +
+  "abandon abandon abandon about";
+const COUNTED = "+254722000001";
+const LOCKED = "+254722000002";
+const CHANGED = "+254722000003";
+const RESET = "+254722000004";
+
+/**
+ * Register a user directly in the database
+ * @param {string} phone - Phone number
+ */
+async function registerWithPin(phone) {
+  await registerUser({
+    phone,
+    fullName: "Pin Test",
+    suiAddress: `0x${phone.slice(1).padStart(64, "0")}`,
+    publicKey: "test-public-key",
+    encryptedMnemonic: encryptMnemonic(MNEMONIC, PIN),
+    pinHash: hashPinPhone(PIN, phone),
+    walletObjectId: null,
+    recoveryEnvelope: encryptRecoveryEnvelope(MNEMONIC),
+  });
+}
+
+/**
+ * Lock a user out by failing their last allowed attempt
+ * @param {string} phone - Phone number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - Result of the failing verifyUserPin
+ */
+async function lockOut(phone, now) {
+  for (let i = 1; i < MAX_FAILED_ATTEMPTS; i++) {
+    await recordFailedPinAttempt(phone);
+  }
+  return verifyUserPin(await getUser(phone), WRONG_PIN, now);
+}
+
+before(async () => {
+  await initDB();
+  setSmsSender({
+    name: "test",
+    async send() {
+      return { messageId: "test" };
+    },
+  });
+
+  for (const phone of [COUNTED, LOCKED, CHANGED, RESET]) {
+    await registerWithPin(phone);
+  }
+});
+
+describe("PIN attempts", () => {
+  it("counts concurrent failures atomically", async () => {
+    const counts = await Promise.all(
+      Array.from({ length: 5 }, () => recordFailedPinAttempt(COUNTED))
+    );
+    assert.deepEqual(
+      counts.map((row) => row.failedAttempts).sort(),
+      [1, 2, 3, 4, 5]
+    );
+
+    // Requests holding the same stale user record still count separately
+    await resetPinAttempts(COUNTED);
+    const stale = await getUser(COUNTED);
+    const results = await Promise.all([
+      verifyUserPin(stale, WRONG_PIN),
+      verifyUserPin(stale, WRONG_PIN),
+    ]);
+    assert.deepEqual(
+      results.map((result) => result.remainingAttempts).sort(),
+      [MAX_FAILED_ATTEMPTS - 2, MAX_FAILED_ATTEMPTS - 1]
+    );
+    assert.equal((await getUser(COUNTED)).failedAttempts, 2);
+  });
+
+  it("escalates lockouts through PIN_LOCKOUT_MINUTES", async () => {
+    let now = Date.now();
+    for (let i = 0; i <= PIN_LOCKOUT_MINUTES.length; i++) {
+      const result = await lockOut(LOCKED, now);
+      const minutes =
+        PIN_LOCKOUT_MINUTES[Math.min(i, PIN_LOCKOUT_MINUTES.length - 1)];
+
+      assert.equal(result.status, PIN_STATUS.LOCKED);
+      assert.equal(result.lockedUntil, now + minutes * 60 * 1000);
+
+      // Even the right PIN is refused while locked
+      const locked = await verifyUserPin(await getUser(LOCKED), PIN, now);
+      assert.equal(locked.status, PIN_STATUS.LOCKED);
+
+      now = result.lockedUntil + 1;
+    }
+  });
+
+  it("clears failures and lockouts after a correct PIN", async () => {
+    // Still locked out, with a failure counted since
+    const { lockedUntil } = await getUser(LOCKED);
+    await recordFailedPinAttempt(LOCKED);
+
+    const later = lockedUntil + 1;
+    const result = await verifyUserPin(await getUser(LOCKED), PIN, later);
+    assert.equal(result.status, PIN_STATUS.OK);
+
+    const user = await getUser(LOCKED);
+    assert.equal(user.failedAttempts, 0);
+    assert.equal(user.lockoutCount, 0);
+    assert.equal(user.lockedUntil, null);
+
+    // The next lockout starts from the shortest duration again
+    const next = await lockOut(LOCKED, later);
+    assert.equal(next.lockedUntil, later + PIN_LOCKOUT_MINUTES[0] * 60 * 1000);
+  });
+});
+
+describe("PIN changes", () => {
+  it("refuses a change made with a stale PIN", async () => {
+    const stale = await getUser(CHANGED);
+
+    await changePin(stale, PIN, "1111");
+    await assert.rejects(
+      changePin(stale, PIN, "2222"),
+      /PIN was changed by another request/
+    );
+
+    const user = await getUser(CHANGED);
+    assert.ok(verifyPinPhone("1111", CHANGED, user.pinHash));
+  });
+});
+
+describe("PIN reset codes", () => {
+  it("allows three wrong codes and then revokes the code", async () => {
+    const user = await getUser(RESET);
+    const { code } = await issuePinReset(user, "admin@suiflow.test");
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    for (let attempt = 1; attempt < PIN_RESET_MAX_ATTEMPTS; attempt++) {
+      const result = await checkPinResetCode(user, wrong);
+      assert.equal(result.status, PIN_RESET_STATUS.INVALID);
+      assert.equal(result.remainingAttempts, PIN_RESET_MAX_ATTEMPTS - attempt);
+    }
+
+    const last = await checkPinResetCode(user, wrong);
+    assert.equal(last.status, PIN_RESET_STATUS.NONE);
+
+    // The right code no longer works either
+    const revoked = await checkPinResetCode(user, code);
+    assert.equal(revoked.status, PIN_RESET_STATUS.NONE);
+  });
+
+  it("expires codes and uses each one only once", async () => {
+    const user = await getUser(RESET);
+    const now = Date.now();
+    const { code, expiresAt } = await issuePinReset(
+      user,
+      "admin@suiflow.test",
+      now
+    );
+
+    assert.equal(expiresAt, now + PIN_RESET_CODE_TTL_MINUTES * 60 * 1000);
+    const expired = await checkPinResetCode(user, code, expiresAt);
+    assert.equal(expired.status, PIN_RESET_STATUS.NONE);
+
+    const { status, resetId } = await checkPinResetCode(user, code, now);
+    assert.equal(status, PIN_RESET_STATUS.OK);
+
+    await completePinReset(user, resetId, "5678", now);
+    await assert.rejects(
+      completePinReset(user, resetId, "8765", now),
+      /no longer valid/
+    );
+    assert.ok(verifyPinPhone("5678", RESET, (await getUser(RESET)).pinHash));
+  });
+});
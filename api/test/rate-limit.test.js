@@ -0,0 +1,131 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// A throwaway database the last test closes to make the limiter fail
+process.env.NODE_ENV = "test";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+
+const { initDB, closeDB, getRateLimitEvents } = await import(
+  "../src/services/database.js"
+);
+const { consumeRateLimit } = await import("../src/services/rate-limiter.js");
+const { rateLimitUSSD } = await import("../src/middleware/auth.js");
+const { getAdapter } = await import("../src/ussd/adapters/index.js");
+const { RATE_LIMIT_POLICIES } = await import("../src/constants.js");
+
+const SESSION_LIMIT = RATE_LIMIT_POLICIES.session;
+// The start of a window, so every request in a test falls inside it
+const WINDOW_START =
+  Math.floor(Date.now() / (SESSION_LIMIT.windowSeconds * 1000)) *
+  SESSION_LIMIT.windowSeconds *
+  1000;
+
+/**
+ * Run rateLimitUSSD on a fake Africa's Talking callback
+ * @param {Object} ussdRequest - Normalized request
+ * @returns {Promise<Object>} - { nextCalls, status, headers, body }
+ */
+async function throttle(ussdRequest) {
+  const reply = { nextCalls: 0, status: null, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      reply.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      reply.status = code;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    send(body) {
+      reply.body = body;
+      return this;
+    },
+  };
+  const req = {
+    ip: "10.0.0.1",
+    ussdRequest,
+    ussdAdapter: getAdapter("africastalking"),
+  };
+
+  await rateLimitUSSD(req, res, () => reply.nextCalls++);
+  return reply;
+}
+
+before(async () => {
+  await initDB();
+});
+
+describe("Rate limiter", () => {
+  it("throttles a key over its limit and counts what it blocked", async () => {
+    const results = [];
+    for (let i = 0; i < SESSION_LIMIT.limit + 3; i++) {
+      results.push(await consumeRateLimit("session", "busy", WINDOW_START));
+    }
+
+    assert.equal(
+      results.filter((result) => result.allowed).length,
+      SESSION_LIMIT.limit
+    );
+
+    const [throttled] = (await getRateLimitEvents(1)).filter(
+      (event) => event.key === "busy"
+    );
+    assert.equal(throttled.blockedRequests, 3);
+    assert.equal(throttled.rateLimit, SESSION_LIMIT.limit);
+  });
+
+  it("lets no more than the limit through at once", async () => {
+    const results = await Promise.all(
+      Array.from({ length: SESSION_LIMIT.limit + 5 }, () =>
+        consumeRateLimit("session", "concurrent", WINDOW_START)
+      )
+    );
+
+    assert.equal(
+      results.filter((result) => result.allowed).length,
+      SESSION_LIMIT.limit
+    );
+  });
+
+  it("adds later blocks in a window to the same count", async () => {
+    await consumeRateLimit("session", "busy", WINDOW_START + 1000);
+
+    const throttled = (await getRateLimitEvents(1)).filter(
+      (event) => event.key === "busy"
+    );
+    assert.equal(throttled.length, 1);
+    assert.equal(throttled[0].blockedRequests, 4);
+  });
+});
+
+describe("USSD rate limiting", () => {
+  it("ends throttled sessions in the provider's format", async () => {
+    const request = { phone: "+254711000001", sessionId: "limited" };
+
+    let reply;
+    for (let i = 0; i <= SESSION_LIMIT.limit; i++) {
+      reply = await throttle(request);
+    }
+
+    assert.equal(reply.nextCalls, 0);
+    assert.equal(reply.status, 429);
+    assert.ok(Number(reply.headers["Retry-After"]) > 0);
+    assert.equal(
+      reply.body,
+      "END Rate limit exceeded. Please try again later."
+    );
+  });
+
+  it("lets callers through when the limiter fails", async () => {
+    closeDB();
+
+    const reply = await throttle({ phone: "+254711000002", sessionId: "down" });
+
+    assert.equal(reply.nextCalls, 1);
+    assert.equal(reply.status, null);
+  });
+});
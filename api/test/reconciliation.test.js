@@ -0,0 +1,277 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// A throwaway database and the mock ledger, which the rows are checked
+// against
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+
+const {
+  initDB,
+  registerUser,
+  addTransaction,
+  getTransaction,
+  getReconciliationReports,
+} = await import("../src/services/database.js");
+const {
+  initChain,
+  createUserWallet,
+  createSuiFlowWallet,
+  depositToWallet,
+  internalTransfer,
+} = await import("../src/services/chain/index.js");
+const { mintSui } = await import("../src/services/chain/mock.js");
+const { reconcileTransactions, RECONCILIATION_ISSUES } = await import(
+  "../src/services/reconciliation.js"
+);
+const { setSmsSender } = await import("../src/services/sms.js");
+const {
+  TRANSACTION_STATUS,
+  RECONCILIATION_MIN_AGE_SECONDS,
+  RECONCILIATION_GIVE_UP_MINUTES,
+} = await import("../src/constants.js");
+
+const ALICE = "+254744000001";
+const BOB = "+254744000002";
+const CAROL = "+254744000003";
+const DAVE = "+254744000004";
+
+// Every SMS sent, as { phone, message }
+const sms = [];
+// Users by phone, with their mnemonics for signing
+const users = new Map();
+
+/**
+ * Register a user with a funded SuiFlowWallet, skipping the PIN
+ * @param {string} phone - Phone number
+ * @param {string} fullName - Full name
+ */
+async function registerWithWallet(phone, fullName) {
+  const { address, publicKey, mnemonic } = createUserWallet();
+  mintSui(address, 1);
+  const { walletObjectId } = await createSuiFlowWallet(mnemonic);
+  await depositToWallet(walletObjectId, mnemonic, 0.5);
+
+  const user = await registerUser({
+    phone,
+    fullName,
+    suiAddress: address,
+    publicKey,
+    encryptedMnemonic: "unused",
+    pinHash: "unused",
+    walletObjectId,
+  });
+  users.set(phone, { ...user, mnemonic });
+}
+
+/**
+ * Transfer between two users' wallets on the ledger, outside SuiFlow
+ * @param {string} from - Sender's phone
+ * @param {string} to - Receiver's phone
+ * @param {number} amount - Amount in SUI
+ * @returns {Promise<string>} - Transaction digest
+ */
+async function transferOnChain(from, to, amount) {
+  const sender = users.get(from);
+  const { status, digest } = await internalTransfer(
+    sender.walletObjectId,
+    users.get(to).walletObjectId,
+    sender.mnemonic,
+    amount
+  );
+  assert.equal(status, "success");
+  return digest;
+}
+
+/**
+ * Reconcile as if the rows had been left alone for a while
+ * @param {number} minutes - How long after now to reconcile
+ * @returns {Promise<Object>} - Reconciliation summary
+ */
+function reconcileLater(minutes = RECONCILIATION_MIN_AGE_SECONDS / 60 + 1) {
+  return reconcileTransactions(Date.now() + minutes * 60 * 1000);
+}
+
+/**
+ * Wait until a check passes
+ * @param {Function} check - Function returning a truthy value when done
+ * @returns {Promise<*>} - The check's result
+ */
+async function waitFor(check) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Get the reports filed about a transaction
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object[]>} - Reports, newest first
+ */
+async function reportsFor(transactionId) {
+  return (await getReconciliationReports()).filter(
+    (report) => report.transactionId === transactionId
+  );
+}
+
+before(async () => {
+  await initDB();
+  initChain();
+  setSmsSender({
+    name: "test",
+    async send(phone, message) {
+      sms.push({ phone, message });
+      return { messageId: String(sms.length) };
+    },
+  });
+
+  await registerWithWallet(ALICE, "Alice Test");
+  await registerWithWallet(BOB, "Bob Test");
+  await registerWithWallet(CAROL, "Carol Test");
+  await registerWithWallet(DAVE, "Dave Test");
+});
+
+describe("Reconciliation", () => {
+  it("leaves transactions alone until they are old enough", async () => {
+    const id = await addTransaction({
+      senderPhone: ALICE,
+      receiverPhone: BOB,
+      amount: 0.01,
+      status: TRANSACTION_STATUS.CREATED,
+    });
+
+    assert.equal((await reconcileTransactions()).checked, 0);
+
+    await reconcileLater();
+    assert.equal(
+      (await getTransaction(id)).status,
+      TRANSACTION_STATUS.FAILED
+    );
+    const [report] = await reportsFor(id);
+    assert.equal(report.issue, RECONCILIATION_ISSUES.NEVER_SUBMITTED);
+  });
+
+  it("settles a submitted transfer by its digest", async () => {
+    const digest = await transferOnChain(ALICE, BOB, 0.02);
+    const id = await addTransaction({
+      senderPhone: ALICE,
+      receiverPhone: BOB,
+      amount: 0.02,
+      txHash: digest,
+      status: TRANSACTION_STATUS.SUBMITTED,
+    });
+
+    await reconcileLater();
+
+    assert.equal(
+      (await getTransaction(id)).status,
+      TRANSACTION_STATUS.CONFIRMED
+    );
+    const [report] = await reportsFor(id);
+    assert.equal(report.issue, RECONCILIATION_ISSUES.CONFIRMED_ON_CHAIN);
+    assert.equal(report.details, "Found on chain by digest");
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === BOB && message.includes("You received 0.0200 SUI")
+        )
+      )
+    );
+  });
+
+  it("finds a transfer with no digest by its sender", async () => {
+    const digest = await transferOnChain(ALICE, BOB, 0.03);
+    const id = await addTransaction({
+      senderPhone: ALICE,
+      receiverPhone: BOB,
+      amount: 0.03,
+      txHash: null,
+      status: TRANSACTION_STATUS.SUBMITTED,
+    });
+
+    await reconcileLater();
+
+    // The transfer settled above is already recorded, so it isn't a match
+    const transaction = await getTransaction(id);
+    assert.equal(transaction.status, TRANSACTION_STATUS.CONFIRMED);
+    assert.equal(transaction.txHash, digest);
+    const [report] = await reportsFor(id);
+    assert.equal(
+      report.details,
+      "Found on chain by sender address and amount"
+    );
+  });
+
+  it("reports a transfer that matches more than one", async () => {
+    const digests = [
+      await transferOnChain(CAROL, DAVE, 0.04),
+      await transferOnChain(CAROL, DAVE, 0.04),
+    ];
+    const id = await addTransaction({
+      senderPhone: CAROL,
+      receiverPhone: DAVE,
+      amount: 0.04,
+      txHash: null,
+      status: TRANSACTION_STATUS.SUBMITTED,
+    });
+
+    const summary = await reconcileLater();
+
+    assert.equal(summary.unresolved, 1);
+    assert.equal(
+      (await getTransaction(id)).status,
+      TRANSACTION_STATUS.SUBMITTED
+    );
+    const [report] = await reportsFor(id);
+    assert.equal(report.issue, RECONCILIATION_ISSUES.AMBIGUOUS_MATCH);
+    assert.equal(report.resolvedStatus, null);
+    for (const digest of digests) {
+      assert.ok(report.details.includes(digest));
+    }
+  });
+
+  it("gives up on a transfer the chain never saw", async () => {
+    const id = await addTransaction({
+      senderPhone: DAVE,
+      receiverPhone: CAROL,
+      amount: 0.05,
+      txHash: null,
+      status: TRANSACTION_STATUS.SUBMITTED,
+    });
+
+    await reconcileLater();
+    assert.equal(
+      (await getTransaction(id)).status,
+      TRANSACTION_STATUS.SUBMITTED
+    );
+    assert.deepEqual(await reportsFor(id), []);
+
+    await reconcileLater(RECONCILIATION_GIVE_UP_MINUTES + 1);
+
+    const transaction = await getTransaction(id);
+    assert.equal(transaction.status, TRANSACTION_STATUS.FAILED);
+    assert.equal(
+      transaction.errorMessage,
+      "No matching transaction found on chain"
+    );
+    const [report] = await reportsFor(id);
+    assert.equal(report.issue, RECONCILIATION_ISSUES.NOT_FOUND_ON_CHAIN);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === DAVE && message.includes("could not be completed")
+        )
+      )
+    );
+  });
+});
@@ -0,0 +1,322 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// A throwaway database and the mock ledger, wrapped so the tests can see
+// when each transfer runs
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+
+const {
+  initDB,
+  registerUser,
+  addTransaction,
+  updateTransaction,
+  getTransaction,
+  addTransferJob,
+  claimTransferJob,
+  getTransferJob,
+} = await import("../src/services/database.js");
+const { initChain, useChainAdapter } = await import(
+  "../src/services/chain/index.js"
+);
+const mock = await import("../src/services/chain/mock.js");
+const {
+  enqueueTransfer,
+  startTransferWorker,
+  waitForTransferJob,
+  quoteTransfer,
+} = await import("../src/services/transfer-queue.js");
+const { reserveSponsoredGas } = await import(
+  "../src/services/gas-sponsorship.js"
+);
+const { setSmsSender } = await import("../src/services/sms.js");
+const { TRANSACTION_STATUS, TRANSFER_JOB_STATUS } = await import(
+  "../src/constants.js"
+);
+
+const ALICE = "+254755000001";
+const BOB = "+254755000002";
+const CAROL = "+254755000003";
+const DAVE = "+254755000004";
+// Has a transaction but no account
+const GONE = "+254755000009";
+
+// Every SMS sent, as { phone, message }
+const sms = [];
+// Users by phone, with their mnemonics for signing
+const users = new Map();
+// Transfers as they start and finish, as { event, from, amount }
+const transfers = [];
+
+/**
+ * Register a user with a funded SuiFlowWallet, skipping the PIN
+ * @param {string} phone - Phone number
+ * @param {string} fullName - Full name
+ */
+async function registerWithWallet(phone, fullName) {
+  const { address, publicKey, mnemonic } = mock.createUserWallet();
+  mock.mintSui(address, 1);
+  const { walletObjectId } = await mock.createSuiFlowWallet(mnemonic);
+  await mock.depositToWallet(walletObjectId, mnemonic, 0.5);
+
+  const user = await registerUser({
+    phone,
+    fullName,
+    suiAddress: address,
+    publicKey,
+    encryptedMnemonic: "unused",
+    pinHash: "unused",
+    walletObjectId,
+  });
+  users.set(phone, { ...user, mnemonic });
+}
+
+/**
+ * Record a wallet transfer
+ * @param {string} from - Sender's phone
+ * @param {string} to - Receiver's phone
+ * @param {number} amount - Amount in SUI
+ * @returns {Promise<number>} - Transaction ID
+ */
+function recordTransfer(from, to, amount) {
+  return addTransaction({
+    senderPhone: from,
+    receiverPhone: to,
+    amount,
+    txHash: null,
+    status: TRANSACTION_STATUS.CREATED,
+  });
+}
+
+/**
+ * Record a wallet transfer and queue it, as the REST and USSD channels do
+ * @param {string} from - Sender's phone
+ * @param {string} to - Receiver's phone
+ * @param {number} amount - Amount in SUI
+ * @returns {Promise<number>} - Job ID
+ */
+async function send(from, to, amount) {
+  const sender = users.get(from);
+  return enqueueTransfer(
+    await recordTransfer(from, to, amount),
+    sender.suiAddress,
+    sender.mnemonic
+  );
+}
+
+/**
+ * Wait until a check passes
+ * @param {Function} check - Function returning a truthy value when done
+ * @returns {Promise<*>} - The check's result
+ */
+async function waitFor(check) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  await initDB();
+  initChain();
+  setSmsSender({
+    name: "test",
+    async send(phone, message) {
+      sms.push({ phone, message });
+      return { messageId: String(sms.length) };
+    },
+  });
+
+  await registerWithWallet(ALICE, "Alice Test");
+  await registerWithWallet(BOB, "Bob Test");
+  await registerWithWallet(CAROL, "Carol Test");
+  await registerWithWallet(DAVE, "Dave Test");
+
+  // Transfers take a while, so any overlap shows
+  const fromWallets = new Map(
+    [...users.values()].map((user) => [user.walletObjectId, user.phone])
+  );
+  useChainAdapter({
+    ...mock,
+    async internalTransfer(fromWalletObjectId, ...rest) {
+      const [, , amount] = rest;
+      const from = fromWallets.get(fromWalletObjectId);
+      transfers.push({ event: "start", from, amount });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const result = await mock.internalTransfer(fromWalletObjectId, ...rest);
+      transfers.push({ event: "end", from, amount });
+      return result;
+    },
+  });
+});
+
+after(() => {
+  useChainAdapter(mock);
+});
+
+describe("Transfer queue", () => {
+  it("runs one transfer at a time per sender, in order", async () => {
+    const jobIds = [
+      await send(ALICE, BOB, 0.01),
+      await send(ALICE, BOB, 0.02),
+      await send(ALICE, BOB, 0.03),
+      await send(CAROL, BOB, 0.04),
+    ];
+
+    for (const jobId of jobIds) {
+      const job = await waitForTransferJob(jobId, 5000);
+      assert.equal(job.status, TRANSFER_JOB_STATUS.COMPLETED);
+    }
+
+    const alice = transfers.filter(({ from }) => from === ALICE);
+    assert.deepEqual(
+      alice.map(({ event, amount }) => `${event} ${amount}`),
+      [
+        "start 0.01",
+        "end 0.01",
+        "start 0.02",
+        "end 0.02",
+        "start 0.03",
+        "end 0.03",
+      ]
+    );
+
+    // Another sender doesn't wait for Alice's queue to empty
+    const carolStarted = transfers.findIndex(({ from }) => from === CAROL);
+    const aliceFinished = transfers.findLastIndex(
+      ({ from }) => from === ALICE
+    );
+    assert.ok(carolStarted < aliceFinished);
+  });
+
+  it("fails jobs a restart cut off before they reached the chain", async () => {
+    const alice = users.get(ALICE);
+    const bob = users.get(BOB);
+
+    // Picked up but not broadcast, broadcast with no outcome recorded, and
+    // still waiting, all with their signing keys lost
+    const unsentId = await recordTransfer(ALICE, BOB, 0.05);
+    const unsentJobId = await addTransferJob(unsentId, alice.suiAddress);
+    await claimTransferJob(unsentJobId);
+
+    const broadcastId = await recordTransfer(BOB, ALICE, 0.06);
+    const broadcastJobId = await addTransferJob(broadcastId, bob.suiAddress);
+    await claimTransferJob(broadcastJobId);
+    await updateTransaction(broadcastId, TRANSACTION_STATUS.SUBMITTED);
+
+    const queuedId = await recordTransfer(ALICE, BOB, 0.07);
+    const queuedJobId = await addTransferJob(queuedId, alice.suiAddress);
+
+    const before = transfers.length;
+    await startTransferWorker();
+
+    const queuedJob = await waitForTransferJob(queuedJobId, 5000);
+    assert.equal(queuedJob.status, TRANSFER_JOB_STATUS.FAILED);
+
+    for (const transactionId of [unsentId, queuedId]) {
+      const transaction = await getTransaction(transactionId);
+      assert.equal(transaction.status, TRANSACTION_STATUS.FAILED);
+      assert.equal(
+        transaction.errorMessage,
+        "Interrupted by a restart before it was sent"
+      );
+    }
+    assert.equal(
+      (await getTransferJob(unsentJobId)).status,
+      TRANSFER_JOB_STATUS.FAILED
+    );
+
+    const broadcastJob = await getTransferJob(broadcastJobId);
+    assert.equal(broadcastJob.status, TRANSFER_JOB_STATUS.FAILED);
+    assert.match(broadcastJob.lastError, /left for reconciliation/);
+    assert.equal(
+      (await getTransaction(broadcastId)).status,
+      TRANSACTION_STATUS.SUBMITTED
+    );
+
+    // Nothing was signed, and Alice is asked to send both again
+    assert.equal(transfers.length, before);
+    for (const amount of ["0.0500", "0.0700"]) {
+      assert.ok(
+        await waitFor(() =>
+          sms.find(
+            ({ phone, message }) =>
+              phone === ALICE &&
+              message.includes(`${amount} SUI to Bob Test was interrupted`)
+          )
+        )
+      );
+    }
+  });
+
+  it("fails the transaction of a job that crashes unsent", async () => {
+    const { address, mnemonic } = mock.createUserWallet();
+    const transactionId = await recordTransfer(GONE, BOB, 0.08);
+    const before = transfers.length;
+
+    const job = await waitForTransferJob(
+      await enqueueTransfer(transactionId, address, mnemonic),
+      5000
+    );
+    assert.equal(job.status, TRANSFER_JOB_STATUS.FAILED);
+    assert.equal(job.lastError, `Sender ${GONE} not found`);
+
+    const transaction = await getTransaction(transactionId);
+    assert.equal(transaction.status, TRANSACTION_STATUS.FAILED);
+    assert.equal(transaction.errorMessage, `Sender ${GONE} not found`);
+
+    assert.equal(transfers.length, before);
+    assert.ok(
+      await waitFor(() =>
+        sms.find(
+          ({ phone, message }) =>
+            phone === GONE &&
+            message.includes("0.0800 SUI to Bob Test could not be completed")
+        )
+      )
+    );
+  });
+});
+
+describe("Transfer quotes", () => {
+  it("quotes no fee while the operator sponsors the gas", async () => {
+    const dave = users.get(DAVE);
+    const bob = users.get(BOB);
+
+    const quote = await quoteTransfer(dave, bob, 0.1);
+
+    assert.equal(quote.sponsored, true);
+    assert.equal(quote.fee, 0);
+    assert.equal(quote.total, 0.1);
+    // A wallet transfer can send the whole wallet
+    assert.equal(quote.maxAmount, 0.5);
+    assert.equal(quote.sufficient, true);
+    assert.equal((await quoteTransfer(dave, bob, 0.6)).sufficient, false);
+  });
+
+  it("quotes the dry-run fee once the sponsorship is spent", async () => {
+    const dave = users.get(DAVE);
+    const reserve = () =>
+      reserveSponsoredGas(dave.suiAddress, "transfer", mock.MOCK_GAS_BUDGET);
+    while (await reserve()) {
+      // Use up today's budget
+    }
+
+    const quote = await quoteTransfer(dave, users.get(BOB), 0.1);
+
+    const { computationCost, storageCost, storageRebate } = mock.MOCK_GAS_USED;
+    const fee = (computationCost + storageCost - storageRebate) / 1e9;
+    assert.equal(quote.sponsored, false);
+    assert.equal(quote.fee, fee);
+    assert.equal(quote.maxFee, mock.MOCK_GAS_BUDGET / 1e9);
+    assert.equal(quote.total, Math.round((0.1 + fee) * 1e9) / 1e9);
+    assert.equal(quote.maxAmount, 0.5);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { getAdapter, listProviders } from "../src/ussd/adapters/index.js";
+
+const FIXTURES_DIR = join(
+  fileURLToPath(new URL(".", import.meta.url)),
+  "fixtures/ussd"
+);
+
+const fixtures = readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => JSON.parse(readFileSync(join(FIXTURES_DIR, file), "utf8")));
+
+// Drop undefined fields so fixtures only list what an adapter actually sets
+const defined = (value) => JSON.parse(JSON.stringify(value));
+
+describe("USSD adapters", () => {
+  it("has a fixture for every provider", () => {
+    assert.deepEqual(
+      fixtures.map((fixture) => fixture.provider).sort(),
+      listProviders().sort()
+    );
+  });
+
+  for (const fixture of fixtures) {
+    describe(fixture.provider, () => {
+      const adapter = getAdapter(fixture.provider);
+
+      for (const { description, body, normalized } of fixture.requests) {
+        it(`parses ${description}`, () => {
+          assert.deepEqual(defined(adapter.parse(body)), normalized);
+        });
+      }
+
+      for (const { description, request, reply, response } of fixture.replies) {
+        it(`formats ${description}`, () => {
+          assert.deepEqual(adapter.format(reply, request), response);
+        });
+      }
+    });
+  }
+});
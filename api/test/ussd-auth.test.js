@@ -0,0 +1,287 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Unsigned callbacks are refused and X-Forwarded-For stands in for the
+// aggregator's IP
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+process.env.SUI_OPERATOR_MNEMONICS =
+  "abandon abandon abandon abandon abandon abandon abandon abandon " +
+  "abandon abandon abandon about";
+process.env.USSD_ALLOW_UNSIGNED = "false";
+process.env.TRUST_PROXY = "1";
+
+const { default: app } = await import("../src/app.js");
+const { initDB, claimUssdSignature, deleteExpiredUssdSignatures } =
+  await import("../src/services/database.js");
+const { initChain } = await import("../src/services/chain/index.js");
+const { signUssdRequest } = await import("../src/middleware/ussd-auth.js");
+const { getAdapter } = await import("../src/ussd/adapters/index.js");
+const { USSD_SIGNATURE_TOLERANCE_SECONDS } = await import(
+  "../src/constants.js"
+);
+
+const FIXTURES_DIR = join(
+  fileURLToPath(new URL(".", import.meta.url)),
+  "fixtures/ussd"
+);
+
+const fixtures = readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => JSON.parse(readFileSync(join(FIXTURES_DIR, file), "utf8")));
+
+const SECRET = "aggregator-secret";
+const REJECTED = {
+  type: "END",
+  message: "Request could not be authenticated.",
+};
+
+let server;
+let baseUrl;
+let sessionCount = 0;
+
+/**
+ * Build a first-request body for Africa's Talking
+ * @returns {string} - Raw JSON body with a fresh session ID
+ */
+function newSessionBody() {
+  sessionCount++;
+  return JSON.stringify({
+    sessionId: `auth-${sessionCount}`,
+    phoneNumber: `+25471100${String(sessionCount).padStart(4, "0")}`,
+    text: "",
+  });
+}
+
+/**
+ * Current time in unix seconds
+ * @returns {number} - Timestamp
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Post a callback to a provider's webhook
+ * @param {string} provider - Provider name
+ * @param {string} rawBody - Raw request body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - { status, contentType, text }
+ */
+async function callback(provider, rawBody, headers = {}) {
+  const response = await fetch(`${baseUrl}/api/ussd/${provider}/webhook`, {
+    method: "POST",
+    headers: {
+      "content-type": rawBody.startsWith("<")
+        ? "application/xml"
+        : "application/json",
+      ...headers,
+    },
+    body: rawBody,
+  });
+  return {
+    status: response.status,
+    contentType: response.headers.get("content-type"),
+    text: await response.text(),
+  };
+}
+
+/**
+ * Post a callback signed with the shared secret
+ * @param {string} rawBody - Raw request body
+ * @param {Object} options - { timestamp, secret, headers }
+ * @returns {Promise<Object>} - { status, contentType, text }
+ */
+function signedCallback(
+  rawBody,
+  { timestamp = nowSeconds(), secret = SECRET, headers = {} } = {}
+) {
+  return callback("africastalking", rawBody, {
+    "x-ussd-timestamp": String(timestamp),
+    "x-ussd-signature": signUssdRequest(secret, timestamp, rawBody),
+    ...headers,
+  });
+}
+
+before(async () => {
+  await initDB();
+  initChain();
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+afterEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (/^USSD_.+_(SECRET|ALLOWED_IPS)$/.test(name)) {
+      delete process.env[name];
+    }
+  }
+});
+
+describe("USSD callback signatures", () => {
+  it("accepts an HMAC of the timestamp and raw body", async () => {
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+
+    const { status, text } = await signedCallback(newSessionBody());
+
+    assert.equal(status, 200);
+    assert.match(text, /^CON /);
+  });
+
+  it("accepts signatures with a sha256= prefix", async () => {
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+    const rawBody = newSessionBody();
+    const timestamp = nowSeconds();
+    const signature = signUssdRequest(SECRET, timestamp, rawBody);
+
+    const { status } = await callback("africastalking", rawBody, {
+      "x-ussd-timestamp": String(timestamp),
+      "x-ussd-signature": `sha256=${signature}`,
+    });
+
+    assert.equal(status, 200);
+  });
+
+  it("rejects missing, wrong and misapplied signatures", async () => {
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+    const rawBody = newSessionBody();
+    const timestamp = nowSeconds();
+
+    const unsigned = await callback("africastalking", rawBody);
+    const wrongSecret = await signedCallback(rawBody, { secret: "other" });
+    // A valid signature for one timestamp or body doesn't cover another
+    const otherTimestamp = await callback("africastalking", rawBody, {
+      "x-ussd-timestamp": String(timestamp - 1),
+      "x-ussd-signature": signUssdRequest(SECRET, timestamp, rawBody),
+    });
+    const otherBody = await callback("africastalking", newSessionBody(), {
+      "x-ussd-timestamp": String(timestamp),
+      "x-ussd-signature": signUssdRequest(SECRET, timestamp, rawBody),
+    });
+
+    const rejected = [unsigned, wrongSecret, otherTimestamp, otherBody];
+    for (const response of rejected) {
+      assert.equal(response.status, 401);
+      assert.equal(response.text, "END Request could not be authenticated.");
+    }
+  });
+
+  it("rejects timestamps outside the tolerance window", async () => {
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+    const skew = USSD_SIGNATURE_TOLERANCE_SECONDS + 5;
+
+    const stale = await signedCallback(newSessionBody(), {
+      timestamp: nowSeconds() - skew,
+    });
+    const future = await signedCallback(newSessionBody(), {
+      timestamp: nowSeconds() + skew,
+    });
+    const withinWindow = await signedCallback(newSessionBody(), {
+      timestamp: nowSeconds() - USSD_SIGNATURE_TOLERANCE_SECONDS + 5,
+    });
+
+    assert.equal(stale.status, 401);
+    assert.equal(future.status, 401);
+    assert.equal(withinWindow.status, 200);
+  });
+
+  it("rejects replays, remembering signatures in the database", async () => {
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+    const rawBody = newSessionBody();
+    const timestamp = nowSeconds();
+    const signature = signUssdRequest(SECRET, timestamp, rawBody);
+
+    const first = await signedCallback(rawBody, { timestamp });
+    const replay = await signedCallback(rawBody, { timestamp });
+
+    assert.equal(first.status, 200);
+    assert.equal(replay.status, 401);
+    // Another worker or a restarted one sees it too
+    assert.equal(await claimUssdSignature(signature, Date.now()), false);
+  });
+
+  it("forgets signatures once they leave the replay window", async () => {
+    const expiresAt = Date.now() + 1000;
+    assert.equal(await claimUssdSignature("old-signature", expiresAt), true);
+
+    assert.ok((await deleteExpiredUssdSignatures(expiresAt)) >= 1);
+    assert.equal(await claimUssdSignature("old-signature", expiresAt), true);
+  });
+});
+
+describe("USSD callback IP allowlist", () => {
+  it("only accepts callbacks from allowed IPs", async () => {
+    process.env.USSD_AFRICASTALKING_ALLOWED_IPS = "10.0.0.1, 10.0.0.2";
+
+    const allowed = await callback("africastalking", newSessionBody(), {
+      "x-forwarded-for": "10.0.0.2",
+    });
+    const refused = await callback("africastalking", newSessionBody(), {
+      "x-forwarded-for": "10.0.0.3",
+    });
+
+    assert.equal(allowed.status, 200);
+    assert.equal(refused.status, 401);
+  });
+
+  it("requires both the IP and the signature when both are set", async () => {
+    process.env.USSD_AFRICASTALKING_ALLOWED_IPS = "10.0.0.1";
+    process.env.USSD_AFRICASTALKING_SECRET = SECRET;
+
+    const unsigned = await callback("africastalking", newSessionBody(), {
+      "x-forwarded-for": "10.0.0.1",
+    });
+    const wrongIp = await signedCallback(newSessionBody(), {
+      headers: { "x-forwarded-for": "10.0.0.9" },
+    });
+    const signed = await signedCallback(newSessionBody(), {
+      headers: { "x-forwarded-for": "10.0.0.1" },
+    });
+
+    assert.equal(unsigned.status, 401);
+    assert.equal(wrongIp.status, 401);
+    assert.equal(signed.status, 200);
+  });
+
+  it("refuses providers with no authentication configured", async () => {
+    const { status } = await callback("africastalking", newSessionBody());
+
+    assert.equal(status, 401);
+  });
+});
+
+describe("USSD authentication failures", () => {
+  for (const fixture of fixtures) {
+    it(`end ${fixture.provider} sessions in its format`, async () => {
+      process.env[`USSD_${fixture.provider.toUpperCase()}_SECRET`] = SECRET;
+      const [{ body, normalized }] = fixture.requests;
+      const rawBody = typeof body === "string" ? body : JSON.stringify(body);
+      const expected = getAdapter(fixture.provider).format(
+        REJECTED,
+        normalized
+      );
+
+      const { status, contentType, text } = await callback(
+        fixture.provider,
+        rawBody
+      );
+
+      assert.equal(status, 401);
+      assert.ok(contentType.startsWith(expected.contentType));
+      assert.deepEqual(
+        typeof expected.body === "string" ? text : JSON.parse(text),
+        expected.body
+      );
+    });
+  }
+});
@@ -0,0 +1,191 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.SECRET_KEY = "test-secret";
+
+const { createMenuContext, defineFlow, end, handleMenuInput, startMenu } =
+  await import("../src/ussd/engine.js");
+const { createSession } = await import("../src/ussd/session-store.js");
+const { USSD_MAX_LENGTH, USSD_MAX_RETRIES } = await import(
+  "../src/constants.js"
+);
+
+const PHONE = "+254766000009";
+// Too many to fit on one screen
+const COLOURS = Array.from(
+  { length: 12 },
+  (_, index) => `Colour number ${index + 1} of the test flow`
+);
+
+// A name, then a colour from a long list, then a confirmation
+defineFlow({
+  label: "Test flow",
+  start: "test.name",
+  nodes: {
+    "test.name": {
+      prompt: "Enter a name:",
+      key: "name",
+      validate: (input) => (input.length < 2 ? "Name too short" : null),
+      next: "test.colour",
+    },
+    "test.colour": {
+      prompt: "Pick a colour:",
+      options: COLOURS.map((label, index) => ({ label, value: index + 1 })),
+      handle: async (value, ctx) => {
+        ctx.inputs.colour = value;
+      },
+      next: "test.confirm",
+    },
+    "test.confirm": {
+      prompt: (ctx) => `${ctx.inputs.name} likes ${ctx.inputs.colour}. OK?`,
+      options: [{ label: "Yes", value: true }],
+      handle: async (value, ctx) =>
+        end(`Saved ${ctx.inputs.name} ${ctx.inputs.colour}`),
+    },
+  },
+});
+
+/**
+ * Start a session at the main menu
+ * @returns {Promise<Object>} - Menu context
+ */
+async function dial() {
+  const session = createSession(`engine-${Date.now()}`, PHONE);
+  const ctx = createMenuContext(session, null);
+  await startMenu(ctx);
+  return ctx;
+}
+
+/**
+ * Enter inputs one screen at a time
+ * @param {Object} ctx - Menu context
+ * @param {string[]} inputs - What the caller enters on each screen
+ * @returns {Promise<Object>} - The last reply
+ */
+async function enter(ctx, inputs) {
+  let reply;
+  for (const input of inputs) {
+    reply = await handleMenuInput(ctx, input);
+  }
+  return reply;
+}
+
+describe("USSD menu engine", () => {
+  it("records each step forward", async () => {
+    const ctx = await dial();
+
+    await enter(ctx, ["1", "Ann", "3"]);
+
+    assert.equal(ctx.session.node, "test.confirm");
+    assert.deepEqual(ctx.inputs, { name: "Ann", colour: 3 });
+    assert.deepEqual(ctx.session.history, [
+      { node: "main", inputs: {} },
+      { node: "test.name", inputs: {} },
+      { node: "test.colour", inputs: { name: "Ann" } },
+    ]);
+  });
+
+  it("goes back one screen with 0, dropping what it collected", async () => {
+    const ctx = await dial();
+    await enter(ctx, ["1", "Ann", "3"]);
+
+    const reply = await handleMenuInput(ctx, "0");
+    assert.equal(ctx.session.node, "test.colour");
+    assert.match(reply.message, /^Pick a colour:/);
+    assert.deepEqual(ctx.inputs, { name: "Ann" });
+
+    await handleMenuInput(ctx, "0");
+    assert.equal(ctx.session.node, "test.name");
+    assert.deepEqual(ctx.inputs, {});
+
+    await handleMenuInput(ctx, "0");
+    assert.equal(ctx.session.node, "main");
+    assert.deepEqual(ctx.session.history, []);
+
+    // Nothing further back than the main menu
+    await handleMenuInput(ctx, "0");
+    assert.equal(ctx.session.node, "main");
+  });
+
+  it("clears retries on the screen it goes back to", async () => {
+    const ctx = await dial();
+    await enter(ctx, ["1", "A", "A"]);
+    assert.equal(ctx.session.retries["test.name"], 2);
+
+    await enter(ctx, ["Ann", "0"]);
+
+    assert.equal(ctx.session.node, "test.name");
+    assert.equal(ctx.session.retries["test.name"], undefined);
+  });
+
+  it("ends the session after too many invalid inputs", async () => {
+    const ctx = await dial();
+    await handleMenuInput(ctx, "1");
+
+    const replies = [];
+    for (let i = 0; i <= USSD_MAX_RETRIES; i++) {
+      replies.push(await handleMenuInput(ctx, "A"));
+    }
+
+    assert.deepEqual(
+      replies.map(({ type }) => type),
+      [...Array(USSD_MAX_RETRIES).fill("CON"), "END"]
+    );
+  });
+
+  it("goes home with 00 from anywhere, starting over", async () => {
+    const ctx = await dial();
+    await enter(ctx, ["1", "Ann", "A"]);
+
+    const reply = await handleMenuInput(ctx, "00");
+
+    assert.equal(ctx.session.node, "main");
+    assert.match(reply.message, /1\. Test flow/);
+    assert.deepEqual(ctx.inputs, {});
+    assert.deepEqual(ctx.session.history, []);
+    assert.deepEqual(ctx.session.retries, {});
+  });
+
+  it("pages a long menu with 98, keeping option numbers", async () => {
+    const ctx = await dial();
+    const first = await enter(ctx, ["1", "Ann"]);
+    assert.match(first.message, /^1\. Colour number 1 /m);
+    assert.match(first.message, /^98\. More$/m);
+
+    const pages = [first.message];
+    while (ctx.session.nextPage !== null) {
+      pages.push((await handleMenuInput(ctx, "98")).message);
+    }
+
+    assert.ok(pages.length > 1);
+    for (const page of pages) {
+      assert.ok(page.length <= USSD_MAX_LENGTH, page);
+    }
+    const numbers = pages
+      .flatMap((page) => page.match(/^\d+(?=\. Colour)/gm))
+      .map(Number);
+    assert.deepEqual(
+      numbers,
+      COLOURS.map((_, index) => index + 1)
+    );
+
+    // Paging isn't a step, so picking from the last page and going back
+    // returns to the colours, and back again to the name
+    await handleMenuInput(ctx, String(COLOURS.length));
+    assert.deepEqual(ctx.inputs, { name: "Ann", colour: COLOURS.length });
+    await enter(ctx, ["0", "0"]);
+    assert.equal(ctx.session.node, "test.name");
+  });
+
+  it("ignores 98 when there is no next page", async () => {
+    const ctx = await dial();
+    await enter(ctx, ["1", "Ann", "1"]);
+
+    const reply = await handleMenuInput(ctx, "98");
+
+    assert.equal(ctx.session.node, "test.confirm");
+    assert.equal(reply.type, "CON");
+    assert.equal(ctx.session.retries["test.confirm"], 1);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// The send screens look callers up, so give them a throwaway database
+process.env.NODE_ENV = "test";
+process.env.SUI_NETWORK = "mock";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+process.env.ENCRYPTION_SALT = "test-salt";
+
+const { initDB } = await import("../src/services/database.js");
+const { createMenuContext, handleMenuInput, startMenu } = await import(
+  "../src/ussd/engine.js"
+);
+const { createSession } = await import("../src/ussd/session-store.js");
+const { getCatalogue, SUPPORTED_LANGUAGES, t } = await import(
+  "../src/i18n/index.js"
+);
+const { formatName } = await import("../src/ussd/format.js");
+const { FULL_NAME_MAX_LENGTH, USSD_MAX_LENGTH } = await import(
+  "../src/constants.js"
+);
+await import("../src/ussd/menus/index.js");
+
+const PHONE = "+254700000099";
+const LONGEST_NAME = "Bartholomew".padEnd(FULL_NAME_MAX_LENGTH, " Xavier");
+const LONGEST_AMOUNT = "1000000.0000 SUI";
+
+// The widest value each message placeholder takes on a USSD screen
+const WORST_CASE = {
+  name: formatName(LONGEST_NAME),
+  amount: LONGEST_AMOUNT,
+  fee: LONGEST_AMOUNT,
+  max: LONGEST_AMOUNT,
+  balance: LONGEST_AMOUNT,
+  address: `0x${"ab".repeat(32)}`,
+  phone: "+254700000000000",
+  attempts: 3,
+  minutes: 1440,
+  days: 30,
+  hours: 72,
+  count: 64,
+  total: 64,
+  end: "abcd",
+};
+
+/**
+ * Start a menu session for a caller
+ * @param {string} language - Caller's language
+ * @param {Object|null} user - Registered user, if any
+ * @returns {Object} - Menu context
+ */
+function caller(language, user) {
+  const session = createSession(`screens-${language}-${Date.now()}`, PHONE);
+  session.language = language;
+  return createMenuContext(session, user && { ...user, language });
+}
+
+/**
+ * Show every page of the screen a context is on, following "98"
+ * @param {Object} ctx - Menu context
+ * @param {Object} reply - First page
+ * @returns {Promise<string[]>} - Each page's text
+ */
+async function allPages(ctx, reply) {
+  const pages = [reply.message];
+  while (ctx.session.nextPage !== null) {
+    pages.push((await handleMenuInput(ctx, "98")).message);
+  }
+  return pages;
+}
+
+/**
+ * Get the option numbers listed on a set of pages
+ * @param {string[]} pages - Page texts
+ * @returns {number[]} - Option numbers in the order shown
+ */
+function optionNumbers(pages) {
+  return pages
+    .flatMap((page) => page.split("\n"))
+    .map((line) => line.match(/^(\d+)\. /)?.[1])
+    .filter((number) => number && number !== "98" && number !== "0")
+    .map(Number);
+}
+
+before(async () => {
+  await initDB();
+});
+
+for (const language of SUPPORTED_LANGUAGES) {
+  describe(`USSD screens in ${language}`, () => {
+    it("fits every message with the navigation line", () => {
+      const navigation = t(language, "nav.hint");
+
+      for (const key of Object.keys(getCatalogue(language))) {
+        // SMS messages are not shown on USSD screens
+        if (key.startsWith("sms.")) {
+          continue;
+        }
+
+        const screen = `${t(language, key, WORST_CASE)}\n${navigation}`;
+        assert.ok(
+          screen.length <= USSD_MAX_LENGTH,
+          `${key} is ${screen.length} characters`
+        );
+      }
+    });
+
+    for (const [description, user] of [
+      ["a new caller", null],
+      [
+        "a user with the longest name",
+        { phone: PHONE, fullName: LONGEST_NAME },
+      ],
+    ]) {
+      it(`pages the main menu for ${description}`, async () => {
+        const ctx = caller(language, user);
+        const pages = await allPages(ctx, await startMenu(ctx));
+
+        for (const page of pages) {
+          assert.ok(page.length <= USSD_MAX_LENGTH, page);
+          assert.ok(!page.endsWith("..."), page);
+        }
+
+        const numbers = optionNumbers(pages);
+        assert.deepEqual(
+          numbers,
+          numbers.map((_, index) => index + 1)
+        );
+
+        // The last option keeps its number whichever page it is on
+        const reply = await handleMenuInput(ctx, String(numbers.length));
+        assert.equal(ctx.session.node, "language.select");
+        assert.equal(reply.type, "CON");
+      });
+    }
+
+    it("pages a notice shown above a menu", async () => {
+      const ctx = caller(language, { phone: PHONE, fullName: LONGEST_NAME });
+      await startMenu(ctx);
+      await handleMenuInput(ctx, "1");
+      const reply = await handleMenuInput(ctx, WORST_CASE.phone);
+      assert.equal(ctx.session.node, "send.mode");
+
+      const pages = await allPages(ctx, reply);
+      for (const page of pages) {
+        assert.ok(page.length <= USSD_MAX_LENGTH, page);
+      }
+      assert.deepEqual(optionNumbers(pages), [1, 2]);
+    });
+  });
+}
@@ -0,0 +1,121 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// The SQLite store keeps sessions in a throwaway database
+process.env.NODE_ENV = "test";
+process.env.DB_PATH = ":memory:";
+process.env.SECRET_KEY = "test-secret";
+
+const { initDB } = await import("../src/services/database.js");
+const {
+  createSession,
+  createMemorySessionStore,
+  createSqliteSessionStore,
+} = await import("../src/ussd/session-store.js");
+
+const PHONE = "+254766000001";
+// Short enough to wait out in a test
+const TTL_SECONDS = 0.5;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build a session partway through a flow
+ * @param {string} sessionId - Aggregator session ID
+ * @returns {Object} - Session
+ */
+function sessionOnSend(sessionId) {
+  const session = createSession(sessionId, PHONE);
+  session.node = "send.amount";
+  session.language = "sw";
+  session.inputs = { receiverPhone: "+254766000002" };
+  session.history = [
+    { node: "main", inputs: {} },
+    { node: "send.phone", inputs: {} },
+  ];
+  session.retries = { "send.phone": 1 };
+  return session;
+}
+
+before(async () => {
+  await initDB();
+});
+
+for (const [name, createStore] of [
+  ["memory", createMemorySessionStore],
+  ["sqlite", createSqliteSessionStore],
+]) {
+  describe(`USSD ${name} session store`, () => {
+    it("gives back what was saved", async () => {
+      const store = createStore();
+      const session = await store.save(sessionOnSend(`${name}-saved`));
+
+      assert.deepEqual(await store.get(`${name}-saved`), session);
+      assert.equal(await store.get(`${name}-missing`), null);
+    });
+
+    it("keeps changes only once they are saved", async () => {
+      const store = createStore();
+      await store.save(sessionOnSend(`${name}-copy`));
+
+      const session = await store.get(`${name}-copy`);
+      session.inputs.amount = "5";
+      session.history.push({ node: "send.amount", inputs: {} });
+      assert.deepEqual((await store.get(`${name}-copy`)).inputs, {
+        receiverPhone: "+254766000002",
+      });
+
+      await store.save(session);
+      const saved = await store.get(`${name}-copy`);
+      assert.equal(saved.inputs.amount, "5");
+      assert.equal(saved.history.length, 3);
+    });
+
+    it("forgets a destroyed session", async () => {
+      const store = createStore();
+      await store.save(sessionOnSend(`${name}-destroyed`));
+
+      await store.destroy(`${name}-destroyed`);
+
+      assert.equal(await store.get(`${name}-destroyed`), null);
+    });
+
+    it("expires sessions after the TTL and refreshes it on save", async () => {
+      const store = createStore({ ttlSeconds: TTL_SECONDS });
+      const session = await store.save(sessionOnSend(`${name}-ttl`));
+      assert.equal(session.expiresAt, session.updatedAt + TTL_SECONDS * 1000);
+
+      // Past the first TTL, but not the one the second save started
+      await sleep(300);
+      await store.save(session);
+      await sleep(300);
+      assert.ok(await store.get(`${name}-ttl`));
+
+      await sleep(600);
+      assert.equal(await store.get(`${name}-ttl`), null);
+    });
+
+    it("purges expired sessions only", async () => {
+      const store = createStore({ ttlSeconds: TTL_SECONDS });
+      const lasting = createStore();
+      // Whatever earlier tests left behind
+      await store.purgeExpired();
+      await store.save(sessionOnSend(`${name}-stale-1`));
+      await store.save(sessionOnSend(`${name}-stale-2`));
+      await lasting.save(sessionOnSend(`${name}-live`));
+
+      await sleep(600);
+
+      assert.equal(await store.purgeExpired(), 2);
+      assert.equal(await store.purgeExpired(), 0);
+      assert.ok(await lasting.get(`${name}-live`));
+    });
+  });
+}